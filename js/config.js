@@ -4,7 +4,84 @@ export const CONFIG = {
     width: { ideal: 1280 },
     height: { ideal: 720 },
     frameRate: { ideal: 30 },
-    facingMode: "user",
+    facingMode: "user", // "user" (frontale, affichée en miroir) ou "environment" (arrière)
+    // Résolutions essayées si la configuration est refusée, avant n'importe quelle caméra
+    fallbackResolutions: [
+      [960, 540],
+      [640, 480],
+    ],
+    fov: 63, // FOV verticale estimée de la webcam (degrés), sert aux intrinsèques
+  },
+
+  tracking: {
+    useWorker: true, // Détection dans js/workers/trackingWorker.js (repli automatique sur le thread principal)
+    maxWorkerErrors: 3, // Erreurs de détection consécutives avant de quitter le worker
+
+    // Perte du visage (voir TrackingStateMachine)
+    lostHoldMs: 300, // Pose maintenue avant de commencer à estomper l'accessoire
+    fadeOutMs: 400, // Durée du fondu de disparition
+    fadeInMs: 200, // Durée du fondu d'apparition
+    reacquireFrames: 3, // Détections consécutives pour confirmer un visage retrouvé
+    hintDelayMs: 1000, // Délai avant d'afficher "Visage non détecté"
+  },
+
+  // Catalogue produits (voir CatalogService) : fichier JSON ou endpoint REST
+  // Remplaçable avec ?catalog=<url> ; PRODUCTS sert de repli si le catalogue est indisponible
+  catalog: {
+    url: "./data/catalog.json",
+    pageSize: 12, // Produits par page de la galerie
+    timeoutMs: 10000,
+    maxPages: 20, // Pages REST suivies au plus (champ "next")
+  },
+
+  // Mode groupe : un accessoire par visage (activable aussi avec ?group)
+  group: {
+    enabled: false,
+    maxFaces: 4,
+    maxMatchDistance: 1.5, // Déplacement max entre deux frames, en tailles de visage
+    lostTimeout: 500, // Délai (ms) avant de retirer l'accessoire d'un visage disparu
+  },
+
+  // Comparaison de deux produits (voir CompareMode) : séparateur déplaçable
+  compare: {
+    dividerPosition: 0.5, // Fraction de la largeur de l'écran, depuis la gauche
+    dividerMargin: 0.1, // Le séparateur reste à cette distance des bords
+  },
+
+  // Produit précédent / suivant pendant l'essayage (voir ProductCarousel)
+  productSwitch: {
+    swipeDistance: 60, // px minimum pour un glissement
+    swipeMaxDuration: 600, // ms
+    preloadRadius: 1, // Produits préchargés de chaque côté du produit essayé
+  },
+
+  // Photos et clips vidéo (voir FrameCompositor)
+  capture: {
+    format: "image/png",
+    quality: 0.92, // JPEG / WebP uniquement
+    dividerColor: "#ffffff",
+    dividerWidth: 4, // px de l'image
+    labelFont: "600 28px sans-serif",
+    maxDuration: 15000, // Durée max d'un clip (ms)
+    videoFps: 30,
+    videoBitsPerSecond: 4000000,
+    // Premier format supporté par MediaRecorder (Safari : MP4)
+    videoTypes: ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm", "video/mp4"],
+    // Formats proposés dans l'aperçu des photos
+    formats: [
+      { type: "image/jpeg", name: "JPEG" },
+      { type: "image/png", name: "PNG" },
+      { type: "image/webp", name: "WebP" },
+    ],
+    // Filigrane des photos et clips (désactivable dans l'aperçu des photos)
+    watermark: {
+      enabled: true,
+      text: "AR-FitTry",
+      showProduct: true, // Nom et prix du produit essayé
+      font: "600 24px sans-serif",
+      color: "rgba(255, 255, 255, 0.9)",
+      margin: 0.03, // Fraction de la hauteur de l'image
+    },
   },
 
   faceMesh: {
@@ -14,10 +91,104 @@ export const CONFIG = {
     minTrackingConfidence: 0.7,
   },
 
+  // Lissage de la pose par canal : "kalman" | "motion" | "oneEuro" | "lerp" | "none"
+  //   kalman : processNoise (⬆️ = + réactif), measurementNoise (⬆️ = + stable)
+  //   motion : Kalman position + vitesse (order 2) ou + accélération (order 3), extrapolé au rendu
+  //            (rotation : vitesse angulaire, filtrée sur SO(3) dans l'espace tangent)
+  //   oneEuro : minCutoff en Hz (⬇️ = + stable), beta (⬆️ = - de latence en mouvement)
+  //   lerp : factor = poids de la valeur précédente (0 à 1)
+  smoothing: {
+    position: { type: "motion", order: 2, processNoise: 10, measurementNoise: 0.000025 },
+    rotation: { type: "motion", processNoise: 5, measurementNoise: 0.0001 },
+    scale: { type: "motion", order: 2, processNoise: 5, measurementNoise: 0.0001 },
+    // Horizon max d'extrapolation quand la détection est lente ou absente (ms)
+    maxPredictionMs: 150,
+  },
+
+  // Échelle métrique (voir MetricScaleEstimator) : le diamètre de l'iris, quasi constant chez
+  // l'adulte, donne la distance réelle ; la pose PnP (modèle canonique) en déduit la taille du visage
+  metricScale: {
+    irisDiameterMm: 11.7,
+    sceneUnitMm: 200, // 1 unité de scène = 1 unité du modèle normalisé sur une tête moyenne
+    maxAngle: 0.35, // Iris ignoré au-delà (rad) : raccourci ou caché quand la tête tourne
+    minFaceScale: 0.8, // Mesures hors bornes ignorées (taille du visage / modèle canonique)
+    maxFaceScale: 1.25,
+    smoothing: 0.05, // Lissage exponentiel de la taille du visage, après les premières mesures
+    minSamples: 15, // Mesures avant calibration
+    // Tête moyenne du modèle canonique : largeur × longueur du crâne (tour ≈ 56 cm)
+    referenceHead: { widthMm: 158, depthMm: 198 },
+  },
+
+  // Recommandation de taille (voir HeadSizer) : tour de tête sur une fenêtre glissante de mesures
+  sizing: {
+    windowSize: 90, // Mesures conservées (une par frame où l'iris est exploitable)
+    minSamples: 45, // Mesures avant de recommander une taille
+    systematicErrorCm: 1.5, // Incertitude de la méthode : diamètre de l'iris ≈ 11,7 ± 0,5 mm
+  },
+
+  // Ajustement intelligent (voir SmartFittingMode) : calibration de la morphologie du visage,
+  // puis échelle, décalage et opacité du produit ajustés en temps réel
+  smartFitting: {
+    enabled: true,
+    calibrationFrames: 60, // Frames de calibration au début de l'essayage
+    minCalibrationSamples: 10, // Frames exploitables requises (sinon pas d'ajustement)
+    minConfidence: 0.7, // Frames de calibration ignorées en dessous
+    maxReprojectionError: 0.02, // Confiance nulle au-delà (fraction de la hauteur vidéo)
+    tipsIntervalMs: 2000, // Rafraîchissement des conseils affichés
+  },
+
+  // Lunettes (GlassesFitter)
+  eyewear: {
+    templeWidthMm: 144, // Largeur tempe à tempe (234 / 454) donnant l'échelle 1 de la monture
+    bendTemples: true, // Plie les branches vers les oreilles
+    templeLengthMm: 100, // Distance charnière → oreille
+    hingeDepth: 0.05, // Profondeur de la face avant (unités du modèle normalisé)
+    maxTempleAngle: 0.3, // Pliage maximal (radians)
+    templeSmoothing: 0.1, // Lissage exponentiel de l'angle des branches
+  },
+
+  // Occlusion par la tête : ellipsoïde invisible dans le repère de l'accessoire
+  // (unités de l'accessoire normalisé, arrière du crâne vers +z)
+  occlusion: {
+    enabled: true,
+    radii: { x: 0.4, y: 0.5, z: 0.48 },
+    offset: { x: 0, y: -0.3, z: 0.15 }, // Ancrage "crown"
+    // Centre de la tête vu depuis les autres points d'ancrage
+    anchorOffsets: {
+      eyes: { x: 0, y: 0.05, z: 0.45 },
+      noseBridge: { x: 0, y: 0.05, z: 0.5 },
+      ears: { x: 0, y: 0.05, z: -0.05 },
+    },
+    debug: false, // Affiche l'ellipsoïde en fil de fer pour le réglage
+  },
+
+  // Session AR WebXR (voir WebXRManager) : bouton "Mode AR" si le navigateur la supporte
+  webxr: {
+    enabled: true,
+    sessionMode: "immersive-ar",
+    referenceSpaceType: "local", // Toujours disponible en immersive-ar
+    requiredFeatures: [],
+    // hit-test : pose sur une surface détectée, anchors : le produit reste fixé à la surface,
+    // dom-overlay : interface HTML par-dessus la vue AR
+    optionalFeatures: ["hit-test", "anchors", "dom-overlay"],
+    placementDistance: 0.6, // Sans hit-test : produit posé devant l'utilisateur (m)
+    fallbackSize: 0.25, // Plus grande dimension d'un produit sans dimensions réelles (m)
+    // Gestes sur le produit posé (voir XRPlacement)
+    placement: {
+      lockScale: true, // Pincement bloqué : taille réelle (product.dimensions)
+      minScale: 0.5, // Échelle relative à la taille réelle, une fois débloquée
+      maxScale: 3,
+      snapThreshold: 0.05, // Retour à la taille réelle à ±5 %
+      rotateSpeed: 0.01, // rad par px (glissement à un doigt)
+      tapThreshold: 10, // px : au-delà, le toucher est un geste et ne déplace pas le produit
+    },
+  },
+
   rendering: {
     antialias: true,
     alpha: true,
     powerPreference: "high-performance",
+    cameraZ: 2, // Position de la caméra 3D (unités de scène), regard vers -z
   },
 };
 
@@ -34,13 +205,120 @@ export const FACE_LANDMARKS = {
   noseTip: 1,
 };
 
-// Produits
+// Points d'ancrage des accessoires
+//   landmarks : points moyennés pour positionner l'accessoire
+//   align : "bottom" = le bas du modèle repose sur le point (chapeaux), "center" = modèle centré dessus
+export const ANCHORS = {
+  crown: { landmarks: FACE_LANDMARKS.forehead, align: "bottom" },
+  eyes: { landmarks: [33, 133, 160, 159, 362, 263, 387, 386], align: "center" },
+  noseBridge: { landmarks: [168, 6], align: "center" },
+  ears: { landmarks: [234, 454], align: "center" },
+};
+
+// Modèle 3D canonique du visage (mm) pour le solveur PnP
+// x vers la gauche du sujet, y vers le haut, z vers la caméra, origine au centre de la face
+export const CANONICAL_FACE_MODEL = {
+  // Œil droit du sujet
+  33: [-44, 27, 32],
+  133: [-17, 25, 36],
+  160: [-37, 31, 37],
+  159: [-29, 32, 38],
+  158: [-22, 31, 38],
+  144: [-37, 23, 36],
+  145: [-29, 22, 37],
+  153: [-22, 23, 37],
+  // Œil gauche du sujet
+  263: [44, 27, 32],
+  362: [17, 25, 36],
+  387: [37, 31, 37],
+  386: [29, 32, 38],
+  385: [22, 31, 38],
+  373: [37, 23, 36],
+  374: [29, 22, 37],
+  380: [22, 23, 37],
+  // Front
+  10: [0, 78, 40],
+  109: [-17, 76, 37],
+  338: [17, 76, 37],
+  67: [-33, 70, 28],
+  297: [33, 70, 28],
+  // Nez
+  168: [0, 30, 50],
+  6: [0, 18, 56],
+  1: [0, -34, 60],
+  // Bouche, menton, mâchoire
+  61: [-25, -44, 43],
+  291: [25, -44, 43],
+  152: [0, -88, 38],
+  172: [-58, -55, 5],
+  397: [58, -55, 5],
+  // Tempes
+  234: [-72, 5, -6],
+  454: [72, 5, -6],
+  // Avant des oreilles (hors estimation de pose)
+  127: [-74, 20, -30],
+  356: [74, 20, -30],
+};
+
+// Landmarks rigides utilisés pour l'estimation de pose (ni paupières, ni bouche, ni menton)
+export const HEAD_POSE_LANDMARKS = [
+  33, 133, 362, 263, 10, 67, 109, 338, 297, 168, 6, 1, 234, 454,
+];
+
+// Couleurs des filtres de la galerie (identifiants utilisés par le champ "colors" des produits)
+export const COLORS = {
+  black: { name: "Noir", hex: "#1a1a1a" },
+  white: { name: "Blanc", hex: "#f7f7f7" },
+  grey: { name: "Gris", hex: "#a0aec0" },
+  red: { name: "Rouge", hex: "#e53e3e" },
+  blue: { name: "Bleu", hex: "#3182ce" },
+  green: { name: "Vert", hex: "#38a169" },
+  brown: { name: "Marron", hex: "#8b5a2b" },
+  beige: { name: "Beige", hex: "#d6b98c" },
+  gold: { name: "Doré", hex: "#c9a227" },
+  silver: { name: "Argenté", hex: "#c0c0c0" },
+};
+
+// Produits de repli (catalogue principal : data/catalog.json, schéma : voir ProductSchema.js)
+//   type : "hat" | "cap" | "beanie" | "glasses" | "sunglasses" | "earrings"
+//   colors : identifiants de COLORS (filtres de la galerie)
+//   variants : coloris appliqués au même modèle (voir ModelManager.applyVariant)
+//     { id, name, swatch?, color?, texture?, materials?, gltfVariant? }
+//   defaultVariant : id de la variante affichée au chargement
+//   category : catégorie de la galerie (déduite du type si absente)
+//   anchor : "crown" | "eyes" | "noseBridge" | "ears" (déduit du type si absent)
+//   offset : décalage {x, y, z} en unités de l'accessoire normalisé (1 = plus grande dimension)
+//   rotation : rotation de base {x, y, z} (radians)
+//   scale : multiplicateur d'échelle (nombre ou {x, y, z})
 export const PRODUCTS = [
   {
     id: "winter-hat-001",
     name: "Bonnet Hiver",
     price: 24.99,
-    modelUrl: "./models/head/bucket_hat.glb",
+    modelUrl: "./models/head/winter_hat.glb",
     thumbnail: "./assets/images/winter_hat_thumb.jpg",
-  }
+    type: "beanie",
+    colors: ["black", "red", "grey"],
+    variants: [
+      { id: "black", name: "Noir" },
+      { id: "red", name: "Rouge", color: "#b83232" },
+      { id: "grey", name: "Gris", color: "#8a8f98" },
+    ],
+  },
+  {
+    id: "sunglasses-001",
+    name: "Lunettes de Soleil",
+    price: 39.99,
+    modelUrl: "./models/head/sunglasses.glb",
+    thumbnail: "./assets/images/sunglasses_thumb.jpg",
+    type: "sunglasses",
+    colors: ["gold", "silver", "black"],
+    variants: [
+      { id: "gold", name: "Doré" },
+      { id: "silver", name: "Argenté", color: "#c0c0c0", materials: ["Gold_metallic"] },
+      { id: "black", name: "Noir mat", color: "#1a1a1a", materials: ["Gold_metallic"] },
+    ],
+    offset: { x: 0, y: 0, z: -0.1 },
+    scale: 0.9,
+  },
 ];
@@ -2,8 +2,24 @@ import { FaceTracker } from "./modules/FaceTracker.js";
 import { ModelManager } from "./modules/ModelManager.js";
 import { RenderEngine } from "./modules/RenderEngine.js";
 import { PreciseTracker } from "./modules/PreciseTracker.js";
+import { HeadSizer, recommendSize } from "./modules/HeadSizer.js";
+import { SmartFittingMode, fittingData, isSmartFitted } from "./modules/SmartFittingMode.js";
+import { GlassesFitter, createFitter, isEyewear } from "./modules/GlassesFitter.js";
 import { AutoFitter } from "./modules/AutoFitter.js";
-import { PRODUCTS } from "./config.js";
+import { PoseSmoother } from "./modules/PoseSmoother.js";
+import { LandmarkRecorder } from "./modules/LandmarkSession.js";
+import { GroupTryOn } from "./modules/GroupTryOn.js";
+import { TrackingStateMachine, TrackingState } from "./modules/TrackingStateMachine.js";
+import { CatalogService } from "./modules/CatalogService.js";
+import { ProductFilter, priceRange, availableColors } from "./modules/ProductFilter.js";
+import { CompareMode } from "./modules/CompareMode.js";
+import { FrameCompositor, productLabel, fileExtension } from "./modules/FrameCompositor.js";
+import { canShareFiles, shareCapture } from "./modules/CaptureShare.js";
+import { ProductCarousel, swipeDirection } from "./modules/ProductCarousel.js";
+import { CameraManager } from "./modules/CameraManager.js";
+import { WebXRManager } from "./modules/WebXRManager.js";
+import { XRPlacement } from "./modules/XRPlacement.js";
+import { CONFIG, COLORS, DEBUG } from "./config.js";
 
 /**
  * ARFitTryApp - Application principale
@@ -17,28 +33,120 @@ class ARFitTryApp {
       video: document.getElementById("webcam"),
       canvas: document.getElementById("ar-canvas"),
       loadingStatus: document.getElementById("loading-status"),
+      appTitle: document.getElementById("app-title"),
       productGallery: document.getElementById("product-gallery"),
+      categoryTabs: document.getElementById("category-tabs"),
+      productSearch: document.getElementById("product-search"),
+      priceMin: document.getElementById("price-min"),
+      priceMax: document.getElementById("price-max"),
+      colorFilters: document.getElementById("color-filters"),
       tryOnControls: document.getElementById("try-on-controls"),
+      variantPicker: document.getElementById("variant-picker"),
       backBtn: document.getElementById("back-btn"),
       captureBtn: document.getElementById("capture-btn"),
+      recordBtn: document.getElementById("record-btn"),
+      capturePreview: document.getElementById("capture-preview"),
+      capturePreviewImage: document.getElementById("capture-preview-image"),
+      capturePreviewVideo: document.getElementById("capture-preview-video"),
+      captureOptions: document.getElementById("capture-options"),
+      captureFormat: document.getElementById("capture-format"),
+      captureQuality: document.getElementById("capture-quality"),
+      captureWatermark: document.getElementById("capture-watermark"),
+      captureSize: document.getElementById("capture-size"),
+      captureShareBtn: document.getElementById("capture-share-btn"),
+      captureDownloadBtn: document.getElementById("capture-download-btn"),
+      captureCloseBtn: document.getElementById("capture-close-btn"),
+      compareBtn: document.getElementById("compare-btn"),
+      switchCameraBtn: document.getElementById("switch-camera-btn"),
+      prevProductBtn: document.getElementById("prev-product-btn"),
+      nextProductBtn: document.getElementById("next-product-btn"),
+      comparePicker: document.getElementById("compare-picker"),
+      compareDivider: document.getElementById("compare-divider"),
+      compareLabelLeft: document.getElementById("compare-label-left"),
+      compareLabelRight: document.getElementById("compare-label-right"),
+      faceHint: document.getElementById("face-hint"),
+      headSize: document.getElementById("head-size"),
+      fitCalibration: document.getElementById("fit-calibration"),
+      fitCalibrationLabel: document.getElementById("fit-calibration-label"),
+      fitCalibrationBar: document.getElementById("fit-calibration-bar"),
+      fitTips: document.getElementById("fit-tips"),
+      xrButton: document.getElementById("xr-button"),
+      xrControls: document.getElementById("xr-controls"),
+      xrHint: document.getElementById("xr-hint"),
+      xrScaleBtn: document.getElementById("xr-scale-btn"),
     };
 
     // Modules
+    this.cameraManager = new CameraManager();
     this.faceTracker = new FaceTracker();
-    this.modelManager = new ModelManager();
+    this.catalog = new CatalogService();
+    this.modelManager = new ModelManager(this.catalog);
     this.renderEngine = new RenderEngine(this.elements.canvas);
     this.preciseTracker = new PreciseTracker();
+    this.headSizer = new HeadSizer();
+    this.smartFitting = new SmartFittingMode();
+    this.poseSmoother = new PoseSmoother();
     this.autoFitter = new AutoFitter();
+    this.trackingState = new TrackingStateMachine();
+    this.groupTryOn = new GroupTryOn({
+      renderEngine: this.renderEngine,
+      autoFitter: this.autoFitter,
+      loadModel: (product) => this.loadProductModel(product),
+    });
+    this.compareMode = new CompareMode({
+      renderEngine: this.renderEngine,
+      autoFitter: this.autoFitter,
+      loadModel: (product) => this.loadProductModel(product),
+    });
+    this.frameCompositor = new FrameCompositor({
+      video: this.elements.video,
+      renderEngine: this.renderEngine,
+    });
+    this.webxr = new WebXRManager(this.renderEngine.renderer);
+    this.xrPlacement = new XRPlacement();
+    this.renderEngine.scene.add(this.xrPlacement.reticle);
 
     // State
+    this.productFilter = new ProductFilter();
+    this.carousel = new ProductCarousel();
+    this.swipeStart = null;
+    this.pendingProduct = null;
+    this.capture = null; // Photo ou clip affiché dans l'aperçu (voir showCapturePreview)
+    this.captureOptions = {
+      format: CONFIG.capture.format,
+      quality: CONFIG.capture.quality,
+      watermark: CONFIG.capture.watermark.enabled,
+    };
+    this.galleryPage = 0;
+    this.productCards = new Map();
+    this.productErrors = new Map(); // id → { message, broken } (conservé entre deux filtrages)
+    this.currentProduct = null;
     this.currentModel = null;
     this.isTracking = false;
     this.currentTransform = null;
+    this.groupMode = false;
+    this.modelOpacity = null;
+    this.fittingAdjustments = null; // Ajustements du mode intelligent (voir updateSmartFitting)
+    this.fittingTipsAt = 0;
 
     // Bind methods
     this.trackingLoop = this.trackingLoop.bind(this);
+    this.renderPose = this.renderPose.bind(this);
+    this.handleTrackingUpdate = this.handleTrackingUpdate.bind(this);
     this.handleBack = this.handleBack.bind(this);
     this.handleCapture = this.handleCapture.bind(this);
+    this.handleRecord = this.handleRecord.bind(this);
+    this.drawCaptureOverlay = this.drawCaptureOverlay.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleGroupTap = this.handleGroupTap.bind(this);
+    this.handleFilterInput = this.handleFilterInput.bind(this);
+    this.handleCompare = this.handleCompare.bind(this);
+    this.handleSwitchCamera = this.handleSwitchCamera.bind(this);
+    this.handleXR = this.handleXR.bind(this);
+    this.handleXRPointer = this.handleXRPointer.bind(this);
+    this.handleDividerDrag = this.handleDividerDrag.bind(this);
+    this.handleSwipeStart = this.handleSwipeStart.bind(this);
+    this.handleSwipeEnd = this.handleSwipeEnd.bind(this);
   }
 
   /**
@@ -46,11 +154,54 @@ class ARFitTryApp {
    */
   async initialize() {
     try {
+      // Mode relecture: ?replay=<url de session>[&loop]
+      const params = new URLSearchParams(window.location.search);
+      if (params.has("replay")) {
+        this.updateLoadingStatus("Chargement de la session...", 15);
+        await this.faceTracker.loadReplay(params.get("replay"), {
+          loop: params.has("loop"),
+          realtime: true,
+        });
+      }
+
+      // Catalogue produits: ?catalog=<url JSON ou REST> remplace CONFIG.catalog.url
+      // Même origine uniquement : un lien ne peut pas imposer un catalogue tiers
+      if (params.has("catalog")) {
+        const url = this.parseCatalogUrl(params.get("catalog"));
+        if (url) this.catalog.url = url;
+      }
+      this.updateLoadingStatus("Chargement du catalogue...", 20);
+      await this.catalog.load();
+
+      // Mode groupe: ?group (un accessoire par visage)
+      this.groupMode = CONFIG.group.enabled || params.has("group");
+      this.faceTracker.groupMode = this.groupMode;
+
       this.updateLoadingStatus("Initialisation Face Tracker...", 30);
+      this.faceTracker.onTrackingUpdate = this.handleTrackingUpdate;
+      this.faceTracker.onFaceLost = () => {
+        if (!this.isTracking) return;
+
+        // Sans visage, les identités expirent après CONFIG.group.lostTimeout
+        if (this.groupMode) {
+          this.groupTryOn.update([], performance.now());
+        } else {
+          this.trackingState.faceMissing(performance.now());
+        }
+      };
+
+      // Visage retrouvé après une longue perte : repartir de la nouvelle pose
+      this.trackingState.onReacquire = () => {
+        this.preciseTracker.reset();
+        this.poseSmoother.reset();
+        this.compareMode.reset();
+      };
       await this.faceTracker.initialize();
 
       this.updateLoadingStatus("Initialisation Render Engine...", 60);
+      this.renderEngine.onBeforeRender = this.renderPose;
       this.renderEngine.startRendering();
+      this.setupXR();
 
       this.updateLoadingStatus("Construction galerie...", 90);
       this.buildGallery();
@@ -71,28 +222,212 @@ class ARFitTryApp {
   }
 
   /**
-   * Construit la galerie de produits
+   * URL de catalogue passée par ?catalog= (null si invalide ou d'une autre origine)
+   */
+  parseCatalogUrl(value) {
+    let url;
+    try {
+      url = new URL(value, window.location.href);
+    } catch (error) {
+      console.warn("[App] ⚠️ Catalog ignored (invalid URL):", value);
+      return null;
+    }
+
+    if (url.origin !== window.location.origin) {
+      console.warn("[App] ⚠️ Catalog ignored (other origin):", url.href);
+      return null;
+    }
+    return url.href;
+  }
+
+  /**
+   * Construit la galerie : onglets de catégories, filtres, puis produits
    */
   buildGallery() {
+    this.buildCategoryTabs();
+    this.buildFilters();
+    this.renderProducts();
+  }
+
+  buildCategoryTabs() {
+    const tabs = this.elements.categoryTabs;
+    tabs.innerHTML = "";
+
+    const categories = [{ id: null, name: "Tous" }, ...this.catalog.getCategories()];
+    categories.forEach(({ id, name }) => {
+      const tab = document.createElement("button");
+      tab.className = "category-tab";
+      tab.textContent = name;
+      tab.classList.toggle("active", id === this.productFilter.category);
+      tab.addEventListener("click", () => this.selectCategory(id, tab));
+      tabs.appendChild(tab);
+    });
+  }
+
+  /**
+   * Fourchette de prix et pastilles de couleur d'après le catalogue
+   */
+  buildFilters() {
+    const { min, max } = priceRange(this.catalog.products);
+    this.elements.priceMin.placeholder = `Min $${Math.floor(min)}`;
+    this.elements.priceMax.placeholder = `Max $${Math.ceil(max)}`;
+
+    const swatches = this.elements.colorFilters;
+    swatches.innerHTML = "";
+    availableColors(this.catalog.products).forEach((color) => {
+      const swatch = document.createElement("button");
+      swatch.className = "color-swatch";
+      swatch.title = COLORS[color].name;
+      swatch.setAttribute("aria-label", COLORS[color].name);
+      swatch.style.background = COLORS[color].hex;
+      swatch.addEventListener("click", () => {
+        swatch.classList.toggle("active", this.productFilter.toggleColor(color));
+        this.renderProducts();
+      });
+      swatches.appendChild(swatch);
+    });
+  }
+
+  /**
+   * Onglet de catégorie : filtre la galerie et préchauffe uniquement ses modèles
+   */
+  async selectCategory(category, tab) {
+    this.productFilter.setCategory(category);
+    this.elements.categoryTabs
+      .querySelectorAll(".category-tab")
+      .forEach((element) => element.classList.toggle("active", element === tab));
+    this.renderProducts();
+
+    if (!category) return;
+
+    const failed = await this.modelManager.preloadCategory(category);
+    failed.forEach((product) => this.markProductError(product, "Modèle indisponible", true));
+  }
+
+  /**
+   * Relit les champs de filtre (recherche, prix)
+   */
+  handleFilterInput() {
+    const min = parseFloat(this.elements.priceMin.value);
+    const max = parseFloat(this.elements.priceMax.value);
+
+    this.productFilter.setQuery(this.elements.productSearch.value);
+    this.productFilter.setPriceRange(min, max);
+    this.renderProducts();
+  }
+
+  /**
+   * Réaffiche les produits correspondant aux filtres (depuis la première page)
+   */
+  renderProducts() {
     const gallery =
       this.elements.productGallery.querySelector(".gallery-scroll");
     gallery.innerHTML = "";
+    this.productCards.clear();
+    this.galleryPage = 0;
+
+    this.appendGalleryPage(gallery);
+
+    if (this.productCards.size === 0) {
+      const empty = document.createElement("p");
+      empty.className = "gallery-empty";
+      empty.textContent = "Aucun produit ne correspond à ces filtres";
+      gallery.appendChild(empty);
+    }
+  }
 
-    PRODUCTS.forEach((product) => {
-      const card = document.createElement("div");
-      card.className = "product-card";
-      card.innerHTML = `
-                <div class="product-image">
-                    <img src="${product.thumbnail}" alt="${product.name}">
-                </div>
-                <div class="product-info">
-                    <h3 class="product-name">${product.name}</h3>
-                    <p class="product-price">$${product.price}</p>
-                </div>
-            `;
-      card.addEventListener("click", () => this.selectProduct(product));
+  /**
+   * Ajoute une page de produits, suivie d'une carte "Voir plus" s'il en reste
+   */
+  appendGalleryPage(gallery) {
+    const { items, hasMore } = this.catalog.getPage(this.galleryPage, {
+      filter: this.productFilter,
+    });
+
+    items.forEach((product) => {
+      const card = this.createProductCard(product);
+      this.productCards.set(product.id, card);
       gallery.appendChild(card);
     });
+
+    if (hasMore) {
+      const more = document.createElement("div");
+      more.className = "product-card product-card--more";
+      more.innerHTML = `<span>Voir plus</span>`;
+      more.addEventListener("click", () => {
+        more.remove();
+        this.galleryPage++;
+        this.appendGalleryPage(gallery);
+      });
+      gallery.appendChild(more);
+    }
+  }
+
+  createProductCard(product) {
+    const card = document.createElement("div");
+    card.className = "product-card";
+
+    // Données du catalogue (éventuellement distant) : jamais interprétées comme du HTML
+    const image = document.createElement("div");
+    image.className = "product-image";
+    const thumbnail = document.createElement("img");
+    thumbnail.src = product.thumbnail;
+    thumbnail.alt = product.name;
+    thumbnail.addEventListener("error", () =>
+      this.markProductError(product, "Miniature indisponible")
+    );
+    image.appendChild(thumbnail);
+
+    const info = document.createElement("div");
+    info.className = "product-info";
+    const name = document.createElement("h3");
+    name.className = "product-name";
+    name.textContent = product.name;
+    const price = document.createElement("p");
+    price.className = "product-price";
+    price.textContent = `$${product.price}`;
+    info.append(name, price);
+
+    card.append(image, info);
+    card.addEventListener("click", () => {
+      if (!card.classList.contains("product-card--broken")) {
+        this.selectProduct(product);
+      }
+    });
+
+    const error = this.productErrors.get(product.id);
+    if (error) {
+      this.showCardError(card, error);
+    }
+    return card;
+  }
+
+  /**
+   * Carte d'erreur : miniature manquante (produit encore essayable) ou modèle introuvable
+   * @param {boolean} broken - true si le produit ne peut pas être essayé
+   */
+  markProductError(product, message, broken = false) {
+    const previous = this.productErrors.get(product.id);
+    const error = previous?.broken && !broken ? previous : { message, broken };
+    this.productErrors.set(product.id, error);
+
+    const card = this.productCards.get(product.id);
+    if (card) {
+      this.showCardError(card, error);
+    }
+  }
+
+  showCardError(card, { message, broken }) {
+    card.classList.add("product-card--error");
+    card.classList.toggle("product-card--broken", broken);
+
+    let label = card.querySelector(".product-error");
+    if (!label) {
+      label = document.createElement("p");
+      label.className = "product-error";
+      card.querySelector(".product-info").appendChild(label);
+    }
+    label.textContent = `⚠️ ${message}`;
   }
 
   /**
@@ -101,28 +436,133 @@ class ARFitTryApp {
   setupEventListeners() {
     this.elements.backBtn.addEventListener("click", this.handleBack);
     this.elements.captureBtn.addEventListener("click", this.handleCapture);
+    this.elements.recordBtn.addEventListener("click", this.handleRecord);
+    this.elements.captureShareBtn.addEventListener("click", () => this.shareCaptureFile());
+    this.elements.captureDownloadBtn.addEventListener("click", () => this.downloadCapture());
+    this.setupCaptureOptions();
+    this.elements.captureCloseBtn.addEventListener("click", () => this.closeCapturePreview());
+    this.elements.compareBtn.addEventListener("click", this.handleCompare);
+    this.elements.switchCameraBtn.addEventListener("click", this.handleSwitchCamera);
+    this.elements.compareDivider.addEventListener("pointerdown", (event) => {
+      this.elements.compareDivider.setPointerCapture(event.pointerId);
+      this.elements.compareDivider.addEventListener("pointermove", this.handleDividerDrag);
+    });
+    this.elements.compareDivider.addEventListener("pointerup", () => {
+      this.elements.compareDivider.removeEventListener("pointermove", this.handleDividerDrag);
+    });
+    this.elements.appContainer.addEventListener("click", this.handleGroupTap);
+
+    // Produit précédent / suivant sans quitter l'essayage
+    this.elements.prevProductBtn.addEventListener("click", () => this.showAdjacentProduct(-1));
+    this.elements.nextProductBtn.addEventListener("click", () => this.showAdjacentProduct(1));
+    this.elements.appContainer.addEventListener("pointerdown", this.handleSwipeStart);
+    this.elements.appContainer.addEventListener("pointerup", this.handleSwipeEnd);
+
+    // Filtres de la galerie
+    this.elements.productSearch.addEventListener("input", this.handleFilterInput);
+    this.elements.priceMin.addEventListener("input", this.handleFilterInput);
+    this.elements.priceMax.addEventListener("input", this.handleFilterInput);
+
+    if (DEBUG.enabled) {
+      window.addEventListener("keydown", this.handleKeyDown);
+    }
+  }
+
+  /**
+   * Raccourcis clavier de debug (R = enregistrer les landmarks, M = métriques de détection)
+   */
+  handleKeyDown(event) {
+    // Saisie en cours (recherche, filtres) ou raccourci du navigateur
+    const target = event.target;
+    const isEditing =
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName) || target?.isContentEditable;
+    if (isEditing || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const key = event.key.toLowerCase();
+
+    if (key === "m") {
+      console.table(this.faceTracker.getMetrics());
+      return;
+    }
+
+    if (key !== "r") return;
+
+    if (this.faceTracker.recorder.isRecording) {
+      this.stopRecording();
+    } else {
+      this.startRecording();
+    }
   }
 
   /**
    * Sélectionne un produit
    */
   async selectProduct(product) {
+    this.pendingProduct = product;
+
     try {
       console.log("[App] Loading product:", product.name);
 
-      // Charger le modèle
-      const model = await this.modelManager.loadModel(product.modelUrl);
+      if (this.groupMode) {
+        // Chaque visage reçoit son propre clone (chargé par GroupTryOn)
+        this.currentProduct = product;
+        this.groupTryOn.setDefaultProduct(product);
+      } else {
+        // Charger le modèle (échec : carte d'erreur, on reste sur la galerie)
+        let model;
+        try {
+          model = await this.loadProductModel(product);
+        } catch (error) {
+          console.error("[App] ❌ Model unavailable:", product.modelUrl, error);
+          this.markProductError(product, "Modèle indisponible", true);
+          return;
+        }
 
-      // Préparer le modèle avec AutoFitter
-      const prepared = this.autoFitter.prepareModel(model);
-      this.currentModel = prepared.model;
+        // Un autre produit a été choisi pendant le chargement (glissements rapides)
+        if (this.pendingProduct !== product) return;
 
-      // Ajouter à la scène
-      this.renderEngine.setModel(this.currentModel);
+        // Préparer le modèle avec AutoFitter (ancrage, décalage, échelle du produit)
+        const prepared = this.autoFitter.prepareModel(model, product);
+        this.currentModel = prepared.model;
+        this.currentProduct = product;
+
+        // Tracker adapté au produit (lunettes : GlassesFitter)
+        // Nouveau tracker ou point d'ancrage : la pose lissée précédente n'est plus valable
+        const previousAnchor = this.preciseTracker.anchor;
+        if (isEyewear(product) !== this.preciseTracker instanceof GlassesFitter) {
+          this.preciseTracker = createFitter(
+            product,
+            this.faceTracker.mirrored,
+            this.preciseTracker.metricScale
+          );
+          this.poseSmoother.reset();
+        }
+        this.preciseTracker.setAnchor(product.anchor);
+        if (this.preciseTracker.anchor !== previousAnchor) {
+          this.poseSmoother.reset();
+        }
+
+        // Ajouter à la scène (opacité appliquée à la prochaine frame)
+        this.renderEngine.setModel(this.currentModel);
+        this.modelOpacity = null;
+      }
 
-      // Démarrer caméra si nécessaire
+      this.buildVariantPicker(this.groupMode ? null : product);
+      this.elements.compareBtn.classList.toggle("hidden", this.groupMode);
+      this.updateXRButton();
+      this.elements.appTitle.textContent = product.name;
+
+      // Voisins dans l'ordre de la galerie, préchargés pour un changement instantané
+      this.carousel.setProducts(this.navigableProducts());
+      this.carousel.setCurrent(product);
+      this.updateProductNav();
+      this.preloadNeighbors();
+
+      // Démarrer caméra si nécessaire (inutile en relecture)
       if (!this.isTracking) {
-        await this.startCamera();
+        if (!this.faceTracker.isReplaying) {
+          await this.startCamera();
+        }
         this.startTracking();
       }
 
@@ -139,51 +579,245 @@ class ARFitTryApp {
   }
 
   /**
-   * Démarre la caméra
+   * Produits de la galerie (filtres compris) qui peuvent être essayés
    */
-  async startCamera() {
+  navigableProducts() {
+    return this.productFilter
+      .apply(this.catalog.products)
+      .filter((product) => !this.productErrors.get(product.id)?.broken);
+  }
+
+  /**
+   * Précharge les produits voisins du produit essayé
+   */
+  async preloadNeighbors() {
+    const failed = await this.modelManager.preloadProducts(this.carousel.neighbors());
+    failed.forEach((product) => this.markProductError(product, "Modèle indisponible", true));
+    if (failed.length > 0) {
+      this.carousel.setProducts(this.navigableProducts());
+      this.updateProductNav();
+    }
+  }
+
+  /**
+   * Flèches précédent / suivant : masquées s'il n'y a pas d'autre produit (ou en groupe)
+   */
+  updateProductNav() {
+    const hidden =
+      this.groupMode || this.compareMode.active || this.webxr.isActive || !this.carousel.step(1);
+    this.elements.prevProductBtn.classList.toggle("hidden", hidden);
+    this.elements.nextProductBtn.classList.toggle("hidden", hidden);
+  }
+
+  /**
+   * Remplace le modèle par le produit voisin : la caméra et le tracking continuent
+   * @param {number} direction - 1 = suivant, -1 = précédent
+   */
+  showAdjacentProduct(direction) {
+    if (!this.isTracking || this.groupMode || this.compareMode.active) return;
+
+    const product = this.carousel.step(direction);
+    if (product && product !== this.currentProduct) {
+      this.selectProduct(product);
+    }
+  }
+
+  handleSwipeStart(event) {
+    const ignored = "button, .try-on-controls, .compare-divider, .capture-preview";
+    if (!this.isTracking || event.target.closest(ignored)) {
+      this.swipeStart = null;
+      return;
+    }
+    this.swipeStart = { x: event.clientX, y: event.clientY, time: performance.now() };
+  }
+
+  handleSwipeEnd(event) {
+    if (!this.swipeStart) return;
+
+    const direction = swipeDirection(this.swipeStart, {
+      x: event.clientX,
+      y: event.clientY,
+      time: performance.now(),
+    });
+    this.swipeStart = null;
+
+    if (direction !== 0) {
+      this.showAdjacentProduct(direction);
+    }
+  }
+
+  /**
+   * Clone du modèle d'un produit, avec son coloris par défaut
+   */
+  async loadProductModel(product) {
+    const model = await this.modelManager.loadModel(product.modelUrl);
+    this.modelManager.prepareModel(model, product);
+
+    const variantId = product.defaultVariant ?? product.variants[0]?.id ?? null;
+    if (variantId) {
+      await this.modelManager.applyVariant(model, product, variantId);
+    }
+    return model;
+  }
+
+  /**
+   * Pastilles des coloris du produit essayé (masquées s'il n'en a qu'un)
+   */
+  buildVariantPicker(product) {
+    const picker = this.elements.variantPicker;
+    picker.innerHTML = "";
+
+    const variants = product?.variants || [];
+    picker.classList.toggle("hidden", variants.length < 2);
+
+    const current = this.currentModel?.userData.variant;
+    variants.forEach((variant) => {
+      const swatch = document.createElement("button");
+      swatch.className = "variant-swatch";
+      swatch.title = variant.name;
+      swatch.setAttribute("role", "radio");
+      swatch.setAttribute("aria-label", variant.name);
+      swatch.setAttribute("aria-checked", String(variant.id === current));
+      swatch.style.background = variant.swatch || "#888888";
+      swatch.classList.toggle("active", variant.id === current);
+      swatch.addEventListener("click", () => this.selectVariant(product, variant.id));
+      picker.appendChild(swatch);
+    });
+  }
+
+  /**
+   * Change de coloris sur le modèle affiché : ni rechargement, ni arrêt du tracking
+   */
+  async selectVariant(product, variantId) {
+    if (!this.currentModel || this.currentProduct !== product) return;
+
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: 1280 },
-          height: { ideal: 720 },
-          facingMode: "user",
-        },
-      });
+      await this.modelManager.applyVariant(this.currentModel, product, variantId);
+    } catch (error) {
+      console.error("[App] ❌ Variant error:", error);
+      return;
+    }
 
-      this.elements.video.srcObject = stream;
+    // Nouveaux matériaux : l'opacité courante est réappliquée à la prochaine frame
+    this.modelOpacity = null;
 
-      // Attendre que la vidéo soit prête
-      await new Promise((resolve) => {
-        this.elements.video.onloadedmetadata = () => {
-          resolve();
-        };
-      });
+    this.elements.variantPicker.querySelectorAll(".variant-swatch").forEach((swatch, i) => {
+      const active = product.variants[i].id === variantId;
+      swatch.classList.toggle("active", active);
+      swatch.setAttribute("aria-checked", String(active));
+    });
+  }
 
-      await this.elements.video.play();
+  /**
+   * Démarre la caméra (CONFIG.camera), sauf si elle tourne déjà (retour à la galerie)
+   */
+  async startCamera() {
+    if (this.cameraManager.isActive) return;
 
-      console.log("[App] 📹 Camera started");
-      console.log(
-        "[App] Video size:",
-        this.elements.video.videoWidth,
-        "x",
-        this.elements.video.videoHeight
-      );
+    try {
+      await this.attachStream(await this.cameraManager.start());
     } catch (error) {
-      console.error("[App] ❌ Camera error:", error);
-      alert("Impossible d'accéder à la caméra: " + error.message);
+      this.showCameraError(error);
       throw error;
     }
   }
 
+  showCameraError(error) {
+    console.error("[App] ❌ Camera error:", error);
+    alert("Impossible d'accéder à la caméra: " + error.message);
+  }
+
+  /**
+   * Affiche un flux caméra et adapte le miroir à la caméra utilisée
+   */
+  async attachStream(stream) {
+    const video = this.elements.video;
+    video.srcObject = stream;
+
+    // Attendre que la vidéo soit prête
+    await new Promise((resolve) => {
+      video.onloadedmetadata = () => {
+        resolve();
+      };
+    });
+
+    await video.play();
+
+    this.setMirrored(this.cameraManager.mirrored);
+    this.elements.switchCameraBtn.classList.toggle("hidden", !this.cameraManager.canSwitch);
+
+    console.log("[App] 📹 Camera started");
+    console.log("[App] Video size:", video.videoWidth, "x", video.videoHeight);
+  }
+
+  /**
+   * Caméra suivante (avant / arrière, ou autre webcam) sans interrompre l'essayage
+   */
+  async handleSwitchCamera() {
+    if (this.faceTracker.isReplaying) return;
+
+    const button = this.elements.switchCameraBtn;
+    const previous = this.cameraManager.deviceId;
+    button.disabled = true;
+
+    try {
+      await this.attachStream(await this.cameraManager.switchCamera());
+    } catch (error) {
+      console.error("[App] ❌ Camera switch error:", error);
+      alert("Impossible de changer de caméra: " + error.message);
+
+      // Revenir à la caméra précédente (déjà fermée par le changement), elle aussi
+      // peut être indisponible (débranchée, utilisée par un autre onglet)
+      if (!this.cameraManager.isActive && previous) {
+        try {
+          await this.attachStream(await this.cameraManager.start({ deviceId: previous }));
+        } catch (fallbackError) {
+          this.showCameraError(fallbackError);
+        }
+      }
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Miroir de l'affichage et du tracking (caméra frontale retournée, arrière telle quelle)
+   * Nouveau point de vue : les poses lissées repartent de zéro.
+   */
+  setMirrored(mirrored) {
+    this.faceTracker.mirrored = mirrored;
+    this.preciseTracker.mirrored = mirrored;
+    this.autoFitter.mirrored = mirrored;
+    this.renderEngine.mirrored = mirrored;
+    this.frameCompositor.mirrored = mirrored;
+    this.compareMode.setMirrored(mirrored);
+    this.groupTryOn.setMirrored(mirrored);
+    this.elements.appContainer.classList.toggle("camera-rear", !mirrored);
+
+    // Autre caméra, peut-être une autre personne : nouvelle mesure de la tête
+    this.preciseTracker.metricScale.reset();
+    this.headSizer.reset();
+    this.smartFitting.reset();
+    this.fittingAdjustments = null;
+    this.preciseTracker.reset();
+    this.poseSmoother.reset();
+    this.trackingState.reset();
+  }
+
   /**
    * Démarre le tracking
    */
   startTracking() {
     this.isTracking = true;
+    this.trackingState.reset();
     this.faceTracker.startTracking();
     console.log("[App] 🎬 Tracking started");
 
+    // Mode intelligent : un seul visage, calibration au début de l'essayage
+    if (CONFIG.smartFitting.enabled && !this.groupMode) {
+      this.smartFitting.enable();
+    }
+
     // Démarrer la boucle
     requestAnimationFrame(this.trackingLoop);
   }
@@ -191,74 +825,764 @@ class ARFitTryApp {
   /**
    * Boucle de tracking principale
    */
-  async trackingLoop() {
+  trackingLoop() {
     if (!this.isTracking) {
       return;
     }
 
-    // Détecter le visage
-    const faceData = await this.faceTracker.processFrame(
-      this.elements.video,
-      performance.now()
-    );
+    // Soumettre la frame : la détection se termine de façon asynchrone (handleTrackingUpdate)
+    this.faceTracker.submitFrame(this.elements.video, performance.now());
+
+    // Continuer la boucle
+    requestAnimationFrame(this.trackingLoop);
+  }
+
+  /**
+   * Nouvelle détection disponible (worker ou thread principal)
+   */
+  handleTrackingUpdate(faceData) {
+    if (!this.isTracking) return;
+
+    if (this.groupMode) {
+      this.groupTryOn.update(
+        faceData.faces,
+        faceData.timestamp,
+        faceData.videoWidth,
+        faceData.videoHeight
+      );
+      return;
+    }
 
     if (faceData && faceData.rawKeypoints && this.currentModel) {
       // Calculer la transformation avec PreciseTracker
       const transform = this.preciseTracker.calculateTransform(
         faceData.rawKeypoints,
-        this.elements.video.videoWidth,
-        this.elements.video.videoHeight
+        faceData.videoWidth,
+        faceData.videoHeight
       );
 
       if (transform) {
-        // 🔥 IMPORTANT: Appliquer la transformation au modèle
-        this.autoFitter.applyTransform(this.currentModel, transform);
+        // Peut réinitialiser les filtres (onReacquire) avant la nouvelle mesure
+        this.trackingState.faceDetected(faceData.timestamp);
 
-        // Sauvegarder 
-        this.currentTransform = transform;
+        // Lissage par canal (CONFIG.smoothing), appliqué au modèle par renderPose
+        this.currentTransform = this.poseSmoother.filter(transform, faceData.timestamp);
+        this.headSizer.add(transform.metric.frame);
+        this.updateHeadSize();
+        this.updateSmartFitting(faceData);
+        this.compareMode.update(
+          faceData.rawKeypoints,
+          faceData.videoWidth,
+          faceData.videoHeight,
+          faceData.timestamp
+        );
+
+        // Lunettes : branches pliées vers les oreilles
+        if (transform.templeAngle !== undefined) {
+          this.preciseTracker.bendTemples(this.currentModel, transform.templeAngle);
+        }
+      } else {
+        this.trackingState.faceMissing(faceData.timestamp);
       }
     }
+  }
 
-    // Continuer la boucle
-    requestAnimationFrame(this.trackingLoop);
+  /**
+   * Tour de tête mesuré et taille recommandée d'après le guide des tailles du produit
+   * Masqué tant qu'aucune mesure de l'iris n'est disponible
+   */
+  updateHeadSize() {
+    const element = this.elements.headSize;
+    const estimate = this.headSizer.estimate();
+    let text;
+
+    if (!estimate) {
+      const progress = this.headSizer.progress;
+      element.classList.toggle("hidden", progress === 0);
+      text = `📏 Mesure du tour de tête… ${Math.round(progress * 100)} %`;
+    } else {
+      text = `📏 Tour de tête ≈ ${Math.round(estimate.circumferenceCm)} cm`;
+
+      const size = recommendSize(estimate, this.currentProduct?.sizeChart);
+      if (size?.fit === "within") {
+        text += ` · Taille ${size.label} (confiance ${Math.round(size.confidence * 100)} %)`;
+      } else if (size) {
+        text += ` · Hors du guide des tailles (${size.label} au plus proche)`;
+      }
+      element.classList.remove("hidden");
+    }
+
+    if (element.textContent !== text) {
+      element.textContent = text;
+    }
+  }
+
+  /**
+   * Mode intelligent : calibration, puis ajustements du produit (appliqués par renderPose)
+   * Affiche la progression de la calibration, puis les conseils
+   * Couvre-chefs uniquement (isSmartFitted) : ni ajustement ni conseil pour les lunettes
+   */
+  updateSmartFitting(faceData) {
+    if (!this.smartFitting.enabled || !isSmartFitted(this.currentProduct)) {
+      this.fittingAdjustments = null;
+      this.elements.fitCalibration.classList.add("hidden");
+      this.elements.fitTips.classList.add("hidden");
+      return;
+    }
+
+    const data = fittingData(this.currentTransform, faceData, {
+      isStabilized: this.trackingState.state === TrackingState.TRACKING,
+      headSize: this.headSizer.estimate(),
+    });
+    const result = this.smartFitting.process(data, this.currentModel);
+    const isCalibrating = result?.status === "calibrating";
+
+    this.fittingAdjustments = isCalibrating ? null : result;
+    this.elements.fitCalibration.classList.toggle("hidden", !isCalibrating);
+
+    if (isCalibrating) {
+      this.elements.fitCalibrationLabel.textContent = `🎯 Calibration… ${result.progress} %`;
+      this.elements.fitCalibrationBar.style.width = `${result.progress}%`;
+      this.elements.fitTips.classList.add("hidden");
+      this.fittingTipsAt = 0; // Conseils affichés dès la fin de la calibration
+      return;
+    }
+
+    this.updateFittingTips();
+  }
+
+  /**
+   * Conseils du mode intelligent (morphologie, taille, cadrage), rafraîchis périodiquement
+   */
+  updateFittingTips() {
+    const now = performance.now();
+    if (now - this.fittingTipsAt < CONFIG.smartFitting.tipsIntervalMs) return;
+    this.fittingTipsAt = now;
+
+    const tips = this.smartFitting.getRecommendations();
+    const list = this.elements.fitTips;
+    list.innerHTML = "";
+    list.classList.toggle("hidden", tips.length === 0);
+
+    tips.forEach(({ type, message }) => {
+      const item = document.createElement("li");
+      item.className = `fit-tip fit-tip-${type}`;
+      item.textContent = message;
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Applique la pose prédite à l'instant de rendu (appelé par RenderEngine à chaque frame)
+   * Le rendu reste fluide à 60 fps même si la détection tourne à 30 fps ou saute une frame
+   */
+  renderPose(now, frame) {
+    // Session AR : produit posé sur une surface, sans visage
+    if (this.webxr.isActive) {
+      this.xrPlacement.update(frame);
+      return;
+    }
+    if (!this.isTracking) return;
+
+    if (this.groupMode) {
+      this.groupTryOn.render(now);
+      return;
+    }
+
+    this.setFaceHintVisible(this.trackingState.isHintVisible(now));
+
+    if (!this.currentModel) return;
+
+    const pose = this.poseSmoother.predict(now);
+    if (pose) {
+      this.autoFitter.applyTransform(this.currentModel, pose);
+      this.autoFitter.applyAdjustments(this.currentModel, this.fittingAdjustments);
+    }
+
+    // Accessoire masqué tant qu'aucun visage n'est suivi, estompé après une perte
+    // (et estompé par le mode intelligent quand la tête tourne)
+    const trackingOpacity = this.trackingState.getOpacity(now);
+    const opacity = trackingOpacity * (this.fittingAdjustments?.alpha ?? 1);
+    if (opacity !== this.modelOpacity) {
+      this.renderEngine.setModelOpacity(this.currentModel, opacity);
+      this.modelOpacity = opacity;
+    }
+
+    // Produit comparé : ajustements du mode intelligent s'il s'agit aussi d'un couvre-chef
+    const compared = isSmartFitted(this.compareMode.product) ? this.fittingAdjustments : null;
+    this.compareMode.render(now, trackingOpacity * (compared?.alpha ?? 1), compared);
+  }
+
+  /**
+   * Active / quitte la comparaison : le produit courant à gauche, un second produit à droite
+   */
+  handleCompare() {
+    if (this.compareMode.active) {
+      this.stopCompare();
+      return;
+    }
+    if (!this.currentModel || this.groupMode) return;
+
+    this.compareMode.start(this.currentModel);
+    this.buildComparePicker();
+    this.updateDivider(this.compareMode.position);
+    this.elements.compareLabelLeft.textContent = productLabel(this.currentProduct);
+    this.elements.compareLabelRight.textContent = "Choisissez un produit";
+    this.elements.compareDivider.classList.remove("hidden");
+    this.elements.compareBtn.textContent = "✕ Fin";
+    this.updateProductNav();
+  }
+
+  stopCompare() {
+    this.compareMode.stop();
+    this.elements.comparePicker.classList.add("hidden");
+    this.elements.comparePicker.innerHTML = "";
+    this.elements.compareDivider.classList.add("hidden");
+    this.elements.compareBtn.textContent = "⚖️ Comparer";
+    this.updateProductNav();
+  }
+
+  /**
+   * Vignettes des autres produits (même catégorie en premier)
+   */
+  buildComparePicker() {
+    const picker = this.elements.comparePicker;
+    picker.innerHTML = "";
+
+    const current = this.currentProduct;
+    const products = this.catalog.products
+      .filter((product) => product !== current && !this.productErrors.get(product.id)?.broken)
+      .sort((a, b) => (b.category === current.category) - (a.category === current.category));
+
+    products.forEach((product) => {
+      const item = document.createElement("button");
+      item.className = "compare-item";
+      item.title = product.name;
+      const thumbnail = document.createElement("img");
+      thumbnail.src = product.thumbnail;
+      thumbnail.alt = product.name;
+      item.appendChild(thumbnail);
+      item.addEventListener("click", () => this.selectCompareProduct(product, item));
+      picker.appendChild(item);
+    });
+    picker.classList.remove("hidden");
+  }
+
+  /**
+   * Produit affiché à droite du séparateur
+   */
+  async selectCompareProduct(product, item) {
+    this.elements.comparePicker
+      .querySelectorAll(".compare-item")
+      .forEach((element) => element.classList.toggle("active", element === item));
+    this.elements.compareLabelRight.textContent = productLabel(product);
+
+    try {
+      await this.compareMode.setProduct(product);
+    } catch (error) {
+      console.error("[App] ❌ Compare model unavailable:", product.modelUrl, error);
+      this.markProductError(product, "Modèle indisponible", true);
+      item.remove();
+      this.elements.compareLabelRight.textContent = "Choisissez un produit";
+    }
+  }
+
+  /**
+   * Glissement du séparateur (position en fraction de la largeur de l'écran)
+   */
+  handleDividerDrag(event) {
+    this.updateDivider(this.compareMode.setDivider(event.clientX / window.innerWidth));
+  }
+
+  updateDivider(position) {
+    this.elements.compareDivider.style.left = `${position * 100}%`;
+  }
+
+  /**
+   * Affiche / masque "Visage non détecté"
+   */
+  setFaceHintVisible(visible) {
+    this.elements.faceHint.classList.toggle("hidden", !visible);
+  }
+
+  /**
+   * Mode groupe : toucher un accessoire le remplace par le produit suivant
+   */
+  handleGroupTap(event) {
+    if (!this.groupMode || !this.isTracking || event.target.closest("button")) return;
+
+    // Caméra frontale : le canvas est affiché en miroir (scaleX(-1))
+    const screenX = (event.clientX / window.innerWidth) * 2 - 1;
+    const ndcX = this.renderEngine.mirrored ? -screenX : screenX;
+    const ndcY = -((event.clientY / window.innerHeight) * 2 - 1);
+
+    const instance = this.groupTryOn.findInstanceAt(ndcX, ndcY, this.renderEngine.camera);
+    if (!instance) return;
+
+    const products = this.catalog.products;
+    const index = products.indexOf(instance.product);
+    const next = products[(index + 1) % products.length];
+    this.groupTryOn.assignProduct(instance.id, next);
+    console.log(`[App] 🔁 Face ${instance.id} → ${next.name}`);
+  }
+
+  /**
+   * Mode AR (WebXR) : bouton affiché si le navigateur supporte la session (CONFIG.webxr)
+   */
+  async setupXR() {
+    this.webxr.onSessionStart = (session) => this.enterXR(session);
+    this.webxr.onSessionEnd = () => this.exitXR();
+    this.elements.xrButton.addEventListener("click", this.handleXR);
+    this.elements.xrScaleBtn.addEventListener("click", () => {
+      this.xrPlacement.setScaleLocked(!this.xrPlacement.scaleLocked);
+      this.updateXRScaleButton();
+    });
+    this.xrPlacement.onPlaced = () => {
+      this.elements.xrHint.textContent = "Touchez une autre surface pour déplacer";
+    };
+    this.xrPlacement.onScaleChange = () => this.updateXRScaleButton();
+
+    // Gestes sur le produit posé ; les boutons ne déclenchent pas de pose ("select")
+    ["pointerdown", "pointermove", "pointerup", "pointercancel"].forEach((type) => {
+      this.elements.appContainer.addEventListener(type, this.handleXRPointer);
+    });
+    this.elements.appContainer.addEventListener("beforexrselect", (event) => {
+      if (event.target.closest("button, .try-on-controls, .xr-controls")) {
+        event.preventDefault();
+      }
+    });
+
+    await this.webxr.checkSupport();
+    this.updateXRButton();
+  }
+
+  /**
+   * Le mode AR pose le produit essayé : bouton visible pendant l'essayage (hors mode groupe)
+   */
+  updateXRButton() {
+    const available = this.webxr.isSupported && !this.groupMode && this.currentModel !== null;
+    this.elements.xrButton.classList.toggle("hidden", !available && !this.webxr.isActive);
+  }
+
+  async handleXR() {
+    if (this.webxr.isActive) {
+      await this.webxr.endSession();
+      return;
+    }
+    if (!this.currentModel) return;
+
+    try {
+      await this.webxr.startSession({ domOverlay: this.elements.appContainer });
+    } catch (error) {
+      alert("Impossible de démarrer le mode AR: " + error.message);
+    }
+  }
+
+  /**
+   * Session AR : la caméra appartient à la session, le tracking facial est suspendu
+   * Le produit, en taille réelle, est posé sur une surface visée (voir XRPlacement).
+   */
+  enterXR(session) {
+    this.frameCompositor.stopRecording();
+    this.stopCompare();
+    this.isTracking = false;
+    this.faceTracker.stopTracking();
+    this.setFaceHintVisible(false);
+    this.cameraManager.stop();
+
+    this.elements.appContainer.classList.add("xr-active");
+    this.elements.xrButton.textContent = "✕ Quitter l'AR";
+    this.updateProductNav();
+
+    // Pas de tête à suivre : ni occluder, ni miroir
+    this.renderEngine.setOcclusionEnabled(false);
+    this.renderEngine.setModelOpacity(this.currentModel, 1);
+    this.modelOpacity = 1;
+
+    this.elements.xrHint.textContent = "Visez une surface puis touchez l'écran";
+    this.elements.xrControls.classList.remove("hidden");
+    this.xrPlacement.start(
+      session,
+      this.webxr.referenceSpace,
+      this.currentModel,
+      this.currentProduct
+    );
+    this.updateXRScaleButton();
+
+    console.log("[App] 🥽 AR session started");
+  }
+
+  /**
+   * Fin de la session AR : l'essayage reprend sur le visage (sauf retour à la galerie)
+   */
+  async exitXR() {
+    this.xrPlacement.stop();
+    this.elements.xrControls.classList.add("hidden");
+    this.elements.appContainer.classList.remove("xr-active");
+    this.elements.xrButton.textContent = "🥽 Mode AR";
+    this.renderEngine.setOcclusionEnabled(CONFIG.occlusion?.enabled ?? true);
+    this.renderEngine.handleResize();
+    this.updateXRButton();
+    console.log("[App] 🥽 AR session ended");
+
+    if (!this.currentModel) return;
+
+    this.preciseTracker.reset();
+    this.poseSmoother.reset();
+    this.modelOpacity = null;
+    try {
+      await this.startCamera();
+    } catch {
+      return; // Erreur déjà signalée par startCamera
+    }
+    this.startTracking();
+    this.updateProductNav();
+  }
+
+  /**
+   * Taille du produit en AR : réelle (pincement bloqué) ou relative à la taille réelle
+   */
+  updateXRScaleButton() {
+    const { scaleLocked, userScale } = this.xrPlacement;
+    this.elements.xrScaleBtn.textContent = scaleLocked
+      ? "🔒 Taille réelle"
+      : `🔓 ${Math.round(userScale * 100)} %`;
+  }
+
+  handleXRPointer(event) {
+    if (!this.webxr.isActive || event.target.closest("button, .xr-controls")) return;
+
+    if (event.type === "pointerdown") {
+      this.xrPlacement.pointerDown(event.pointerId, event.clientX, event.clientY);
+    } else if (event.type === "pointermove") {
+      this.xrPlacement.pointerMove(event.pointerId, event.clientX, event.clientY);
+    } else {
+      this.xrPlacement.pointerUp(event.pointerId);
+    }
   }
 
   /**
    * Retour à la galerie
    */
   handleBack() {
-    // Arrêter le tracking
+    // Arrêter le tracking (et la session AR : la caméra reste coupée jusqu'au prochain produit)
     this.isTracking = false;
     this.faceTracker.stopTracking();
+    this.webxr.endSession();
 
-    // Retirer le modèle
+    // Retirer le modèle (et celui de la comparaison) ; un clip en cours s'arrête
+    this.frameCompositor.stopRecording();
+    this.stopCompare();
     this.renderEngine.setModel(null);
     this.currentModel = null;
+    this.currentProduct = null;
+    this.pendingProduct = null;
     this.currentTransform = null;
 
     // Reset tracker
     this.preciseTracker.reset();
+    this.poseSmoother.reset();
+    this.groupTryOn.clear();
+    this.trackingState.reset();
+    this.modelOpacity = null;
+    this.setFaceHintVisible(false);
+
+    // Mode intelligent : nouvelle calibration au prochain essayage
+    this.smartFitting.disable();
+    this.smartFitting.reset();
+    this.fittingAdjustments = null;
+    this.elements.fitCalibration.classList.add("hidden");
+    this.elements.fitTips.classList.add("hidden");
 
     // UI
     this.elements.productGallery.classList.remove("hidden");
     this.elements.tryOnControls.classList.add("hidden");
     this.elements.backBtn.classList.add("hidden");
+    this.buildVariantPicker(null);
+    this.elements.prevProductBtn.classList.add("hidden");
+    this.elements.nextProductBtn.classList.add("hidden");
+    this.elements.appTitle.textContent = "Choisissez un accessoire";
+    this.updateXRButton();
 
     console.log("[App] ⬅️ Back to gallery");
   }
 
   /**
-   * Capture une photo
+   * Capture une photo (vidéo + accessoires) : écran d'aperçu avec filigrane, format et partage
+   */
+  async handleCapture() {
+    if (!this.isTracking) return;
+
+    try {
+      const canvas = this.frameCompositor.composeFrame(this.drawCaptureOverlay);
+      this.showCapturePreview({
+        kind: "photo",
+        canvas,
+        product: this.compareMode.active ? null : this.currentProduct,
+        prefix: this.compareMode.active ? "ar-compare" : "ar-try-on",
+      });
+      await this.renderCapture();
+      console.log("[App] 📸 Photo captured");
+    } catch (error) {
+      console.error("[App] ❌ Capture error:", error);
+      this.closeCapturePreview();
+      alert("Capture impossible: " + error.message);
+    }
+  }
+
+  /**
+   * Démarre / arrête un clip vidéo (arrêt automatique à CONFIG.capture.maxDuration)
+   */
+  async handleRecord() {
+    if (this.frameCompositor.isRecording) {
+      this.frameCompositor.stopRecording();
+      return;
+    }
+    if (!this.isTracking) return;
+
+    // Filigrane incrusté en direct (non modifiable après coup, contrairement aux photos)
+    const product = this.compareMode.active ? null : this.currentProduct;
+    const overlay = (ctx, width, height) => {
+      this.drawCaptureOverlay(ctx, width, height);
+      if (CONFIG.capture.watermark.enabled) {
+        this.frameCompositor.drawWatermark(ctx, width, height, { product });
+      }
+    };
+
+    let done;
+    try {
+      done = this.frameCompositor.startRecording({ overlay });
+    } catch (error) {
+      console.error("[App] ❌ Recording error:", error);
+      alert(error.message);
+      return;
+    }
+
+    this.elements.recordBtn.classList.add("recording");
+    this.updateRecordButton();
+    const timer = setInterval(() => this.updateRecordButton(), 250);
+
+    try {
+      const { blob, duration } = await done;
+      this.showCapturePreview({ kind: "video", product, prefix: "ar-try-on" });
+      this.setCaptureBlob(blob);
+      console.log(`[App] 🎬 Clip recorded (${(duration / 1000).toFixed(1)}s)`);
+    } catch (error) {
+      console.error("[App] ❌ Recording error:", error);
+    } finally {
+      clearInterval(timer);
+      this.elements.recordBtn.classList.remove("recording");
+      this.elements.recordBtn.textContent = "🎬 Vidéo";
+    }
+  }
+
+  updateRecordButton() {
+    const format = (ms) => {
+      const seconds = Math.floor(ms / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+    };
+    const elapsed = this.frameCompositor.getRecordingTime();
+    this.elements.recordBtn.textContent =
+      `⏹️ ${format(elapsed)} / ${format(CONFIG.capture.maxDuration)}`;
+  }
+
+  /**
+   * Mode comparaison : séparateur et étiquettes incrustés dans les photos et clips
+   */
+  drawCaptureOverlay(ctx, width, height) {
+    if (!this.compareMode.active) return;
+
+    this.frameCompositor.drawComparison(ctx, width, height, {
+      position: this.compareMode.position,
+      left: this.currentProduct,
+      right: this.compareMode.model ? this.compareMode.product : null,
+    });
+  }
+
+  /**
+   * Formats proposés, qualité et filigrane (choix conservés d'une capture à l'autre)
+   */
+  setupCaptureOptions() {
+    const { captureFormat, captureQuality, captureWatermark } = this.elements;
+
+    CONFIG.capture.formats.forEach(({ type, name }) => {
+      const option = document.createElement("option");
+      option.value = type;
+      option.textContent = name;
+      captureFormat.appendChild(option);
+    });
+    captureFormat.value = this.captureOptions.format;
+    captureQuality.value = this.captureOptions.quality;
+    captureWatermark.checked = this.captureOptions.watermark;
+    this.updateQualityInput();
+
+    captureFormat.addEventListener("change", () => {
+      this.captureOptions.format = captureFormat.value;
+      this.updateQualityInput();
+      this.updateCapture();
+    });
+    captureQuality.addEventListener("change", () => {
+      this.captureOptions.quality = parseFloat(captureQuality.value);
+      this.updateCapture();
+    });
+    captureWatermark.addEventListener("change", () => {
+      this.captureOptions.watermark = captureWatermark.checked;
+      this.updateCapture();
+    });
+
+    this.elements.captureShareBtn.classList.toggle("hidden", !canShareFiles());
+  }
+
+  /**
+   * Nouvel encodage après un changement d'option (toBlob peut échouer : grande image, WebP)
+   */
+  updateCapture() {
+    this.renderCapture().catch((error) => {
+      console.error("[App] ❌ Capture error:", error);
+      this.closeCapturePreview();
+      alert("Capture impossible: " + error.message);
+    });
+  }
+
+  /**
+   * PNG est sans perte : pas de réglage de qualité
+   */
+  updateQualityInput() {
+    this.elements.captureQuality.disabled = this.captureOptions.format === "image/png";
+  }
+
+  /**
+   * Écran d'aperçu d'une photo ou d'un clip
+   * @param {Object} capture - { kind: "photo" | "video", canvas (photo), product, prefix }
+   */
+  showCapturePreview(capture) {
+    this.closeCapturePreview();
+
+    const isVideo = capture.kind === "video";
+    this.capture = { ...capture, blob: null, url: null, filename: null };
+    this.elements.capturePreviewImage.classList.toggle("hidden", isVideo);
+    this.elements.capturePreviewVideo.classList.toggle("hidden", !isVideo);
+    this.elements.captureOptions.classList.toggle("hidden", isVideo);
+    this.elements.capturePreview.classList.remove("hidden");
+  }
+
+  /**
+   * Encode la photo affichée avec le format, la qualité et le filigrane choisis
+   */
+  async renderCapture() {
+    const capture = this.capture;
+    if (!capture || capture.kind !== "photo") return;
+
+    const { format, quality, watermark } = this.captureOptions;
+    const blob = await this.frameCompositor.exportStill(capture.canvas, {
+      format,
+      quality,
+      watermark: watermark ? { product: capture.product } : null,
+    });
+
+    // Aperçu fermé ou autre capture entre-temps
+    if (this.capture === capture) {
+      this.setCaptureBlob(blob);
+    }
+  }
+
+  setCaptureBlob(blob) {
+    const capture = this.capture;
+    if (capture.url) URL.revokeObjectURL(capture.url);
+
+    capture.blob = blob;
+    capture.url = URL.createObjectURL(blob);
+    // Type réel : un navigateur sans encodeur WebP renvoie du PNG
+    capture.filename = `${capture.prefix}-${Date.now()}.${fileExtension(blob.type || "image/png")}`;
+
+    if (capture.kind === "video") {
+      this.elements.capturePreviewVideo.src = capture.url;
+      this.elements.capturePreviewVideo.play().catch(() => {});
+    } else {
+      this.elements.capturePreviewImage.src = capture.url;
+    }
+    this.elements.captureSize.textContent = `${Math.max(1, Math.round(blob.size / 1024))} Ko`;
+  }
+
+  /**
+   * Feuille de partage du système (téléchargement si le partage de fichiers n'est pas supporté)
    */
-  handleCapture() {
-    const imageData = this.renderEngine.captureImage();
+  async shareCaptureFile() {
+    const capture = this.capture;
+    if (!capture?.blob) return;
+
+    const product = capture.product;
+    try {
+      const result = await shareCapture(capture.blob, capture.filename, {
+        title: product ? product.name : "AR-FitTry",
+        text: product
+          ? `${productLabel(product)} - essayé en réalité augmentée`
+          : "Mon essayage en réalité augmentée",
+      });
+      if (result === "unsupported") {
+        this.downloadCapture();
+      } else {
+        console.log(`[App] 📤 Share: ${result}`);
+      }
+    } catch (error) {
+      console.error("[App] ❌ Share error:", error);
+      this.downloadCapture();
+    }
+  }
+
+  downloadCapture() {
+    if (!this.capture?.blob) return;
 
     const link = document.createElement("a");
-    link.download = `ar-try-on-${Date.now()}.png`;
-    link.href = imageData;
+    link.download = this.capture.filename;
+    link.href = this.capture.url;
     link.click();
 
-    console.log("[App] 📸 Photo captured");
+    console.log(`[App] 💾 ${this.capture.filename} saved`);
+  }
+
+  closeCapturePreview() {
+    if (!this.capture) return;
+
+    const { capturePreviewImage: image, capturePreviewVideo: video } = this.elements;
+    video.pause();
+    video.removeAttribute("src");
+    image.removeAttribute("src");
+    if (this.capture.url) URL.revokeObjectURL(this.capture.url);
+    this.capture = null;
+    this.elements.captureSize.textContent = "";
+    this.elements.capturePreview.classList.add("hidden");
+  }
+
+  /**
+   * Démarre l'enregistrement des landmarks
+   */
+  startRecording() {
+    this.faceTracker.startRecording({
+      userAgent: navigator.userAgent,
+      product: this.currentProduct ? this.currentProduct.id : null,
+    });
+  }
+
+  /**
+   * Arrête l'enregistrement et télécharge la session JSON
+   */
+  stopRecording() {
+    const session = this.faceTracker.stopRecording();
+    if (!session || session.frames.length === 0) return;
+
+    const blob = new Blob([LandmarkRecorder.serialize(session)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.download = `landmarks-${Date.now()}.json`;
+    link.href = url;
+    link.click();
+
+    URL.revokeObjectURL(url);
+    console.log("[App] 💾 Landmark session saved");
   }
 
   /**
@@ -282,11 +1606,7 @@ class ARFitTryApp {
     if (this.renderEngine) this.renderEngine.dispose();
     if (this.modelManager) this.modelManager.dispose();
 
-    if (this.elements.video.srcObject) {
-      this.elements.video.srcObject
-        .getTracks()
-        .forEach((track) => track.stop());
-    }
+    this.cameraManager.stop();
 
     console.log("[App] 🗑️ Resources disposed");
   }
@@ -1,10 +1,16 @@
 import * as THREE from 'three';
+import { ANCHORS } from '../config.js';
 
 /**
  * 🎯 AutoFitter - Ajustement automatique parfait
  * Analyse le modèle et calcule le placement optimal automatiquement
  */
 export class AutoFitter {
+    constructor() {
+        // Vidéo affichée en miroir (caméra frontale) : modèle retourné sur X
+        this.mirrored = true;
+    }
+    
     /**
      * Analyse un modèle 3D et retourne ses caractéristiques
      */
@@ -30,27 +36,54 @@ export class AutoFitter {
     
     /**
      * Prépare un modèle pour le fitting automatique
+     * Le modèle est normalisé puis placé dans un groupe d'ancrage : le tracking pilote
+     * le groupe (applyTransform), l'ajustement propre au produit reste sur le modèle.
+     * @param {THREE.Object3D} model - Modèle chargé
+     * @param {Object} product - Produit validé (anchor, offset, rotation, scale)
+     * @returns {Object} - { model: groupe d'ancrage, inner: modèle ajusté, analysis }
      */
-    prepareModel(model) {
-        const analysis = this.analyzeModel(model);
+    prepareModel(model, product = {}) {
+        const anchor = product.anchor || 'crown';
+        const align = ANCHORS[anchor]?.align || 'bottom';
+        const scale = product.scale || { x: 1, y: 1, z: 1 };
+        const offset = product.offset || { x: 0, y: 0, z: 0 };
+        const rotation = product.rotation || { x: 0, y: 0, z: 0 };
+        
+        // 1. Rotation de base du produit
+        model.position.set(0, 0, 0);
+        model.scale.setScalar(1);
+        model.rotation.set(rotation.x, rotation.y, rotation.z);
         
-        // 1. Normaliser l'échelle du modèle
+        // 2. Normaliser l'échelle du modèle (puis multiplicateur du produit)
+        const analysis = this.analyzeModel(model);
         const maxDim = Math.max(analysis.width, analysis.height, analysis.depth);
         const normalizeScale = 1.0 / maxDim;
-        model.scale.setScalar(normalizeScale);
+        model.scale.set(
+            normalizeScale * scale.x,
+            normalizeScale * scale.y,
+            normalizeScale * scale.z
+        );
         
-        // 2. Recalculer après normalisation
+        // 3. Recalculer après normalisation
         const normalizedAnalysis = this.analyzeModel(model);
         
-        // 3. Centrer le modèle sur X et Z
-        model.position.x = -normalizedAnalysis.center.x;
-        model.position.z = -normalizedAnalysis.center.z;
+        // 4. Centrer le modèle sur X et Z
+        model.position.x = -normalizedAnalysis.center.x + offset.x;
+        model.position.z = -normalizedAnalysis.center.z + offset.z;
         
-        // 4. Position Y = 0 au point le plus bas (le chapeau "repose" sur Y=0)
-        model.position.y = -normalizedAnalysis.bottom;
+        // 5. Chapeaux : le point le plus bas "repose" sur Y=0 ; lunettes, boucles : centrées
+        model.position.y = (align === 'bottom'
+            ? -normalizedAnalysis.bottom
+            : -normalizedAnalysis.center.y) + offset.y;
+        
+        const anchorGroup = new THREE.Group();
+        anchorGroup.name = `anchor-${anchor}`;
+        anchorGroup.userData.anchor = anchor;
+        anchorGroup.add(model);
         
         return {
-            model: model,
+            model: anchorGroup,
+            inner: model,
             analysis: normalizedAnalysis
         };
     }
@@ -64,14 +97,41 @@ export class AutoFitter {
         // Position
         model.position.copy(transform.position);
         
-        // Rotation
-        model.rotation.copy(transform.rotation);
+        // Rotation (quaternion en priorité : pas de discontinuité des angles d'Euler)
+        if (transform.quaternion) {
+            model.quaternion.copy(transform.quaternion);
+        } else {
+            model.rotation.copy(transform.rotation);
+        }
         
-        // Scale (miroir sur X pour correspondre à la vidéo)
+        // Scale (miroir sur X pour correspondre à la vidéo, sauf caméra arrière)
         model.scale.set(
-            -transform.scale,  // Miroir X
+            this.mirrored ? -transform.scale : transform.scale,  // Miroir X
             transform.scale,   
             transform.scale
         );
     }
+    
+    /**
+     * Ajustements du mode intelligent, après applyTransform (voir SmartFittingMode)
+     * Échelle multipliée, décalage dans le repère du modèle (suit la rotation, l'échelle
+     * et le miroir de la tête)
+     * @param {Object} adjustments - { scale: {x, y, z}, offset: {x, y, z} }, null si aucun
+     */
+    applyAdjustments(model, adjustments) {
+        if (!model || !adjustments) return;
+        
+        if (adjustments.offset) {
+            const { x, y, z } = adjustments.offset;
+            const offset = new THREE.Vector3(x, y, z)
+                .multiply(model.scale)
+                .applyQuaternion(model.quaternion);
+            model.position.add(offset);
+        }
+        
+        if (adjustments.scale) {
+            const { x, y, z } = adjustments.scale;
+            model.scale.multiply(new THREE.Vector3(x, y, z));
+        }
+    }
 }
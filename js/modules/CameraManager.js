@@ -0,0 +1,160 @@
+import { CONFIG } from "../config.js";
+
+// Erreurs getUserMedia pour lesquelles des contraintes moins exigeantes peuvent réussir
+const RETRYABLE_ERRORS = ["OverconstrainedError", "NotReadableError", "AbortError"];
+
+// Libellés des caméras arrière quand le navigateur ne donne pas facingMode
+const REAR_LABEL = /back|rear|environment|arrière/i;
+
+/**
+ * CameraManager - Choix et ouverture de la caméra
+ * Liste les caméras, passe de l'avant à l'arrière (ou d'une webcam à l'autre) sans recharger
+ * la page, et négocie résolution / fréquence depuis CONFIG.camera avec des replis progressifs.
+ * La caméra frontale est affichée en miroir (mirrored), la caméra arrière telle quelle.
+ */
+export class CameraManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.settings - CONFIG.camera
+   * @param {Object} options.mediaDevices - navigator.mediaDevices (remplaçable en test)
+   */
+  constructor({
+    settings = CONFIG.camera,
+    mediaDevices = globalThis.navigator?.mediaDevices,
+  } = {}) {
+    this.settings = settings;
+    this.mediaDevices = mediaDevices;
+
+    this.stream = null;
+    this.devices = [];
+    this.deviceId = null;
+    this.facingMode = null; // null : non communiqué par le navigateur (webcams de bureau)
+    this.mirrored = true;
+  }
+
+  get isActive() {
+    return this.stream !== null;
+  }
+
+  /**
+   * Plusieurs caméras disponibles (d'après le dernier enumerate)
+   */
+  get canSwitch() {
+    return this.devices.length > 1;
+  }
+
+  /**
+   * Caméras vidéo disponibles (libellés vides tant que l'accès n'a pas été autorisé)
+   * @returns {Promise<Array>} - MediaDeviceInfo de type "videoinput"
+   */
+  async enumerate() {
+    if (!this.mediaDevices?.enumerateDevices) {
+      this.devices = [];
+      return this.devices;
+    }
+
+    const devices = await this.mediaDevices.enumerateDevices();
+    this.devices = devices.filter((device) => device.kind === "videoinput");
+    return this.devices;
+  }
+
+  /**
+   * Ouvre une caméra et remplace le flux en cours
+   * @param {Object} options - { deviceId } ou { facingMode } (CONFIG.camera.facingMode par défaut)
+   * @returns {Promise<MediaStream>}
+   */
+  async start({ deviceId = null, facingMode = this.settings.facingMode } = {}) {
+    if (!this.mediaDevices?.getUserMedia) {
+      throw new Error("Caméra non disponible sur ce navigateur");
+    }
+
+    // Les mobiles n'ouvrent souvent qu'une caméra à la fois : fermer l'ancienne d'abord
+    this.stop();
+
+    const stream = await this.open(this.constraintsFor(deviceId, facingMode));
+    const track = stream.getVideoTracks()[0];
+    const settings = track?.getSettings?.() ?? {};
+
+    this.stream = stream;
+    this.deviceId = settings.deviceId ?? deviceId;
+    this.facingMode =
+      settings.facingMode || (REAR_LABEL.test(track?.label ?? "") ? "environment" : null);
+    this.mirrored = this.facingMode !== "environment";
+
+    // Libellés et identifiants complets une fois l'accès accordé
+    await this.enumerate();
+
+    const size = `${settings.width ?? "?"}x${settings.height ?? "?"}`;
+    const mode = this.mirrored ? "mirrored" : "not mirrored";
+    console.log(`[CameraManager] 📹 ${track?.label || "Camera"} ${size} (${mode})`);
+    return stream;
+  }
+
+  /**
+   * Caméra suivante : avant ↔ arrière sur mobile, webcam suivante sur ordinateur
+   * @returns {Promise<MediaStream>}
+   */
+  async switchCamera() {
+    await this.enumerate();
+
+    // Mobile (facingMode connu) : plusieurs objectifs arrière, on bascule donc par orientation
+    if (this.facingMode !== null || this.devices.length < 2) {
+      return this.start({ facingMode: this.facingMode === "environment" ? "user" : "environment" });
+    }
+
+    const index = this.devices.findIndex((device) => device.deviceId === this.deviceId);
+    const next = this.devices[(index + 1) % this.devices.length];
+    return this.start({ deviceId: next.deviceId });
+  }
+
+  /**
+   * Contraintes essayées dans l'ordre : configuration, résolutions de repli, caméra demandée
+   * sans contrainte de taille, puis n'importe quelle caméra
+   */
+  constraintsFor(deviceId, facingMode) {
+    const { width, height, frameRate, fallbackResolutions = [] } = this.settings;
+    const target = deviceId ? { deviceId: { exact: deviceId } } : { facingMode };
+
+    return [
+      { ...target, width, height, frameRate },
+      ...fallbackResolutions.map(([w, h]) => ({
+        ...target,
+        width: { ideal: w },
+        height: { ideal: h },
+      })),
+      target,
+      true,
+    ];
+  }
+
+  /**
+   * getUserMedia avec la première contrainte acceptée
+   * Un refus d'accès (NotAllowedError) n'est pas retenté.
+   */
+  async open(candidates) {
+    let lastError = null;
+
+    for (const video of candidates) {
+      try {
+        return await this.mediaDevices.getUserMedia({ video, audio: false });
+      } catch (error) {
+        if (!RETRYABLE_ERRORS.includes(error.name)) throw error;
+
+        console.warn(`[CameraManager] ⚠️ ${error.name}, trying lower constraints`);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Ferme la caméra en cours
+   */
+  stop() {
+    if (!this.stream) return;
+
+    this.stream.getTracks().forEach((track) => track.stop());
+    this.stream = null;
+  }
+}
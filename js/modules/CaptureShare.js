@@ -0,0 +1,38 @@
+/**
+ * CaptureShare - Partage des photos et clips via la Web Share API
+ * (feuille de partage du système) ; sans support, l'appelant propose le téléchargement.
+ */
+
+/**
+ * Le navigateur peut-il partager des fichiers ?
+ */
+export function canShareFiles(nav = globalThis.navigator) {
+  return Boolean(nav?.share) && typeof File !== "undefined";
+}
+
+/**
+ * Partage une capture
+ * @param {Blob} blob - Photo ou clip
+ * @param {string} filename - Nom du fichier partagé
+ * @param {Object} details - { title, text }
+ * @returns {Promise<string>} - "shared", "cancelled" (fermé par l'utilisateur) ou "unsupported"
+ */
+export async function shareCapture(
+  blob,
+  filename,
+  { title, text } = {},
+  nav = globalThis.navigator
+) {
+  if (!canShareFiles(nav)) return "unsupported";
+
+  const file = new File([blob], filename, { type: blob.type });
+  if (nav.canShare && !nav.canShare({ files: [file] })) return "unsupported";
+
+  try {
+    await nav.share({ files: [file], title, text });
+    return "shared";
+  } catch (error) {
+    if (error.name === "AbortError") return "cancelled";
+    throw error;
+  }
+}
@@ -0,0 +1,184 @@
+import { CONFIG, PRODUCTS } from "../config.js";
+import { validateProducts } from "./ProductSchema.js";
+
+// Libellés des catégories absentes de la déclaration du catalogue
+const CATEGORY_NAMES = {
+  hats: "Chapeaux",
+  caps: "Casquettes",
+  beanies: "Bonnets",
+  eyewear: "Lunettes",
+  jewelry: "Bijoux",
+};
+
+/**
+ * CatalogService - Catalogue produits chargé depuis un fichier JSON ou un endpoint REST
+ *
+ * Formats acceptés :
+ *   [ produit, ... ]
+ *   { categories: [{ id, name }], products: [ produit, ... ], next: "<url page suivante>" }
+ *
+ * Les produits sont validés (ProductSchema) ; les entrées invalides sont ignorées.
+ * Tant que load() n'a pas abouti, le catalogue contient PRODUCTS (config.js).
+ */
+export class CatalogService {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Fichier JSON ou endpoint REST (première page)
+   * @param {Array} options.fallback - Produits utilisés si le catalogue est indisponible
+   * @param {Function} options.fetch - Implémentation de fetch (remplaçable en test)
+   */
+  constructor({
+    url = CONFIG.catalog?.url,
+    pageSize = CONFIG.catalog?.pageSize ?? 12,
+    timeoutMs = CONFIG.catalog?.timeoutMs ?? 10000,
+    maxPages = CONFIG.catalog?.maxPages ?? 20,
+    fallback = PRODUCTS,
+    fetch = (...args) => globalThis.fetch(...args),
+  } = {}) {
+    this.url = url;
+    this.pageSize = pageSize;
+    this.timeoutMs = timeoutMs;
+    this.maxPages = maxPages;
+    this.fallback = fallback;
+    this.fetch = fetch;
+
+    this.source = "fallback"; // "remote" une fois le catalogue chargé
+    this.setProducts(fallback, []);
+  }
+
+  /**
+   * Charge le catalogue (toutes les pages) ; repli sur les produits intégrés en cas d'échec
+   * @returns {Promise<Array>} - Produits validés
+   */
+  async load() {
+    try {
+      const { products, categories } = await this.fetchAll();
+      this.setProducts(products, categories);
+      this.source = "remote";
+      console.log(`[CatalogService] ✅ ${this.products.length} produits (${this.url})`);
+    } catch (error) {
+      console.warn(`[CatalogService] ⚠️ Catalogue indisponible, produits intégrés utilisés:`, error);
+      this.setProducts(this.fallback, []);
+      this.source = "fallback";
+    }
+
+    return this.products;
+  }
+
+  /**
+   * Suit les pages REST (champ "next") jusqu'à la dernière
+   */
+  async fetchAll() {
+    const products = [];
+    const categories = [];
+    let next = this.url;
+    let pages = 0;
+
+    while (next && pages < this.maxPages) {
+      const data = await this.fetchJson(next);
+      const page = Array.isArray(data) ? { products: data } : data;
+
+      if (!page || !Array.isArray(page.products)) {
+        throw new Error(`Format de catalogue invalide (${next})`);
+      }
+
+      products.push(...page.products);
+      categories.push(...(page.categories || []));
+      next = page.next ? resolveUrl(page.next, next) : null;
+      pages++;
+    }
+
+    return { products, categories };
+  }
+
+  async fetchJson(url) {
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    const timer = controller && setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await this.fetch(url, {
+        headers: { Accept: "application/json" },
+        signal: controller?.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`Catalogue indisponible (${response.status}): ${url}`);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Valide les produits et construit la liste des catégories
+   */
+  setProducts(products, declaredCategories) {
+    this.products = validateProducts(products);
+
+    const categories = new Map();
+    declaredCategories.forEach(({ id, name }) => {
+      if (id) categories.set(id, { id, name: name || id, count: 0 });
+    });
+    this.products.forEach((product) => {
+      if (!categories.has(product.category)) {
+        const name = CATEGORY_NAMES[product.category] || product.category;
+        categories.set(product.category, { id: product.category, name, count: 0 });
+      }
+      categories.get(product.category).count++;
+    });
+
+    // Catégories déclarées mais vides : pas d'onglet
+    this.categories = Array.from(categories.values()).filter((category) => category.count > 0);
+  }
+
+  getCategories() {
+    return this.categories;
+  }
+
+  /**
+   * Produits d'une catégorie (tous si category est null)
+   */
+  getProducts(category = null) {
+    return category
+      ? this.products.filter((product) => product.category === category)
+      : this.products;
+  }
+
+  getProduct(id) {
+    return this.products.find((product) => product.id === id) || null;
+  }
+
+  /**
+   * Page de la galerie
+   * @param {number} page - Index de page (0 = première)
+   * @param {Object} options - { category, filter } (filter : ProductFilter)
+   * @returns {Object} - { items, page, pageCount, total, hasMore }
+   */
+  getPage(page = 0, { category = null, filter = null } = {}) {
+    let products = this.getProducts(category);
+    if (filter) {
+      products = filter.apply(products);
+    }
+    const pageCount = Math.max(1, Math.ceil(products.length / this.pageSize));
+    const start = page * this.pageSize;
+
+    return {
+      items: products.slice(start, start + this.pageSize),
+      page,
+      pageCount,
+      total: products.length,
+      hasMore: page + 1 < pageCount,
+    };
+  }
+}
+
+/**
+ * URL de la page suivante, relative à la page courante
+ */
+function resolveUrl(url, base) {
+  try {
+    return new URL(url, new URL(base, globalThis.location?.href)).href;
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,173 @@
+import { CONFIG } from "../config.js";
+import { GlassesFitter, createFitter, isEyewear } from "./GlassesFitter.js";
+import { PoseSmoother } from "./PoseSmoother.js";
+
+/**
+ * CompareMode - Comparaison de deux accessoires sur le même visage
+ * Le produit essayé reste à gauche du séparateur, le second produit s'affiche à droite.
+ * Le second produit a son propre tracker (PreciseTracker ou GlassesFitter) et son PoseSmoother,
+ * alimentés par les mêmes landmarks : le tracking n'est jamais interrompu.
+ */
+export class CompareMode {
+  /**
+   * @param {Object} options
+   * @param {Object} options.renderEngine - addModel / removeModel / setModelOpacity / setSplit
+   * @param {Object} options.autoFitter - prepareModel / applyTransform
+   * @param {Function} options.loadModel - async (product) → THREE.Object3D (un clone par appel)
+   * @param {Object} options.settings - CONFIG.compare
+   */
+  constructor({ renderEngine, autoFitter, loadModel, settings = CONFIG.compare }) {
+    this.renderEngine = renderEngine;
+    this.autoFitter = autoFitter;
+    this.loadModel = loadModel;
+    this.settings = settings;
+
+    this.active = false;
+    this.position = settings.dividerPosition;
+    this.primaryModel = null;
+    this.product = null;
+    this.model = null;
+    this.mirrored = true;
+    this.tracker = createFitter(null);
+    this.smoother = new PoseSmoother();
+    this.opacity = null;
+  }
+
+  /**
+   * Active la comparaison autour du modèle déjà essayé
+   * @param {THREE.Object3D} primaryModel - Modèle du produit courant (moitié gauche)
+   */
+  start(primaryModel) {
+    this.active = true;
+    this.primaryModel = primaryModel;
+    this.updateSplit();
+    console.log("[CompareMode] ⚖️ Started");
+  }
+
+  /**
+   * Charge (ou remplace) le produit comparé
+   * @returns {Promise<THREE.Object3D|null>} - null si un autre produit a été choisi entre-temps
+   */
+  async setProduct(product) {
+    this.product = product;
+
+    const loaded = await this.loadModel(product);
+    if (!this.active || this.product !== product) return null;
+
+    const { model } = this.autoFitter.prepareModel(loaded, product);
+
+    // Nouveau tracker ou point d'ancrage : repartir de la prochaine mesure
+    const previousAnchor = this.tracker.anchor;
+    if (isEyewear(product) !== this.tracker instanceof GlassesFitter) {
+      this.tracker = createFitter(product, this.mirrored, this.tracker.metricScale);
+      this.smoother.reset();
+    }
+    this.tracker.setAnchor(product.anchor);
+    if (this.tracker.anchor !== previousAnchor) {
+      this.smoother.reset();
+    }
+
+    this.removeModel();
+    this.model = model;
+    this.opacity = null;
+    this.renderEngine.addModel(model);
+    this.updateSplit();
+
+    console.log(`[CompareMode] 🆚 ${product.name}`);
+    return model;
+  }
+
+  /**
+   * Nouvelle détection : pose du produit comparé
+   */
+  update(keypoints, videoWidth, videoHeight, timestamp) {
+    if (!this.active || !this.model) return;
+
+    const transform = this.tracker.calculateTransform(keypoints, videoWidth, videoHeight);
+    if (!transform) return;
+
+    this.smoother.filter(transform, timestamp);
+    if (transform.templeAngle !== undefined) {
+      this.tracker.bendTemples(this.model, transform.templeAngle);
+    }
+  }
+
+  /**
+   * Applique la pose prédite et l'opacité du suivi (TrackingStateMachine)
+   * Mêmes ajustements du mode intelligent que le produit courant (AutoFitter.applyAdjustments)
+   */
+  render(now, opacity, adjustments = null) {
+    if (!this.active || !this.model) return;
+
+    const pose = this.smoother.predict(now);
+    if (pose) {
+      this.autoFitter.applyTransform(this.model, pose);
+      this.autoFitter.applyAdjustments(this.model, adjustments);
+    }
+
+    if (opacity !== this.opacity) {
+      this.renderEngine.setModelOpacity(this.model, opacity);
+      this.opacity = opacity;
+    }
+  }
+
+  /**
+   * Position du séparateur (fraction de la largeur de l'écran, depuis la gauche)
+   */
+  setDivider(position) {
+    const margin = this.settings.dividerMargin;
+    this.position = Math.min(1 - margin, Math.max(margin, position));
+    this.updateSplit();
+    return this.position;
+  }
+
+  updateSplit() {
+    if (!this.active) return;
+
+    this.renderEngine.setSplit({
+      position: this.position,
+      left: this.primaryModel,
+      right: this.model,
+    });
+  }
+
+  /**
+   * Caméra changée : keypoints retournés (frontale) ou non (arrière)
+   */
+  setMirrored(mirrored) {
+    this.mirrored = mirrored;
+    this.tracker.mirrored = mirrored;
+    this.tracker.metricScale.reset();
+    this.reset();
+  }
+
+  /**
+   * Visage retrouvé après une longue perte
+   */
+  reset() {
+    this.tracker.reset();
+    this.smoother.reset();
+  }
+
+  /**
+   * Quitte la comparaison : retire le second modèle, rendu plein écran
+   */
+  stop() {
+    if (!this.active) return;
+
+    this.active = false;
+    this.removeModel();
+    this.product = null;
+    this.primaryModel = null;
+    this.reset();
+    this.renderEngine.setSplit(null);
+    console.log("[CompareMode] ⏹️ Stopped");
+  }
+
+  removeModel() {
+    if (this.model) {
+      this.renderEngine.removeModel(this.model);
+      this.model = null;
+    }
+  }
+}
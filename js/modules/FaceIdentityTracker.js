@@ -0,0 +1,135 @@
+// Coins externes des yeux : centre et taille apparente du visage
+const LEFT_EYE_CORNER = 33;
+const RIGHT_EYE_CORNER = 263;
+
+/**
+ * FaceIdentityTracker - Identités stables pour plusieurs visages d'une frame à l'autre
+ * Chaque visage suivi garde son centre (milieu des yeux), sa taille (distance inter-yeux)
+ * et sa vitesse. Les détections sont associées aux pistes par distance croissante,
+ * mesurée en nombre de tailles de visage autour de la position prédite.
+ * La vitesse n'est extrapolée que sur un intervalle entre détections : un visage
+ * absent plusieurs frames est cherché près de sa dernière position, pas là où
+ * une vitesse bruitée l'aurait emmené.
+ */
+export class FaceIdentityTracker {
+  constructor({ maxFaces = 4, maxMatchDistance = 1.5, lostTimeout = 500 } = {}) {
+    this.maxFaces = maxFaces;
+    this.maxMatchDistance = maxMatchDistance; // En tailles de visage
+    this.lostTimeout = lostTimeout; // Durée (ms) avant d'oublier un visage non revu
+
+    this.tracks = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Associe les visages détectés aux identités connues
+   * @param {Array} faces - Keypoints de chaque visage détecté
+   * @param {number} timestamp - Temps de la frame (ms)
+   * @returns {Object} - { matches: [{ id, keypoints, isNew }], removed: [id] }
+   */
+  update(faces, timestamp) {
+    const detections = faces.map((keypoints) => ({ keypoints, ...describe(keypoints) }));
+
+    // Paires (piste, détection) compatibles, de la plus proche à la plus éloignée
+    const pairs = [];
+    this.tracks.forEach((track) => {
+      const predicted = predictCenter(track, timestamp);
+      detections.forEach((detection, index) => {
+        const distance =
+          Math.hypot(detection.x - predicted.x, detection.y - predicted.y) /
+          Math.max(track.size, 1);
+        if (distance <= this.maxMatchDistance) {
+          pairs.push({ track, index, distance });
+        }
+      });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const matches = [];
+    const matchedTracks = new Set();
+    const matchedDetections = new Set();
+
+    pairs.forEach(({ track, index }) => {
+      if (matchedTracks.has(track.id) || matchedDetections.has(index)) return;
+
+      matchedTracks.add(track.id);
+      matchedDetections.add(index);
+      this.observe(track, detections[index], timestamp);
+      matches.push({ id: track.id, keypoints: detections[index].keypoints, isNew: false });
+    });
+
+    // Nouveaux visages (dans la limite de maxFaces)
+    detections.forEach((detection, index) => {
+      if (matchedDetections.has(index) || this.tracks.size >= this.maxFaces) return;
+
+      const { x, y, size } = detection;
+      const track = {
+        id: this.nextId++,
+        x,
+        y,
+        size,
+        vx: 0,
+        vy: 0,
+        interval: 0,
+        lastSeen: timestamp,
+      };
+      this.tracks.set(track.id, track);
+      matches.push({ id: track.id, keypoints: detection.keypoints, isNew: true });
+    });
+
+    // Visages non revus depuis trop longtemps
+    const removed = [];
+    this.tracks.forEach((track, id) => {
+      if (!matchedTracks.has(id) && timestamp - track.lastSeen > this.lostTimeout) {
+        this.tracks.delete(id);
+        removed.push(id);
+      }
+    });
+
+    return { matches, removed };
+  }
+
+  /**
+   * Met à jour une piste avec sa nouvelle détection
+   */
+  observe(track, detection, timestamp) {
+    const dt = timestamp - track.lastSeen;
+    if (dt > 0) {
+      track.vx = (detection.x - track.x) / dt;
+      track.vy = (detection.y - track.y) / dt;
+      track.interval = dt;
+    }
+
+    track.x = detection.x;
+    track.y = detection.y;
+    track.size = detection.size;
+    track.lastSeen = timestamp;
+  }
+
+  reset() {
+    this.tracks.clear();
+    this.nextId = 1;
+  }
+}
+
+/**
+ * Centre et taille apparente d'un visage (pixels)
+ */
+function describe(keypoints) {
+  const left = keypoints[LEFT_EYE_CORNER];
+  const right = keypoints[RIGHT_EYE_CORNER];
+
+  return {
+    x: (left.x + right.x) / 2,
+    y: (left.y + right.y) / 2,
+    size: Math.hypot(right.x - left.x, right.y - left.y),
+  };
+}
+
+/**
+ * Position attendue d'une piste : vitesse constante, sur un intervalle entre détections au plus
+ */
+function predictCenter(track, timestamp) {
+  const dt = Math.min(timestamp - track.lastSeen, track.interval);
+  return { x: track.x + track.vx * dt, y: track.y + track.vy * dt };
+}
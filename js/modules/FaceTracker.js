@@ -1,44 +1,92 @@
 import { CONFIG} from '../config.js';
+import { LandmarkRecorder, LandmarkPlayer } from './LandmarkSession.js';
+import { TrackingWorkerClient } from './TrackingWorkerClient.js';
+import { TrackingMetrics } from './TrackingMetrics.js';
 
 /**
  * FaceTracker - Tracking facial avec MediaPipe
+ * La détection tourne dans un worker si possible (repli sur le thread principal),
+ * les résultats arrivent de façon asynchrone via onTrackingUpdate.
+ * Peut aussi enregistrer les keypoints détectés et rejouer une session sans caméra
  */
 export class FaceTracker {
     constructor() {
         this.detector = null;
         this.isInitialized = false;
         this.isTracking = false;
-        
-        // Canvas temporaire
-        this.tempCanvas = document.createElement('canvas');
-        this.tempCtx = this.tempCanvas.getContext('2d');
-        
+
+        // Canvas temporaire (créé à la première frame, absent en headless)
+        this.tempCanvas = null;
+        this.tempCtx = null;
+
+        // Mode groupe : plusieurs visages par frame (à choisir avant initialize)
+        this.groupMode = CONFIG.group?.enabled ?? false;
+
+        // Frame retournée avant détection, comme la vidéo affichée (caméra frontale)
+        // Caméra arrière : false, les keypoints restent dans le repère de l'image
+        this.mirrored = true;
+
+        // Détection dans un worker (null = thread principal)
+        this.useWorker = CONFIG.tracking?.useWorker ?? true;
+        this.workerClient = null;
+        this.workerErrors = 0;
+        this.isDetecting = false;
+        this.metrics = new TrackingMetrics();
+
+        // Enregistrement / relecture
+        this.recorder = new LandmarkRecorder();
+        this.player = null;
+        this.isReplaying = false;
+
         // Callbacks
         this.onTrackingUpdate = null;
         this.onFaceLost = null;
     }
-    
+
     /**
-     * Initialise MediaPipe
+     * Initialise MediaPipe (inutile en mode relecture)
      */
     async initialize() {
         if (this.isInitialized) return;
-        
+
+        if (this.isReplaying) {
+            this.isInitialized = true;
+            console.log('[FaceTracker] ✅ Initialized (replay)');
+            return;
+        }
+
+        const options = this.getDetectorOptions();
+
+        if (this.useWorker && TrackingWorkerClient.isSupported()) {
+            try {
+                await this.initializeWorker(options);
+                return;
+            } catch (error) {
+                console.warn('[FaceTracker] ⚠️ Worker unavailable, falling back to main thread:', error.message);
+                this.workerClient.dispose();
+                this.workerClient = null;
+            }
+        }
+
+        await this.initializeDetector(options);
+    }
+
+    /**
+     * Charge le détecteur sur le thread principal
+     */
+    async initializeDetector(options) {
         try {
             await tf.setBackend('webgl');
             await tf.ready();
-            
+
             this.detector = await faceLandmarksDetection.createDetector(
                 faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
                 {
                     runtime: 'tfjs',
-                    refineLandmarks: CONFIG.faceMesh?.refineLandmarks ?? true,
-                    maxFaces: CONFIG.faceMesh?.maxNumFaces ?? 1,
-                    minDetectionConfidence: CONFIG.faceMesh?.minDetectionConfidence ?? 0.7,
-                    minTrackingConfidence: CONFIG.faceMesh?.minTrackingConfidence ?? 0.7
+                    ...options
                 }
             );
-            
+
             this.isInitialized = true;
             console.log('[FaceTracker] ✅ Initialized');
         } catch (error) {
@@ -46,15 +94,97 @@ export class FaceTracker {
             throw error;
         }
     }
-    
+
+    /**
+     * Options du détecteur (worker ou thread principal)
+     */
+    getDetectorOptions() {
+        return {
+            refineLandmarks: CONFIG.faceMesh?.refineLandmarks ?? true,
+            maxFaces: this.getMaxFaces(),
+            minDetectionConfidence: CONFIG.faceMesh?.minDetectionConfidence ?? 0.7,
+            minTrackingConfidence: CONFIG.faceMesh?.minTrackingConfidence ?? 0.7
+        };
+    }
+
+    /**
+     * Démarre le worker de détection
+     */
+    async initializeWorker(options) {
+        this.attachWorker(new TrackingWorkerClient());
+
+        const backend = await this.workerClient.initialize(options);
+
+        this.isInitialized = true;
+        console.log(`[FaceTracker] ✅ Initialized (worker, ${backend})`);
+    }
+
+    /**
+     * Branche les résultats et erreurs d'un client worker
+     */
+    attachWorker(client) {
+        this.workerClient = client;
+        this.workerErrors = 0;
+        client.onResult = (result) => this.handleWorkerResult(result);
+        client.onError = (error, fatal) => this.handleWorkerError(error, fatal);
+    }
+
+    /**
+     * Erreur du worker : repli sur le thread principal si le worker a planté
+     * ou après CONFIG.tracking.maxWorkerErrors erreurs de détection consécutives
+     */
+    handleWorkerError(error, fatal = false) {
+        this.isDetecting = false;
+        this.workerErrors++;
+        console.error('[FaceTracker] ❌ Worker error:', error);
+
+        if (fatal || this.workerErrors >= (CONFIG.tracking?.maxWorkerErrors ?? 3)) {
+            this.fallbackToMainThread();
+        }
+    }
+
+    /**
+     * Abandonne le worker et charge le détecteur sur le thread principal
+     * Aucune frame n'est soumise tant que le détecteur n'est pas prêt.
+     */
+    async fallbackToMainThread() {
+        if (!this.workerClient) return;
+
+        console.warn('[FaceTracker] ⚠️ Worker failed, falling back to main thread');
+        this.workerClient.dispose();
+        this.workerClient = null;
+        this.isInitialized = false;
+
+        try {
+            await this.initializeDetector(this.getDetectorOptions());
+        } catch (error) {
+            // Déjà signalé par initializeDetector : le tracking reste arrêté
+        }
+    }
+
+    /**
+     * Charge une session enregistrée qui remplace le détecteur
+     * @param {string|Object} source - URL d'un fichier de session ou session déjà chargée
+     * @param {Object} options - { loop, realtime } (voir LandmarkPlayer)
+     */
+    async loadReplay(source, options = {}) {
+        this.player = typeof source === 'string'
+            ? await LandmarkPlayer.load(source, options)
+            : new LandmarkPlayer(source, options);
+        this.isReplaying = true;
+
+        console.log(`[FaceTracker] ⏯️ Replay loaded: ${this.player.frames.length} frames`);
+    }
+
     /**
      * Démarre le tracking
      */
     startTracking() {
         this.isTracking = true;
+        if (this.player) this.player.reset();
         console.log('[FaceTracker] 🎬 Tracking started');
     }
-    
+
     /**
      * Arrête le tracking
      */
@@ -62,59 +192,219 @@ export class FaceTracker {
         this.isTracking = false;
         console.log('[FaceTracker] ⏸️ Tracking stopped');
     }
-    
+
+    /**
+     * Démarre l'enregistrement des keypoints détectés
+     */
+    startRecording(metadata = {}) {
+        this.recorder.start(metadata);
+        console.log('[FaceTracker] ⏺️ Recording started');
+    }
+
+    /**
+     * Arrête l'enregistrement et retourne la session
+     */
+    stopRecording() {
+        const session = this.recorder.stop();
+        console.log(`[FaceTracker] ⏹️ Recording stopped: ${session ? session.frames.length : 0} frames`);
+        return session;
+    }
+
     /**
-     * Traite une frame vidéo
+     * Soumet une frame sans attendre la détection
+     * Le résultat est transmis à onTrackingUpdate (ou onFaceLost) dès qu'il est disponible.
+     * Si une détection est déjà en cours, la frame est ignorée.
+     * @returns {boolean} - true si la frame a été prise en charge
      */
-    async processFrame(video, timestamp = Date.now()) {
+    submitFrame(video, timestamp = performance.now()) {
         if (!this.isInitialized || !this.isTracking) {
+            return false;
+        }
+
+        if (this.isReplaying) {
+            this.emit(this.processReplayFrame(timestamp));
+            return true;
+        }
+
+        if (!this.isVideoReady(video) || this.isDetecting) {
+            if (this.isDetecting) this.metrics.recordDropped();
+            return false;
+        }
+
+        this.isDetecting = true;
+        this.metrics.recordSubmitted();
+
+        if (this.workerClient) {
+            const { videoWidth, videoHeight } = video;
+            this.workerClient
+                .detect(video, timestamp, videoWidth, videoHeight, this.mirrored)
+                .then((sent) => {
+                    if (!sent) this.isDetecting = false;
+                });
+            return true;
+        }
+
+        // Repli thread principal
+        this.processFrame(video, timestamp).then((faceData) => {
+            this.isDetecting = false;
+            this.emit(faceData);
+        });
+        return true;
+    }
+
+    /**
+     * Résultat du worker → même format que processFrame
+     */
+    handleWorkerResult({ faces, timestamp, width, height, inferenceMs }) {
+        this.isDetecting = false;
+        this.workerErrors = 0;
+        if (!this.isTracking) return;
+
+        this.metrics.recordResult(inferenceMs, performance.now() - timestamp);
+        this.emit(this.buildFaceData(faces, timestamp, width, height));
+    }
+
+    /**
+     * Transmet un résultat de détection
+     */
+    emit(faceData) {
+        if (faceData && this.onTrackingUpdate) {
+            this.onTrackingUpdate(faceData);
+        }
+    }
+
+    /**
+     * Enregistre la frame et construit les données de tracking (null si aucun visage)
+     * @param {Array} faces - Keypoints de chaque visage détecté
+     */
+    buildFaceData(faces, timestamp, videoWidth, videoHeight) {
+        const keypoints = faces.length > 0 ? faces[0] : null;
+
+        // Les sessions enregistrées ne contiennent que le premier visage
+        if (this.recorder.isRecording) {
+            this.recorder.addFrame(keypoints, timestamp, videoWidth, videoHeight);
+        }
+
+        if (!keypoints) {
+            if (this.onFaceLost) this.onFaceLost();
             return null;
         }
-        
-        if (video.readyState !== video.HAVE_ENOUGH_DATA) {
+
+        return {
+            rawKeypoints: keypoints,
+            faces: faces,
+            confidence: 1.0,
+            timestamp: timestamp,
+            videoWidth: videoWidth,
+            videoHeight: videoHeight
+        };
+    }
+
+    /**
+     * Nombre de visages détectés (CONFIG.group en mode groupe)
+     */
+    getMaxFaces() {
+        if (this.groupMode) {
+            return CONFIG.group?.maxFaces ?? 4;
+        }
+        return CONFIG.faceMesh?.maxNumFaces ?? 1;
+    }
+
+    isVideoReady(video) {
+        return (
+            video.readyState === video.HAVE_ENOUGH_DATA &&
+            video.videoWidth > 0 &&
+            video.videoHeight > 0
+        );
+    }
+
+    /**
+     * Traite une frame vidéo sur le thread principal (bloquant jusqu'à la fin de l'inférence)
+     */
+    async processFrame(video, timestamp = performance.now()) {
+        if (!this.isInitialized || !this.isTracking) {
             return null;
         }
-        
-        if (video.videoWidth === 0 || video.videoHeight === 0) {
+
+        if (this.isReplaying) {
+            return this.processReplayFrame(timestamp);
+        }
+
+        if (!this.detector || !this.isVideoReady(video)) {
             return null;
         }
-        
+
         try {
-            // Flip horizontal
+            if (!this.tempCanvas) {
+                this.tempCanvas = document.createElement('canvas');
+                this.tempCtx = this.tempCanvas.getContext('2d');
+            }
+
+            // Flip horizontal (caméra frontale uniquement, comme l'affichage)
             this.tempCanvas.width = video.videoWidth;
             this.tempCanvas.height = video.videoHeight;
-            
+
             this.tempCtx.save();
-            this.tempCtx.scale(-1, 1);
-            this.tempCtx.drawImage(video, -video.videoWidth, 0, video.videoWidth, video.videoHeight);
+            if (this.mirrored) {
+                this.tempCtx.scale(-1, 1);
+                this.tempCtx.drawImage(video, -video.videoWidth, 0, video.videoWidth, video.videoHeight);
+            } else {
+                this.tempCtx.drawImage(video, 0, 0, video.videoWidth, video.videoHeight);
+            }
             this.tempCtx.restore();
-            
+
             // Détection
+            const start = performance.now();
             const faces = await this.detector.estimateFaces(this.tempCanvas, {
                 flipHorizontal: false,
                 staticImageMode: false
             });
-            
-            if (!faces || faces.length === 0) {
-                if (this.onFaceLost) this.onFaceLost();
-                return null;
-            }
-            
-            const face = faces[0];
-            
-            // Retourner les données
-            return {
-                rawKeypoints: face.keypoints,
-                confidence: 1.0,
-                timestamp: timestamp
-            };
-            
+            this.metrics.recordResult(performance.now() - start, performance.now() - timestamp);
+
+            return this.buildFaceData(
+                (faces || []).map((face) => face.keypoints),
+                timestamp,
+                video.videoWidth,
+                video.videoHeight
+            );
+
         } catch (error) {
             console.error('[FaceTracker] ❌ Processing error:', error);
             return null;
         }
     }
-    
+
+    /**
+     * Fournit la frame suivante de la session rejouée
+     */
+    processReplayFrame(timestamp) {
+        const frame = this.player.getFrame(timestamp);
+
+        if (!frame || !frame.keypoints) {
+            if (this.onFaceLost) this.onFaceLost();
+            return null;
+        }
+
+        return {
+            rawKeypoints: frame.keypoints,
+            faces: [frame.keypoints],
+            confidence: 1.0,
+            timestamp: timestamp,
+            videoWidth: frame.videoWidth,
+            videoHeight: frame.videoHeight
+        };
+    }
+
+    /**
+     * Statistiques de détection (latence d'inférence, frames ignorées...)
+     */
+    getMetrics() {
+        return {
+            ...this.metrics.getSnapshot(),
+            mode: this.isReplaying ? 'replay' : this.workerClient ? 'worker' : 'main-thread'
+        };
+    }
+
     /**
      * Nettoie les ressources
      */
@@ -122,6 +412,10 @@ export class FaceTracker {
         if (this.detector) {
             this.detector.dispose();
         }
+        if (this.workerClient) {
+            this.workerClient.dispose();
+            this.workerClient = null;
+        }
         this.stopTracking();
         console.log('[FaceTracker] 🗑️ Resources disposed');
     }
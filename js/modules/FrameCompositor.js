@@ -0,0 +1,369 @@
+import { CONFIG } from "../config.js";
+
+/**
+ * FrameCompositor - Assemble la vidéo et le rendu 3D dans une seule image
+ * La vidéo et le canvas WebGL sont superposés par le CSS (object-fit: cover, miroir) :
+ * l'image reproduit exactement ce que voit l'utilisateur.
+ * Photos avec filigrane (exportStill), comparaisons et clips vidéo (MediaRecorder).
+ */
+export class FrameCompositor {
+  /**
+   * @param {Object} options
+   * @param {HTMLVideoElement} options.video - Flux caméra
+   * @param {Object} options.renderEngine - RenderEngine (canvas WebGL, render(), onAfterRender)
+   * @param {boolean} options.mirrored - Affichage en miroir (caméra frontale)
+   * @param {Object} options.settings - CONFIG.capture
+   * @param {Function} options.createCanvas - (width, height) → canvas (remplaçable en test)
+   * @param {Function} options.MediaRecorder - MediaRecorder (remplaçable en test)
+   */
+  constructor({
+    video,
+    renderEngine,
+    mirrored = true,
+    settings = CONFIG.capture,
+    createCanvas = createDomCanvas,
+    MediaRecorder = globalThis.MediaRecorder,
+  }) {
+    this.video = video;
+    this.renderEngine = renderEngine;
+    this.mirrored = mirrored;
+    this.settings = settings;
+    this.createCanvas = createCanvas;
+    this.MediaRecorder = MediaRecorder;
+
+    // Enregistrement en cours
+    this.recording = null;
+  }
+
+  get isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Image courante : vidéo + accessoires, à la taille du canvas WebGL
+   * @param {Function} overlay - (ctx, width, height) dessiné par-dessus (optionnel)
+   * @returns {HTMLCanvasElement}
+   */
+  composeFrame(overlay = null) {
+    const source = this.renderEngine.renderer.domElement;
+    const canvas = this.createCanvas(source.width, source.height);
+    const ctx = canvas.getContext("2d");
+
+    // Le tampon WebGL n'est pas conservé entre deux frames : rendu juste avant la copie
+    this.renderEngine.render();
+    this.drawFrame(ctx, canvas.width, canvas.height);
+    if (overlay) overlay(ctx, canvas.width, canvas.height);
+
+    return canvas;
+  }
+
+  /**
+   * Dessine la vidéo (object-fit: cover) puis le rendu WebGL, en miroir si besoin
+   */
+  drawFrame(ctx, width, height) {
+    const source = this.renderEngine.renderer.domElement;
+
+    ctx.save();
+    if (this.mirrored) {
+      ctx.translate(width, 0);
+      ctx.scale(-1, 1);
+    }
+
+    const { videoWidth, videoHeight } = this.video;
+    if (videoWidth && videoHeight) {
+      const rect = coverRect(videoWidth, videoHeight, width, height);
+      ctx.drawImage(this.video, rect.x, rect.y, rect.width, rect.height);
+    } else {
+      ctx.clearRect(0, 0, width, height);
+    }
+
+    ctx.drawImage(source, 0, 0, width, height);
+    ctx.restore();
+  }
+
+  /**
+   * Séparateur et nom / prix de chaque produit
+   * @param {Object} options - { position: 0..1 depuis la gauche, left, right } (produits)
+   */
+  drawComparison(ctx, width, height, { position, left, right }) {
+    const x = Math.round(width * position);
+    const { dividerColor, dividerWidth, labelFont } = this.settings;
+
+    ctx.fillStyle = dividerColor;
+    ctx.fillRect(x - dividerWidth / 2, 0, dividerWidth, height);
+
+    // Étiquettes en haut, comme à l'écran (le bas est réservé au filigrane)
+    ctx.font = labelFont;
+    const margin = Math.round(height * 0.03);
+    [
+      { product: left, x: x / 2 },
+      { product: right, x: (x + width) / 2 },
+    ].forEach(({ product, x: center }) => {
+      if (!product) return;
+      this.drawLabel(ctx, productLabel(product), center, margin);
+    });
+  }
+
+  /**
+   * Filigrane en bas à droite : nom / prix du produit (optionnel) puis texte de la marque
+   * @param {Object} options - { product } (null en comparaison : étiquettes déjà présentes)
+   */
+  drawWatermark(ctx, width, height, { product = null } = {}) {
+    const { text, showProduct, font, color, margin } = this.settings.watermark;
+    const lines = [showProduct && product ? productLabel(product) : null, text].filter(Boolean);
+    if (lines.length === 0) return;
+
+    const offset = Math.round(height * margin);
+    const lineHeight = fontSize(font) * 1.3;
+
+    ctx.save();
+    ctx.font = font;
+    ctx.fillStyle = color;
+    ctx.textAlign = "right";
+    ctx.textBaseline = "bottom";
+    ctx.shadowColor = "rgba(0, 0, 0, 0.6)";
+    ctx.shadowBlur = 4;
+    lines.reverse().forEach((line, i) => {
+      ctx.fillText(line, width - offset, height - offset - i * lineHeight);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Comparaison : image courante, séparateur et étiquettes
+   */
+  composeComparison(options) {
+    return this.composeFrame((ctx, width, height) =>
+      this.drawComparison(ctx, width, height, options)
+    );
+  }
+
+  /**
+   * Étiquette centrée sur fond sombre
+   */
+  drawLabel(ctx, text, centerX, top) {
+    const padding = 12;
+    const width = ctx.measureText(text).width + padding * 2;
+    const height = fontSize(ctx.font) + padding;
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+    ctx.fillRect(centerX - width / 2, top, width, height);
+    ctx.fillStyle = "#ffffff";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    ctx.fillText(text, centerX, top + height - padding / 2);
+  }
+
+  /**
+   * Encode une image composée, avec ou sans filigrane
+   * L'image d'origine n'est pas modifiée : on peut ré-encoder dans un autre format.
+   * @param {HTMLCanvasElement} source - Résultat de composeFrame
+   * @param {Object} options - { format, quality, watermark: { product } | null }
+   * @returns {Promise<Blob>}
+   */
+  exportStill(
+    source,
+    { format = this.settings.format, quality = this.settings.quality, watermark = null } = {}
+  ) {
+    const canvas = this.createCanvas(source.width, source.height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(source, 0, 0);
+    if (watermark) {
+      this.drawWatermark(ctx, canvas.width, canvas.height, watermark);
+    }
+
+    return toBlob(canvas, format, quality);
+  }
+
+  /**
+   * Photo de l'essayage
+   * @returns {Promise<Blob>}
+   */
+  captureStill(overlay = null, options = {}) {
+    return this.exportStill(this.composeFrame(overlay), options);
+  }
+
+  /**
+   * Photo de la comparaison
+   * @returns {Promise<Blob>}
+   */
+  captureComparison(options) {
+    return this.captureStill((ctx, width, height) =>
+      this.drawComparison(ctx, width, height, options)
+    );
+  }
+
+  /**
+   * Démarre un clip vidéo : chaque frame rendue est composée dans un canvas enregistré
+   * Le clip s'arrête avec stopRecording() ou au bout de maxDuration.
+   * @param {Object} options - { maxDuration (ms), overlay }
+   * @returns {Promise<Object>} - { blob, mimeType, duration } à l'arrêt
+   */
+  startRecording({ maxDuration = this.settings.maxDuration, overlay = null } = {}) {
+    if (this.recording) {
+      throw new Error("Enregistrement déjà en cours");
+    }
+
+    const mimeType = pickVideoType(this.settings.videoTypes, this.MediaRecorder);
+    if (!mimeType) {
+      throw new Error("Enregistrement vidéo non supporté par ce navigateur");
+    }
+
+    const source = this.renderEngine.renderer.domElement;
+    const canvas = this.createCanvas(source.width, source.height);
+    const ctx = canvas.getContext("2d");
+    const drawFrame = () => {
+      this.drawFrame(ctx, canvas.width, canvas.height);
+      if (overlay) overlay(ctx, canvas.width, canvas.height);
+    };
+
+    // Première image tout de suite (le flux démarre avec une image valide)
+    this.renderEngine.render();
+    drawFrame();
+
+    // Flux et enregistreur d'abord : en cas de refus (débit, format), rien ne reste actif
+    const stream = canvas.captureStream(this.settings.videoFps);
+    let recorder;
+    try {
+      recorder = new this.MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: this.settings.videoBitsPerSecond,
+      });
+    } catch (error) {
+      stream.getTracks().forEach((track) => track.stop());
+      throw error;
+    }
+    const chunks = [];
+    const startTime = performance.now();
+
+    const done = new Promise((resolve, reject) => {
+      recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.onstop = () => {
+        this.finishRecording(stream);
+        resolve({
+          blob: new Blob(chunks, { type: mimeType }),
+          mimeType,
+          duration: performance.now() - startTime,
+        });
+      };
+      recorder.onerror = (event) => {
+        this.finishRecording(stream);
+        reject(event.error || new Error("Erreur d'enregistrement vidéo"));
+      };
+    });
+
+    try {
+      recorder.start(1000);
+    } catch (error) {
+      stream.getTracks().forEach((track) => track.stop());
+      throw error;
+    }
+
+    // Puis une image par frame rendue (tampon WebGL encore valide)
+    this.renderEngine.onAfterRender = drawFrame;
+    this.recording = {
+      recorder,
+      startTime,
+      maxDuration,
+      timer: setTimeout(() => this.stopRecording(), maxDuration),
+    };
+    console.log(`[FrameCompositor] 🔴 Recording (${mimeType}, max ${maxDuration / 1000}s)`);
+
+    return done;
+  }
+
+  /**
+   * Arrête le clip en cours (la promesse de startRecording se résout avec la vidéo)
+   */
+  stopRecording() {
+    if (this.recording && this.recording.recorder.state !== "inactive") {
+      this.recording.recorder.stop();
+    }
+  }
+
+  /**
+   * Durée écoulée du clip en cours (ms)
+   */
+  getRecordingTime() {
+    return this.recording ? performance.now() - this.recording.startTime : 0;
+  }
+
+  finishRecording(stream) {
+    if (!this.recording) return;
+
+    clearTimeout(this.recording.timer);
+    this.renderEngine.onAfterRender = null;
+    stream.getTracks().forEach((track) => track.stop());
+    this.recording = null;
+    console.log("[FrameCompositor] ⏹️ Recording stopped");
+  }
+}
+
+/**
+ * Rectangle de destination d'une image en object-fit: cover (centrée, rognée)
+ * @returns {Object} - { x, y, width, height }
+ */
+export function coverRect(srcWidth, srcHeight, dstWidth, dstHeight) {
+  const scale = Math.max(dstWidth / srcWidth, dstHeight / srcHeight);
+  const width = srcWidth * scale;
+  const height = srcHeight * scale;
+
+  return {
+    x: (dstWidth - width) / 2,
+    y: (dstHeight - height) / 2,
+    width,
+    height,
+  };
+}
+
+/**
+ * "Nom · $prix"
+ */
+export function productLabel(product) {
+  return `${product.name} · $${product.price}`;
+}
+
+/**
+ * Premier format vidéo supporté (WebM sur Chrome / Firefox, MP4 sur Safari)
+ * @returns {string|null}
+ */
+export function pickVideoType(types, MediaRecorder) {
+  if (!MediaRecorder) return null;
+  if (typeof MediaRecorder.isTypeSupported !== "function") return types[0] ?? null;
+
+  return types.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+/**
+ * Extension de fichier d'un type MIME ("video/webm;codecs=vp9" → "webm")
+ */
+export function fileExtension(mimeType) {
+  const subtype = mimeType.split(";")[0].split("/")[1] || "bin";
+  return subtype === "jpeg" ? "jpg" : subtype;
+}
+
+/**
+ * Taille en px d'une police CSS ("600 28px sans-serif" → 28)
+ */
+function fontSize(font) {
+  return parseInt(font.match(/(\d+)px/)?.[1] ?? 24, 10);
+}
+
+function createDomCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function toBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Capture impossible"))),
+      type,
+      quality
+    );
+  });
+}
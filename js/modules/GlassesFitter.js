@@ -0,0 +1,225 @@
+import * as THREE from "three";
+import { PreciseTracker } from "./PreciseTracker.js";
+import { HeadPoseSolver, modelDepth } from "./HeadPoseSolver.js";
+import { CONFIG } from "../config.js";
+
+// Orientation neutre du modèle (voir PreciseTracker)
+const MODEL_FACING = new THREE.Quaternion().setFromAxisAngle(
+  new THREE.Vector3(0, 1, 0),
+  Math.PI
+);
+
+// Landmarks MediaPipe
+const RIGHT_EYE_CORNER = 33;
+const LEFT_EYE_CORNER = 263;
+const TEMPLES = [234, 454];
+const EARS = [127, 356];
+
+const EYEWEAR_TYPES = ["glasses", "sunglasses"];
+
+/**
+ * GlassesFitter - Ajustement des lunettes
+ * Spécialise PreciseTracker :
+ *   - ancrage sur l'arête du nez (168 / 6)
+ *   - échelle depuis la largeur tempe à tempe (234 / 454), mesurée en mm grâce à l'iris
+ *   - roulis aligné sur la ligne des yeux
+ *   - angle des branches vers les oreilles (127 / 356), appliqué par bendTemples
+ */
+export class GlassesFitter extends PreciseTracker {
+  constructor(settings = CONFIG.eyewear, metricScale) {
+    super(metricScale);
+    this.anchor = "noseBridge";
+
+    this.templeWidthMm = settings?.templeWidthMm ?? 144;
+    this.bendEnabled = settings?.bendTemples ?? true;
+    this.templeLengthMm = settings?.templeLengthMm ?? 100;
+    this.hingeDepth = settings?.hingeDepth ?? 0.05;
+    this.maxTempleAngle = settings?.maxTempleAngle ?? 0.3;
+    this.templeSmoothing = settings?.templeSmoothing ?? 0.1;
+
+    this.templeAngle = null;
+  }
+
+  calculateTransform(keypoints, videoWidth, videoHeight) {
+    const transform = super.calculateTransform(keypoints, videoWidth, videoHeight);
+    if (!transform) {
+      return null;
+    }
+
+    const { yaw, pitch } = transform.angles;
+
+    // Largeur tempe à tempe en mm : pixels × profondeur réelle des tempes / focale
+    const templeWidth = this.apparentWidth(keypoints, TEMPLES, yaw);
+    const templeDepthMm =
+      modelDepth(transform.headPose.solution, TEMPLES) * transform.metric.faceScale;
+    const { fx } = HeadPoseSolver.intrinsicsFor(videoWidth, videoHeight);
+    const scale = (templeWidth * templeDepthMm) / fx / this.templeWidthMm;
+
+    // Roulis de la ligne des yeux, dans la rotation PnP (yaw, pitch conservés)
+    const roll = this.eyeLineRoll(keypoints, yaw, pitch);
+    const headQuaternion = new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(pitch, yaw, roll, "YXZ")
+    );
+    const quaternion = headQuaternion.clone().multiply(MODEL_FACING);
+    if (this.lastQuaternion && quaternion.dot(this.lastQuaternion) < 0) {
+      quaternion.set(-quaternion.x, -quaternion.y, -quaternion.z, -quaternion.w);
+    }
+    this.lastQuaternion = quaternion.clone();
+
+    return {
+      ...transform,
+      quaternion,
+      rotation: new THREE.Euler().setFromQuaternion(quaternion, "XYZ"),
+      scale,
+      angles: { yaw, pitch, roll },
+      templeAngle: this.updateTempleAngle(keypoints, templeWidth, yaw),
+    };
+  }
+
+  /**
+   * Distance entre deux landmarks (pixels), compensée de la rotation yaw
+   */
+  apparentWidth(keypoints, [a, b], yaw) {
+    const width = Math.hypot(
+      keypoints[b].x - keypoints[a].x,
+      keypoints[b].y - keypoints[a].y
+    );
+    return width / Math.max(Math.abs(Math.cos(yaw)), 0.5);
+  }
+
+  /**
+   * Roulis déduit de la ligne des yeux
+   * La pente apparente est corrigée du raccourcissement dû au yaw et au pitch
+   */
+  eyeLineRoll(keypoints, yaw, pitch) {
+    const right = keypoints[RIGHT_EYE_CORNER];
+    const left = keypoints[LEFT_EYE_CORNER];
+
+    // Image retournée (caméra frontale), y vers le bas → repère scène
+    const dx = this.mirrored ? right.x - left.x : left.x - right.x;
+    const dy = -(left.y - right.y);
+
+    return Math.atan2(dy * Math.cos(yaw), dx * Math.cos(pitch));
+  }
+
+  /**
+   * Angle (radians) dont les branches s'écartent (+) ou se resserrent (-) pour rejoindre les oreilles
+   * Lissé, et gelé quand la tête est trop tournée (oreille éloignée cachée)
+   */
+  updateTempleAngle(keypoints, templeWidth, yaw) {
+    if (!this.bendEnabled) {
+      return 0;
+    }
+    if (this.templeAngle !== null && Math.abs(yaw) > Math.PI / 6) {
+      return this.templeAngle;
+    }
+
+    const earWidth = this.apparentWidth(keypoints, EARS, yaw);
+    const spreadMm = ((earWidth / templeWidth - 1) * this.templeWidthMm) / 2;
+    const target = THREE.MathUtils.clamp(
+      Math.atan2(spreadMm, this.templeLengthMm),
+      -this.maxTempleAngle,
+      this.maxTempleAngle
+    );
+
+    this.templeAngle =
+      this.templeAngle === null
+        ? target
+        : this.templeAngle + (target - this.templeAngle) * this.templeSmoothing;
+
+    return this.templeAngle;
+  }
+
+  /**
+   * Plie les branches d'un modèle préparé par AutoFitter (groupe d'ancrage)
+   * Les sommets situés derrière la face avant (+z) sont écartés de (z - charnière) · tan(angle)
+   */
+  bendTemples(anchorGroup, angle) {
+    let bend = anchorGroup.userData.templeBend;
+    if (!bend) {
+      bend = this.captureTemples(anchorGroup);
+      anchorGroup.userData.templeBend = bend;
+    }
+
+    if (Math.abs(angle - bend.angle) < 0.005) return;
+    bend.angle = angle;
+
+    const slope = Math.tan(angle);
+    const point = new THREE.Vector3();
+
+    bend.meshes.forEach(({ mesh, original, toGroup, fromGroup }) => {
+      const positions = mesh.geometry.attributes.position;
+
+      for (let i = 0; i < positions.count; i++) {
+        point.fromArray(original, i * 3).applyMatrix4(toGroup);
+        const depth = point.z - bend.hingeZ;
+        if (depth > 0) {
+          point.x += Math.sign(point.x) * depth * slope;
+        }
+        point.applyMatrix4(fromGroup);
+        positions.setXYZ(i, point.x, point.y, point.z);
+      }
+
+      positions.needsUpdate = true;
+      mesh.geometry.computeBoundingBox();
+      mesh.geometry.computeBoundingSphere();
+    });
+  }
+
+  /**
+   * Sommets d'origine et passage repère du mesh ↔ repère d'ancrage
+   */
+  captureTemples(anchorGroup) {
+    anchorGroup.updateMatrixWorld(true);
+    const groupInverse = anchorGroup.matrixWorld.clone().invert();
+    const meshes = [];
+    let frontZ = Infinity;
+
+    anchorGroup.traverse((child) => {
+      if (!child.isMesh || !child.geometry?.attributes.position) return;
+
+      // Géométrie propre à ce modèle (les clones du cache la partagent)
+      child.geometry = child.geometry.clone();
+
+      const toGroup = groupInverse.clone().multiply(child.matrixWorld);
+      const positions = child.geometry.attributes.position;
+      const original = new Float32Array(positions.count * 3);
+      for (let i = 0; i < positions.count; i++) {
+        original[i * 3] = positions.getX(i);
+        original[i * 3 + 1] = positions.getY(i);
+        original[i * 3 + 2] = positions.getZ(i);
+      }
+      if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+      frontZ = Math.min(frontZ, child.geometry.boundingBox.clone().applyMatrix4(toGroup).min.z);
+
+      meshes.push({ mesh: child, original, toGroup, fromGroup: toGroup.clone().invert() });
+    });
+
+    return { meshes, hingeZ: frontZ + this.hingeDepth, angle: 0 };
+  }
+
+  reset() {
+    super.reset();
+    this.templeAngle = null;
+  }
+}
+
+/**
+ * Lunettes ou accessoire de tête ?
+ */
+export function isEyewear(product) {
+  return EYEWEAR_TYPES.includes(product?.type);
+}
+
+/**
+ * Tracker adapté au type de produit (GlassesFitter pour les lunettes)
+ * @param {boolean} mirrored - Keypoints détectés sur l'image retournée (caméra frontale)
+ * @param {MetricScaleEstimator} metricScale - Calibration du tracker remplacé (même visage)
+ */
+export function createFitter(product, mirrored = true, metricScale) {
+  const fitter = isEyewear(product)
+    ? new GlassesFitter(CONFIG.eyewear, metricScale)
+    : new PreciseTracker(metricScale);
+  fitter.mirrored = mirrored;
+  return fitter;
+}
@@ -0,0 +1,191 @@
+import { CONFIG } from "../config.js";
+import { FaceIdentityTracker } from "./FaceIdentityTracker.js";
+import { GlassesFitter, createFitter, isEyewear } from "./GlassesFitter.js";
+import { PoseSmoother } from "./PoseSmoother.js";
+
+/**
+ * GroupTryOn - Essayage à plusieurs : un accessoire par visage
+ * Chaque identité (FaceIdentityTracker) a son tracker (PreciseTracker, ou GlassesFitter
+ * pour les lunettes), son PoseSmoother, son produit et son propre clone du modèle dans la scène.
+ */
+export class GroupTryOn {
+  /**
+   * @param {Object} options
+   * @param {Object} options.renderEngine - addModel / removeModel
+   * @param {Object} options.autoFitter - prepareModel / applyTransform
+   * @param {Function} options.loadModel - async (product) → THREE.Object3D (un clone par appel)
+   * @param {Object} options.settings - CONFIG.group
+   */
+  constructor({ renderEngine, autoFitter, loadModel, settings = CONFIG.group }) {
+    this.renderEngine = renderEngine;
+    this.autoFitter = autoFitter;
+    this.loadModel = loadModel;
+
+    this.identities = new FaceIdentityTracker(settings);
+    this.instances = new Map();
+    this.defaultProduct = null;
+    this.mirrored = true; // Keypoints détectés sur l'image retournée (caméra frontale)
+  }
+
+  /**
+   * Produit attribué aux nouveaux visages
+   */
+  setDefaultProduct(product) {
+    this.defaultProduct = product;
+  }
+
+  /**
+   * Traite une frame de détection multi-visages
+   * @param {Array} faces - Keypoints de chaque visage
+   * @param {number} timestamp - Temps de la frame (ms)
+   */
+  update(faces, timestamp, videoWidth, videoHeight) {
+    const { matches, removed } = this.identities.update(faces || [], timestamp);
+
+    removed.forEach((id) => this.removeInstance(id));
+
+    matches.forEach(({ id, keypoints }) => {
+      const instance = this.instances.get(id) || this.createInstance(id);
+
+      const transform = instance.tracker.calculateTransform(keypoints, videoWidth, videoHeight);
+      if (transform) {
+        instance.transform = instance.smoother.filter(transform, timestamp);
+
+        if (transform.templeAngle !== undefined && instance.model) {
+          instance.tracker.bendTemples(instance.model, transform.templeAngle);
+        }
+      }
+    });
+  }
+
+  /**
+   * Applique la pose prédite de chaque visage à son modèle
+   * @param {number} now - Instant de rendu (ms)
+   */
+  render(now) {
+    this.instances.forEach((instance) => {
+      if (!instance.model) return;
+
+      const pose = instance.smoother.predict(now);
+      if (pose) {
+        this.autoFitter.applyTransform(instance.model, pose);
+      }
+    });
+  }
+
+  /**
+   * Change le produit porté par un visage
+   */
+  async assignProduct(id, product) {
+    const instance = this.instances.get(id);
+    if (!instance || !product) return;
+
+    instance.product = product;
+    await this.loadInstanceModel(instance);
+  }
+
+  createInstance(id) {
+    const instance = {
+      id,
+      tracker: createFitter(this.defaultProduct, this.mirrored),
+      smoother: new PoseSmoother(),
+      product: this.defaultProduct,
+      model: null,
+      transform: null,
+    };
+
+    this.instances.set(id, instance);
+    console.log(`[GroupTryOn] 👤 Face ${id} added`);
+
+    if (instance.product) {
+      this.loadInstanceModel(instance);
+    }
+
+    return instance;
+  }
+
+  /**
+   * Charge (ou remplace) le modèle d'un visage
+   */
+  async loadInstanceModel(instance) {
+    const product = instance.product;
+
+    try {
+      const loaded = await this.loadModel(product);
+
+      // Le visage est parti ou a changé de produit pendant le chargement
+      if (this.instances.get(instance.id) !== instance || instance.product !== product) {
+        return;
+      }
+
+      const { model } = this.autoFitter.prepareModel(loaded, product);
+
+      // Nouveau tracker ou point d'ancrage : repartir de la prochaine mesure
+      const previousAnchor = instance.tracker.anchor;
+      if (isEyewear(product) !== instance.tracker instanceof GlassesFitter) {
+        instance.tracker = createFitter(product, this.mirrored, instance.tracker.metricScale);
+        instance.smoother.reset();
+      }
+      instance.tracker.setAnchor(product.anchor);
+      if (instance.tracker.anchor !== previousAnchor) {
+        instance.smoother.reset();
+      }
+      if (instance.model) {
+        this.renderEngine.removeModel(instance.model);
+      }
+      instance.model = model;
+      this.renderEngine.addModel(model);
+    } catch (error) {
+      console.error(`[GroupTryOn] ❌ Model error for face ${instance.id}:`, error);
+    }
+  }
+
+  removeInstance(id) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+
+    if (instance.model) {
+      this.renderEngine.removeModel(instance.model);
+    }
+    this.instances.delete(id);
+    console.log(`[GroupTryOn] 👋 Face ${id} removed`);
+  }
+
+  /**
+   * Visage dont le modèle est le plus proche d'un point écran (coordonnées normalisées -1..1)
+   * @param {THREE.Camera} camera - Caméra de rendu
+   */
+  findInstanceAt(ndcX, ndcY, camera) {
+    let closest = null;
+    let closestDistance = Infinity;
+
+    this.instances.forEach((instance) => {
+      if (!instance.model) return;
+
+      const projected = instance.model.position.clone().project(camera);
+      const distance = Math.hypot(projected.x - ndcX, projected.y - ndcY);
+      if (distance < closestDistance) {
+        closest = instance;
+        closestDistance = distance;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Caméra changée : les visages sont redétectés avec le nouveau repère
+   */
+  setMirrored(mirrored) {
+    this.mirrored = mirrored;
+    this.clear();
+  }
+
+  /**
+   * Retire tous les visages
+   */
+  clear() {
+    Array.from(this.instances.keys()).forEach((id) => this.removeInstance(id));
+    this.identities.reset();
+  }
+}
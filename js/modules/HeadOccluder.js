@@ -0,0 +1,60 @@
+import * as THREE from "three";
+import { CONFIG } from "../config.js";
+
+/**
+ * HeadOccluder - Tête invisible qui masque les parties de l'accessoire situées derrière
+ * Ellipsoïde "depth-only" : écrit dans le depth buffer sans écrire de couleur, rendu
+ * avant l'accessoire (renderOrder négatif). L'arrière d'un chapeau et les branches
+ * de lunettes passent ainsi derrière la tête du porteur.
+ *
+ * L'occluder reprend la transformation de l'accessoire (follow). Dans ce repère local,
+ * le visage regarde vers -z : l'arrière du crâne est du côté +z. Le décalage dépend du
+ * point d'ancrage de l'accessoire (sous le front pour un chapeau, derrière les yeux pour
+ * des lunettes).
+ */
+export class HeadOccluder {
+  constructor(settings = CONFIG.occlusion, anchor = "crown") {
+    const radii = settings?.radii ?? { x: 0.4, y: 0.5, z: 0.48 };
+    const offset = settings?.anchorOffsets?.[anchor] ??
+      settings?.offset ?? { x: 0, y: -0.3, z: 0.15 };
+
+    this.material = new THREE.MeshBasicMaterial({
+      colorWrite: false,
+      depthWrite: true,
+      depthTest: true,
+    });
+
+    // Sphère unité déformée en ellipsoïde, décalée sous le point d'ancrage
+    this.mesh = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 24), this.material);
+    this.mesh.scale.set(radii.x, radii.y, radii.z);
+    this.mesh.position.set(offset.x, offset.y, offset.z);
+    this.mesh.renderOrder = -1;
+    this.mesh.name = "head-occluder";
+
+    this.object = new THREE.Group();
+    this.object.add(this.mesh);
+  }
+
+  /**
+   * Copie la transformation de l'accessoire
+   */
+  follow(target) {
+    this.object.position.copy(target.position);
+    this.object.quaternion.copy(target.quaternion);
+    this.object.scale.copy(target.scale);
+  }
+
+  /**
+   * Rend l'occluder visible (fil de fer) pour régler radii / offset
+   */
+  setDebug(enabled) {
+    this.material.colorWrite = enabled;
+    this.material.wireframe = enabled;
+    this.material.color.set(enabled ? 0xff00ff : 0xffffff);
+  }
+
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
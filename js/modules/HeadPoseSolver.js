@@ -0,0 +1,364 @@
+import { CONFIG, CANONICAL_FACE_MODEL, HEAD_POSE_LANDMARKS } from "../config.js";
+
+/**
+ * HeadPoseSolver - Estimation de pose de la tête par Perspective-n-Point
+ *
+ * Ajuste le modèle canonique du visage (CANONICAL_FACE_MODEL) aux landmarks
+ * MediaPipe en minimisant l'erreur de reprojection (Levenberg-Marquardt sur
+ * rotation + translation), avec les intrinsèques déduites de la FOV caméra.
+ *
+ * Convention OpenCV : caméra à l'origine, x à droite, y vers le bas, z devant.
+ * Le modèle est exprimé dans ce repère (x, -y, -z) : une tête de face donne R = I.
+ */
+export class HeadPoseSolver {
+  constructor({
+    model = CANONICAL_FACE_MODEL,
+    landmarks = HEAD_POSE_LANDMARKS,
+    maxIterations = 20,
+    tolerance = 1e-6,
+  } = {}) {
+    this.landmarks = landmarks.filter((i) => model[i]);
+    this.objectPoints = this.landmarks.map((i) => {
+      const [x, y, z] = model[i];
+      return [x, -y, -z];
+    });
+
+    this.maxIterations = maxIterations;
+    this.tolerance = tolerance;
+
+    // Pose précédente (démarrage à chaud)
+    this.previous = null;
+  }
+
+  /**
+   * Intrinsèques caméra (pinhole) depuis la FOV verticale
+   */
+  static intrinsicsFor(videoWidth, videoHeight, fovDegrees = CONFIG.camera?.fov ?? 63) {
+    const f = videoHeight / 2 / Math.tan((fovDegrees * Math.PI) / 360);
+    return { fx: f, fy: f, cx: videoWidth / 2, cy: videoHeight / 2 };
+  }
+
+  /**
+   * Résout la pose de la tête
+   * @param {Array} keypoints - Landmarks MediaPipe (pixels)
+   * @param {Object} options - { mirrored } true si l'image a été retournée avant détection
+   * @returns {Object|null} - { rotationMatrix, quaternion, translation, reprojectionError, iterations }
+   */
+  solve(keypoints, videoWidth, videoHeight, { mirrored = true } = {}) {
+    if (!keypoints || this.landmarks.some((i) => !keypoints[i])) {
+      return null;
+    }
+
+    const K = HeadPoseSolver.intrinsicsFor(videoWidth, videoHeight);
+
+    // Points image dans le repère caméra réel (on annule le miroir)
+    const imagePoints = this.landmarks.map((i) => [
+      mirrored ? videoWidth - keypoints[i].x : keypoints[i].x,
+      keypoints[i].y,
+    ]);
+
+    let { R, t } = this.previous || this.initialGuess(imagePoints, K);
+    let error = this.reprojectionError(R, t, imagePoints, K);
+    let lambda = 1e-3;
+    let iterations = 0;
+
+    for (; iterations < this.maxIterations; iterations++) {
+      const { JtJ, Jtr } = this.normalEquations(R, t, imagePoints, K);
+
+      // Levenberg-Marquardt : (JᵀJ + λ·diag(JᵀJ)) δ = -Jᵀr
+      let improved = false;
+      while (lambda < 1e8) {
+        const A = JtJ.map((row, r) =>
+          row.map((v, c) => (r === c ? v * (1 + lambda) + 1e-12 : v))
+        );
+        const delta = solveLinear(A, Jtr.map((v) => -v));
+        if (!delta) break;
+
+        const candidateR = multiply3(rodrigues(delta.slice(0, 3)), R);
+        const candidateT = [t[0] + delta[3], t[1] + delta[4], t[2] + delta[5]];
+        const candidateError = this.reprojectionError(candidateR, candidateT, imagePoints, K);
+
+        if (candidateError < error) {
+          const gain = error - candidateError;
+          R = orthonormalize(candidateR);
+          t = candidateT;
+          error = candidateError;
+          lambda = Math.max(lambda / 10, 1e-9);
+          improved = gain > this.tolerance * error;
+          break;
+        }
+        lambda *= 10;
+      }
+
+      if (!improved) break;
+    }
+
+    // Une tête derrière la caméra signifie un échec de convergence
+    if (t[2] <= 0 || !isFinite(error)) {
+      this.previous = null;
+      return null;
+    }
+
+    this.previous = { R, t };
+
+    return {
+      rotationMatrix: R,
+      quaternion: quaternionFromMatrix(R),
+      translation: t,
+      reprojectionError: Math.sqrt(error / imagePoints.length),
+      iterations: iterations,
+    };
+  }
+
+  /**
+   * Estimation initiale : tête de face, distance déduite de l'étendue des points
+   */
+  initialGuess(imagePoints, K) {
+    const n = imagePoints.length;
+    let u = 0, v = 0, X = 0, Y = 0;
+    for (let i = 0; i < n; i++) {
+      u += imagePoints[i][0];
+      v += imagePoints[i][1];
+      X += this.objectPoints[i][0];
+      Y += this.objectPoints[i][1];
+    }
+    u /= n; v /= n; X /= n; Y /= n;
+
+    let imageSpread = 0, objectSpread = 0;
+    for (let i = 0; i < n; i++) {
+      imageSpread += (imagePoints[i][0] - u) ** 2 + (imagePoints[i][1] - v) ** 2;
+      objectSpread += (this.objectPoints[i][0] - X) ** 2 + (this.objectPoints[i][1] - Y) ** 2;
+    }
+
+    const tz = K.fx * Math.sqrt(objectSpread / imageSpread);
+
+    return {
+      R: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+      t: [((u - K.cx) * tz) / K.fx - X, ((v - K.cy) * tz) / K.fy - Y, tz],
+    };
+  }
+
+  /**
+   * Somme des carrés des erreurs de reprojection (px²)
+   */
+  reprojectionError(R, t, imagePoints, K) {
+    let sum = 0;
+    for (let i = 0; i < imagePoints.length; i++) {
+      const [x, y, z] = transformPoint(R, t, this.objectPoints[i]);
+      if (z <= 0) return Infinity;
+      const du = (K.fx * x) / z + K.cx - imagePoints[i][0];
+      const dv = (K.fy * y) / z + K.cy - imagePoints[i][1];
+      sum += du * du + dv * dv;
+    }
+    return sum;
+  }
+
+  /**
+   * Équations normales JᵀJ et Jᵀr (perturbation à gauche de R, puis t)
+   */
+  normalEquations(R, t, imagePoints, K) {
+    const JtJ = Array.from({ length: 6 }, () => new Array(6).fill(0));
+    const Jtr = new Array(6).fill(0);
+
+    for (let i = 0; i < imagePoints.length; i++) {
+      const p = this.objectPoints[i];
+      const rp = [
+        R[0] * p[0] + R[1] * p[1] + R[2] * p[2],
+        R[3] * p[0] + R[4] * p[1] + R[5] * p[2],
+        R[6] * p[0] + R[7] * p[1] + R[8] * p[2],
+      ];
+      const x = rp[0] + t[0], y = rp[1] + t[1], z = rp[2] + t[2];
+      const iz = 1 / z;
+
+      const ru = K.fx * x * iz + K.cx - imagePoints[i][0];
+      const rv = K.fy * y * iz + K.cy - imagePoints[i][1];
+
+      // d(u,v)/d(x,y,z)
+      const du = [K.fx * iz, 0, -K.fx * x * iz * iz];
+      const dv = [0, K.fy * iz, -K.fy * y * iz * iz];
+
+      // d(x,y,z)/dω = -[Rp]ₓ, soit d·(ω × Rp) = ω·(Rp × d)
+      const rows = [du, dv].map((d) => [
+        rp[1] * d[2] - rp[2] * d[1],
+        rp[2] * d[0] - rp[0] * d[2],
+        rp[0] * d[1] - rp[1] * d[0],
+        d[0],
+        d[1],
+        d[2],
+      ]);
+
+      [ru, rv].forEach((r, k) => {
+        const J = rows[k];
+        for (let a = 0; a < 6; a++) {
+          Jtr[a] += J[a] * r;
+          for (let b = 0; b < 6; b++) {
+            JtJ[a][b] += J[a] * J[b];
+          }
+        }
+      });
+    }
+
+    return { JtJ, Jtr };
+  }
+
+  /**
+   * Oublie la pose précédente (nouveau visage, perte de tracking)
+   */
+  reset() {
+    this.previous = null;
+  }
+}
+
+/**
+ * Profondeur (mm, repère caméra) du barycentre de landmarks du modèle, pour une pose résolue
+ * Les landmarks absents du modèle sont ignorés.
+ * @param {Object} pose - Résultat de HeadPoseSolver.solve
+ * @returns {number|null} - null si aucun landmark n'est dans le modèle
+ */
+export function modelDepth(pose, indices, model = CANONICAL_FACE_MODEL) {
+  const known = indices.filter((i) => model[i]);
+  if (!known.length) {
+    return null;
+  }
+
+  const R = pose.rotationMatrix;
+  let depth = 0;
+  known.forEach((i) => {
+    const [x, y, z] = model[i];
+    depth += R[6] * x - R[7] * y - R[8] * z;
+  });
+
+  return depth / known.length + pose.translation[2];
+}
+
+/**
+ * Applique R·p + t
+ */
+function transformPoint(R, t, p) {
+  return [
+    R[0] * p[0] + R[1] * p[1] + R[2] * p[2] + t[0],
+    R[3] * p[0] + R[4] * p[1] + R[5] * p[2] + t[1],
+    R[6] * p[0] + R[7] * p[1] + R[8] * p[2] + t[2],
+  ];
+}
+
+/**
+ * Produit de matrices 3x3 (row-major)
+ */
+function multiply3(a, b) {
+  const out = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+  }
+  return out;
+}
+
+/**
+ * Vecteur de rotation → matrice (formule de Rodrigues)
+ */
+function rodrigues(w) {
+  const theta = Math.hypot(w[0], w[1], w[2]);
+  if (theta < 1e-12) {
+    return [1, -w[2], w[1], w[2], 1, -w[0], -w[1], w[0], 1];
+  }
+
+  const [x, y, z] = w.map((v) => v / theta);
+  const c = Math.cos(theta), s = Math.sin(theta), C = 1 - c;
+
+  return [
+    c + x * x * C, x * y * C - z * s, x * z * C + y * s,
+    y * x * C + z * s, c + y * y * C, y * z * C - x * s,
+    z * x * C - y * s, z * y * C + x * s, c + z * z * C,
+  ];
+}
+
+/**
+ * Ré-orthonormalise une matrice de rotation (Gram-Schmidt sur les lignes)
+ */
+function orthonormalize(R) {
+  const r0 = normalize([R[0], R[1], R[2]]);
+  let r1 = [R[3], R[4], R[5]];
+  const d = r0[0] * r1[0] + r0[1] * r1[1] + r0[2] * r1[2];
+  r1 = normalize([r1[0] - d * r0[0], r1[1] - d * r0[1], r1[2] - d * r0[2]]);
+  const r2 = [
+    r0[1] * r1[2] - r0[2] * r1[1],
+    r0[2] * r1[0] - r0[0] * r1[2],
+    r0[0] * r1[1] - r0[1] * r1[0],
+  ];
+  return [...r0, ...r1, ...r2];
+}
+
+function normalize(v) {
+  const n = Math.hypot(v[0], v[1], v[2]);
+  return [v[0] / n, v[1] / n, v[2] / n];
+}
+
+/**
+ * Matrice de rotation → quaternion {x, y, z, w}
+ */
+function quaternionFromMatrix(R) {
+  const trace = R[0] + R[4] + R[8];
+  let x, y, z, w;
+
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    w = 0.25 / s;
+    x = (R[7] - R[5]) * s;
+    y = (R[2] - R[6]) * s;
+    z = (R[3] - R[1]) * s;
+  } else if (R[0] > R[4] && R[0] > R[8]) {
+    const s = 2 * Math.sqrt(1 + R[0] - R[4] - R[8]);
+    w = (R[7] - R[5]) / s;
+    x = 0.25 * s;
+    y = (R[1] + R[3]) / s;
+    z = (R[2] + R[6]) / s;
+  } else if (R[4] > R[8]) {
+    const s = 2 * Math.sqrt(1 + R[4] - R[0] - R[8]);
+    w = (R[2] - R[6]) / s;
+    x = (R[1] + R[3]) / s;
+    y = 0.25 * s;
+    z = (R[5] + R[7]) / s;
+  } else {
+    const s = 2 * Math.sqrt(1 + R[8] - R[0] - R[4]);
+    w = (R[3] - R[1]) / s;
+    x = (R[2] + R[6]) / s;
+    y = (R[5] + R[7]) / s;
+    z = 0.25 * s;
+  }
+
+  return { x, y, z, w };
+}
+
+/**
+ * Résout A·x = b (élimination de Gauss avec pivot partiel)
+ */
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-15) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let r = col + 1; r < n; r++) {
+      const factor = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) {
+        M[r][c] -= factor * M[col][c];
+      }
+    }
+  }
+
+  const x = new Array(n);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+}
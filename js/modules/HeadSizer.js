@@ -0,0 +1,124 @@
+import { CONFIG } from "../config.js";
+import { headCircumference } from "./MetricScaleEstimator.js";
+
+/**
+ * HeadSizer - Tour de tête mesuré et taille recommandée
+ *
+ * Accumule les dimensions métriques de la tête (MetricScaleEstimator, une mesure par
+ * frame où l'iris est exploitable) sur une fenêtre glissante. La médiane résiste aux
+ * clignements et aux mauvaises détections ; la dispersion de la fenêtre et l'incertitude
+ * propre à la méthode donnent la confiance de la recommandation.
+ */
+export class HeadSizer {
+  /**
+   * @param {Object} settings - CONFIG.sizing
+   */
+  constructor(settings = CONFIG.sizing) {
+    this.settings = settings;
+    this.samples = [];
+  }
+
+  /**
+   * Avancement de la calibration (0 à 1)
+   */
+  get progress() {
+    return Math.min(1, this.samples.length / this.settings.minSamples);
+  }
+
+  get isReady() {
+    return this.samples.length >= this.settings.minSamples;
+  }
+
+  /**
+   * Ajoute la mesure d'une frame
+   * @param {Object|null} frame - { headWidthMm, headDepthMm } (transform.metric.frame)
+   */
+  add(frame) {
+    if (!frame) return;
+
+    this.samples.push(frame);
+    if (this.samples.length > this.settings.windowSize) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Tour de tête estimé
+   * @returns {Object|null} - { widthMm, depthMm, circumferenceCm, uncertaintyCm },
+   *                          null avant minSamples mesures
+   */
+  estimate() {
+    if (!this.isReady) return null;
+
+    const widthMm = median(this.samples.map((s) => s.headWidthMm));
+    const depthMm = median(this.samples.map((s) => s.headDepthMm));
+    const circumferences = this.samples.map(
+      (s) => headCircumference(s.headWidthMm, s.headDepthMm) / 10
+    );
+
+    // Écart type de la fenêtre et erreur systématique (dispersion de l'iris entre adultes)
+    const mean = circumferences.reduce((a, b) => a + b, 0) / circumferences.length;
+    const variance =
+      circumferences.reduce((sum, c) => sum + (c - mean) ** 2, 0) / circumferences.length;
+
+    return {
+      widthMm,
+      depthMm,
+      circumferenceCm: headCircumference(widthMm, depthMm) / 10,
+      uncertaintyCm: Math.sqrt(variance + this.settings.systematicErrorCm ** 2),
+    };
+  }
+
+  /**
+   * Nouvelle personne : la fenêtre repart de zéro
+   */
+  reset() {
+    this.samples = [];
+  }
+}
+
+/**
+ * Taille du guide la plus probable pour un tour de tête mesuré
+ * Confiance : probabilité que le tour de tête réel (loi normale, écart type uncertaintyCm)
+ * tombe dans la taille recommandée.
+ * @param {Object} estimate - HeadSizer.estimate()
+ * @param {Object} sizeChart - Guide des tailles validé (ProductSchema)
+ * @returns {Object|null} - { label, confidence (0 à 1), fit: "within" | "below" | "above" }
+ */
+export function recommendSize(estimate, sizeChart) {
+  if (!estimate || !sizeChart?.sizes?.length) return null;
+
+  const { circumferenceCm, uncertaintyCm } = estimate;
+  const probability = ({ min, max }) =>
+    normalCdf((max - circumferenceCm) / uncertaintyCm) -
+    normalCdf((min - circumferenceCm) / uncertaintyCm);
+
+  const best = sizeChart.sizes.reduce((a, b) => (probability(b) > probability(a) ? b : a));
+  const sizes = sizeChart.sizes;
+
+  let fit = "within";
+  if (circumferenceCm < sizes[0].min) fit = "below";
+  if (circumferenceCm > sizes[sizes.length - 1].max) fit = "above";
+
+  return { label: best.label, confidence: probability(best), fit };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Fonction de répartition de la loi normale centrée réduite
+ * (approximation d'Abramowitz et Stegun 7.1.26, erreur < 1,5e-7)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly =
+    t *
+    (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
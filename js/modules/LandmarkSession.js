@@ -0,0 +1,248 @@
+/**
+ * LandmarkSession - Enregistrement et relecture de flux de landmarks
+ * Permet de rejouer une session face.keypoints sans caméra (debug reproductible, headless)
+ *
+ * Format d'une session (JSON):
+ * {
+ *   version: 1,
+ *   createdAt: "2024-01-01T00:00:00.000Z",
+ *   metadata: {...},
+ *   frames: [{ t: 0, w: 1280, h: 720, k: [x0, y0, z0, x1, y1, z1, ...] | null }]
+ * }
+ * `t` est relatif au début de l'enregistrement (ms), `k` vaut null si aucun visage.
+ */
+export const SESSION_FORMAT_VERSION = 1;
+
+// Précision des coordonnées enregistrées (pixels)
+const COORD_PRECISION = 100;
+
+/**
+ * LandmarkRecorder - Enregistre les keypoints produits par FaceTracker.processFrame
+ */
+export class LandmarkRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.session = null;
+    this.startTime = null;
+  }
+
+  /**
+   * Démarre un nouvel enregistrement
+   */
+  start(metadata = {}) {
+    this.session = {
+      version: SESSION_FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      metadata: metadata,
+      frames: [],
+    };
+    this.startTime = null;
+    this.isRecording = true;
+  }
+
+  /**
+   * Ajoute une frame (keypoints null = visage perdu)
+   */
+  addFrame(keypoints, timestamp, videoWidth, videoHeight) {
+    if (!this.isRecording) return;
+
+    if (this.startTime === null) {
+      this.startTime = timestamp;
+    }
+
+    this.session.frames.push({
+      t: Math.round((timestamp - this.startTime) * 10) / 10,
+      w: videoWidth,
+      h: videoHeight,
+      k: keypoints ? flattenKeypoints(keypoints) : null,
+    });
+  }
+
+  /**
+   * Arrête l'enregistrement et retourne la session
+   */
+  stop() {
+    this.isRecording = false;
+    const session = this.session;
+    this.session = null;
+    return session;
+  }
+
+  /**
+   * Sérialise une session en JSON
+   */
+  static serialize(session) {
+    return JSON.stringify(session);
+  }
+}
+
+/**
+ * LandmarkPlayer - Rejoue une session à la place du détecteur
+ */
+export class LandmarkPlayer {
+  /**
+   * @param {Object} session - Session validée (voir LandmarkPlayer.parse)
+   * @param {Object} options - { loop, realtime }
+   *   realtime=false : une frame par appel (déterministe, headless)
+   *   realtime=true  : frame choisie selon le temps écoulé depuis le premier appel
+   */
+  constructor(session, { loop = false, realtime = false } = {}) {
+    this.session = LandmarkPlayer.parse(session);
+    this.frames = this.session.frames;
+    this.loop = loop;
+    this.realtime = realtime;
+
+    this.index = 0;
+    this.startTime = null;
+    this.isFinished = this.frames.length === 0;
+  }
+
+  /**
+   * Valide une session (objet ou chaîne JSON)
+   */
+  static parse(data) {
+    const session = typeof data === "string" ? JSON.parse(data) : data;
+
+    if (!session || !Array.isArray(session.frames)) {
+      throw new Error("Session de landmarks invalide: frames manquantes");
+    }
+
+    if (session.version !== SESSION_FORMAT_VERSION) {
+      throw new Error(
+        `Version de session non supportée: ${session.version} (attendu ${SESSION_FORMAT_VERSION})`
+      );
+    }
+
+    session.frames.forEach((frame, i) => {
+      if (typeof frame.t !== "number" || !frame.w || !frame.h) {
+        throw new Error(`Frame ${i} invalide dans la session`);
+      }
+      if (frame.k !== null && (!Array.isArray(frame.k) || frame.k.length % 3 !== 0)) {
+        throw new Error(`Keypoints invalides à la frame ${i}`);
+      }
+    });
+
+    return session;
+  }
+
+  /**
+   * Charge une session depuis une URL
+   */
+  static async load(url, options = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Impossible de charger la session ${url} (${response.status})`);
+    }
+    return new LandmarkPlayer(await response.json(), options);
+  }
+
+  /**
+   * Retourne la frame suivante selon le mode de lecture
+   */
+  getFrame(timestamp) {
+    if (this.isFinished) return null;
+
+    if (!this.realtime) {
+      return this.next();
+    }
+
+    if (this.startTime === null) {
+      this.startTime = timestamp;
+    }
+
+    return this.frameAt(timestamp - this.startTime);
+  }
+
+  /**
+   * Frame suivante (lecture séquentielle)
+   */
+  next() {
+    if (this.index >= this.frames.length) {
+      if (!this.loop) {
+        this.isFinished = true;
+        return null;
+      }
+      this.index = 0;
+    }
+
+    return this.decodeFrame(this.frames[this.index++]);
+  }
+
+  /**
+   * Frame correspondant à un temps écoulé (ms)
+   */
+  frameAt(elapsed) {
+    const duration = this.getDuration();
+
+    if (elapsed > duration) {
+      if (!this.loop) {
+        this.isFinished = true;
+        return null;
+      }
+      elapsed = duration > 0 ? elapsed % duration : 0;
+    }
+
+    // Avancer jusqu'à la dernière frame dont t <= elapsed (depuis le début après une boucle)
+    if (this.frames[this.index].t > elapsed) {
+      this.index = 0;
+    }
+    while (this.index < this.frames.length - 1 && this.frames[this.index + 1].t <= elapsed) {
+      this.index++;
+    }
+
+    return this.decodeFrame(this.frames[this.index]);
+  }
+
+  /**
+   * Durée de la session (ms)
+   */
+  getDuration() {
+    if (this.frames.length === 0) return 0;
+    return this.frames[this.frames.length - 1].t;
+  }
+
+  /**
+   * Convertit une frame enregistrée en données exploitables
+   */
+  decodeFrame(frame) {
+    return {
+      keypoints: frame.k ? unflattenKeypoints(frame.k) : null,
+      videoWidth: frame.w,
+      videoHeight: frame.h,
+      time: frame.t,
+    };
+  }
+
+  /**
+   * Revient au début de la session
+   */
+  reset() {
+    this.index = 0;
+    this.startTime = null;
+    this.isFinished = this.frames.length === 0;
+  }
+}
+
+/**
+ * Keypoints [{x, y, z}] → tableau plat arrondi
+ */
+function flattenKeypoints(keypoints) {
+  const flat = new Array(keypoints.length * 3);
+  keypoints.forEach((p, i) => {
+    flat[i * 3] = Math.round(p.x * COORD_PRECISION) / COORD_PRECISION;
+    flat[i * 3 + 1] = Math.round(p.y * COORD_PRECISION) / COORD_PRECISION;
+    flat[i * 3 + 2] = Math.round((p.z || 0) * COORD_PRECISION) / COORD_PRECISION;
+  });
+  return flat;
+}
+
+/**
+ * Tableau plat → keypoints [{x, y, z}]
+ */
+export function unflattenKeypoints(flat) {
+  const keypoints = new Array(flat.length / 3);
+  for (let i = 0; i < keypoints.length; i++) {
+    keypoints[i] = { x: flat[i * 3], y: flat[i * 3 + 1], z: flat[i * 3 + 2] };
+  }
+  return keypoints;
+}
@@ -0,0 +1,139 @@
+import { CONFIG } from "../config.js";
+import { HeadPoseSolver, modelDepth } from "./HeadPoseSolver.js";
+
+// Iris (refineLandmarks) : centre puis contour, paires horizontale (1, 3) et verticale (2, 4)
+const IRISES = [
+  [468, 469, 470, 471, 472],
+  [473, 474, 475, 476, 477],
+];
+
+// Coins des yeux : profondeur des iris dans le modèle canonique
+const EYE_CORNERS = [33, 133, 362, 263];
+
+/**
+ * MetricScaleEstimator - Distance et taille réelles de la tête d'après l'iris
+ *
+ * Le diamètre de l'iris (≈ 11,7 mm) varie peu d'un adulte à l'autre : avec la focale
+ * déduite de la FOV caméra, il donne la distance réelle des yeux. La pose PnP suppose
+ * un visage de la taille du modèle canonique ; le rapport des deux distances est la taille
+ * du visage (faceScale, 1 = tête moyenne). La pose PnP, multipliée par ce rapport, devient
+ * métrique. Indépendant de la résolution de la vidéo.
+ *
+ * Sans landmarks de l'iris (refineLandmarks désactivé), la tête est supposée moyenne.
+ */
+export class MetricScaleEstimator {
+  /**
+   * @param {Object} settings - CONFIG.metricScale
+   */
+  constructor(settings = CONFIG.metricScale) {
+    this.settings = settings;
+    this.faceScale = 1;
+    this.samples = 0;
+  }
+
+  get isCalibrated() {
+    return this.samples >= this.settings.minSamples;
+  }
+
+  /**
+   * Ajoute la mesure d'une frame
+   * @param {Array} keypoints - Landmarks MediaPipe (pixels), 478 avec l'iris
+   * @param {Object} pose - Pose PnP (HeadPoseSolver.solve)
+   * @returns {Object} - Mesure courante (voir measure)
+   */
+  update(keypoints, pose, videoWidth, videoHeight) {
+    const irisPixels = this.irisDiameter(keypoints);
+
+    // Iris vu de face : cos(angle entre la normale du visage et l'axe optique)
+    const facing = pose.rotationMatrix[8] >= Math.cos(this.settings.maxAngle);
+
+    let sample = null;
+    if (irisPixels && facing) {
+      const { fy } = HeadPoseSolver.intrinsicsFor(videoWidth, videoHeight);
+      const irisDepth = (fy * this.settings.irisDiameterMm) / irisPixels;
+      sample = this.addSample(irisDepth / modelDepth(pose, EYE_CORNERS));
+    }
+
+    return this.measure(pose, sample);
+  }
+
+  /**
+   * Diamètre apparent moyen des deux iris (pixels)
+   * Le plus grand des diamètres horizontal et vertical : un disque vu de biais ne se
+   * raccourcit que dans une direction.
+   * @returns {number|null} - null sans landmarks de l'iris
+   */
+  irisDiameter(keypoints) {
+    if (!keypoints || keypoints.length < 478) {
+      return null;
+    }
+
+    const distance = (a, b) =>
+      Math.hypot(keypoints[b].x - keypoints[a].x, keypoints[b].y - keypoints[a].y);
+
+    const diameters = IRISES.map(([, right, top, left, bottom]) =>
+      Math.max(distance(right, left), distance(top, bottom))
+    );
+    const diameter = (diameters[0] + diameters[1]) / 2;
+
+    return diameter > 0 ? diameter : null;
+  }
+
+  /**
+   * Taille du visage : moyenne des premières mesures, puis lissage exponentiel
+   * Les mesures hors bornes (iris mal détecté, paupière fermée) sont ignorées.
+   * @returns {number|null} - Mesure retenue
+   */
+  addSample(faceScale) {
+    const { minFaceScale, maxFaceScale, smoothing } = this.settings;
+    if (!(faceScale >= minFaceScale && faceScale <= maxFaceScale)) {
+      return null;
+    }
+
+    this.samples++;
+    const weight = Math.max(smoothing, 1 / this.samples);
+    this.faceScale += (faceScale - this.faceScale) * weight;
+    return faceScale;
+  }
+
+  /**
+   * Distance et dimensions réelles de la tête
+   * La profondeur du crâne n'est pas visible de face : la tête moyenne est mise à l'échelle.
+   * @param {number|null} sample - Taille du visage mesurée sur cette frame
+   * @returns {Object} - { faceScale, distanceMm, headWidthMm, headDepthMm, circumferenceMm,
+   *                       isCalibrated, frame } ; frame : dimensions de cette seule frame
+   *                       ({ headWidthMm, headDepthMm }, null sans mesure de l'iris)
+   */
+  measure(pose, sample = null) {
+    const { widthMm, depthMm } = this.settings.referenceHead;
+    const headWidthMm = widthMm * this.faceScale;
+    const headDepthMm = depthMm * this.faceScale;
+
+    return {
+      faceScale: this.faceScale,
+      distanceMm: pose.translation[2] * this.faceScale,
+      headWidthMm,
+      headDepthMm,
+      circumferenceMm: headCircumference(headWidthMm, headDepthMm),
+      isCalibrated: this.isCalibrated,
+      frame: sample && { headWidthMm: widthMm * sample, headDepthMm: depthMm * sample },
+    };
+  }
+
+  /**
+   * Oublie la calibration (nouvelle personne)
+   */
+  reset() {
+    this.faceScale = 1;
+    this.samples = 0;
+  }
+}
+
+/**
+ * Tour de tête : périmètre de l'ellipse largeur × longueur (approximation de Ramanujan)
+ */
+export function headCircumference(widthMm, depthMm) {
+  const a = widthMm / 2;
+  const b = depthMm / 2;
+  return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+}
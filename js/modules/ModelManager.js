@@ -1,4 +1,4 @@
-import { PRODUCTS } from "../config.js";
+import { CatalogService } from "./CatalogService.js";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import * as THREE from "three";
 
@@ -7,10 +7,21 @@ import * as THREE from "three";
  * Gère le chargement, le cache, le préchargement et l'optimisation des modèles
  */
 export class ModelManager {
-  constructor() {
+  /**
+   * @param {CatalogService} catalog - Catalogue produits (préchargement par catégorie)
+   */
+  constructor(catalog = new CatalogService()) {
+    this.catalog = catalog;
     this.loader = new GLTFLoader();
     this.cache = new Map();
     this.loadingProgress = new Map();
+
+    // Variantes : parser glTF par URL (KHR_materials_variants), textures, matériaux d'origine
+    this.textureLoader = new THREE.TextureLoader();
+    this.variantSources = new Map();
+    this.textureCache = new Map();
+    this.originalMaterials = new WeakMap();
+    this.overrideMaterials = new WeakSet();
     this.onProgress = null;
 
     // Statistiques
@@ -32,15 +43,15 @@ export class ModelManager {
     if (this.cache.has(url)) {
       console.log(`[ModelManager] 💾 Cache HIT: ${url}`);
       this.stats.cacheHits++;
-      return this.cache.get(url).clone();
+      return this.instantiate(url);
     }
 
     this.stats.cacheMisses++;
 
-    // Vérifier si déjà en cours de chargement
+    // Vérifier si déjà en cours de chargement (chaque appelant reçoit son propre clone)
     if (this.loadingProgress.has(url)) {
       console.log(`[ModelManager] ⏳ Chargement en cours: ${url}`);
-      return this.loadingProgress.get(url);
+      return this.loadingProgress.get(url).then(() => this.instantiate(url));
     }
 
     // Créer une nouvelle promesse de chargement
@@ -54,8 +65,13 @@ export class ModelManager {
           // Optimiser le modèle
           this.optimizeModel(model);
 
-          // Mettre en cache
+          // Mettre en cache (avec le parser, pour les variantes glTF)
           this.cache.set(url, model);
+          this.variantSources.set(url, {
+            parser: gltf.parser,
+            variants:
+              gltf.userData?.gltfExtensions?.KHR_materials_variants?.variants || [],
+          });
           this.loadingProgress.delete(url);
 
           // Statistiques
@@ -66,7 +82,7 @@ export class ModelManager {
           console.log(
             `[ModelManager] ✅ Modèle chargé: ${url} (${loadTime.toFixed(0)}ms)`
           );
-          resolve(model.clone());
+          resolve(this.instantiate(url));
         },
 
         // onProgress
@@ -197,19 +213,21 @@ export class ModelManager {
   }
 
   /**
-   * Précharge tous les produits d'une catégorie
+   * Précharge les produits d'une catégorie du catalogue (tous si category est null)
+   * @returns {Promise<Array>} - Produits dont le modèle n'a pas pu être chargé
    */
-  async preloadCategory(category = "head", onProgress = null) {
-    const products = PRODUCTS;
+  async preloadCategory(category = null, onProgress = null) {
+    const products = this.catalog.getProducts(category);
     const urls = products.map((p) => p.modelUrl);
 
     console.log(
-      `[ModelManager] 📂 Préchargement catégorie "${category}": ${urls.length} modèles`
+      `[ModelManager] 📂 Préchargement catégorie "${category ?? "toutes"}": ${urls.length} modèles`
     );
 
     try {
-      await this.preloadModels(urls, onProgress);
-      console.log(`[ModelManager] ✅ Catégorie "${category}" préchargée`);
+      const models = await this.preloadModels(urls, onProgress);
+      console.log(`[ModelManager] ✅ Catégorie "${category ?? "toutes"}" préchargée`);
+      return products.filter((product, i) => !models[i]);
     } catch (error) {
       console.error(`[ModelManager] ❌ Erreur préchargement catégorie:`, error);
       throw error;
@@ -217,22 +235,37 @@ export class ModelManager {
   }
 
   /**
-   * Prépare un modèle pour le rendu AR
-   * (N'applique PAS l'échelle - sera calculée automatiquement)
+   * Précharge des produits précis (voisins du produit essayé) et la texture de leur coloris
+   * par défaut : le changement de produit n'attend plus le réseau
+   * @returns {Promise<Array>} - Produits dont le modèle n'a pas pu être chargé
    */
-  prepareModel(model, productConfig) {
-    // Appliquer la rotation de base (si elle existe)
-    if (productConfig.rotation) {
-      model.rotation.set(
-        productConfig.rotation.x,
-        productConfig.rotation.y,
-        productConfig.rotation.z
-      );
-    }
+  async preloadProducts(products) {
+    const pending = products.filter((product) => !this.cache.has(product.modelUrl));
+    if (pending.length === 0) return [];
+
+    const models = await this.preloadModels(pending.map((product) => product.modelUrl));
 
+    await Promise.allSettled(
+      pending.map((product) => {
+        const variant =
+          product.variants?.find((v) => v.id === product.defaultVariant) || product.variants?.[0];
+        return variant?.texture ? this.loadTexture(variant.texture) : null;
+      })
+    );
+
+    return pending.filter((product, i) => !models[i]);
+  }
+
+  /**
+   * Associe au modèle la configuration de son produit
+   * (N'applique ni échelle ni rotation - ajustement fait par AutoFitter.prepareModel)
+   * @param {Object} productConfig - Produit validé (voir ProductSchema.validateProduct)
+   */
+  prepareModel(model, productConfig) {
     // Stocker la configuration dans userData
     model.userData = {
       productConfig: productConfig,
+      anchor: productConfig.anchor,
       baseScale: productConfig.scale || { x: 1, y: 1, z: 1 },
       baseRotation: productConfig.rotation || { x: 0, y: 0, z: 0 },
       offset: productConfig.offset || { x: 0, y: 0, z: 0 },
@@ -244,6 +277,142 @@ export class ModelManager {
     return model;
   }
 
+  /**
+   * Clone d'un modèle du cache, avec ses propres matériaux : l'opacité ou une variante
+   * appliquée à une instance ne touche ni le cache ni les autres clones (textures partagées)
+   */
+  instantiate(url) {
+    const model = this.cache.get(url).clone();
+    model.traverse((child) => {
+      if (child.isMesh && child.material) {
+        child.material = Array.isArray(child.material)
+          ? child.material.map((m) => m.clone())
+          : child.material.clone();
+      }
+    });
+    return model;
+  }
+
+  /**
+   * Applique une variante du produit (couleur, texture ou KHR_materials_variants)
+   * à un clone déjà chargé : pas de rechargement du modèle.
+   * Les matériaux du cache ne sont jamais modifiés (clonés avant surcharge).
+   * @param {THREE.Object3D} model - Clone du modèle (ou son groupe d'ancrage)
+   * @param {Object} product - Produit validé (variants, modelUrl)
+   * @param {string|null} variantId - null = matériaux d'origine
+   */
+  async applyVariant(model, product, variantId) {
+    const variant = product.variants?.find((v) => v.id === variantId) || null;
+    if (variantId && !variant) {
+      throw new Error(`Variante inconnue: ${variantId} (${product.id})`);
+    }
+
+    const texture = variant?.texture ? await this.loadTexture(variant.texture) : null;
+    const meshes = [];
+    model.traverse((child) => {
+      if (child.isMesh) meshes.push(child);
+    });
+
+    for (const mesh of meshes) {
+      // Retour aux matériaux d'origine
+      if (!this.originalMaterials.has(mesh)) {
+        this.originalMaterials.set(mesh, mesh.material);
+      }
+      this.disposeOverrides(mesh.material);
+      mesh.material = this.originalMaterials.get(mesh);
+
+      if (!variant) continue;
+
+      // Variante déclarée dans le glTF
+      if (variant.gltfVariant) {
+        await this.applyGltfVariant(mesh, product.modelUrl, variant.gltfVariant);
+      }
+
+      if (variant.color || texture) {
+        mesh.material = Array.isArray(mesh.material)
+          ? mesh.material.map((m) => this.overrideMaterial(m, variant, texture))
+          : this.overrideMaterial(mesh.material, variant, texture);
+      }
+    }
+
+    model.userData.variant = variant ? variant.id : null;
+    console.log(`[ModelManager] 🎨 Variante: ${variant ? variant.name : "origine"} (${product.name})`);
+
+    return model;
+  }
+
+  /**
+   * Copie du matériau avec la couleur / texture de la variante
+   * (matériau inchangé s'il n'est pas ciblé par variant.materials)
+   */
+  overrideMaterial(material, variant, texture) {
+    if (variant.materials && !variant.materials.includes(material.name)) {
+      return material;
+    }
+
+    // Copie déjà propre à ce mesh (variante glTF) : modifiée sur place
+    const override = this.overrideMaterials.has(material) ? material : material.clone();
+    if (variant.color && override.color) {
+      override.color.set(variant.color);
+      // Couleur unie : la texture de base (couleur d'origine) est retirée
+      if (!texture) override.map = null;
+    }
+    if (texture) {
+      override.map = texture;
+    }
+    override.needsUpdate = true;
+
+    this.overrideMaterials.add(override);
+    return override;
+  }
+
+  /**
+   * Libère les matériaux de surcharge (les textures restent en cache)
+   */
+  disposeOverrides(material) {
+    (Array.isArray(material) ? material : [material]).forEach((m) => {
+      if (this.overrideMaterials.has(m)) {
+        m.dispose();
+        this.overrideMaterials.delete(m);
+      }
+    });
+  }
+
+  /**
+   * Matériau d'une variante KHR_materials_variants pour ce mesh
+   * Le parser met ses matériaux en cache : le mesh en reçoit une copie (opacité propre)
+   */
+  async applyGltfVariant(mesh, url, variantName) {
+    const source = this.variantSources.get(url);
+    const mapping = mesh.userData.gltfExtensions?.KHR_materials_variants?.mappings;
+    if (!source || !mapping) return;
+
+    const index = source.variants.findIndex((v) => v.name === variantName);
+    const match = mapping.find((m) => m.variants.includes(index));
+    if (index < 0 || !match) return;
+
+    mesh.material = await source.parser.getDependency("material", match.material);
+    source.parser.assignFinalMaterial(mesh);
+    mesh.material = mesh.material.clone();
+    this.overrideMaterials.add(mesh.material);
+  }
+
+  /**
+   * Texture de variante (mise en cache : changement instantané au second passage)
+   */
+  loadTexture(url) {
+    if (!this.textureCache.has(url)) {
+      const promise = this.textureLoader.loadAsync(url).then((texture) => {
+        texture.flipY = false; // Convention glTF
+        texture.colorSpace = THREE.SRGBColorSpace;
+        return texture;
+      });
+      promise.catch(() => this.textureCache.delete(url));
+      this.textureCache.set(url, promise);
+    }
+    return this.textureCache.get(url);
+  }
+
   /**
    * Obtient les informations du cache
    */
@@ -0,0 +1,176 @@
+import { alignHemisphere } from "./OptimizedKalmanFilter.js";
+
+/**
+ * OneEuroFilter - Filtre passe-bas adaptatif (Casiez, Roussel & Vogel, CHI 2012)
+ *
+ * La fréquence de coupure augmente avec la vitesse du signal :
+ *   - mouvement lent → coupure basse (minCutoff) → jitter supprimé
+ *   - mouvement rapide → coupure haute (minCutoff + beta·|dx|) → peu de latence
+ *
+ * Équations:
+ *   α(fc) = 1 / (1 + τ/Te),  τ = 1 / (2π·fc)
+ *   dx̂(k) = α(dCutoff)·dx(k) + (1 - α)·dx̂(k-1)
+ *   fc = minCutoff + beta·|dx̂(k)|
+ *   x̂(k) = α(fc)·x(k) + (1 - α)·x̂(k-1)
+ */
+export class OneEuroFilter {
+  constructor(minCutoff = 1.0, beta = 0.0, dCutoff = 1.0) {
+    // Paramètres du filtre
+    this.minCutoff = minCutoff; // Coupure minimale (Hz) : ⬇️ = + stable
+    this.beta = beta; // Gain de vitesse : ⬆️ = + réactif
+    this.dCutoff = dCutoff; // Coupure de la dérivée (Hz)
+
+    // État interne
+    this.x = null;
+    this.dx = 0;
+    this.lastTime = null;
+  }
+
+  /**
+   * Filtre une valeur
+   * @param {number} value - Valeur mesurée
+   * @param {number} timestamp - Temps de la mesure (ms)
+   * @returns {number} - Valeur filtrée
+   */
+  filter(value, timestamp) {
+    if (this.x === null) {
+      this.x = value;
+      this.lastTime = timestamp;
+      return value;
+    }
+
+    // Période d'échantillonnage (s), 60 Hz par défaut si le temps est absent
+    let dt = (timestamp - this.lastTime) / 1000;
+    if (!(dt > 0)) dt = 1 / 60;
+    this.lastTime = timestamp;
+
+    // Dérivée filtrée
+    const rawDx = (value - this.x) / dt;
+    this.dx = this.lowPass(rawDx, this.dx, this.alpha(dt, this.dCutoff));
+
+    // Coupure adaptative
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.dx);
+    this.x = this.lowPass(value, this.x, this.alpha(dt, cutoff));
+
+    return this.x;
+  }
+
+  /**
+   * Coefficient de lissage pour une fréquence de coupure
+   */
+  alpha(dt, cutoff) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  lowPass(value, previous, alpha) {
+    return alpha * value + (1 - alpha) * previous;
+  }
+
+  /**
+   * Ajuste les paramètres dynamiquement
+   */
+  setParameters(minCutoff, beta, dCutoff = this.dCutoff) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+  }
+
+  /**
+   * Réinitialise le filtre
+   */
+  reset() {
+    this.x = null;
+    this.dx = 0;
+    this.lastTime = null;
+  }
+}
+
+/**
+ * Vector3OneEuroFilter - One Euro Filter pour vecteurs 3D
+ */
+export class Vector3OneEuroFilter {
+  constructor(minCutoff = 1.0, beta = 0.0, dCutoff = 1.0) {
+    this.xFilter = new OneEuroFilter(minCutoff, beta, dCutoff);
+    this.yFilter = new OneEuroFilter(minCutoff, beta, dCutoff);
+    this.zFilter = new OneEuroFilter(minCutoff, beta, dCutoff);
+  }
+
+  /**
+   * Filtre un vecteur 3D
+   * @param {Object} vector - {x, y, z}
+   * @param {number} timestamp - Temps de la mesure (ms)
+   * @returns {Object} - Vecteur filtré
+   */
+  filter(vector, timestamp) {
+    return {
+      x: this.xFilter.filter(vector.x, timestamp),
+      y: this.yFilter.filter(vector.y, timestamp),
+      z: this.zFilter.filter(vector.z, timestamp),
+    };
+  }
+
+  /**
+   * Réinitialise tous les filtres
+   */
+  reset() {
+    this.xFilter.reset();
+    this.yFilter.reset();
+    this.zFilter.reset();
+  }
+}
+
+/**
+ * QuaternionOneEuroFilter - One Euro Filter composante par composante pour quaternions
+ */
+export class QuaternionOneEuroFilter {
+  constructor(minCutoff = 1.0, beta = 0.0, dCutoff = 1.0) {
+    this.wFilter = new OneEuroFilter(minCutoff, beta, dCutoff);
+    this.xFilter = new OneEuroFilter(minCutoff, beta, dCutoff);
+    this.yFilter = new OneEuroFilter(minCutoff, beta, dCutoff);
+    this.zFilter = new OneEuroFilter(minCutoff, beta, dCutoff);
+    this.previous = null;
+  }
+
+  /**
+   * Filtre un quaternion
+   * @param {Object} quaternion - {w, x, y, z}
+   * @param {number} timestamp - Temps de la mesure (ms)
+   * @returns {Object} - Quaternion filtré et normalisé
+   */
+  filter(quaternion, timestamp) {
+    // q et -q représentent la même rotation : on reste dans l'hémisphère de l'estimation
+    const measured = alignHemisphere(quaternion, this.previous);
+
+    const q = {
+      w: this.wFilter.filter(measured.w, timestamp),
+      x: this.xFilter.filter(measured.x, timestamp),
+      y: this.yFilter.filter(measured.y, timestamp),
+      z: this.zFilter.filter(measured.z, timestamp),
+    };
+
+    const magnitude = Math.sqrt(q.w * q.w + q.x * q.x + q.y * q.y + q.z * q.z);
+    if (magnitude === 0) {
+      return { w: 1, x: 0, y: 0, z: 0 };
+    }
+
+    this.previous = {
+      w: q.w / magnitude,
+      x: q.x / magnitude,
+      y: q.y / magnitude,
+      z: q.z / magnitude,
+    };
+    return this.previous;
+  }
+
+  /**
+   * Réinitialise tous les filtres
+   */
+  reset() {
+    this.wFilter.reset();
+    this.xFilter.reset();
+    this.yFilter.reset();
+    this.zFilter.reset();
+    this.previous = null;
+  }
+}
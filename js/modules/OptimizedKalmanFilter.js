@@ -230,6 +230,7 @@ export class QuaternionKalmanFilter {
     this.xFilter = new OptimizedKalmanFilter(processNoise, measurementNoise);
     this.yFilter = new OptimizedKalmanFilter(processNoise, measurementNoise);
     this.zFilter = new OptimizedKalmanFilter(processNoise, measurementNoise);
+    this.previous = null;
   }
 
   /**
@@ -238,15 +239,19 @@ export class QuaternionKalmanFilter {
    * @returns {Object} - Quaternion filtré et normalisé
    */
   filter(quaternion) {
+    // q et -q représentent la même rotation : on reste dans l'hémisphère de l'estimation
+    const q = alignHemisphere(quaternion, this.previous);
+
     const filtered = {
-      w: this.wFilter.filter(quaternion.w),
-      x: this.xFilter.filter(quaternion.x),
-      y: this.yFilter.filter(quaternion.y),
-      z: this.zFilter.filter(quaternion.z),
+      w: this.wFilter.filter(q.w),
+      x: this.xFilter.filter(q.x),
+      y: this.yFilter.filter(q.y),
+      z: this.zFilter.filter(q.z),
     };
 
     // Normaliser le quaternion filtré
-    return this.normalize(filtered);
+    this.previous = this.normalize(filtered);
+    return this.previous;
   }
 
   /**
@@ -285,5 +290,361 @@ export class QuaternionKalmanFilter {
     this.xFilter.reset();
     this.yFilter.reset();
     this.zFilter.reset();
+    this.previous = null;
+  }
+}
+
+/**
+ * MotionKalmanFilter - Filtre de Kalman à modèle cinématique
+ * État par dimension : [p, v] (vitesse constante, order = 2) ou [p, v, a] (accélération constante, order = 3)
+ * Les dimensions sont indépendantes (covariance bloc-diagonale)
+ *
+ * Prédiction (Δt variable, en secondes):
+ *   x̂(k|k-1) = F(Δt) · x̂(k-1|k-1)
+ *   P(k|k-1) = F · P · Fᵀ + Q(Δt)        (bruit blanc sur la dérivée d'ordre le plus haut)
+ *
+ * Correction (seule la position est mesurée, H = [1 0 ...]):
+ *   S = P₀₀ + R ;  K = P[:,0] / S
+ *   x̂(k|k) = x̂(k|k-1) + K · (z(k) - p̂(k|k-1))
+ *   P(k|k) = (I - K·H) · P(k|k-1)
+ *
+ * Entre deux mesures, predictAt(timestamp) extrapole la position sans modifier l'état :
+ * le rendu peut tourner à 60 fps avec une détection à 30 fps (ou manquante).
+ */
+export class MotionKalmanFilter {
+  constructor({
+    order = 2,
+    processNoise = 5.0,
+    measurementNoise = 0.0001,
+    maxPrediction = 150,
+  } = {}) {
+    // Paramètres du filtre
+    this.order = order === 3 ? 3 : 2;
+    this.q = processNoise; // Densité spectrale du bruit de processus
+    this.R = measurementNoise; // Variance de la mesure
+    this.maxPrediction = maxPrediction; // Horizon max d'extrapolation (ms)
+
+    // État interne : une entrée par dimension
+    this.states = null;
+    this.keys = null; // null = scalaire, sinon ["x", "y", "z"]
+    this.lastTime = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Filtre une mesure (nombre ou vecteur {x, y, z})
+   * @param {number|Object} measurement - Nouvelle mesure
+   * @param {number} timestamp - Temps de la mesure (ms)
+   * @returns {number|Object} - Position filtrée
+   */
+  filter(measurement, timestamp) {
+    const values = this.toArray(measurement);
+
+    if (!this.isInitialized) {
+      this.states = values.map((value) => ({
+        x: this.order === 3 ? [value, 0, 0] : [value, 0],
+        P: this.initialCovariance(),
+      }));
+      this.lastTime = timestamp;
+      this.isInitialized = true;
+      return this.fromArray(values);
+    }
+
+    let dt = (timestamp - this.lastTime) / 1000;
+    if (!(dt > 0)) dt = 1 / 60;
+    this.lastTime = timestamp;
+
+    this.states.forEach((state, i) => {
+      this.predictState(state, dt);
+      this.correctState(state, values[i]);
+    });
+
+    return this.fromArray(this.states.map((state) => state.x[0]));
+  }
+
+  /**
+   * Extrapole la position à un instant donné (sans modifier l'état)
+   * L'horizon est limité à maxPrediction pour ne pas s'envoler quand la détection est perdue
+   * @param {number} timestamp - Instant de rendu (ms)
+   * @returns {number|Object|null} - Position prédite
+   */
+  predictAt(timestamp) {
+    if (!this.isInitialized) return null;
+
+    const horizon = Math.min(Math.max(timestamp - this.lastTime, 0), this.maxPrediction);
+    const dt = horizon / 1000;
+
+    return this.fromArray(
+      this.states.map(({ x }) =>
+        this.order === 3 ? x[0] + x[1] * dt + 0.5 * x[2] * dt * dt : x[0] + x[1] * dt
+      )
+    );
+  }
+
+  /**
+   * Vitesse estimée (unités/s)
+   */
+  getVelocity() {
+    if (!this.isInitialized) return null;
+    return this.fromArray(this.states.map(({ x }) => x[1]));
+  }
+
+  /**
+   * Étape de prédiction : x = F·x, P = F·P·Fᵀ + Q
+   */
+  predictState(state, dt) {
+    const F = this.transitionMatrix(dt);
+    state.x = multiplyVector(F, state.x);
+    state.P = addMatrices(
+      multiplyMatrices(multiplyMatrices(F, state.P), transpose(F)),
+      this.processNoiseMatrix(dt)
+    );
+  }
+
+  /**
+   * Étape de correction avec une mesure de position
+   */
+  correctState(state, measurement) {
+    const { P } = state;
+    const S = P[0][0] + this.R;
+    const K = P.map((row) => row[0] / S);
+    const innovation = measurement - state.x[0];
+
+    state.x = state.x.map((value, i) => value + K[i] * innovation);
+    state.P = P.map((row, i) => row.map((value, j) => value - K[i] * P[0][j]));
+  }
+
+  /**
+   * Matrice de transition F(Δt)
+   */
+  transitionMatrix(dt) {
+    if (this.order === 3) {
+      return [
+        [1, dt, 0.5 * dt * dt],
+        [0, 1, dt],
+        [0, 0, 1],
+      ];
+    }
+    return [
+      [1, dt],
+      [0, 1],
+    ];
+  }
+
+  /**
+   * Bruit de processus Q(Δt) (modèle à bruit blanc continu)
+   */
+  processNoiseMatrix(dt) {
+    const q = this.q;
+    const dt2 = dt * dt, dt3 = dt2 * dt, dt4 = dt3 * dt, dt5 = dt4 * dt;
+
+    if (this.order === 3) {
+      return [
+        [(q * dt5) / 20, (q * dt4) / 8, (q * dt3) / 6],
+        [(q * dt4) / 8, (q * dt3) / 3, (q * dt2) / 2],
+        [(q * dt3) / 6, (q * dt2) / 2, q * dt],
+      ];
+    }
+    return [
+      [(q * dt3) / 3, (q * dt2) / 2],
+      [(q * dt2) / 2, q * dt],
+    ];
+  }
+
+  /**
+   * Covariance initiale : position = bruit de mesure, dérivées inconnues
+   */
+  initialCovariance() {
+    const n = this.order;
+    return Array.from({ length: n }, (_, i) =>
+      Array.from({ length: n }, (_, j) => (i !== j ? 0 : i === 0 ? this.R : 10))
+    );
   }
+
+  /**
+   * Ajuste les paramètres dynamiquement
+   */
+  setParameters(processNoise, measurementNoise) {
+    this.q = processNoise;
+    this.R = measurementNoise;
+  }
+
+  toArray(value) {
+    if (typeof value === "number") {
+      this.keys = null;
+      return [value];
+    }
+    this.keys = ["x", "y", "z"];
+    return [value.x, value.y, value.z];
+  }
+
+  fromArray(values) {
+    if (!this.keys) return values[0];
+    return { x: values[0], y: values[1], z: values[2] };
+  }
+
+  /**
+   * Réinitialise le filtre
+   */
+  reset() {
+    this.states = null;
+    this.lastTime = null;
+    this.isInitialized = false;
+  }
+}
+
+/**
+ * RotationKalmanFilter - Filtre de Kalman à état d'erreur sur SO(3)
+ * L'attitude q̂ est un quaternion unitaire, l'erreur δθ et la vitesse angulaire ω vivent
+ * dans l'espace tangent (vecteur rotation) et sont filtrées par MotionKalmanFilter
+ *
+ * Prédiction : δθ(k|k-1) = ω · Δt
+ * Innovation : e = log(z · q̂⁻¹)      (plus courte rotation, indépendante du signe de z)
+ * Correction : δθ(k|k) = δθ(k|k-1) + K · (e - δθ(k|k-1))
+ * Recentrage : q̂ ← exp(δθ) · q̂ ,  δθ ← 0
+ *
+ * Aucune composante n'est lissée séparément : pas de renormalisation,
+ * pas de saut quand la mesure passe de q à -q.
+ */
+export class RotationKalmanFilter {
+  constructor({ processNoise = 20, measurementNoise = 0.0001, maxPrediction = 150 } = {}) {
+    // Vitesse angulaire constante dans l'espace tangent
+    this.tangent = new MotionKalmanFilter({
+      order: 2,
+      processNoise,
+      measurementNoise,
+      maxPrediction,
+    });
+
+    // Attitude de référence (δθ = 0)
+    this.attitude = null;
+  }
+
+  /**
+   * Filtre un quaternion
+   * @param {Object} quaternion - {x, y, z, w}
+   * @param {number} timestamp - Temps de la mesure (ms)
+   * @returns {Object} - Quaternion filtré (unitaire, signe continu)
+   */
+  filter(quaternion, timestamp) {
+    const measured = normalizeQuaternion(quaternion);
+
+    if (!this.attitude) {
+      this.attitude = alignHemisphere(measured, { x: 0, y: 0, z: 0, w: 1 });
+      this.tangent.filter({ x: 0, y: 0, z: 0 }, timestamp);
+      return { ...this.attitude };
+    }
+
+    // Innovation dans l'espace tangent de l'attitude courante
+    const e = rotationVector(multiplyQuaternions(measured, conjugateQuaternion(this.attitude)));
+    const delta = this.tangent.filter({ x: e[0], y: e[1], z: e[2] }, timestamp);
+
+    // Recentrage : l'erreur est reportée dans l'attitude
+    this.attitude = normalizeQuaternion(
+      multiplyQuaternions(quaternionFromRotationVector([delta.x, delta.y, delta.z]), this.attitude)
+    );
+    this.tangent.states.forEach((state) => {
+      state.x[0] = 0;
+    });
+
+    return { ...this.attitude };
+  }
+
+  /**
+   * Extrapole l'attitude à un instant donné (sans modifier l'état)
+   * @param {number} timestamp - Instant de rendu (ms)
+   * @returns {Object|null} - Quaternion prédit
+   */
+  predictAt(timestamp) {
+    if (!this.attitude) return null;
+
+    const delta = this.tangent.predictAt(timestamp);
+    return normalizeQuaternion(
+      multiplyQuaternions(quaternionFromRotationVector([delta.x, delta.y, delta.z]), this.attitude)
+    );
+  }
+
+  /**
+   * Ajuste les paramètres dynamiquement
+   */
+  setParameters(processNoise, measurementNoise) {
+    this.tangent.setParameters(processNoise, measurementNoise);
+  }
+
+  /**
+   * Réinitialise le filtre
+   */
+  reset() {
+    this.tangent.reset();
+    this.attitude = null;
+  }
+}
+
+/**
+ * Ramène q dans l'hémisphère de la référence (q · ref ≥ 0)
+ */
+export function alignHemisphere(q, reference) {
+  if (!reference) return q;
+  const dot = q.x * reference.x + q.y * reference.y + q.z * reference.z + q.w * reference.w;
+  return dot < 0 ? { x: -q.x, y: -q.y, z: -q.z, w: -q.w } : q;
+}
+
+function normalizeQuaternion(q) {
+  const magnitude = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w);
+  if (magnitude === 0) return { x: 0, y: 0, z: 0, w: 1 };
+  return { x: q.x / magnitude, y: q.y / magnitude, z: q.z / magnitude, w: q.w / magnitude };
+}
+
+function conjugateQuaternion(q) {
+  return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+}
+
+function multiplyQuaternions(a, b) {
+  return {
+    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+  };
+}
+
+/**
+ * Logarithme : quaternion unitaire → vecteur rotation (plus courte rotation)
+ */
+function rotationVector(q) {
+  const { x, y, z, w } = q.w < 0 ? { x: -q.x, y: -q.y, z: -q.z, w: -q.w } : q;
+  const sinHalf = Math.sqrt(x * x + y * y + z * z);
+  if (sinHalf < 1e-12) return [2 * x, 2 * y, 2 * z];
+
+  const angle = 2 * Math.atan2(sinHalf, w);
+  return [(x / sinHalf) * angle, (y / sinHalf) * angle, (z / sinHalf) * angle];
+}
+
+/**
+ * Exponentielle : vecteur rotation → quaternion unitaire
+ */
+function quaternionFromRotationVector(v) {
+  const angle = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+  if (angle < 1e-12) return { x: v[0] / 2, y: v[1] / 2, z: v[2] / 2, w: 1 };
+
+  const s = Math.sin(angle / 2) / angle;
+  return { x: v[0] * s, y: v[1] * s, z: v[2] * s, w: Math.cos(angle / 2) };
+}
+
+function multiplyMatrices(a, b) {
+  return a.map((row) =>
+    b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0))
+  );
+}
+
+function multiplyVector(m, v) {
+  return m.map((row) => row.reduce((sum, value, k) => sum + value * v[k], 0));
+}
+
+function transpose(m) {
+  return m[0].map((_, j) => m.map((row) => row[j]));
+}
+
+function addMatrices(a, b) {
+  return a.map((row, i) => row.map((value, j) => value + b[i][j]));
 }
@@ -0,0 +1,235 @@
+import * as THREE from "three";
+import { CONFIG } from "../config.js";
+import {
+  OptimizedKalmanFilter,
+  Vector3KalmanFilter,
+  QuaternionKalmanFilter,
+  MotionKalmanFilter,
+  RotationKalmanFilter,
+} from "./OptimizedKalmanFilter.js";
+import {
+  OneEuroFilter,
+  Vector3OneEuroFilter,
+  QuaternionOneEuroFilter,
+} from "./OneEuroFilter.js";
+
+const CHANNELS = ["position", "rotation", "scale"];
+
+/**
+ * Fabriques de filtres par stratégie et par canal
+ */
+const STRATEGIES = {
+  kalman: {
+    position: (p) => new Vector3KalmanFilter(p.processNoise, p.measurementNoise),
+    rotation: (p) => new QuaternionKalmanFilter(p.processNoise, p.measurementNoise),
+    scale: (p) => new OptimizedKalmanFilter(p.processNoise, p.measurementNoise),
+  },
+  // Modèle cinématique : chaque canal peut être extrapolé entre deux détections
+  // (rotation filtrée sur SO(3), dans l'espace tangent)
+  motion: {
+    position: (p) => new MotionKalmanFilter(p),
+    rotation: (p) => new RotationKalmanFilter(p),
+    scale: (p) => new MotionKalmanFilter(p),
+  },
+  oneEuro: {
+    position: (p) => new Vector3OneEuroFilter(p.minCutoff, p.beta, p.dCutoff),
+    rotation: (p) => new QuaternionOneEuroFilter(p.minCutoff, p.beta, p.dCutoff),
+    scale: (p) => new OneEuroFilter(p.minCutoff, p.beta, p.dCutoff),
+  },
+  lerp: {
+    position: (p) => new LerpFilter(p.factor),
+    rotation: (p) => new SlerpFilter(p.factor),
+    scale: (p) => new LerpFilter(p.factor),
+  },
+  none: {
+    position: () => new PassThroughFilter(),
+    rotation: () => new PassThroughFilter(),
+    scale: () => new PassThroughFilter(),
+  },
+};
+
+/**
+ * PoseSmoother - Étage de lissage entre PreciseTracker et AutoFitter
+ * Chaque canal (position, rotation, scale) a sa propre stratégie, configurée dans CONFIG.smoothing
+ */
+export class PoseSmoother {
+  constructor(settings = CONFIG.smoothing) {
+    this.settings = { ...settings };
+    this.filters = {};
+    this.last = null; // Dernière pose lissée (base de la prédiction)
+
+    CHANNELS.forEach((channel) => {
+      this.filters[channel] = PoseSmoother.createFilter(channel, this.channelSettings(channel));
+    });
+  }
+
+  /**
+   * Crée le filtre d'un canal
+   * @param {string} channel - "position" | "rotation" | "scale"
+   * @param {Object} settings - { type: "kalman" | "motion" | "oneEuro" | "lerp" | "none", ...paramètres }
+   */
+  static createFilter(channel, settings = { type: "none" }) {
+    const strategy = STRATEGIES[settings.type];
+
+    if (!strategy) {
+      console.warn(`[PoseSmoother] Stratégie inconnue "${settings.type}" pour ${channel}, lissage désactivé`);
+      return STRATEGIES.none[channel]();
+    }
+
+    return strategy[channel](settings);
+  }
+
+  /**
+   * Change la stratégie d'un canal à chaud
+   */
+  setStrategy(channel, settings) {
+    this.settings[channel] = settings;
+    this.filters[channel] = PoseSmoother.createFilter(channel, this.channelSettings(channel));
+  }
+
+  /**
+   * Paramètres d'un canal, complétés par l'horizon de prédiction global
+   */
+  channelSettings(channel) {
+    const settings = this.settings[channel];
+    if (!settings || this.settings.maxPredictionMs === undefined) return settings;
+    return { maxPrediction: this.settings.maxPredictionMs, ...settings };
+  }
+
+  /**
+   * Lisse une transformation issue de PreciseTracker.calculateTransform
+   * @param {Object} transform - { position, rotation, scale, ... }
+   * @param {number} timestamp - Temps de la mesure (ms)
+   * @returns {Object} - Transformation lissée (mêmes champs)
+   */
+  filter(transform, timestamp = performance.now()) {
+    if (!transform) return null;
+
+    // Le quaternion émis par PreciseTracker est prioritaire (signe continu, pas de coupure en ±π)
+    const measured = transform.quaternion
+      ? transform.quaternion
+      : new THREE.Quaternion().setFromEuler(transform.rotation);
+
+    const p = this.filters.position.filter(transform.position, timestamp);
+    const q = this.filters.rotation.filter(measured, timestamp);
+    const scale = this.filters.scale.filter(transform.scale, timestamp);
+
+    const quaternion = new THREE.Quaternion(q.x, q.y, q.z, q.w);
+
+    this.last = {
+      ...transform,
+      position: new THREE.Vector3(p.x, p.y, p.z),
+      rotation: new THREE.Euler().setFromQuaternion(quaternion, transform.rotation.order),
+      quaternion: quaternion,
+      scale: scale,
+    };
+
+    return this.last;
+  }
+
+  /**
+   * Pose à afficher à l'instant de rendu
+   * Les canaux capables d'extrapoler (stratégie "motion") sont prédits jusqu'à `timestamp`,
+   * les autres conservent la dernière valeur lissée
+   * @param {number} timestamp - Instant de rendu (ms)
+   * @returns {Object|null} - Transformation prédite (mêmes champs que filter)
+   */
+  predict(timestamp = performance.now()) {
+    if (!this.last) return null;
+
+    const p = this.predictChannel("position", timestamp);
+    const q = this.predictChannel("rotation", timestamp);
+    const scale = this.predictChannel("scale", timestamp);
+
+    const quaternion = q ? new THREE.Quaternion(q.x, q.y, q.z, q.w) : this.last.quaternion.clone();
+
+    return {
+      ...this.last,
+      position: p ? new THREE.Vector3(p.x, p.y, p.z) : this.last.position.clone(),
+      rotation: new THREE.Euler().setFromQuaternion(quaternion, this.last.rotation.order),
+      quaternion: quaternion,
+      scale: scale ?? this.last.scale,
+    };
+  }
+
+  predictChannel(channel, timestamp) {
+    const filter = this.filters[channel];
+    return typeof filter.predictAt === "function" ? filter.predictAt(timestamp) : null;
+  }
+
+  /**
+   * Réinitialise tous les canaux
+   */
+  reset() {
+    CHANNELS.forEach((channel) => this.filters[channel].reset());
+    this.last = null;
+  }
+}
+
+/**
+ * LerpFilter - Lissage exponentiel (factor = poids de la valeur précédente)
+ */
+class LerpFilter {
+  constructor(factor = 0.5) {
+    this.factor = factor;
+    this.previous = null;
+  }
+
+  filter(value) {
+    if (this.previous === null) {
+      this.previous = typeof value === "number" ? value : { x: value.x, y: value.y, z: value.z };
+      return this.previous;
+    }
+
+    const f = this.factor;
+    if (typeof value === "number") {
+      this.previous = this.previous * f + value * (1 - f);
+    } else {
+      this.previous = {
+        x: this.previous.x * f + value.x * (1 - f),
+        y: this.previous.y * f + value.y * (1 - f),
+        z: this.previous.z * f + value.z * (1 - f),
+      };
+    }
+
+    return this.previous;
+  }
+
+  reset() {
+    this.previous = null;
+  }
+}
+
+/**
+ * SlerpFilter - Lissage exponentiel sphérique pour quaternions
+ */
+class SlerpFilter {
+  constructor(factor = 0.5) {
+    this.factor = factor;
+    this.previous = null;
+  }
+
+  filter(quaternion) {
+    if (this.previous === null) {
+      this.previous = new THREE.Quaternion().copy(quaternion);
+    } else {
+      this.previous.slerp(quaternion, 1 - this.factor);
+    }
+    return this.previous;
+  }
+
+  reset() {
+    this.previous = null;
+  }
+}
+
+/**
+ * PassThroughFilter - Aucun lissage
+ */
+class PassThroughFilter {
+  filter(value) {
+    return value;
+  }
+
+  reset() {}
+}
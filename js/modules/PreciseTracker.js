@@ -1,14 +1,42 @@
 import * as THREE from "three";
+import { HeadPoseSolver, modelDepth } from "./HeadPoseSolver.js";
+import { MetricScaleEstimator } from "./MetricScaleEstimator.js";
+import { CONFIG, ANCHORS } from "../config.js";
+
+// Orientation neutre du modèle : demi-tour sur Y (compensé par le miroir X d'AutoFitter
+// en caméra frontale)
+const MODEL_FACING = new THREE.Quaternion().setFromAxisAngle(
+  new THREE.Vector3(0, 1, 0),
+  Math.PI
+);
 
 /**
- * PreciseTracker - Tracking ultra-précis avec compensation perspective
+ * PreciseTracker - Tracking ultra-précis, à l'échelle réelle
+ * La pose PnP est rendue métrique par la taille du visage mesurée sur l'iris
+ * (MetricScaleEstimator) : échelle et profondeur ne dépendent ni de la résolution
+ * ni de la personne.
  */
 export class PreciseTracker {
-  constructor() {
-    this.previousLandmarks = null;
-    this.previousScale = null;
-    this.smoothingFactor = 0.3;
-    this.scaleSmoothingFactor = 0.7; // Plus = plus stable (0.5 à 0.9)
+  /**
+   * @param {MetricScaleEstimator} metricScale - Calibration à conserver (même visage)
+   */
+  constructor(metricScale = new MetricScaleEstimator()) {
+    this.poseSolver = new HeadPoseSolver();
+    this.metricScale = metricScale;
+    this.lastQuaternion = null; // Pour la continuité du signe
+    this.anchor = "crown"; // Point du visage où se place l'accessoire (ANCHORS)
+    this.mirrored = true; // Keypoints détectés sur l'image retournée (FaceTracker.mirrored)
+  }
+
+  /**
+   * Choisit le point d'ancrage de l'accessoire (crown, eyes, noseBridge, ears)
+   */
+  setAnchor(anchor) {
+    this.anchor = ANCHORS[anchor] ? anchor : "crown";
+  }
+
+  anchorLandmarks() {
+    return ANCHORS[this.anchor].landmarks;
   }
 
   calculateTransform(keypoints, videoWidth, videoHeight) {
@@ -16,114 +44,111 @@ export class PreciseTracker {
       return null;
     }
 
-    // Points clés
-    const leftEye = this.getAverage(keypoints, [33, 133, 160, 159]);
-    const rightEye = this.getAverage(keypoints, [362, 263, 387, 386]);
-    const forehead = this.getAverage(keypoints, [10, 67, 109, 338, 297]);
-    const nose = keypoints[1];
+    // Point clé
+    const anchorPoint = this.getAverage(keypoints, this.anchorLandmarks());
 
-    // ===== 1️⃣ ROTATION D'ABORD (nécessaire pour compensation yaw) =====
-    const rotation = this.calculateRotation(leftEye, rightEye, nose);
-
-    // ===== 2️⃣ SCALE avec compensation yaw =====
-    let scale = this.calculateScaleWithYawCompensation(
-      leftEye,
-      rightEye,
-      rotation.y
-    );
-
-    // 🔥 Lissage du scale
-    if (this.previousScale !== null) {
-      scale =
-        this.previousScale * this.scaleSmoothingFactor +
-        scale * (1 - this.scaleSmoothingFactor);
+    // ===== 1️⃣ ROTATION (PnP sur le modèle canonique) =====
+    const headPose = this.calculateRotation(keypoints, videoWidth, videoHeight);
+    if (!headPose) {
+      return null;
     }
-    this.previousScale = scale;
 
-    // ===== 3️⃣ POSITION (avec scale pour compensation perspective) =====
-    const position = this.calculatePosition(
-      forehead,
-      scale,
-      videoWidth,
-      videoHeight
-    );
+    // ===== 2️⃣ ÉCHELLE MÉTRIQUE : taille du visage mesurée sur l'iris =====
+    const metric = this.metricScale.update(keypoints, headPose.solution, videoWidth, videoHeight);
+    const scale = metric.faceScale;
 
-    // Lissage position
-    if (this.previousLandmarks) {
-      position.lerp(this.previousLandmarks.position, this.smoothingFactor);
-    }
+    // ===== 3️⃣ POSITION : point d'ancrage à sa profondeur réelle =====
+    const depth = modelDepth(headPose.solution, this.anchorLandmarks()) * scale;
+    const position = this.calculatePosition(anchorPoint, depth, videoWidth, videoHeight);
 
-    this.previousLandmarks = { position: position.clone() };
+    // Même rotation, signe continu d'une frame à l'autre (q et -q sont équivalents)
+    const quaternion = headPose.modelQuaternion;
+    if (this.lastQuaternion && quaternion.dot(this.lastQuaternion) < 0) {
+      quaternion.set(-quaternion.x, -quaternion.y, -quaternion.z, -quaternion.w);
+    }
+    this.lastQuaternion = quaternion.clone();
 
-    return { position, rotation, scale };
+    // Mesure brute : le lissage est fait par PoseSmoother
+    return {
+      position,
+      rotation: headPose.rotation,
+      quaternion,
+      scale,
+      angles: { yaw: headPose.yaw, pitch: headPose.pitch, roll: headPose.roll },
+      headPose: {
+        quaternion: headPose.headQuaternion,
+        translation: headPose.translation.multiplyScalar(scale),
+        reprojectionError: headPose.reprojectionError,
+        solution: headPose.solution,
+      },
+      metric,
+    };
   }
 
   /**
-   * Position 3D avec compensation perspective
+   * Position 3D du point d'ancrage (modèle sténopé, mêmes intrinsèques que la pose)
+   * @param {Object} anchorPoint - Point d'ancrage dans l'image (pixels)
+   * @param {number} depthMm - Profondeur réelle du point
+   * @returns {THREE.Vector3} - Position dans la scène (caméra en z = CONFIG.rendering.cameraZ)
    */
-  calculatePosition(forehead, scale, videoWidth, videoHeight) {
-    // Normaliser (0-1)
-    const normX = forehead.x / videoWidth;
-    const normY = forehead.y / videoHeight;
+  calculatePosition(anchorPoint, depthMm, videoWidth, videoHeight) {
+    const K = HeadPoseSolver.intrinsicsFor(videoWidth, videoHeight);
+    const unit = CONFIG.metricScale.sceneUnitMm;
 
-    // Centrer (-0.5 à 0.5)
-    const centeredX = normX - 0.5;
-    const centeredY = normY - 0.5;
+    // Repère caméra (mm)
+    const x = ((anchorPoint.x - K.cx) * depthMm) / K.fx;
+    const y = ((anchorPoint.y - K.cy) * depthMm) / K.fy;
 
-    // Z calculé depuis l'échelle
-    const worldZ = -(1 / scale);
-
-    // Compensation perspective
-    const perspectiveFactor = (2 + Math.abs(worldZ)) / 2;
-
-    const worldX = -centeredX * 2 * perspectiveFactor;
-    const worldY = -centeredY * 2 * perspectiveFactor;
+    // Image retournée : la gauche de l'image est la droite de la scène
+    const worldX = (this.mirrored ? -x : x) / unit;
+    const worldY = -y / unit;
+    const worldZ = (CONFIG.rendering?.cameraZ ?? 2) - depthMm / unit;
 
     return new THREE.Vector3(worldX, worldY, worldZ);
   }
 
   /**
-   * Rotation de la tête (pitch, yaw, roll)
+   * Rotation de la tête par PnP (voir HeadPoseSolver)
+   * Retourne la rotation du modèle et les angles yaw/pitch/roll de la tête
    */
-  calculateRotation(leftEye, rightEye, nose) {
-    const eyeCenterX = (leftEye.x + rightEye.x) / 2;
-    const eyeCenterY = (leftEye.y + rightEye.y) / 2;
-
-    const eyeDist = Math.sqrt(
-      Math.pow(rightEye.x - leftEye.x, 2) + Math.pow(rightEye.y - leftEye.y, 2)
-    );
-
-    const yaw = ((nose.x - eyeCenterX) / eyeDist) * 0.5;
-    const pitch = ((nose.y - eyeCenterY) / eyeDist) * 0.3;
-    const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
-
-    return new THREE.Euler(pitch, Math.PI + yaw, -roll, "XYZ");
-  }
+  calculateRotation(keypoints, videoWidth, videoHeight) {
+    const pose = this.poseSolver.solve(keypoints, videoWidth, videoHeight, {
+      mirrored: this.mirrored,
+    });
+    if (!pose) {
+      return null;
+    }
 
-  /**
-   * 🔥 SCALE avec compensation de l'angle yaw
-   * Quand la tête tourne, l'IPD apparent diminue, on compense!
-   */
-  calculateScaleWithYawCompensation(leftEye, rightEye, yawRadians) {
-    // IPD apparent (en pixels)
-    const apparentIPD = Math.sqrt(
-      Math.pow(rightEye.x - leftEye.x, 2) + Math.pow(rightEye.y - leftEye.y, 2)
+    // Repère OpenCV (y bas, z devant) → repère scène (y haut, z vers la caméra)
+    const R = pose.rotationMatrix;
+    const headMatrix = new THREE.Matrix4().set(
+      R[0], -R[1], -R[2], 0,
+      -R[3], R[4], R[5], 0,
+      -R[6], R[7], R[8], 0,
+      0, 0, 0, 1
     );
 
-    // Extraire l'angle yaw réel (enlever le offset Math.PI)
-    const actualYaw = yawRadians - Math.PI;
-
-    // 🔥 Compensation: IPD réel = IPD apparent / cos(yaw)
-    // Quand yaw = 0° (face) → cos(0) = 1 → pas de compensation
-    // Quand yaw = 45° → cos(45°) ≈ 0.7 → IPD réel plus grand
-    const yawCompensation = Math.abs(Math.cos(actualYaw));
-
-    // Éviter division par zéro et limiter la compensation
-    const safeCompensation = Math.max(yawCompensation, 0.5); // Min 0.5
-
-    const compensatedIPD = apparentIPD / safeCompensation;
-
-    return compensatedIPD / 62;
+    const headQuaternion = new THREE.Quaternion().setFromRotationMatrix(headMatrix);
+    const modelQuaternion = headQuaternion.clone().multiply(MODEL_FACING);
+
+    // Angles tête = Ry(yaw) · Rx(pitch) · Rz(roll)
+    const angles = new THREE.Euler().setFromRotationMatrix(headMatrix, "YXZ");
+
+    return {
+      rotation: new THREE.Euler().setFromQuaternion(modelQuaternion, "XYZ"),
+      modelQuaternion: modelQuaternion,
+      headQuaternion: headQuaternion,
+      yaw: angles.y,
+      pitch: angles.x,
+      roll: angles.z,
+      translation: new THREE.Vector3(
+        pose.translation[0],
+        -pose.translation[1],
+        -pose.translation[2]
+      ),
+      reprojectionError: pose.reprojectionError,
+      solution: pose,
+    };
   }
 
   /**
@@ -142,8 +167,12 @@ export class PreciseTracker {
     return { x: sumX / n, y: sumY / n, z: sumZ / n };
   }
 
+  /**
+   * Nouvelle mesure après une perte : la taille du visage est conservée, elle converge
+   * vers celle d'une autre personne le cas échéant
+   */
   reset() {
-    this.previousLandmarks = null;
-    this.previousScale = null;
+    this.poseSolver.reset();
+    this.lastQuaternion = null;
   }
 }
\ No newline at end of file
@@ -0,0 +1,88 @@
+import { CONFIG } from "../config.js";
+
+/**
+ * ProductCarousel - Produit précédent / suivant pendant l'essayage
+ * Parcourt la liste de la galerie (filtres compris) et boucle aux extrémités.
+ */
+export class ProductCarousel {
+  /**
+   * @param {Object} settings - CONFIG.productSwitch
+   */
+  constructor(settings = CONFIG.productSwitch) {
+    this.settings = settings;
+    this.products = [];
+    this.current = null;
+  }
+
+  /**
+   * Liste parcourue, dans l'ordre de la galerie
+   */
+  setProducts(products) {
+    this.products = products;
+  }
+
+  setCurrent(product) {
+    this.current = product;
+  }
+
+  /**
+   * Produit voisin du produit courant
+   * @param {number} direction - 1 = suivant, -1 = précédent
+   * @returns {Object|null} - null s'il n'y a pas d'autre produit
+   */
+  step(direction) {
+    const others = this.products.filter((product) => product !== this.current);
+    if (others.length === 0) return null;
+
+    const index = this.products.indexOf(this.current);
+    if (index < 0) {
+      // Produit courant absent de la liste (filtres modifiés) : on repart d'une extrémité
+      return direction > 0 ? this.products[0] : this.products[this.products.length - 1];
+    }
+
+    const count = this.products.length;
+    return this.products[(index + direction + count) % count];
+  }
+
+  /**
+   * Produits à précharger autour du produit courant, les plus proches d'abord
+   * @param {number} radius - Voisins de chaque côté
+   */
+  neighbors(radius = this.settings.preloadRadius) {
+    const index = this.products.indexOf(this.current);
+    const count = this.products.length;
+    const result = [];
+    if (count === 0) return result;
+
+    // Produit courant absent : voisins pris depuis les deux extrémités (comme step)
+    const after = index < 0 ? -1 : index;
+    const before = index < 0 ? count : index;
+
+    for (let distance = 1; distance <= radius; distance++) {
+      [after + distance, before - distance].forEach((i) => {
+        const product = this.products[((i % count) + count) % count];
+        if (product && product !== this.current && !result.includes(product)) {
+          result.push(product);
+        }
+      });
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Direction d'un glissement horizontal
+ * @param {Object} start - { x, y, time } au contact
+ * @param {Object} end - { x, y, time } au relâchement
+ * @returns {number} - 1 (vers la gauche : suivant), -1 (vers la droite : précédent), 0 sinon
+ */
+export function swipeDirection(start, end, settings = CONFIG.productSwitch) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+
+  if (end.time - start.time > settings.swipeMaxDuration) return 0;
+  if (Math.abs(dx) < settings.swipeDistance || Math.abs(dx) < 2 * Math.abs(dy)) return 0;
+
+  return dx < 0 ? 1 : -1;
+}
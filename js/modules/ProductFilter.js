@@ -0,0 +1,105 @@
+import { COLORS } from "../config.js";
+
+/**
+ * ProductFilter - Filtres de la galerie : catégorie, recherche texte, prix et couleurs
+ * Les critères vides ne filtrent rien ; apply() conserve l'ordre du catalogue.
+ */
+export class ProductFilter {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Catégorie active (null = toutes)
+   */
+  setCategory(category) {
+    this.category = category || null;
+  }
+
+  setQuery(query) {
+    this.tokens = normalize(query).split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Fourchette de prix (null = pas de borne)
+   */
+  setPriceRange(min, max) {
+    this.minPrice = Number.isFinite(min) ? min : null;
+    this.maxPrice = Number.isFinite(max) ? max : null;
+  }
+
+  /**
+   * Ajoute ou retire une couleur ; un produit passe s'il a au moins une des couleurs choisies
+   * @returns {boolean} - true si la couleur est maintenant sélectionnée
+   */
+  toggleColor(color) {
+    if (this.colors.has(color)) {
+      this.colors.delete(color);
+      return false;
+    }
+    this.colors.add(color);
+    return true;
+  }
+
+  matches(product) {
+    if (this.category && product.category !== this.category) return false;
+    if (this.minPrice !== null && product.price < this.minPrice) return false;
+    if (this.maxPrice !== null && product.price > this.maxPrice) return false;
+
+    const colors = product.colors || [];
+    if (this.colors.size > 0 && !colors.some((color) => this.colors.has(color))) {
+      return false;
+    }
+
+    if (this.tokens.length > 0) {
+      const text = normalize(
+        [product.name, product.type, product.category, ...colors.map((c) => COLORS[c]?.name || c)].join(" ")
+      );
+      return this.tokens.every((token) => text.includes(token));
+    }
+
+    return true;
+  }
+
+  apply(products) {
+    return products.filter((product) => this.matches(product));
+  }
+
+  reset() {
+    this.category = null;
+    this.tokens = [];
+    this.minPrice = null;
+    this.maxPrice = null;
+    this.colors = new Set();
+  }
+}
+
+/**
+ * Fourchette de prix d'une liste de produits
+ * @returns {Object} - { min, max } (0 si la liste est vide)
+ */
+export function priceRange(products) {
+  if (products.length === 0) return { min: 0, max: 0 };
+
+  const prices = products.map((product) => product.price);
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+/**
+ * Couleurs présentes dans une liste de produits, dans l'ordre de COLORS
+ */
+export function availableColors(products) {
+  const used = new Set(products.flatMap((product) => product.colors || []));
+  return Object.keys(COLORS).filter((color) => used.has(color));
+}
+
+/**
+ * Minuscules sans accents ("Doré" → "dore")
+ */
+function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
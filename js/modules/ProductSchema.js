@@ -0,0 +1,332 @@
+import { ANCHORS, COLORS } from "../config.js";
+
+// Types de produits : point d'ancrage, catégorie et dimensions réelles (mm) par défaut
+export const PRODUCT_TYPES = {
+  hat: { anchor: "crown", category: "hats", dimensions: { width: 380 } },
+  cap: { anchor: "crown", category: "caps", dimensions: { width: 200 } },
+  beanie: { anchor: "crown", category: "beanies", dimensions: { width: 220 } },
+  glasses: { anchor: "noseBridge", category: "eyewear", dimensions: { width: 140 } },
+  sunglasses: { anchor: "noseBridge", category: "eyewear", dimensions: { width: 145 } },
+  earrings: { anchor: "ears", category: "jewelry", dimensions: { height: 30 } },
+};
+
+const DIMENSIONS = ["width", "height", "depth"];
+
+// Guides des tailles standard : tour de tête (cm) par taille
+//   letter : S à XL, cm : tour de tête, us : taille US = tour de tête (pouces) / π
+export const SIZE_SYSTEMS = {
+  letter: [
+    { label: "S", min: 54.5, max: 56.5 },
+    { label: "M", min: 56.5, max: 58.5 },
+    { label: "L", min: 58.5, max: 60.5 },
+    { label: "XL", min: 60.5, max: 62.5 },
+  ],
+  cm: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+  us: ["6 3/4", "6 7/8", "7", "7 1/8", "7 1/4", "7 3/8", "7 1/2", "7 5/8"],
+};
+
+const ZERO = { x: 0, y: 0, z: 0 };
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Valide un produit du catalogue et complète les champs optionnels
+ * Lève une Error listant tous les problèmes trouvés
+ * @param {Object} product - Entrée brute (PRODUCTS)
+ * @returns {Object} - Produit normalisé : category, colors, anchor, offset, rotation et scale ({x, y, z}) toujours présents
+ */
+export function validateProduct(product) {
+  if (!product || typeof product !== "object") {
+    throw new Error("Produit invalide : objet attendu");
+  }
+
+  const errors = [];
+
+  ["id", "name", "modelUrl", "thumbnail"].forEach((field) => {
+    if (typeof product[field] !== "string" || product[field].trim() === "") {
+      errors.push(`"${field}" manquant`);
+    }
+  });
+
+  // Miniature affichée dans la galerie : pas de javascript:, data:…
+  if (typeof product.thumbnail === "string" && !isWebUrl(product.thumbnail)) {
+    errors.push(`"thumbnail" doit être une URL http(s) ou relative`);
+  }
+
+  if (!Number.isFinite(product.price) || product.price < 0) {
+    errors.push(`"price" doit être un nombre positif`);
+  }
+
+  const type = PRODUCT_TYPES[product.type];
+  if (!type) {
+    errors.push(
+      `"type" inconnu (${product.type}) : ${Object.keys(PRODUCT_TYPES).join(", ")}`
+    );
+  }
+
+  const category = product.category ?? type?.category;
+  if (category !== undefined && (typeof category !== "string" || category.trim() === "")) {
+    errors.push(`"category" doit être une chaîne`);
+  }
+
+  const colors = product.colors ?? [];
+  if (!Array.isArray(colors)) {
+    errors.push(`"colors" doit être une liste`);
+  } else {
+    const unknown = colors.filter((color) => !COLORS[color]);
+    if (unknown.length > 0) {
+      errors.push(`"colors" inconnues (${unknown.join(", ")}) : ${Object.keys(COLORS).join(", ")}`);
+    }
+  }
+
+  const variants = readVariants(product.variants, errors);
+  const defaultVariant = product.defaultVariant ?? null;
+  if (defaultVariant !== null && !variants.some((variant) => variant.id === defaultVariant)) {
+    errors.push(`"defaultVariant" inconnue (${defaultVariant})`);
+  }
+
+  const anchor = product.anchor ?? type?.anchor;
+  if (anchor !== undefined && !ANCHORS[anchor]) {
+    errors.push(`"anchor" inconnu (${anchor}) : ${Object.keys(ANCHORS).join(", ")}`);
+  }
+
+  const dimensions = readDimensions(product.dimensions, type?.dimensions, errors);
+  const sizeChart = readSizeChart(product.sizeChart, errors);
+
+  const offset = readVector(product.offset, ZERO, "offset", errors);
+  const rotation = readVector(product.rotation, ZERO, "rotation", errors);
+  const scale =
+    typeof product.scale === "number"
+      ? readVector({ x: product.scale, y: product.scale, z: product.scale }, null, "scale", errors)
+      : readVector(product.scale, { x: 1, y: 1, z: 1 }, "scale", errors);
+
+  if (scale && (scale.x <= 0 || scale.y <= 0 || scale.z <= 0)) {
+    errors.push(`"scale" doit être strictement positif`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Produit "${product.id ?? "?"}" invalide : ${errors.join(", ")}`);
+  }
+
+  return {
+    ...product,
+    category,
+    colors,
+    variants,
+    defaultVariant,
+    anchor,
+    dimensions,
+    sizeChart,
+    offset,
+    rotation,
+    scale,
+  };
+}
+
+/**
+ * Valide une liste de produits : les entrées invalides ou en double sont ignorées (avec un avertissement)
+ */
+export function validateProducts(products) {
+  const valid = [];
+  const ids = new Set();
+
+  (products || []).forEach((product) => {
+    try {
+      const normalized = validateProduct(product);
+      if (ids.has(normalized.id)) {
+        throw new Error(`Produit "${normalized.id}" en double`);
+      }
+      ids.add(normalized.id);
+      valid.push(normalized);
+    } catch (error) {
+      console.warn(`[ProductSchema] ⚠️ ${error.message}`);
+    }
+  });
+
+  return valid;
+}
+
+/**
+ * Lit les variantes du produit
+ * { id, name, swatch?, color?, texture?, materials?, gltfVariant? } ; sans color / texture /
+ * gltfVariant, la variante correspond aux matériaux d'origine du modèle
+ */
+function readVariants(value, errors) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    errors.push(`"variants" doit être une liste`);
+    return [];
+  }
+
+  const ids = new Set();
+  return value.map((variant, i) => {
+    const field = `variants[${i}]`;
+    if (!variant || typeof variant !== "object") {
+      errors.push(`"${field}" doit être un objet`);
+      return variant;
+    }
+
+    ["id", "name"].forEach((key) => {
+      if (typeof variant[key] !== "string" || variant[key].trim() === "") {
+        errors.push(`"${field}.${key}" manquant`);
+      }
+    });
+    if (ids.has(variant.id)) {
+      errors.push(`"${field}.id" en double (${variant.id})`);
+    }
+    ids.add(variant.id);
+
+    ["color", "swatch"].forEach((key) => {
+      if (variant[key] !== undefined && !HEX_COLOR.test(variant[key])) {
+        errors.push(`"${field}.${key}" doit être une couleur #rrggbb`);
+      }
+    });
+    ["texture", "gltfVariant"].forEach((key) => {
+      if (variant[key] !== undefined && typeof variant[key] !== "string") {
+        errors.push(`"${field}.${key}" doit être une chaîne`);
+      }
+    });
+    if (variant.materials !== undefined && !Array.isArray(variant.materials)) {
+      errors.push(`"${field}.materials" doit être une liste de noms de matériaux`);
+    }
+
+    return {
+      ...variant,
+      swatch: variant.swatch ?? variant.color ?? COLORS[variant.id]?.hex ?? null,
+    };
+  });
+}
+
+/**
+ * Lit les dimensions réelles du produit (mm) : { width?, height?, depth? }, au moins une
+ * Sert à afficher le produit en taille réelle en AR (voir XRPlacement)
+ */
+function readDimensions(value, defaults, errors) {
+  if (value === undefined || value === null) {
+    return defaults ? { ...defaults } : null;
+  }
+
+  if (typeof value !== "object") {
+    errors.push(`"dimensions" doit être un objet {width, height, depth} (mm)`);
+    return null;
+  }
+
+  const keys = DIMENSIONS.filter((key) => value[key] !== undefined);
+  if (keys.length === 0) {
+    errors.push(`"dimensions" : width, height ou depth attendu`);
+  }
+  keys.forEach((key) => {
+    if (!Number.isFinite(value[key]) || value[key] <= 0) {
+      errors.push(`"dimensions.${key}" doit être un nombre positif (mm)`);
+    }
+  });
+
+  return Object.fromEntries(keys.map((key) => [key, value[key]]));
+}
+
+/**
+ * Lit le guide des tailles du produit (voir HeadSizer)
+ *   "letter" | "cm" | "us" : guide standard (SIZE_SYSTEMS)
+ *   { system, sizes } : tailles propres au produit, chacune { label, min, max } (tour de tête, cm)
+ *   ou, pour "cm" et "us", une simple valeur (57, "7 1/8")
+ * @returns {Object|null} - { system, sizes: [{ label, min, max }] } triées, null sans guide
+ */
+function readSizeChart(value, errors) {
+  if (value === undefined || value === null) return null;
+
+  const chart = typeof value === "string" ? { system: value } : value;
+  if (typeof chart !== "object" || !SIZE_SYSTEMS[chart.system]) {
+    const systems = Object.keys(SIZE_SYSTEMS).join(", ");
+    errors.push(`"sizeChart" inconnu : ${systems} ou { system, sizes }`);
+    return null;
+  }
+
+  const entries = chart.sizes ?? SIZE_SYSTEMS[chart.system];
+  if (!Array.isArray(entries) || entries.length === 0) {
+    errors.push(`"sizeChart.sizes" doit être une liste non vide`);
+    return null;
+  }
+
+  // Valeurs simples : tour de tête central, bornes à mi-chemin des tailles voisines
+  const centers = entries
+    .map((entry) => sizeCircumference(chart.system, entry))
+    .filter((center) => center > 0)
+    .sort((a, b) => a - b);
+
+  const sizes = entries.map((entry, i) => {
+    if (entry && typeof entry === "object") {
+      const { label, min, max } = entry;
+      if (typeof label !== "string" || !(min > 0) || !(max > min)) {
+        errors.push(`"sizeChart.sizes[${i}]" doit être { label, min, max } (cm)`);
+      }
+      return { label, min, max };
+    }
+
+    const center = sizeCircumference(chart.system, entry);
+    if (!(center > 0)) {
+      errors.push(`"sizeChart.sizes[${i}]" invalide (${entry})`);
+      return null;
+    }
+    const rank = centers.indexOf(center);
+    const step = (centers[rank + 1] ?? centers[rank - 1] ?? center + 1) - center;
+    const before = centers[rank - 1] ?? center - Math.abs(step);
+    const after = centers[rank + 1] ?? center + Math.abs(step);
+    return {
+      label: String(entry),
+      min: (before + center) / 2,
+      max: (center + after) / 2,
+    };
+  });
+
+  return { system: chart.system, sizes: sizes.sort((a, b) => a?.min - b?.min) };
+}
+
+/**
+ * Tour de tête (cm) d'une taille simple : 57 (cm) ou "7 1/8" (US)
+ */
+function sizeCircumference(system, entry) {
+  if (system === "cm") return Number(entry);
+  if (system !== "us") return null;
+
+  // "7 1/8" → 7,125 pouces de diamètre
+  const [whole, fraction] = String(entry).trim().split(/\s+/);
+  const [num, den] = (fraction ?? "0/1").split("/").map(Number);
+  const size = Number(whole) + num / den;
+  return size * Math.PI * 2.54;
+}
+
+/**
+ * URL http(s) ou relative (résolue par rapport à la page)
+ */
+function isWebUrl(value) {
+  try {
+    const { protocol } = new URL(value, "http://localhost/");
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Lit un vecteur {x, y, z} (composantes manquantes = valeur par défaut)
+ */
+function readVector(value, defaults, field, errors) {
+  if (value === undefined || value === null) {
+    return defaults && { ...defaults };
+  }
+
+  if (typeof value !== "object") {
+    errors.push(`"${field}" doit être un objet {x, y, z}`);
+    return null;
+  }
+
+  const vector = {};
+  for (const axis of ["x", "y", "z"]) {
+    const component = value[axis] ?? defaults?.[axis];
+    if (!Number.isFinite(component)) {
+      errors.push(`"${field}.${axis}" doit être un nombre`);
+      return null;
+    }
+    vector[axis] = component;
+  }
+  return vector;
+}
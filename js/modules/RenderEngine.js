@@ -1,5 +1,6 @@
 import { CONFIG} from '../config.js';
 import * as THREE from 'three';
+import { HeadOccluder } from './HeadOccluder.js';
 
 
 /**
@@ -13,9 +14,22 @@ export class RenderEngine {
         this.camera = null;
         this.renderer = null;
         this.currentModel = null;
+        this.models = new Set();
+        
+        // Occluders de tête (un par modèle, voir HeadOccluder)
+        this.occluders = new Map();
+        this.occlusionEnabled = CONFIG.occlusion?.enabled ?? true;
+        
+        // Mode comparaison : { position, left, right } (voir CompareMode)
+        this.split = null;
+        this.mirrored = true; // Canvas affiché en miroir (caméra frontale)
         this.isRendering = false;
-        this.animationFrameId = null;
         
+        // Callback appelé avant chaque rendu (temps de rendu en ms)
+        this.onBeforeRender = null;
+        
+        // Callback appelé juste après chaque rendu (copie du canvas, voir FrameCompositor)
+        this.onAfterRender = null;
  
         // Stats
         this.stats = {
@@ -39,8 +53,8 @@ export class RenderEngine {
         const height = window.innerHeight;
         
         // Caméra
-        this.camera = new THREE.PerspectiveCamera(63, width / height, 0.1, 1000);
-        this.camera.position.z = 2;
+        this.camera = new THREE.PerspectiveCamera(CONFIG.camera?.fov ?? 63, width / height, 0.1, 1000);
+        this.camera.position.z = CONFIG.rendering?.cameraZ ?? 2;
         
         // Renderer
         this.renderer = new THREE.WebGLRenderer({
@@ -84,17 +98,90 @@ export class RenderEngine {
      */
     setModel(model) {
         if (this.currentModel) {
-            this.scene.remove(this.currentModel);
+            this.removeModel(this.currentModel);
         }
         
         this.currentModel = model;
         
         if (model) {
-            this.scene.add(model);
-            console.log('[RenderEngine] 🎨 Model added to scene');
+            this.addModel(model);
         }
     }
     
+    /**
+     * Ajoute un modèle à la scène (mode groupe : un modèle par visage)
+     */
+    addModel(model) {
+        this.models.add(model);
+        this.scene.add(model);
+        
+        const occluder = new HeadOccluder(CONFIG.occlusion, model.userData.anchor);
+        occluder.setDebug(CONFIG.occlusion?.debug ?? false);
+        this.occluders.set(model, occluder);
+        this.scene.add(occluder.object);
+        this.updateOccluders();
+        
+        console.log('[RenderEngine] 🎨 Model added to scene');
+    }
+    
+    /**
+     * Opacité globale d'un modèle (fondu quand le visage est perdu)
+     * L'opacité d'origine des matériaux est conservée dans userData
+     */
+    setModelOpacity(model, opacity) {
+        if (!model) return;
+        
+        model.visible = opacity > 0;
+        
+        model.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+            
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach((material) => {
+                if (material.userData.baseOpacity === undefined) {
+                    material.userData.baseOpacity = material.opacity;
+                    material.userData.baseTransparent = material.transparent;
+                }
+                
+                material.opacity = material.userData.baseOpacity * opacity;
+                material.transparent = opacity < 1 || material.userData.baseTransparent;
+            });
+        });
+    }
+    
+    /**
+     * Retire un modèle de la scène
+     */
+    removeModel(model) {
+        this.models.delete(model);
+        this.scene.remove(model);
+        
+        const occluder = this.occluders.get(model);
+        if (occluder) {
+            this.scene.remove(occluder.object);
+            occluder.dispose();
+            this.occluders.delete(model);
+        }
+    }
+    
+    /**
+     * Active / désactive l'occlusion par la tête
+     */
+    setOcclusionEnabled(enabled) {
+        this.occlusionEnabled = enabled;
+        this.updateOccluders();
+    }
+    
+    /**
+     * Les occluders suivent la pose de leur accessoire
+     */
+    updateOccluders() {
+        this.occluders.forEach((occluder, model) => {
+            occluder.follow(model);
+            occluder.object.visible = model.visible && this.occlusionEnabled;
+        });
+    }
+    
     /**
      * Démarre le rendu
      */
@@ -102,25 +189,89 @@ export class RenderEngine {
         if (this.isRendering) return;
         
         this.isRendering = true;
-        this.animate();
+        
+        // Boucle de three.js : requestAnimationFrame de la fenêtre, ou de la session WebXR
+        // pendant une session AR (le rendu par vue est alors fait par renderer.xr)
+        this.renderer.setAnimationLoop((time, frame) => this.animate(time, frame));
         console.log('[RenderEngine] ▶️ Rendering started');
     }
     
     /**
      * Boucle d'animation
+     * @param {number} now - Instant de rendu (ms)
+     * @param {XRFrame} frame - Frame WebXR (session AR uniquement)
      */
-    animate() {
+    animate(now = performance.now(), frame = null) {
         if (!this.isRendering) return;
         
-        this.animationFrameId = requestAnimationFrame(() => this.animate());
+        // Mise à jour de la pose à l'instant de rendu (prédiction entre deux détections)
+        if (this.onBeforeRender) {
+            this.onBeforeRender(now, frame);
+        }
+        
+        this.updateOccluders();
         
         // Rendu
-        this.renderer.render(this.scene, this.camera);
+        this.render();
+        if (this.onAfterRender) {
+            this.onAfterRender(now);
+        }
         
         // Stats
         this.updateStats();
     }
     
+    /**
+     * Rend la scène (deux passes découpées en mode comparaison)
+     * Appelé aussi juste avant une capture : le tampon WebGL n'est lisible que dans la même tâche
+     */
+    render() {
+        // Session AR : pas de découpage (une vue par œil ou par écran, gérée par renderer.xr)
+        if (!this.split || this.renderer.xr.isPresenting) {
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
+        
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const scissors = splitScissors(size.x, size.y, this.split.position, this.mirrored);
+        const passes = [
+            { model: this.split.left, scissor: scissors.left },
+            { model: this.split.right, scissor: scissors.right }
+        ];
+        
+        // Chaque passe n'affiche que son modèle (et son occluder)
+        const visible = new Map();
+        this.models.forEach((model) => visible.set(model, model.visible));
+        
+        this.renderer.setScissorTest(true);
+        passes.forEach(({ model, scissor }) => {
+            this.models.forEach((other) => {
+                other.visible = other === model && visible.get(other);
+                const occluder = this.occluders.get(other);
+                if (occluder) {
+                    occluder.object.visible = other.visible && this.occlusionEnabled;
+                }
+            });
+            
+            this.renderer.setScissor(scissor.x, scissor.y, scissor.width, scissor.height);
+            this.renderer.render(this.scene, this.camera);
+        });
+        this.renderer.setScissorTest(false);
+        
+        visible.forEach((wasVisible, model) => {
+            model.visible = wasVisible;
+        });
+        this.updateOccluders();
+    }
+    
+    /**
+     * Active le rendu découpé (null = plein écran)
+     * @param {Object|null} split - { position: 0..1 depuis la gauche de l'écran, left, right }
+     */
+    setSplit(split) {
+        this.split = split;
+    }
+    
     /**
      * Met à jour les stats FPS
      */
@@ -140,6 +291,9 @@ export class RenderEngine {
      * Gère le redimensionnement
      */
     handleResize() {
+        // Taille imposée par la session AR (redimensionné à la sortie)
+        if (this.renderer.xr.isPresenting) return;
+        
         const width = window.innerWidth;
         const height = window.innerHeight;
         
@@ -156,9 +310,7 @@ export class RenderEngine {
      */
     stopRendering() {
         this.isRendering = false;
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-        }
+        this.renderer.setAnimationLoop(null);
     }
     
     /**
@@ -176,12 +328,32 @@ export class RenderEngine {
      */
     dispose() {
         this.stopRendering();
-        if (this.currentModel) {
-            this.scene.remove(this.currentModel);
-        }
+        Array.from(this.models).forEach((model) => this.removeModel(model));
         if (this.renderer) {
             this.renderer.dispose();
         }
         window.removeEventListener('resize', this.handleResize);
     }
 }
+
+/**
+ * Zones de rendu des deux moitiés de l'écran, en pixels du canvas
+ * Caméra frontale, le canvas est affiché en miroir (scaleX(-1)) : la moitié gauche de l'écran
+ * correspond à la droite du canvas.
+ * @param {number} position - Séparateur, fraction de la largeur depuis la gauche de l'écran
+ * @returns {Object} - { left, right } : { x, y, width, height }
+ */
+export function splitScissors(width, height, position, mirrored = true) {
+    const leftWidth = Math.round(width * position);
+    const rightWidth = width - leftWidth;
+    
+    return mirrored
+        ? {
+            left: { x: rightWidth, y: 0, width: leftWidth, height },
+            right: { x: 0, y: 0, width: rightWidth, height }
+        }
+        : {
+            left: { x: 0, y: 0, width: leftWidth, height },
+            right: { x: leftWidth, y: 0, width: rightWidth, height }
+        };
+}
@@ -1,11 +1,21 @@
 import { CONFIG } from "../config.js";
+import { SIZE_SYSTEMS } from "./ProductSchema.js";
+
+// Catégories de taille de tête (guide des tailles S à XL)
+const HEAD_SIZE_CATEGORIES = { S: "small", M: "medium", L: "large", XL: "extra-large" };
 
 /**
  * SmartFittingMode - Mode intelligent d'ajustement automatique
  * Analyse le visage et ajuste automatiquement le modèle 3D en temps réel
+ * Calibration sur les premières frames (morphologie), puis ajustements relatifs au placement
+ * du produit (échelle, décalage, opacité), appliqués par AutoFitter.applyAdjustments.
  */
 export class SmartFittingMode {
-  constructor() {
+  /**
+   * @param {Object} settings - CONFIG.smartFitting
+   */
+  constructor(settings = CONFIG.smartFitting) {
+    this.settings = settings;
     this.enabled = false;
     this.isCalibrating = false;
     this.calibrationFrames = 0;
@@ -16,8 +26,9 @@ export class SmartFittingMode {
     
     // Historique d'ajustements
     this.adjustmentHistory = [];
+    this.qualityWarned = false;
     
-    // Paramètres optimaux détectés
+    // Paramètres optimaux détectés : multiplicateur d'échelle, décalage (modèle normalisé)
     this.optimalSettings = {
       scale: null,
       offset: null,
@@ -81,13 +92,14 @@ export class SmartFittingMode {
 
     this.stats.totalFrames++;
 
-    // Phase 1 : Calibration (premiers 60 frames)
-    if (this.isCalibrating && this.calibrationFrames < 60) {
+    // Phase 1 : Calibration (premières frames)
+    const { calibrationFrames } = this.settings;
+    if (this.isCalibrating && this.calibrationFrames < calibrationFrames) {
       return this.processCalibration(trackingData);
     }
 
     // Fin de calibration
-    if (this.isCalibrating && this.calibrationFrames >= 60) {
+    if (this.isCalibrating && this.calibrationFrames >= calibrationFrames) {
       this.finishCalibration();
     }
 
@@ -96,6 +108,13 @@ export class SmartFittingMode {
       this.faceProfile = this.analyzeFaceMorphology(trackingData);
     }
 
+    // Taille de la tête : connue une fois le tour de tête mesuré (HeadSizer)
+    if (this.faceProfile && !this.faceProfile.sizeCategory) {
+      this.faceProfile.sizeCategory = this.classifyHeadSize(
+        trackingData.headSize?.circumferenceCm
+      );
+    }
+
     // Phase 3 : Ajustements intelligents en temps réel
     const adjustments = this.calculateIntelligentAdjustments(trackingData, currentModel);
 
@@ -119,7 +138,7 @@ export class SmartFittingMode {
     this.calibrationFrames++;
 
     // Collecter les données
-    if (trackingData.confidence > 0.7 && trackingData.rawKeypoints) {
+    if (trackingData.confidence > this.settings.minConfidence && trackingData.rawKeypoints) {
       this.calibrationData.push({
         headMetrics: this.calculateHeadMetrics(trackingData.rawKeypoints),
         rotation: trackingData.rotation,
@@ -129,9 +148,9 @@ export class SmartFittingMode {
       });
     }
 
-    // Feedback visuel
-    const progress = (this.calibrationFrames / 60 * 100).toFixed(0);
-    
+    // Feedback visuel (pourcentage)
+    const progress = Math.round((this.calibrationFrames / this.settings.calibrationFrames) * 100);
+
     return {
       status: 'calibrating',
       progress: progress,
@@ -145,7 +164,7 @@ export class SmartFittingMode {
   finishCalibration() {
     console.log("[SmartFittingMode] 📊 Analyse de calibration...");
     
-    if (this.calibrationData.length < 10) {
+    if (this.calibrationData.length < this.settings.minCalibrationSamples) {
       console.warn("[SmartFittingMode] Pas assez de données de calibration");
       this.isCalibrating = false;
       return;
@@ -159,19 +178,19 @@ export class SmartFittingMode {
     // Détecter la morphologie du visage
     const morphology = this.detectFaceMorphology(avgHeadWidth, avgHeadHeight);
 
-    // Calculer les paramètres optimaux
+    // Calculer les paramètres optimaux (relatifs au placement du produit)
     const morphWeights = this.morphologyWeights[morphology];
     
     this.optimalSettings = {
       scale: {
-        x: 0.0018 * morphWeights.scaleMultiplier,
-        y: 0.0018 * morphWeights.scaleMultiplier,
-        z: 0.0018 * morphWeights.scaleMultiplier
+        x: morphWeights.scaleMultiplier,
+        y: morphWeights.scaleMultiplier,
+        z: morphWeights.scaleMultiplier
       },
       offset: {
         x: 0,
-        y: 0.15 + morphWeights.yOffset,
-        z: -0.15
+        y: morphWeights.yOffset,
+        z: 0
       },
       rotation: {
         x: 0,
@@ -223,8 +242,8 @@ export class SmartFittingMode {
       ratio: ratio,
       jawlineWidth: headMetrics.jawlineWidth,
       foreheadWidth: headMetrics.foreheadWidth,
-      // Classification de la taille
-      sizeCategory: this.classifyHeadSize(headMetrics.width, headMetrics.height)
+      // Classification de la taille (tour de tête mesuré, voir HeadSizer)
+      sizeCategory: this.classifyHeadSize(trackingData.headSize?.circumferenceCm)
     };
 
     console.log("[SmartFittingMode] 🎭 Profil facial analysé:", profile);
@@ -276,19 +295,21 @@ export class SmartFittingMode {
   }
 
   /**
-   * Classifie la taille de la tête
+   * Classifie la taille de la tête d'après le tour de tête (guide des tailles S à XL)
+   * @param {number} circumferenceCm - Tour de tête mesuré (HeadSizer), null si inconnu
    */
-  classifyHeadSize(width, height) {
-    const avgDimension = (width + height) / 2;
-    
-    if (avgDimension < 80) return 'small';
-    if (avgDimension < 120) return 'medium';
-    if (avgDimension < 160) return 'large';
-    return 'extra-large';
+  classifyHeadSize(circumferenceCm) {
+    if (!circumferenceCm) return null;
+
+    const sizes = SIZE_SYSTEMS.letter;
+    const size = sizes.find(({ max }) => circumferenceCm < max) ?? sizes[sizes.length - 1];
+    return HEAD_SIZE_CATEGORIES[size.label];
   }
 
   /**
    * Calcule les ajustements intelligents en temps réel
+   * @returns {Object} - { scale: multiplicateur {x, y, z}, offset: décalage {x, y, z}, alpha },
+   *                     scale et offset null sans calibration
    */
   calculateIntelligentAdjustments(trackingData, currentModel) {
     const adjustments = {
@@ -329,7 +350,8 @@ export class SmartFittingMode {
       }
     }
 
-    // Ajustement de profondeur selon la distance
+    // Ajustement de profondeur selon la taille du visage (1 = tête moyenne, voir
+    // MetricScaleEstimator) : le couvre-chef avance sur une tête plus grande
     if (trackingData.scale && adjustments.offset) {
       const depthAdjustment = (1 - trackingData.scale.x) * 0.1;
       adjustments.offset.z -= depthAdjustment;
@@ -404,10 +426,12 @@ export class SmartFittingMode {
     this.stats.averageConfidence = 
       this.average(this.adjustmentHistory.slice(-30).map(h => h.trackingData.confidence));
 
-    // Si le taux de bon fitting est faible, suggérer une recalibration
-    if (this.adjustmentHistory.length > 30 && recentGoodFits < 15) {
+    // Si le taux de bon fitting est faible, suggérer une recalibration (une fois par baisse)
+    const isDegraded = this.adjustmentHistory.length > 30 && recentGoodFits < 15;
+    if (isDegraded && !this.qualityWarned) {
       console.warn("[SmartFittingMode] ⚠️ Qualité du fitting en baisse, recalibration recommandée");
     }
+    this.qualityWarned = isDegraded;
   }
 
   /**
@@ -497,13 +521,20 @@ export class SmartFittingMode {
   }
 
   /**
-   * Réinitialise le mode intelligent
+   * Réinitialise le mode intelligent (nouvelle personne : la calibration reprend)
    */
   reset() {
     this.faceProfile = null;
     this.calibrationData = [];
     this.calibrationFrames = 0;
+    this.isCalibrating = this.enabled;
     this.adjustmentHistory = [];
+    this.stats = {
+      totalFrames: 0,
+      goodFitFrames: 0,
+      averageConfidence: 0,
+      detectedMorphology: null
+    };
     this.optimalSettings = {
       scale: null,
       offset: null,
@@ -513,3 +544,38 @@ export class SmartFittingMode {
     console.log("[SmartFittingMode] 🔄 Réinitialisé");
   }
 }
+
+/**
+ * Produits ajustés par le mode intelligent : couvre-chefs (ancrage "crown")
+ * Les lunettes ont leur propre ajustement métrique (GlassesFitter), les conseils
+ * ne concernent que les chapeaux et casquettes.
+ */
+export function isSmartFitted(product) {
+  return product?.anchor === "crown";
+}
+
+/**
+ * Données de tracking attendues par SmartFittingMode.process, d'après la pose lissée
+ * La confiance baisse avec l'erreur de reprojection de la pose PnP.
+ * @param {Object} transform - Pose lissée (PoseSmoother.filter)
+ * @param {Object} faceData - Détection (FaceTracker) : rawKeypoints, confidence, videoHeight
+ * @param {Object} context - { isStabilized : visage suivi sans perte,
+ *                            headSize : HeadSizer.estimate() }
+ * @returns {Object} - { rotation (rad ; x : tangage, y : lacet, z : roulis), position,
+ *                       scale {x, y, z}, isStabilized, confidence, rawKeypoints, headSize }
+ */
+export function fittingData(transform, faceData, { isStabilized = true, headSize = null } = {}) {
+  const maxError = CONFIG.smartFitting.maxReprojectionError * faceData.videoHeight;
+  const error = transform.headPose?.reprojectionError ?? 0;
+  const { yaw, pitch, roll } = transform.angles;
+
+  return {
+    rotation: { x: pitch, y: yaw, z: roll },
+    position: transform.position,
+    scale: { x: transform.scale, y: transform.scale, z: transform.scale },
+    isStabilized,
+    confidence: (faceData.confidence ?? 1) * Math.max(0, 1 - error / maxError),
+    rawKeypoints: faceData.rawKeypoints,
+    headSize,
+  };
+}
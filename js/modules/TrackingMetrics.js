@@ -0,0 +1,82 @@
+// Poids d'une nouvelle mesure dans les moyennes glissantes
+const SMOOTHING = 0.1;
+
+/**
+ * TrackingMetrics - Statistiques du pipeline de détection
+ *   inference : durée de estimateFaces (ms)
+ *   latency : capture de la frame → pose disponible sur le thread principal (ms)
+ *   dropped : frames ignorées car une détection était déjà en cours
+ */
+export class TrackingMetrics {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Une frame a été envoyée au détecteur
+   */
+  recordSubmitted() {
+    this.submitted++;
+  }
+
+  /**
+   * Une frame a été ignorée (détecteur occupé)
+   */
+  recordDropped() {
+    this.dropped++;
+  }
+
+  /**
+   * Une détection est terminée
+   * @param {number} inferenceMs - Durée de l'inférence
+   * @param {number} latencyMs - Délai depuis la capture
+   * @param {number} now - Instant de réception (ms)
+   */
+  recordResult(inferenceMs, latencyMs, now = performance.now()) {
+    this.completed++;
+    this.inference = this.update(this.inference, inferenceMs);
+    this.latency = this.update(this.latency, latencyMs);
+
+    if (this.lastResultTime !== null) {
+      const interval = now - this.lastResultTime;
+      if (interval > 0) this.rate = this.update(this.rate, 1000 / interval);
+    }
+    this.lastResultTime = now;
+  }
+
+  update(stat, value) {
+    return {
+      last: value,
+      average: stat.average === null ? value : stat.average + SMOOTHING * (value - stat.average),
+      max: Math.max(stat.max, value),
+    };
+  }
+
+  /**
+   * Instantané des métriques (arrondies pour l'affichage)
+   */
+  getSnapshot() {
+    const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+    return {
+      inferenceMs: round(this.inference.average),
+      inferenceMaxMs: round(this.inference.max === -Infinity ? null : this.inference.max),
+      latencyMs: round(this.latency.average),
+      detectionFps: round(this.rate.average),
+      submitted: this.submitted,
+      completed: this.completed,
+      dropped: this.dropped,
+    };
+  }
+
+  reset() {
+    const empty = () => ({ last: null, average: null, max: -Infinity });
+    this.inference = empty();
+    this.latency = empty();
+    this.rate = empty();
+    this.submitted = 0;
+    this.completed = 0;
+    this.dropped = 0;
+    this.lastResultTime = null;
+  }
+}
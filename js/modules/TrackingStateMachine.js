@@ -0,0 +1,152 @@
+import { CONFIG } from "../config.js";
+
+export const TrackingState = {
+  ACQUIRING: "acquiring", // Aucun visage depuis le démarrage
+  TRACKING: "tracking", // Visage suivi
+  LOST: "lost", // Visage perdu : pose maintenue puis accessoire estompé
+  REACQUIRING: "reacquiring", // Visage revu après une perte longue, en attente de confirmation
+};
+
+/**
+ * TrackingStateMachine - Cycle de vie du suivi d'un visage
+ *
+ *   acquiring ──visage──▶ tracking ──absent──▶ lost ──visage (< lostHoldMs)──▶ tracking
+ *                            ▲                   │
+ *                            │          visage (≥ lostHoldMs)
+ *                            │                   ▼
+ *                            └──reacquireFrames── reacquiring ──absent──▶ lost
+ *
+ * Entrer en reacquiring appelle onReacquire : les filtres repartent de la nouvelle pose
+ * au lieu de glisser depuis l'ancienne. L'opacité de l'accessoire et l'affichage de
+ * l'indication "visage non détecté" se déduisent de l'état et du temps écoulé.
+ */
+export class TrackingStateMachine {
+  constructor(settings = CONFIG.tracking) {
+    this.lostHoldMs = settings?.lostHoldMs ?? 300;
+    this.fadeOutMs = settings?.fadeOutMs ?? 400;
+    this.fadeInMs = settings?.fadeInMs ?? 200;
+    this.reacquireFrames = settings?.reacquireFrames ?? 3;
+    this.hintDelayMs = settings?.hintDelayMs ?? 1000;
+
+    // Callbacks
+    this.onReacquire = null;
+
+    this.reset();
+  }
+
+  /**
+   * Un visage a été détecté sur la frame
+   */
+  faceDetected(timestamp) {
+    switch (this.state) {
+      case TrackingState.ACQUIRING:
+        this.fadeInStart = timestamp;
+        this.transition(TrackingState.TRACKING, timestamp);
+        break;
+
+      case TrackingState.LOST:
+        if (timestamp - this.lostSince < this.lostHoldMs) {
+          // Perte brève : la pose maintenue est encore valable
+          this.transition(TrackingState.TRACKING, timestamp);
+        } else {
+          this.confirmedFrames = 1;
+          this.transition(TrackingState.REACQUIRING, timestamp);
+          if (this.onReacquire) this.onReacquire();
+          this.confirmReacquire(timestamp);
+        }
+        break;
+
+      case TrackingState.REACQUIRING:
+        this.confirmedFrames++;
+        this.confirmReacquire(timestamp);
+        break;
+    }
+  }
+
+  /**
+   * Aucun visage sur la frame
+   */
+  faceMissing(timestamp) {
+    switch (this.state) {
+      case TrackingState.TRACKING:
+        this.lostOpacity = this.getOpacity(timestamp);
+        this.lostSince = timestamp;
+        this.transition(TrackingState.LOST, timestamp);
+        break;
+
+      case TrackingState.REACQUIRING:
+        // Confirmation ratée : l'accessoire reste masqué, la perte continue
+        this.lostOpacity = 0;
+        this.transition(TrackingState.LOST, timestamp);
+        break;
+    }
+  }
+
+  confirmReacquire(timestamp) {
+    if (this.confirmedFrames >= this.reacquireFrames) {
+      this.fadeInStart = timestamp;
+      this.transition(TrackingState.TRACKING, timestamp);
+    }
+  }
+
+  transition(state, timestamp) {
+    const previous = this.state;
+    this.state = state;
+    this.stateSince = timestamp;
+
+    if (previous !== state) {
+      console.log(`[TrackingState] ${previous} → ${state}`);
+    }
+  }
+
+  /**
+   * Opacité de l'accessoire (0 à 1) à l'instant `now`
+   */
+  getOpacity(now) {
+    switch (this.state) {
+      case TrackingState.TRACKING:
+        if (this.fadeInStart === null || this.fadeInMs <= 0) return 1;
+        return clamp01((now - this.fadeInStart) / this.fadeInMs);
+
+      case TrackingState.LOST: {
+        const elapsed = now - this.lostSince - this.lostHoldMs;
+        if (elapsed <= 0) return this.lostOpacity;
+        if (this.fadeOutMs <= 0) return 0;
+        return this.lostOpacity * clamp01(1 - elapsed / this.fadeOutMs);
+      }
+
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Faut-il afficher "visage non détecté" ?
+   */
+  isHintVisible(now) {
+    switch (this.state) {
+      case TrackingState.ACQUIRING:
+        return now - this.stateSince >= this.hintDelayMs;
+      case TrackingState.LOST:
+        return now - this.lostSince >= this.hintDelayMs;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Retour à l'état initial (nouvelle session de tracking)
+   */
+  reset(timestamp = performance.now()) {
+    this.state = TrackingState.ACQUIRING;
+    this.stateSince = timestamp;
+    this.fadeInStart = null;
+    this.lostSince = null;
+    this.lostOpacity = 1;
+    this.confirmedFrames = 0;
+  }
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
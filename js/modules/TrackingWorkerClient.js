@@ -0,0 +1,142 @@
+import { unflattenKeypoints } from "./LandmarkSession.js";
+
+// Délai max de chargement du modèle dans le worker (ms)
+const INIT_TIMEOUT = 30000;
+
+/**
+ * TrackingWorkerClient - Pilote js/workers/trackingWorker.js depuis le thread principal
+ * Les frames sont transférées en ImageBitmap ; une seule détection est en vol à la fois,
+ * les frames arrivant pendant l'inférence sont ignorées (on traite toujours la plus récente)
+ */
+export class TrackingWorkerClient {
+  constructor({
+    workerUrl = new URL("../workers/trackingWorker.js", import.meta.url),
+    createWorker = (url) => new Worker(url),
+  } = {}) {
+    this.workerUrl = workerUrl;
+    this.createWorker = createWorker;
+    this.worker = null;
+    this.isReady = false;
+    this.isBusy = false;
+    this.backend = null;
+
+    // Callbacks (onError(error, fatal) : fatal = le worker lui-même a planté)
+    this.onResult = null;
+    this.onError = null;
+  }
+
+  /**
+   * Le navigateur permet-il la détection dans un worker ?
+   */
+  static isSupported() {
+    return (
+      typeof Worker !== "undefined" &&
+      typeof OffscreenCanvas !== "undefined" &&
+      typeof createImageBitmap !== "undefined"
+    );
+  }
+
+  /**
+   * Démarre le worker et charge le détecteur
+   * @param {Object} options - Options du détecteur (refineLandmarks, maxFaces, ...)
+   */
+  initialize(options = {}) {
+    return new Promise((resolve, reject) => {
+      this.worker = this.createWorker(this.workerUrl);
+
+      const timeout = setTimeout(() => {
+        reject(new Error("Tracking worker timeout"));
+      }, INIT_TIMEOUT);
+
+      this.worker.onmessage = (event) => {
+        const message = event.data;
+
+        if (!this.isReady) {
+          clearTimeout(timeout);
+          if (message.type === "ready") {
+            this.isReady = true;
+            this.backend = message.backend;
+            resolve(message.backend);
+          } else {
+            reject(new Error(message.message || "Tracking worker init failed"));
+          }
+          return;
+        }
+
+        this.handleMessage(message);
+      };
+
+      this.worker.onerror = (event) => {
+        clearTimeout(timeout);
+        this.isBusy = false;
+        const error = new Error(event.message || "Tracking worker error");
+        if (!this.isReady) {
+          reject(error);
+        } else if (this.onError) {
+          this.onError(error, true);
+        }
+      };
+
+      this.worker.postMessage({ type: "init", options });
+    });
+  }
+
+  /**
+   * Envoie une frame au worker (sans attendre le résultat)
+   * @param {HTMLVideoElement|ImageBitmap} source - Frame à analyser
+   * @param {number} timestamp - Temps de capture (ms)
+   * @returns {Promise<boolean>} - false si une détection est déjà en cours
+   */
+  async detect(source, timestamp, width, height, mirrored = true) {
+    if (!this.isReady || this.isBusy) return false;
+
+    this.isBusy = true;
+    try {
+      const bitmap = await createImageBitmap(source);
+      this.worker.postMessage(
+        { type: "frame", bitmap, timestamp, width, height, mirrored },
+        [bitmap]
+      );
+      return true;
+    } catch (error) {
+      this.isBusy = false;
+      if (this.onError) this.onError(error);
+      return false;
+    }
+  }
+
+  /**
+   * Résultat ou erreur d'une détection
+   */
+  handleMessage(message) {
+    this.isBusy = false;
+
+    if (message.type === "error") {
+      if (this.onError) this.onError(new Error(message.message));
+      return;
+    }
+
+    if (message.type === "result" && this.onResult) {
+      this.onResult({
+        faces: message.faces.map((flat) => unflattenKeypoints(flat)),
+        timestamp: message.timestamp,
+        width: message.width,
+        height: message.height,
+        inferenceMs: message.inferenceMs,
+      });
+    }
+  }
+
+  /**
+   * Arrête le worker
+   */
+  dispose() {
+    if (this.worker) {
+      this.worker.postMessage({ type: "dispose" });
+      this.worker.terminate();
+    }
+    this.worker = null;
+    this.isReady = false;
+    this.isBusy = false;
+  }
+}
@@ -2,35 +2,50 @@ import { CONFIG } from '../config.js';
 
 /**
  * WebXRManager - Gère les sessions WebXR
+ * Le rendu reste fait par la boucle de RenderEngine (renderer.setAnimationLoop) :
+ * pendant une session, renderer.xr fournit les frames, les vues et la caméra AR.
  */
 export class WebXRManager {
-  constructor(renderer, scene, camera) {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer de RenderEngine
+   * @param {Object} options
+   * @param {Object} options.settings - CONFIG.webxr
+   * @param {XRSystem} options.xr - navigator.xr (remplaçable en test)
+   */
+  constructor(renderer, { settings = CONFIG.webxr, xr = globalThis.navigator?.xr } = {}) {
     this.renderer = renderer;
-    this.scene = scene;
-    this.camera = camera;
+    this.settings = settings;
+    this.xr = xr;
     this.session = null;
     this.referenceSpace = null;
     this.isSupported = false;
     this.isActive = false;
-    
+
     this.onSessionStart = null;
     this.onSessionEnd = null;
 
-    this.checkSupport();
+    this.handleSessionEnd = this.handleSessionEnd.bind(this);
+    this.renderer.xr.enabled = true;
   }
 
   /**
    * Vérifie si WebXR est supporté
+   * @returns {Promise<boolean>}
    */
   async checkSupport() {
-    if (!navigator.xr) {
+    if (!this.settings?.enabled) {
+      this.isSupported = false;
+      return false;
+    }
+
+    if (!this.xr) {
       console.warn('[WebXRManager] WebXR non disponible');
       this.isSupported = false;
       return false;
     }
 
     try {
-      this.isSupported = await navigator.xr.isSessionSupported(CONFIG.webxr.sessionMode);
+      this.isSupported = await this.xr.isSessionSupported(this.settings.sessionMode);
       console.log(`[WebXRManager] Support WebXR: ${this.isSupported}`);
       return this.isSupported;
     } catch (error) {
@@ -42,8 +57,9 @@ export class WebXRManager {
 
   /**
    * Démarre une session WebXR
+   * @param {Object} options - { domOverlay: élément HTML affiché par-dessus la vue AR }
    */
-  async startSession() {
+  async startSession({ domOverlay = null } = {}) {
     if (!this.isSupported) {
       throw new Error('WebXR n\'est pas supporté');
     }
@@ -53,35 +69,31 @@ export class WebXRManager {
       return;
     }
 
+    const { sessionMode, requiredFeatures, optionalFeatures, referenceSpaceType } = this.settings;
+    const init = { requiredFeatures, optionalFeatures };
+    if (domOverlay) {
+      init.domOverlay = { root: domOverlay };
+    }
+
     try {
       // Demander une session XR
-      this.session = await navigator.xr.requestSession(
-        CONFIG.webxr.sessionMode,
-        {
-          requiredFeatures: CONFIG.webxr.requiredFeatures,
-          optionalFeatures: CONFIG.webxr.optionalFeatures
-        }
-      );
-
-      // Configurer le renderer pour WebXR
-      await this.renderer.xr.setSession(this.session);
-      
-      // Obtenir l'espace de référence
-      this.referenceSpace = await this.session.requestReferenceSpace('local-floor');
+      const session = await this.xr.requestSession(sessionMode, init);
 
-      // Événements de session
-      this.session.addEventListener('end', this.handleSessionEnd.bind(this));
+      // renderer.xr crée la couche WebGL, l'espace de référence et prend la main sur la boucle
+      this.renderer.xr.setReferenceSpaceType(referenceSpaceType);
+      await this.renderer.xr.setSession(session);
+      this.referenceSpace = this.renderer.xr.getReferenceSpace();
 
-      // Démarrer la boucle de rendu XR
-      this.session.requestAnimationFrame(this.onXRFrame.bind(this));
+      // Événements de session
+      session.addEventListener('end', this.handleSessionEnd);
 
+      this.session = session;
       this.isActive = true;
       console.log('[WebXRManager] Session XR démarrée');
 
       if (this.onSessionStart) {
-        this.onSessionStart();
+        this.onSessionStart(session);
       }
-
     } catch (error) {
       console.error('[WebXRManager] Erreur de démarrage de session:', error);
       throw error;
@@ -89,40 +101,12 @@ export class WebXRManager {
   }
 
   /**
-   * Callback de la boucle XR
-   * @param {number} time - Timestamp
-   * @param {XRFrame} frame - Frame XR
-   */
-  onXRFrame(time, frame) {
-    const session = frame.session;
-
-    // Demander la prochaine frame
-    session.requestAnimationFrame(this.onXRFrame.bind(this));
-
-    // Obtenir la pose du viewer
-    const pose = frame.getViewerPose(this.referenceSpace);
-
-    if (pose) {
-      // Pour chaque vue (gauche et droite pour les casques VR)
-      for (const view of pose.views) {
-        const viewport = session.renderState.baseLayer.getViewport(view);
-        this.renderer.setViewport(viewport.x, viewport.y, viewport.width, viewport.height);
-
-        // Mettre à jour la caméra avec la matrice de vue
-        this.camera.matrix.fromArray(view.transform.matrix);
-        this.camera.projectionMatrix.fromArray(view.projectionMatrix);
-        this.camera.updateMatrixWorld(true);
-
-        // Rendu de la scène
-        this.renderer.render(this.scene, this.camera);
-      }
-    }
-  }
-
-  /**
-   * Gère la fin de la session
+   * Gère la fin de la session (fermée par l'application, l'utilisateur ou le navigateur)
    */
   handleSessionEnd() {
+    if (this.session) {
+      this.session.removeEventListener('end', this.handleSessionEnd);
+    }
     this.session = null;
     this.referenceSpace = null;
     this.isActive = false;
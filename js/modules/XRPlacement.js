@@ -0,0 +1,353 @@
+import * as THREE from "three";
+import { CONFIG } from "../config.js";
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * XRPlacement - "Voir dans la pièce" : le produit posé sur une surface réelle
+ * Pendant une session immersive-ar (WebXRManager) :
+ *   - un réticule suit la surface visée (hit-test), un toucher y pose le produit
+ *   - le produit est fixé à la surface par une ancre (anchors) si le navigateur le permet
+ *   - taille réelle (product.dimensions) ; pincement bloqué ou borné (CONFIG.webxr.placement)
+ *   - glissement à un doigt ou rotation à deux doigts : le produit tourne sur lui-même
+ * Sans hit-test, le produit est posé devant l'utilisateur (placementDistance).
+ */
+export class XRPlacement {
+  /**
+   * @param {Object} settings - CONFIG.webxr
+   */
+  constructor(settings = CONFIG.webxr) {
+    this.settings = settings;
+    this.reticle = createReticle();
+
+    this.session = null;
+    this.referenceSpace = null;
+    this.hitTestSource = null;
+    this.model = null;
+
+    // Taille réelle : échelle du groupe d'ancrage, hauteur du bas du modèle sous son origine
+    this.realScale = 1;
+    this.baseBottom = 0;
+
+    // Pose sur la surface, puis gestes de l'utilisateur
+    this.placed = false;
+    this.pendingPlacement = false;
+    this.anchor = null;
+    this.anchorRequest = 0;
+    this.surface = { position: new THREE.Vector3(), yaw: 0 };
+    this.rotation = 0;
+    this.userScale = 1;
+    this.scaleLocked = settings.placement.lockScale;
+
+    // Gestes en cours (pointerId → { x, y })
+    this.pointers = new Map();
+    this.gestureStart = null;
+    this.dragged = false;
+
+    // Callbacks
+    this.onPlaced = null;
+    this.onScaleChange = null;
+
+    this.handleSelect = this.handleSelect.bind(this);
+  }
+
+  /**
+   * Démarre le placement du modèle (groupe d'ancrage préparé par AutoFitter)
+   * @param {XRSession} session - Session démarrée par WebXRManager
+   * @param {XRReferenceSpace} referenceSpace - Espace de renderer.xr
+   * @param {THREE.Object3D} model - Modèle du produit essayé
+   * @param {Object} product - Produit validé (dimensions)
+   */
+  async start(session, referenceSpace, model, product) {
+    this.session = session;
+    this.referenceSpace = referenceSpace;
+    this.model = model;
+    this.placed = false;
+    this.pendingPlacement = false;
+    this.rotation = 0;
+    this.userScale = 1;
+    this.scaleLocked = this.settings.placement.lockScale;
+    this.pointers.clear();
+
+    this.measure(model, product);
+    model.visible = false;
+    session.addEventListener("select", this.handleSelect);
+
+    if (typeof session.requestHitTestSource === "function") {
+      try {
+        const viewerSpace = await session.requestReferenceSpace("viewer");
+        this.hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
+      } catch (error) {
+        console.warn("[XRPlacement] ⚠️ Hit-test unavailable:", error.message);
+      }
+    }
+
+    if (!this.hitTestSource) {
+      this.placeInFront();
+    }
+    console.log(`[XRPlacement] 📐 Real scale ${this.realScale.toFixed(4)}`);
+  }
+
+  /**
+   * Échelle à laquelle le modèle a ses dimensions réelles, et hauteur de son bas
+   */
+  measure(model, product) {
+    model.position.set(0, 0, 0);
+    model.quaternion.identity();
+    model.scale.setScalar(1);
+    model.updateMatrixWorld(true);
+
+    const box = new THREE.Box3().setFromObject(model);
+    const size = box.getSize(new THREE.Vector3());
+
+    this.realScale =
+      realWorldScale(size, product?.dimensions) ??
+      this.settings.fallbackSize / Math.max(size.x, size.y, size.z, 1e-6);
+    this.baseBottom = -box.min.y;
+  }
+
+  /**
+   * Frame XR : réticule sur la surface visée, pose demandée, suivi de l'ancre
+   * @param {XRFrame} frame
+   */
+  update(frame) {
+    if (!this.session || !frame) return;
+
+    const hit = this.hitTestSource ? frame.getHitTestResults(this.hitTestSource)[0] : null;
+    const hitPose = hit ? hit.getPose(this.referenceSpace) : null;
+
+    this.reticle.visible = !!hitPose;
+    if (hitPose) {
+      this.reticle.matrix.fromArray(hitPose.transform.matrix);
+    }
+
+    // Pose demandée par un toucher : les ancres ne se créent que pendant une frame
+    if (this.pendingPlacement && hitPose) {
+      this.pendingPlacement = false;
+      this.placeAt(frame, hit, hitPose);
+    }
+
+    if (this.anchor) {
+      const anchorPose = frame.getPose(this.anchor.anchorSpace, this.referenceSpace);
+      if (anchorPose) {
+        const { x, y, z } = anchorPose.transform.position;
+        this.surface.position.set(x, y, z);
+      }
+    }
+
+    if (this.placed) {
+      this.applyPose();
+    }
+  }
+
+  /**
+   * Pose le produit sur le point visé, face à l'utilisateur
+   */
+  placeAt(frame, hit, hitPose) {
+    const { x, y, z } = hitPose.transform.position;
+    const viewer = frame.getViewerPose(this.referenceSpace);
+    const eye = viewer ? viewer.transform.position : { x: 0, z: 0 };
+
+    this.surface.position.set(x, y, z);
+    this.surface.yaw = facingYaw(this.surface.position, eye);
+    this.rotation = 0;
+    this.setPlaced();
+    this.attachAnchor(hit);
+  }
+
+  /**
+   * Sans hit-test : devant la position de départ de l'utilisateur
+   */
+  placeInFront() {
+    this.surface.position.set(0, 0, -this.settings.placementDistance);
+    this.surface.yaw = facingYaw(this.surface.position, { x: 0, z: 0 });
+    this.setPlaced();
+    this.applyPose();
+  }
+
+  setPlaced() {
+    this.placed = true;
+    this.model.visible = true;
+    if (this.onPlaced) this.onPlaced();
+  }
+
+  /**
+   * Ancre sur la surface (remplace la précédente) ; la pose suit ensuite l'ancre
+   */
+  attachAnchor(hit) {
+    this.deleteAnchor();
+    if (typeof hit.createAnchor !== "function") return;
+
+    const request = ++this.anchorRequest;
+    hit
+      .createAnchor()
+      .then((anchor) => {
+        // Produit déplacé ou session terminée entre-temps
+        if (request !== this.anchorRequest || !this.session) {
+          anchor.delete();
+          return;
+        }
+        this.anchor = anchor;
+      })
+      .catch((error) => console.warn("[XRPlacement] ⚠️ Anchor unavailable:", error.message));
+  }
+
+  deleteAnchor() {
+    this.anchorRequest++;
+    if (this.anchor) {
+      this.anchor.delete();
+      this.anchor = null;
+    }
+  }
+
+  /**
+   * Position, orientation et échelle du modèle posé (le bas du modèle repose sur la surface)
+   */
+  applyPose() {
+    const scale = this.realScale * this.userScale;
+
+    this.model.position.copy(this.surface.position);
+    this.model.position.y += this.baseBottom * scale;
+    this.model.quaternion.setFromAxisAngle(UP, this.surface.yaw + this.rotation);
+    this.model.scale.setScalar(scale);
+  }
+
+  /**
+   * Toucher de l'écran (événement "select" de la session) : pose sur le réticule
+   * Ignoré à la fin d'un geste (rotation, pincement).
+   */
+  handleSelect() {
+    if (this.dragged) return;
+    this.pendingPlacement = true;
+  }
+
+  /**
+   * Taille relative à la taille réelle (pincement débloqué), bornée et aimantée à 1
+   */
+  setUserScale(scale) {
+    const { minScale, maxScale, snapThreshold } = this.settings.placement;
+    const clamped = Math.min(maxScale, Math.max(minScale, scale));
+
+    this.userScale = Math.abs(clamped - 1) < snapThreshold ? 1 : clamped;
+    if (this.onScaleChange) this.onScaleChange(this.userScale);
+  }
+
+  /**
+   * Bloque le pincement : retour à la taille réelle
+   */
+  setScaleLocked(locked) {
+    this.scaleLocked = locked;
+    if (locked) this.setUserScale(1);
+  }
+
+  pointerDown(id, x, y) {
+    this.pointers.set(id, { x, y });
+    if (this.pointers.size === 1) {
+      this.dragged = false;
+    }
+    this.gestureStart = { x, y };
+  }
+
+  /**
+   * Un doigt : rotation par glissement horizontal ; deux doigts : rotation et pincement
+   */
+  pointerMove(id, x, y) {
+    const previous = this.pointers.get(id);
+    if (!previous) return;
+
+    if (this.pointers.size === 1) {
+      const moved = Math.hypot(x - this.gestureStart.x, y - this.gestureStart.y);
+      if (moved > this.settings.placement.tapThreshold) this.dragged = true;
+      if (this.dragged) this.rotation += (x - previous.x) * this.settings.placement.rotateSpeed;
+
+      this.pointers.set(id, { x, y });
+      return;
+    }
+
+    const before = this.twoFingers();
+    this.pointers.set(id, { x, y });
+    const after = this.twoFingers();
+    this.dragged = true;
+
+    // Rotation dans le sens des doigts vue du dessus (y de l'écran vers le bas)
+    this.rotation -= wrapAngle(after.angle - before.angle);
+    if (!this.scaleLocked && before.distance > 0) {
+      this.setUserScale((this.userScale * after.distance) / before.distance);
+    }
+  }
+
+  pointerUp(id) {
+    this.pointers.delete(id);
+  }
+
+  /**
+   * Distance et angle entre les deux premiers doigts
+   */
+  twoFingers() {
+    const [a, b] = Array.from(this.pointers.values());
+    return {
+      distance: Math.hypot(b.x - a.x, b.y - a.y),
+      angle: Math.atan2(b.y - a.y, b.x - a.x),
+    };
+  }
+
+  /**
+   * Fin de session : le modèle reprend l'essayage sur le visage
+   */
+  stop() {
+    if (this.session) {
+      this.session.removeEventListener("select", this.handleSelect);
+    }
+    if (this.hitTestSource) {
+      this.hitTestSource.cancel();
+      this.hitTestSource = null;
+    }
+    this.deleteAnchor();
+
+    if (this.model) this.model.visible = true;
+    this.session = null;
+    this.referenceSpace = null;
+    this.model = null;
+    this.reticle.visible = false;
+    this.pointers.clear();
+  }
+}
+
+/**
+ * Échelle à appliquer à un modèle de taille `size` (unités de la scène, en mètres en AR)
+ * pour qu'il mesure `dimensions` (mm) : largeur, sinon hauteur, sinon profondeur
+ * @returns {number|null} - null sans dimension exploitable
+ */
+export function realWorldScale(size, dimensions) {
+  const axes = [
+    ["width", "x"],
+    ["height", "y"],
+    ["depth", "z"],
+  ];
+
+  for (const [key, axis] of axes) {
+    if (dimensions?.[key] > 0 && size[axis] > 0) {
+      return dimensions[key] / 1000 / size[axis];
+    }
+  }
+  return null;
+}
+
+/**
+ * Rotation sur Y pour que l'avant du modèle (-z local, voir PreciseTracker) regarde l'œil
+ */
+function facingYaw(position, eye) {
+  return Math.atan2(-(eye.x - position.x), -(eye.z - position.z));
+}
+
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+function createReticle() {
+  const geometry = new THREE.RingGeometry(0.04, 0.05, 32).rotateX(-Math.PI / 2);
+  const reticle = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+  reticle.matrixAutoUpdate = false;
+  reticle.visible = false;
+  return reticle;
+}
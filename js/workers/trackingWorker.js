@@ -0,0 +1,122 @@
+/**
+ * trackingWorker - Détection MediaPipe Face Mesh hors du thread principal
+ * Worker classique (importScripts) : TensorFlow.js n'est distribué qu'en scripts globaux
+ *
+ * Messages reçus:
+ *   { type: "init", options }                                  → { type: "ready", backend } | { type: "error", message }
+ *   { type: "frame", bitmap, timestamp, width, height, mirrored } → { type: "result", faces, timestamp, width, height, inferenceMs }
+ *   { type: "dispose" }
+ *
+ * Les keypoints sont renvoyés à plat (Float32Array [x0, y0, z0, x1, ...]) et transférés
+ */
+
+const TFJS_SCRIPTS = [
+  "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-core@4.13.0/dist/tf-core.min.js",
+  "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-converter@4.13.0/dist/tf-converter.min.js",
+  "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgl@4.13.0/dist/tf-backend-webgl.min.js",
+  "https://cdn.jsdelivr.net/npm/@tensorflow-models/face-landmarks-detection@1.0.2/dist/face-landmarks-detection.min.js",
+];
+
+let detector = null;
+let canvas = null;
+let ctx = null;
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case "init":
+      await initialize(message.options || {});
+      break;
+    case "frame":
+      await detect(message);
+      break;
+    case "dispose":
+      if (detector) detector.dispose();
+      detector = null;
+      self.close();
+      break;
+  }
+};
+
+/**
+ * Charge TensorFlow.js et crée le détecteur
+ */
+async function initialize(options) {
+  try {
+    importScripts(...TFJS_SCRIPTS);
+
+    await tf.setBackend("webgl");
+    await tf.ready();
+
+    detector = await faceLandmarksDetection.createDetector(
+      faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+      {
+        runtime: "tfjs",
+        refineLandmarks: options.refineLandmarks ?? true,
+        maxFaces: options.maxFaces ?? 1,
+        minDetectionConfidence: options.minDetectionConfidence ?? 0.7,
+        minTrackingConfidence: options.minTrackingConfidence ?? 0.7,
+      }
+    );
+
+    self.postMessage({ type: "ready", backend: tf.getBackend() });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message || String(error) });
+  }
+}
+
+/**
+ * Retourne la frame (miroir comme la vidéo affichée) puis détecte les visages
+ */
+async function detect({ bitmap, timestamp, width, height, mirrored = true }) {
+  const start = performance.now();
+
+  try {
+    if (!canvas || canvas.width !== width || canvas.height !== height) {
+      canvas = new OffscreenCanvas(width, height);
+      ctx = canvas.getContext("2d");
+    }
+
+    ctx.save();
+    if (mirrored) {
+      ctx.scale(-1, 1);
+      ctx.drawImage(bitmap, -width, 0, width, height);
+    } else {
+      ctx.drawImage(bitmap, 0, 0, width, height);
+    }
+    ctx.restore();
+    bitmap.close();
+
+    const faces = await detector.estimateFaces(canvas, {
+      flipHorizontal: false,
+      staticImageMode: false,
+    });
+
+    const flat = faces.map((face) => flattenKeypoints(face.keypoints));
+
+    self.postMessage(
+      {
+        type: "result",
+        faces: flat,
+        timestamp,
+        width,
+        height,
+        inferenceMs: performance.now() - start,
+      },
+      flat.map((keypoints) => keypoints.buffer)
+    );
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message || String(error), timestamp });
+  }
+}
+
+function flattenKeypoints(keypoints) {
+  const flat = new Float32Array(keypoints.length * 3);
+  keypoints.forEach((point, i) => {
+    flat[i * 3] = point.x;
+    flat[i * 3 + 1] = point.y;
+    flat[i * 3 + 2] = point.z || 0;
+  });
+  return flat;
+}
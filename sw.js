@@ -13,6 +13,7 @@ const STATIC_ASSETS = [
   '/js/modules/ModelManager.js',
   '/js/modules/RenderEngine.js',
   '/js/modules/WebXRManager.js',
+  '/js/workers/trackingWorker.js',
   '/assets/icons/icon-192.png',
   '/assets/icons/icon-512.png'
 ];
@@ -72,6 +73,22 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Catalogue produits : Network First (les mises à jour doivent être visibles)
+  if (url.pathname.startsWith('/data/')) {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response && response.status === 200) {
+            const copy = response.clone();
+            caches.open(RUNTIME_CACHE).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match(request))
+    );
+    return;
+  }
+
   // Stratégie pour les fichiers statiques : Cache First
   if (STATIC_ASSETS.some(asset => url.pathname.includes(asset))) {
     event.respondWith(
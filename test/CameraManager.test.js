@@ -0,0 +1,188 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CameraManager } from "../js/modules/CameraManager.js";
+
+const SETTINGS = {
+  width: { ideal: 1280 },
+  height: { ideal: 720 },
+  frameRate: { ideal: 30 },
+  facingMode: "user",
+  fallbackResolutions: [
+    [960, 540],
+    [640, 480],
+  ],
+};
+
+const PHONE = [
+  { deviceId: "front", label: "camera2 1, facing front", facingMode: "user" },
+  { deviceId: "back", label: "camera2 0, facing back", facingMode: "environment" },
+  { deviceId: "wide", label: "camera2 2, facing back", facingMode: "environment" },
+];
+
+const DESKTOP = [
+  { deviceId: "laptop", label: "FaceTime HD Camera" },
+  { deviceId: "usb", label: "USB Webcam" },
+];
+
+function error(name) {
+  return Object.assign(new Error(name), { name });
+}
+
+/**
+ * navigator.mediaDevices simulé
+ * @param {Array} cameras - { deviceId, label, facingMode } (facingMode absent : non communiqué)
+ * @param {Function} refuse - (constraints) → nom d'erreur, ou null si accepté
+ */
+function fakeMediaDevices(cameras, refuse = () => null) {
+  const requests = [];
+  const tracks = [];
+
+  return {
+    requests,
+    tracks,
+    enumerateDevices: async () => [
+      { kind: "audioinput", deviceId: "mic", label: "Micro" },
+      ...cameras.map(({ deviceId, label }) => ({ kind: "videoinput", deviceId, label })),
+    ],
+    getUserMedia: async ({ video }) => {
+      requests.push(video);
+      const refused = refuse(video);
+      if (refused) throw error(refused);
+
+      const camera =
+        (video.deviceId && cameras.find((c) => c.deviceId === video.deviceId.exact)) ||
+        (video.facingMode && cameras.find((c) => c.facingMode === video.facingMode)) ||
+        cameras[0];
+      const track = {
+        label: camera.label,
+        stopped: false,
+        stop() {
+          this.stopped = true;
+        },
+        getSettings: () => ({
+          deviceId: camera.deviceId,
+          facingMode: camera.facingMode,
+          width: video.width?.ideal ?? 640,
+          height: video.height?.ideal ?? 480,
+        }),
+      };
+      tracks.push(track);
+
+      return { getVideoTracks: () => [track], getTracks: () => [track] };
+    },
+  };
+}
+
+describe("CameraManager.start", () => {
+  test("contraintes de la configuration, caméra frontale en miroir", async () => {
+    const mediaDevices = fakeMediaDevices(PHONE);
+    const camera = new CameraManager({ settings: SETTINGS, mediaDevices });
+
+    await camera.start();
+
+    assert.deepEqual(mediaDevices.requests, [
+      {
+        facingMode: "user",
+        width: { ideal: 1280 },
+        height: { ideal: 720 },
+        frameRate: { ideal: 30 },
+      },
+    ]);
+    assert.equal(camera.deviceId, "front");
+    assert.equal(camera.mirrored, true);
+    assert.deepEqual(
+      camera.devices.map((device) => device.deviceId),
+      ["front", "back", "wide"]
+    );
+  });
+
+  test("contraintes refusées : résolutions de repli, puis n'importe quelle caméra", async () => {
+    const mediaDevices = fakeMediaDevices(DESKTOP, (video) =>
+      video === true ? null : "OverconstrainedError"
+    );
+    const camera = new CameraManager({ settings: SETTINGS, mediaDevices });
+
+    const stream = await camera.start();
+
+    assert.ok(stream);
+    assert.deepEqual(
+      mediaDevices.requests.map((video) => (video === true ? true : video.width?.ideal ?? null)),
+      [1280, 960, 640, null, true]
+    );
+  });
+
+  test("accès refusé : pas de nouvelle tentative", async () => {
+    const mediaDevices = fakeMediaDevices(PHONE, () => "NotAllowedError");
+    const camera = new CameraManager({ settings: SETTINGS, mediaDevices });
+
+    await assert.rejects(camera.start(), { name: "NotAllowedError" });
+    assert.equal(mediaDevices.requests.length, 1);
+    assert.equal(camera.isActive, false);
+  });
+
+  test("sans getUserMedia", async () => {
+    const camera = new CameraManager({ settings: SETTINGS, mediaDevices: undefined });
+
+    await assert.rejects(camera.start(), /Caméra non disponible/);
+    assert.deepEqual(await camera.enumerate(), []);
+  });
+});
+
+describe("CameraManager.switchCamera", () => {
+  test("mobile : bascule avant ↔ arrière, caméra arrière sans miroir", async () => {
+    const mediaDevices = fakeMediaDevices(PHONE);
+    const camera = new CameraManager({ settings: SETTINGS, mediaDevices });
+
+    await camera.start();
+    await camera.switchCamera();
+
+    assert.equal(mediaDevices.tracks[0].stopped, true);
+    assert.equal(camera.deviceId, "back");
+    assert.equal(camera.facingMode, "environment");
+    assert.equal(camera.mirrored, false);
+
+    await camera.switchCamera();
+    assert.equal(camera.deviceId, "front");
+    assert.equal(camera.mirrored, true);
+  });
+
+  test("ordinateur : webcam suivante, chacune en miroir", async () => {
+    const mediaDevices = fakeMediaDevices(DESKTOP);
+    const camera = new CameraManager({ settings: SETTINGS, mediaDevices });
+
+    await camera.start();
+    assert.equal(camera.facingMode, null);
+    assert.equal(camera.canSwitch, true);
+
+    await camera.switchCamera();
+    assert.deepEqual(mediaDevices.requests.at(-1).deviceId, { exact: "usb" });
+    assert.equal(camera.deviceId, "usb");
+    assert.equal(camera.mirrored, true);
+
+    await camera.switchCamera();
+    assert.equal(camera.deviceId, "laptop");
+  });
+
+  test("caméra arrière reconnue à son libellé (facingMode non communiqué)", async () => {
+    const mediaDevices = fakeMediaDevices([
+      { deviceId: "a", label: "Front Camera" },
+      { deviceId: "b", label: "Back Camera" },
+    ]);
+    const camera = new CameraManager({ settings: SETTINGS, mediaDevices });
+
+    await camera.start({ deviceId: "b" });
+
+    assert.equal(camera.mirrored, false);
+  });
+
+  test("stop ferme le flux", async () => {
+    const mediaDevices = fakeMediaDevices(PHONE);
+    const camera = new CameraManager({ settings: SETTINGS, mediaDevices });
+
+    await camera.start();
+    camera.stop();
+
+    assert.equal(camera.isActive, false);
+    assert.equal(mediaDevices.tracks[0].stopped, true);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { canShareFiles, shareCapture } from "../js/modules/CaptureShare.js";
+
+const BLOB = new Blob(["image"], { type: "image/jpeg" });
+
+function fakeNavigator({ canShare = true, error = null } = {}) {
+  const shared = [];
+  return {
+    shared,
+    canShare: () => canShare,
+    share: async (data) => {
+      if (error) throw error;
+      shared.push(data);
+    },
+  };
+}
+
+describe("shareCapture", () => {
+  test("partage la photo comme fichier, avec titre et texte", async () => {
+    const nav = fakeNavigator();
+
+    const details = { title: "Casquette", text: "!" };
+    const result = await shareCapture(BLOB, "ar-try-on-1.jpg", details, nav);
+
+    assert.equal(result, "shared");
+    const [{ files, title, text }] = nav.shared;
+    assert.equal(files[0].name, "ar-try-on-1.jpg");
+    assert.equal(files[0].type, "image/jpeg");
+    assert.deepEqual([title, text], ["Casquette", "!"]);
+  });
+
+  test("sans Web Share ou sans partage de fichiers : téléchargement", async () => {
+    assert.equal(canShareFiles({}), false);
+    assert.equal(await shareCapture(BLOB, "a.jpg", {}, {}), "unsupported");
+    assert.equal(
+      await shareCapture(BLOB, "a.jpg", {}, fakeNavigator({ canShare: false })),
+      "unsupported"
+    );
+  });
+
+  test("feuille de partage fermée : pas une erreur", async () => {
+    const abort = Object.assign(new Error("cancel"), { name: "AbortError" });
+    assert.equal(
+      await shareCapture(BLOB, "a.jpg", {}, fakeNavigator({ error: abort })),
+      "cancelled"
+    );
+
+    await assert.rejects(
+      () => shareCapture(BLOB, "a.jpg", {}, fakeNavigator({ error: new Error("denied") })),
+      /denied/
+    );
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync } from "node:fs";
+import { CatalogService } from "../js/modules/CatalogService.js";
+import { PRODUCTS } from "../js/config.js";
+
+const ROOT = new URL("../", import.meta.url);
+
+function product(id, type = "hat", extra = {}) {
+  return {
+    id,
+    name: `Produit ${id}`,
+    price: 10,
+    modelUrl: `./models/head/${id}.glb`,
+    thumbnail: `./assets/images/${id}.jpg`,
+    type,
+    ...extra,
+  };
+}
+
+/**
+ * fetch factice : réponses JSON par URL (absente = 404)
+ */
+function fakeFetch(routes) {
+  const calls = [];
+  const fetch = async (url) => {
+    calls.push(url);
+    if (!(url in routes)) {
+      return { ok: false, status: 404, json: async () => ({}) };
+    }
+    return { ok: true, status: 200, json: async () => routes[url] };
+  };
+  return { fetch, calls };
+}
+
+describe("CatalogService", () => {
+  test("charge un fichier JSON avec catégories", async () => {
+    const { fetch } = fakeFetch({
+      "https://shop.test/catalog.json": {
+        categories: [{ id: "hats", name: "Chapeaux" }],
+        products: [product("a"), product("b", "sunglasses")],
+      },
+    });
+    const catalog = new CatalogService({ url: "https://shop.test/catalog.json", fetch });
+
+    await catalog.load();
+
+    assert.equal(catalog.source, "remote");
+    assert.deepEqual(
+      catalog.getCategories(),
+      [
+        { id: "hats", name: "Chapeaux", count: 1 },
+        { id: "eyewear", name: "Lunettes", count: 1 },
+      ]
+    );
+    assert.deepEqual(
+      catalog.getProducts("eyewear").map((p) => p.id),
+      ["b"]
+    );
+    assert.equal(catalog.getProduct("a").anchor, "crown");
+  });
+
+  test("accepte un tableau brut et suit les pages REST", async () => {
+    const { fetch, calls } = fakeFetch({
+      "https://api.test/products?page=1": { products: [product("a")], next: "?page=2" },
+      "https://api.test/products?page=2": { products: [product("b")], next: null },
+    });
+    const catalog = new CatalogService({ url: "https://api.test/products?page=1", fetch });
+
+    await catalog.load();
+
+    assert.deepEqual(calls, ["https://api.test/products?page=1", "https://api.test/products?page=2"]);
+    assert.deepEqual(
+      catalog.products.map((p) => p.id),
+      ["a", "b"]
+    );
+
+    const array = new CatalogService({
+      url: "https://api.test/all",
+      fetch: fakeFetch({ "https://api.test/all": [product("c")] }).fetch,
+    });
+    await array.load();
+    assert.deepEqual(
+      array.products.map((p) => p.id),
+      ["c"]
+    );
+  });
+
+  test("ignore les entrées invalides ou en double", async () => {
+    const { fetch } = fakeFetch({
+      "https://shop.test/catalog.json": [
+        product("a"),
+        product("a"),
+        product("b", "scarf"),
+        { ...product("c"), price: "gratuit" },
+      ],
+    });
+    const catalog = new CatalogService({ url: "https://shop.test/catalog.json", fetch });
+
+    await catalog.load();
+
+    assert.deepEqual(
+      catalog.products.map((p) => p.id),
+      ["a"]
+    );
+  });
+
+  test("repli sur les produits intégrés si le catalogue est indisponible", async () => {
+    const { fetch } = fakeFetch({});
+    const catalog = new CatalogService({
+      url: "https://shop.test/missing.json",
+      fetch,
+      fallback: [product("local")],
+    });
+
+    await catalog.load();
+
+    assert.equal(catalog.source, "fallback");
+    assert.deepEqual(
+      catalog.products.map((p) => p.id),
+      ["local"]
+    );
+  });
+
+  test("format inattendu : repli", async () => {
+    const { fetch } = fakeFetch({ "https://shop.test/catalog.json": { items: [] } });
+    const catalog = new CatalogService({
+      url: "https://shop.test/catalog.json",
+      fetch,
+      fallback: [product("local")],
+    });
+
+    await catalog.load();
+    assert.equal(catalog.source, "fallback");
+  });
+
+  test("pagination de la galerie, par catégorie", () => {
+    const catalog = new CatalogService({
+      pageSize: 2,
+      fallback: [product("a"), product("b"), product("c"), product("d", "glasses")],
+    });
+
+    const first = catalog.getPage(0);
+    assert.deepEqual(
+      first.items.map((p) => p.id),
+      ["a", "b"]
+    );
+    assert.equal(first.pageCount, 2);
+    assert.equal(first.hasMore, true);
+
+    const last = catalog.getPage(1);
+    assert.deepEqual(
+      last.items.map((p) => p.id),
+      ["c", "d"]
+    );
+    assert.equal(last.hasMore, false);
+
+    const hats = catalog.getPage(1, { category: "hats" });
+    assert.deepEqual(
+      hats.items.map((p) => p.id),
+      ["c"]
+    );
+    assert.equal(hats.total, 3);
+  });
+});
+
+describe("Catalogues livrés", () => {
+  const catalogs = {
+    "data/catalog.json": JSON.parse(readFileSync(new URL("data/catalog.json", ROOT))).products,
+    "PRODUCTS (config.js)": PRODUCTS,
+  };
+
+  for (const [name, products] of Object.entries(catalogs)) {
+    test(`${name} : entrées valides, modèles et miniatures présents`, () => {
+      const catalog = new CatalogService({ fallback: products });
+      assert.equal(catalog.products.length, products.length);
+
+      catalog.products.forEach(({ modelUrl, thumbnail }) => {
+        assert.ok(existsSync(new URL(modelUrl, ROOT)), `modèle manquant : ${modelUrl}`);
+        assert.ok(existsSync(new URL(thumbnail, ROOT)), `miniature manquante : ${thumbnail}`);
+      });
+    });
+  }
+});
@@ -0,0 +1,126 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { CompareMode } from "../js/modules/CompareMode.js";
+import { GlassesFitter } from "../js/modules/GlassesFitter.js";
+import { validateProduct } from "../js/modules/ProductSchema.js";
+import { splitScissors } from "../js/modules/RenderEngine.js";
+import { VIDEO, generateFaceMesh } from "./helpers/syntheticFace.js";
+
+function createCompare() {
+  const scene = new Set();
+  const splits = [];
+  const compare = new CompareMode({
+    renderEngine: {
+      addModel: (model) => scene.add(model),
+      removeModel: (model) => scene.delete(model),
+      setModelOpacity: (model, opacity) => (model.userData.opacity = opacity),
+      setSplit: (split) => splits.push(split),
+    },
+    autoFitter: {
+      prepareModel: (model) => ({ model }),
+      applyTransform: (model, transform) => model.position.copy(transform.position),
+      applyAdjustments: (model, adjustments) => (model.userData.adjustments = adjustments),
+    },
+    loadModel: async (product) => {
+      const model = new THREE.Group();
+      model.userData.product = product.id;
+      return model;
+    },
+    settings: { dividerPosition: 0.5, dividerMargin: 0.1 },
+  });
+  return { compare, scene, splits };
+}
+
+describe("CompareMode", () => {
+  test("second produit à droite du séparateur, produit courant à gauche", async () => {
+    const { compare, scene, splits } = createCompare();
+    const primary = new THREE.Group();
+
+    compare.start(primary);
+    const model = await compare.setProduct({ id: "cap", name: "Casquette" });
+
+    assert.ok(scene.has(model));
+    assert.deepEqual(splits.at(-1), { position: 0.5, left: primary, right: model });
+  });
+
+  test("le second modèle suit le visage avec son propre tracker", async () => {
+    const { compare } = createCompare();
+    compare.start(new THREE.Group());
+    const sunglasses = validateProduct({
+      id: "sun",
+      name: "Lunettes",
+      price: 1,
+      modelUrl: "sun.glb",
+      thumbnail: "sun.jpg",
+      type: "sunglasses",
+    });
+    const model = await compare.setProduct(sunglasses);
+
+    assert.ok(compare.tracker instanceof GlassesFitter);
+    assert.equal(compare.tracker.anchor, "noseBridge");
+
+    compare.update(generateFaceMesh({}), VIDEO.width, VIDEO.height, 0);
+    const adjustments = { scale: { x: 1.1, y: 1.1, z: 1.1 }, offset: null, alpha: 1 };
+    compare.render(0, 1, adjustments);
+
+    assert.notEqual(model.position.length(), 0);
+    assert.equal(model.userData.opacity, 1);
+    // Mêmes ajustements du mode intelligent que le produit courant
+    assert.equal(model.userData.adjustments, adjustments);
+  });
+
+  test("remplacer le produit comparé retire l'ancien modèle", async () => {
+    const { compare, scene } = createCompare();
+    compare.start(new THREE.Group());
+
+    const first = await compare.setProduct({ id: "cap", name: "Casquette" });
+    const second = await compare.setProduct({ id: "hat", name: "Chapeau" });
+
+    assert.ok(!scene.has(first));
+    assert.ok(scene.has(second));
+  });
+
+  test("un chargement dépassé par un autre choix est ignoré", async () => {
+    const { compare, scene } = createCompare();
+    compare.start(new THREE.Group());
+
+    const [stale, latest] = await Promise.all([
+      compare.setProduct({ id: "cap", name: "Casquette" }),
+      compare.setProduct({ id: "hat", name: "Chapeau" }),
+    ]);
+
+    assert.equal(stale, null);
+    assert.deepEqual(Array.from(scene), [latest]);
+  });
+
+  test("séparateur borné, sortie en plein écran", async () => {
+    const { compare, scene, splits } = createCompare();
+    compare.start(new THREE.Group());
+    await compare.setProduct({ id: "cap", name: "Casquette" });
+
+    assert.equal(compare.setDivider(0.02), 0.1);
+    assert.equal(compare.setDivider(0.7), 0.7);
+
+    compare.stop();
+    assert.equal(scene.size, 0);
+    assert.equal(splits.at(-1), null);
+    assert.equal(compare.active, false);
+  });
+});
+
+describe("splitScissors", () => {
+  test("canvas en miroir : la gauche de l'écran est rendue à droite du canvas", () => {
+    const { left, right } = splitScissors(1000, 600, 0.3);
+
+    assert.deepEqual(left, { x: 700, y: 0, width: 300, height: 600 });
+    assert.deepEqual(right, { x: 0, y: 0, width: 700, height: 600 });
+  });
+
+  test("sans miroir", () => {
+    const { left, right } = splitScissors(1000, 600, 0.3, false);
+
+    assert.deepEqual(left, { x: 0, y: 0, width: 300, height: 600 });
+    assert.deepEqual(right, { x: 300, y: 0, width: 700, height: 600 });
+  });
+});
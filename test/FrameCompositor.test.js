@@ -0,0 +1,268 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FrameCompositor,
+  coverRect,
+  productLabel,
+  pickVideoType,
+  fileExtension,
+} from "../js/modules/FrameCompositor.js";
+
+const SETTINGS = {
+  format: "image/jpeg",
+  quality: 0.9,
+  dividerColor: "#ffffff",
+  dividerWidth: 4,
+  labelFont: "600 28px sans-serif",
+  maxDuration: 15000,
+  videoFps: 30,
+  videoBitsPerSecond: 1000000,
+  videoTypes: ["video/webm;codecs=vp9", "video/webm", "video/mp4"],
+  watermark: {
+    text: "AR-FitTry",
+    showProduct: true,
+    font: "600 24px sans-serif",
+    color: "#ffffff",
+    margin: 0.03,
+  },
+};
+
+const CAP = { name: "Casquette", price: 19.99 };
+
+/**
+ * Canvas factice : enregistre les appels du contexte 2D
+ */
+function fakeCanvas(width, height, calls) {
+  const ctx = new Proxy(
+    { font: "" },
+    {
+      get: (target, key) =>
+        key in target
+          ? target[key]
+          : (...args) => {
+              calls.push([key, ...args]);
+              return key === "measureText" ? { width: 100 } : undefined;
+            },
+      set: (target, key, value) => {
+        target[key] = value;
+        return true;
+      },
+    }
+  );
+  const tracks = [{ stopped: false, stop() { this.stopped = true; } }];
+
+  return {
+    width,
+    height,
+    tracks,
+    getContext: () => ctx,
+    captureStream: () => ({ getTracks: () => tracks }),
+    toBlob: (callback, type) => callback(new Blob(["image"], { type })),
+  };
+}
+
+class FakeRecorder {
+  static isTypeSupported = (type) => type === "video/webm";
+
+  constructor(stream, options) {
+    this.options = options;
+    this.state = "inactive";
+    FakeRecorder.last = this;
+  }
+
+  start() {
+    this.state = "recording";
+  }
+
+  stop() {
+    this.state = "inactive";
+    this.ondataavailable({ data: new Blob(["frame"]) });
+    this.onstop();
+  }
+}
+
+function createCompositor(options = {}) {
+  const calls = [];
+  const canvases = [];
+  const glCanvas = { width: 400, height: 800 };
+  const renderEngine = {
+    renderer: { domElement: glCanvas },
+    onAfterRender: null,
+    render: () => calls.push(["render"]),
+  };
+  const video = { videoWidth: 1280, videoHeight: 720 };
+  const compositor = new FrameCompositor({
+    video,
+    renderEngine,
+    settings: SETTINGS,
+    createCanvas: (width, height) => {
+      const canvas = fakeCanvas(width, height, calls);
+      canvases.push(canvas);
+      return canvas;
+    },
+    MediaRecorder: FakeRecorder,
+    ...options,
+  });
+  return { compositor, calls, canvases, renderEngine, video, glCanvas };
+}
+
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+describe("FrameCompositor", () => {
+  test("photo : vidéo en miroir (cover) puis rendu 3D, au format configuré", async () => {
+    const { compositor, calls, video, glCanvas } = createCompositor();
+
+    const blob = await compositor.captureStill();
+
+    assert.equal(blob.type, "image/jpeg");
+    assert.deepEqual(calls[0], ["render"]);
+    assert.deepEqual(calls.slice(1, 4), [["save"], ["translate", 400, 0], ["scale", -1, 1]]);
+
+    const draws = calls.filter(([name]) => name === "drawImage");
+    const cover = coverRect(1280, 720, 400, 800);
+    assert.deepEqual(draws[0], ["drawImage", video, cover.x, cover.y, cover.width, cover.height]);
+    assert.deepEqual(draws[1], ["drawImage", glCanvas, 0, 0, 400, 800]);
+  });
+
+  test("filigrane : produit puis marque, en bas à droite, sans toucher l'image source", async () => {
+    const { compositor, calls } = createCompositor();
+    const source = compositor.composeFrame();
+    const drawn = calls.length;
+
+    const blob = await compositor.exportStill(source, {
+      format: "image/webp",
+      quality: 0.8,
+      watermark: { product: CAP },
+    });
+
+    assert.equal(blob.type, "image/webp");
+    const texts = calls.slice(drawn).filter(([name]) => name === "fillText");
+    assert.deepEqual(
+      texts.map((call) => call[1]),
+      ["AR-FitTry", "Casquette · $19.99"]
+    );
+    // Marque sur la dernière ligne, tout en bas à droite
+    assert.equal(texts[0][2], 400 - 24);
+    assert.equal(texts[0][3], 800 - 24);
+    assert.ok(texts[1][3] < texts[0][3]);
+  });
+
+  test("sans filigrane, ou marque seule en comparaison", async () => {
+    const { compositor, calls } = createCompositor();
+    const source = compositor.composeFrame();
+
+    const drawn = calls.length;
+    await compositor.exportStill(source);
+    assert.ok(!calls.slice(drawn).some(([name]) => name === "fillText"));
+
+    await compositor.exportStill(source, { watermark: { product: null } });
+    const texts = calls.filter(([name]) => name === "fillText").map((call) => call[1]);
+    assert.deepEqual(texts, ["AR-FitTry"]);
+  });
+
+  test("sans miroir (caméra arrière)", () => {
+    const { compositor, calls } = createCompositor({ mirrored: false });
+    compositor.composeFrame();
+
+    assert.ok(!calls.some(([name]) => name === "scale"));
+  });
+
+  test("comparaison : séparateur et étiquettes par-dessus l'image", () => {
+    const { compositor, calls } = createCompositor();
+    compositor.composeComparison({
+      position: 0.25,
+      left: CAP,
+      right: { name: "Chapeau", price: 34.99 },
+    });
+
+    assert.ok(calls.some((call) => call[0] === "fillRect" && call[1] === 98 && call[3] === 4));
+    const texts = calls.filter(([name]) => name === "fillText").map((call) => call[1]);
+    assert.deepEqual(texts, ["Casquette · $19.99", "Chapeau · $34.99"]);
+  });
+
+  test("clip : une image par frame rendue, vidéo au premier format supporté", async () => {
+    const { compositor, calls, canvases, renderEngine } = createCompositor();
+
+    const done = quietly(() => compositor.startRecording());
+    assert.equal(compositor.isRecording, true);
+    assert.equal(FakeRecorder.last.options.mimeType, "video/webm");
+
+    const before = calls.filter(([name]) => name === "drawImage").length;
+    renderEngine.onAfterRender(16);
+    renderEngine.onAfterRender(32);
+    assert.equal(calls.filter(([name]) => name === "drawImage").length, before + 4);
+
+    quietly(() => compositor.stopRecording());
+    const { blob, mimeType } = await done;
+
+    assert.equal(mimeType, "video/webm");
+    assert.equal(blob.type, "video/webm");
+    assert.equal(compositor.isRecording, false);
+    assert.equal(renderEngine.onAfterRender, null);
+    assert.ok(canvases[0].tracks.every((track) => track.stopped));
+  });
+
+  test("clip arrêté automatiquement à la durée maximale", async () => {
+    const { compositor } = createCompositor();
+
+    const { blob } = await quietly(() => compositor.startRecording({ maxDuration: 20 }));
+
+    assert.ok(blob.size > 0);
+    assert.equal(compositor.isRecording, false);
+  });
+
+  test("un seul clip à la fois ; erreur si MediaRecorder est absent", () => {
+    const { compositor } = createCompositor();
+    quietly(() => compositor.startRecording());
+    assert.throws(() => compositor.startRecording(), /déjà en cours/);
+    quietly(() => compositor.stopRecording());
+
+    const { compositor: unsupported } = createCompositor({ MediaRecorder: undefined });
+    assert.throws(() => unsupported.startRecording(), /non supporté/);
+  });
+
+  test("enregistreur refusé : ni rendu hors écran, ni flux laissé actif", () => {
+    class RejectingRecorder extends FakeRecorder {
+      constructor(stream, options) {
+        super(stream, options);
+        throw new Error("videoBitsPerSecond refusé");
+      }
+    }
+    const { compositor, canvases, renderEngine } = createCompositor({
+      MediaRecorder: RejectingRecorder,
+    });
+
+    assert.throws(() => compositor.startRecording(), /refusé/);
+    assert.equal(renderEngine.onAfterRender, null);
+    assert.equal(compositor.isRecording, false);
+    assert.ok(canvases[0].tracks.every((track) => track.stopped));
+  });
+
+  test("coverRect reproduit object-fit: cover", () => {
+    // Vidéo 16:9 dans un écran portrait : rognée à gauche et à droite
+    assert.deepEqual(coverRect(1280, 720, 720, 1280), {
+      x: -(1280 * (1280 / 720) - 720) / 2,
+      y: 0,
+      width: 1280 * (1280 / 720),
+      height: 1280,
+    });
+    assert.deepEqual(coverRect(640, 480, 640, 480), { x: 0, y: 0, width: 640, height: 480 });
+  });
+
+  test("formats et noms de fichiers", () => {
+    const safari = { isTypeSupported: (type) => type === "video/mp4" };
+    assert.equal(pickVideoType(SETTINGS.videoTypes, safari), "video/mp4");
+    assert.equal(pickVideoType(SETTINGS.videoTypes, undefined), null);
+    assert.equal(fileExtension("video/webm;codecs=vp9"), "webm");
+    assert.equal(fileExtension("image/jpeg"), "jpg");
+    assert.equal(productLabel({ name: "Casquette", price: 19.99 }), "Casquette · $19.99");
+  });
+});
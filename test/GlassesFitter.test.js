@@ -0,0 +1,175 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { GlassesFitter, createFitter, isEyewear } from "../js/modules/GlassesFitter.js";
+import { PreciseTracker } from "../js/modules/PreciseTracker.js";
+import { AutoFitter } from "../js/modules/AutoFitter.js";
+import { validateProduct } from "../js/modules/ProductSchema.js";
+import { VIDEO, generateFaceMesh, degToRad } from "./helpers/syntheticFace.js";
+import { assertClose } from "./helpers/assertions.js";
+
+function transformFor(pose, fitter = new GlassesFitter()) {
+  return fitter.calculateTransform(generateFaceMesh(pose), VIDEO.width, VIDEO.height);
+}
+
+// Écarte (facteur > 1) ou rapproche deux landmarks autour de leur milieu
+function withWidth(keypoints, [a, b], factor) {
+  const center = (keypoints[a].x + keypoints[b].x) / 2;
+  [a, b].forEach((i) => {
+    keypoints[i] = { ...keypoints[i], x: center + (keypoints[i].x - center) * factor };
+  });
+  return keypoints;
+}
+
+function withEarWidth(keypoints, factor) {
+  return withWidth(keypoints, [127, 356], factor);
+}
+
+// Monture factice : face avant (x ±0.5, z -0.05..0) et branches (x ±0.5, z 0..0.8)
+function framesModel() {
+  const front = new THREE.Mesh(new THREE.BoxGeometry(1, 0.3, 0.05));
+  front.position.z = -0.025;
+  const temples = new THREE.Mesh(new THREE.BoxGeometry(1, 0.05, 0.8));
+  temples.position.z = 0.4;
+  const model = new THREE.Group();
+  model.add(front, temples);
+  return model;
+}
+
+describe("GlassesFitter", () => {
+  test("ancré sur l'arête du nez, sous le front", () => {
+    const glasses = transformFor({});
+    const hat = transformFor({}, new PreciseTracker());
+
+    assert.ok(glasses.position.y < hat.position.y);
+    assertClose(glasses.position.x, hat.position.x, 1e-3, "x");
+  });
+
+  test("échelle : largeur tempe à tempe en mm, d'après l'iris", () => {
+    const fitter = new GlassesFitter();
+    const keypoints = generateFaceMesh({ size: 1.1, distance: 450 }, { iris: true });
+    let transform = null;
+    for (let i = 0; i < 5; i++) {
+      transform = fitter.calculateTransform(keypoints, VIDEO.width, VIDEO.height);
+    }
+
+    // Tempes du modèle canonique à 144 mm : même échelle que la tête
+    assertClose(transform.scale, 1.1, 0.01, "échelle");
+    assert.ok(transform.templeAngle !== undefined);
+  });
+
+  test("échelle : tempes plus larges à taille de tête égale", () => {
+    const fitter = new GlassesFitter();
+    const keypoints = generateFaceMesh({}, { iris: true });
+    const wide = withWidth(generateFaceMesh({}, { iris: true }), [234, 454], 1.1);
+    const base = fitter.calculateTransform(keypoints, VIDEO.width, VIDEO.height);
+    const widened = fitter.calculateTransform(wide, VIDEO.width, VIDEO.height);
+
+    // Tempes aussi utilisées par la pose PnP : légère compensation en profondeur
+    assertClose(widened.scale / base.scale, 1.1, 0.02, "rapport d'échelle");
+  });
+
+  test("échelle stable quand la tête tourne", () => {
+    const front = transformFor({});
+    const turned = transformFor({ yaw: degToRad(25) });
+
+    assertClose(turned.scale / front.scale, 1, 0.08, "rapport d'échelle");
+  });
+
+  for (const [label, pose] of [
+    ["de face", { roll: degToRad(15) }],
+    ["tête tournée", { roll: degToRad(10), yaw: degToRad(20) }],
+    ["tête baissée", { roll: degToRad(-12), pitch: degToRad(15) }],
+  ]) {
+    test(`roulis suivant la ligne des yeux (${label})`, () => {
+      const transform = transformFor(pose);
+      assertClose(transform.angles.roll, pose.roll, degToRad(1.5), "roll");
+    });
+  }
+
+  test("roulis identique avec la caméra arrière (image non retournée)", () => {
+    const pose = { roll: degToRad(12), yaw: degToRad(15) };
+    const fitter = new GlassesFitter();
+    fitter.mirrored = false;
+    const transform = fitter.calculateTransform(
+      generateFaceMesh(pose, { mirrored: false }),
+      VIDEO.width,
+      VIDEO.height
+    );
+
+    assertClose(transform.angles.roll, pose.roll, degToRad(1.5), "roll");
+  });
+
+  test("branches écartées vers des oreilles plus larges que les tempes", () => {
+    const fitter = new GlassesFitter({ templeSmoothing: 1 });
+
+    const wide = fitter.calculateTransform(
+      withEarWidth(generateFaceMesh({}), 1.2),
+      VIDEO.width,
+      VIDEO.height
+    );
+    assert.ok(wide.templeAngle > 0);
+
+    const narrow = fitter.calculateTransform(
+      withEarWidth(generateFaceMesh({}), 0.8),
+      VIDEO.width,
+      VIDEO.height
+    );
+    assert.ok(narrow.templeAngle < 0);
+  });
+
+  test("angle des branches borné et désactivable", () => {
+    const fitter = new GlassesFitter({ templeSmoothing: 1, maxTempleAngle: 0.1 });
+    const transform = fitter.calculateTransform(
+      withEarWidth(generateFaceMesh({}), 3),
+      VIDEO.width,
+      VIDEO.height
+    );
+    assertClose(transform.templeAngle, 0.1, 1e-9, "angle max");
+
+    const disabled = new GlassesFitter({ bendTemples: false });
+    assert.equal(transformFor({}, disabled).templeAngle, 0);
+  });
+
+  test("bendTemples plie les branches sans toucher la face avant", () => {
+    const product = validateProduct({
+      id: "frames",
+      name: "Monture",
+      price: 1,
+      modelUrl: "frames.glb",
+      thumbnail: "frames.jpg",
+      type: "glasses",
+    });
+    const { model } = new AutoFitter().prepareModel(framesModel(), product);
+    const fitter = new GlassesFitter({ hingeDepth: 0.05 });
+    const front = model.children[0].children[0];
+    const width = () => new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3()).x;
+    const frontPositions = () => Array.from(front.geometry.attributes.position.array);
+
+    const widthBefore = width();
+    const frontBefore = frontPositions();
+
+    fitter.bendTemples(model, 0.2);
+    assert.ok(width() > widthBefore);
+    assert.deepEqual(frontPositions(), frontBefore);
+
+    // Repart toujours des sommets d'origine
+    fitter.bendTemples(model, 0);
+    assertClose(width(), widthBefore, 1e-6, "largeur");
+  });
+});
+
+describe("createFitter", () => {
+  test("GlassesFitter pour les lunettes, PreciseTracker sinon", () => {
+    assert.ok(createFitter({ type: "sunglasses" }) instanceof GlassesFitter);
+    assert.ok(createFitter({ type: "glasses" }) instanceof GlassesFitter);
+    assert.ok(!(createFitter({ type: "hat" }) instanceof GlassesFitter));
+    assert.ok(createFitter(null) instanceof PreciseTracker);
+    assert.equal(isEyewear({ type: "cap" }), false);
+  });
+
+  test("repère de l'image transmis au tracker (caméra arrière)", () => {
+    assert.equal(createFitter(null).mirrored, true);
+    assert.equal(createFitter({ type: "sunglasses" }, false).mirrored, false);
+  });
+});
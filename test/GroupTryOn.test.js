@@ -0,0 +1,207 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { FaceIdentityTracker } from "../js/modules/FaceIdentityTracker.js";
+import { GroupTryOn } from "../js/modules/GroupTryOn.js";
+import { ModelManager } from "../js/modules/ModelManager.js";
+import { VIDEO, generateFaceMesh, degToRad } from "./helpers/syntheticFace.js";
+
+// Visages côte à côte (mm, repère caméra)
+const LEFT = { x: -250, distance: 900 };
+const RIGHT = { x: 250, distance: 900 };
+
+function faceAt(pose) {
+  return generateFaceMesh(pose);
+}
+
+function idsByPosition(matches) {
+  // Tri par x image : l'image est en miroir, le visage à droite (x > 0) apparaît à gauche
+  return [...matches].sort((a, b) => a.keypoints[1].x - b.keypoints[1].x).map((m) => m.id);
+}
+
+describe("FaceIdentityTracker", () => {
+  test("identités stables quand l'ordre des détections change", () => {
+    const tracker = new FaceIdentityTracker();
+    const first = tracker.update([faceAt(LEFT), faceAt(RIGHT)], 0);
+    const second = tracker.update([faceAt({ ...RIGHT, x: 260 }), faceAt({ ...LEFT, x: -240 })], 33);
+
+    assert.deepEqual(idsByPosition(second.matches), idsByPosition(first.matches));
+    assert.ok(second.matches.every((m) => !m.isNew));
+  });
+
+  test("suit des visages qui se croisent grâce à la vitesse", () => {
+    const tracker = new FaceIdentityTracker();
+    const track = (step) => {
+      const offset = 250 - step * 40;
+      return tracker.update(
+        [faceAt({ x: offset, distance: 900 }), faceAt({ x: -offset, y: 120, distance: 900 })],
+        step * 33
+      );
+    };
+
+    const initial = track(0);
+    const idAbove = initial.matches.find((m) => m.keypoints[1].y < VIDEO.height / 2 - 50).id;
+
+    let last;
+    for (let step = 1; step <= 12; step++) last = track(step);
+
+    const stillAbove = last.matches.find((m) => m.keypoints[1].y < VIDEO.height / 2 - 50).id;
+    assert.equal(stillAbove, idAbove);
+  });
+
+  test("visage absent plusieurs frames : retrouvé malgré une vitesse bruitée", () => {
+    const tracker = new FaceIdentityTracker({ lostTimeout: 500 });
+    const [{ id }] = tracker.update([faceAt({ distance: 900 })], 0).matches;
+    // Saut de 40 mm en une frame (bruit), puis 10 frames sans détection
+    tracker.update([faceAt({ x: 40, distance: 900 })], 33);
+    const { matches } = tracker.update([faceAt({ distance: 900 })], 363);
+
+    assert.equal(matches[0].isNew, false);
+    assert.equal(matches[0].id, id);
+  });
+
+  test("nouveau visage → nouvelle identité, dans la limite de maxFaces", () => {
+    const tracker = new FaceIdentityTracker({ maxFaces: 2 });
+    tracker.update([faceAt(LEFT)], 0);
+    const { matches } = tracker.update([faceAt(LEFT), faceAt(RIGHT), faceAt({ y: 200, distance: 900 })], 33);
+
+    assert.equal(matches.length, 2);
+    assert.deepEqual(matches.map((m) => m.isNew).sort(), [false, true]);
+    assert.deepEqual(Array.from(tracker.tracks.keys()), [1, 2]);
+  });
+
+  test("visage oublié après lostTimeout, conservé avant", () => {
+    const tracker = new FaceIdentityTracker({ lostTimeout: 500 });
+    tracker.update([faceAt(LEFT), faceAt(RIGHT)], 0);
+
+    assert.deepEqual(tracker.update([faceAt(LEFT)], 300).removed, []);
+    const { removed } = tracker.update([faceAt(LEFT)], 600);
+    assert.equal(removed.length, 1);
+    assert.equal(tracker.tracks.size, 1);
+  });
+
+  test("un visage qui réapparaît loin reçoit une nouvelle identité", () => {
+    const tracker = new FaceIdentityTracker();
+    tracker.update([faceAt(LEFT)], 0);
+    const { matches } = tracker.update([faceAt(RIGHT)], 33);
+
+    assert.equal(matches[0].isNew, true);
+    assert.equal(matches[0].id, 2);
+  });
+});
+
+describe("GroupTryOn", () => {
+  function createGroup() {
+    const scene = new Set();
+    const loaded = [];
+    const group = new GroupTryOn({
+      renderEngine: {
+        addModel: (model) => scene.add(model),
+        removeModel: (model) => scene.delete(model),
+      },
+      autoFitter: {
+        prepareModel: (model) => ({ model }),
+        applyTransform: (model, transform) => {
+          model.position.copy(transform.position);
+          model.quaternion.copy(transform.quaternion);
+        },
+      },
+      loadModel: async (product) => {
+        const model = new THREE.Group();
+        model.userData.product = product.id;
+        loaded.push(model);
+        return model;
+      },
+      settings: { maxFaces: 4, lostTimeout: 500 },
+    });
+    return { group, scene, loaded };
+  }
+
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  test("un clone du modèle et un tracker par visage", async () => {
+    const { group, scene } = createGroup();
+    group.setDefaultProduct({ id: "hat" });
+
+    group.update([faceAt(LEFT), faceAt(RIGHT)], 0, VIDEO.width, VIDEO.height);
+    await flush();
+
+    assert.equal(group.instances.size, 2);
+    assert.equal(scene.size, 2);
+
+    const [a, b] = Array.from(group.instances.values());
+    assert.notEqual(a.model, b.model);
+    assert.notEqual(a.tracker, b.tracker);
+    assert.notEqual(a.smoother, b.smoother);
+  });
+
+  test("deux visages apparus sur la même frame : modèles distincts du ModelManager", async () => {
+    const manager = new ModelManager();
+    manager.loader = {
+      load: (url, onLoad) =>
+        setImmediate(() => onLoad({ scene: new THREE.Group(), parser: null, userData: {} })),
+    };
+    const { group } = createGroup();
+    group.loadModel = (product) => manager.loadModel(product.modelUrl);
+    group.setDefaultProduct({ id: "hat", modelUrl: "./models/head/hat.glb" });
+
+    const { log } = console;
+    console.log = () => {};
+    try {
+      group.update([faceAt(LEFT), faceAt(RIGHT)], 0, VIDEO.width, VIDEO.height);
+      await flush();
+      await flush();
+    } finally {
+      console.log = log;
+    }
+
+    const [a, b] = Array.from(group.instances.values());
+    assert.ok(a.model && b.model);
+    assert.notEqual(a.model, b.model);
+  });
+
+  test("chaque modèle suit son visage", async () => {
+    const { group } = createGroup();
+    group.setDefaultProduct({ id: "hat" });
+
+    const yaw = degToRad(20);
+    group.update([faceAt(LEFT), faceAt({ ...RIGHT, yaw })], 0, VIDEO.width, VIDEO.height);
+    await flush();
+    group.render(0);
+
+    const instances = Array.from(group.instances.values()).sort(
+      (a, b) => a.model.position.x - b.model.position.x
+    );
+    assert.ok(instances[0].model.position.x < 0);
+    assert.ok(instances[1].model.position.x > 0);
+    assert.ok(Math.abs(instances[1].transform.angles.yaw - yaw) < degToRad(1));
+    assert.ok(Math.abs(instances[0].transform.angles.yaw) < degToRad(1));
+  });
+
+  test("produits différents par visage", async () => {
+    const { group } = createGroup();
+    group.setDefaultProduct({ id: "hat" });
+    group.update([faceAt(LEFT), faceAt(RIGHT)], 0, VIDEO.width, VIDEO.height);
+    await flush();
+
+    const [first, second] = Array.from(group.instances.keys());
+    await group.assignProduct(second, { id: "cap" });
+
+    assert.equal(group.instances.get(first).model.userData.product, "hat");
+    assert.equal(group.instances.get(second).model.userData.product, "cap");
+  });
+
+  test("retire le modèle d'un visage disparu", async () => {
+    const { group, scene } = createGroup();
+    group.setDefaultProduct({ id: "hat" });
+    group.update([faceAt(LEFT), faceAt(RIGHT)], 0, VIDEO.width, VIDEO.height);
+    await flush();
+
+    group.update([faceAt(LEFT)], 600, VIDEO.width, VIDEO.height);
+    assert.equal(group.instances.size, 1);
+    assert.equal(scene.size, 1);
+
+    group.clear();
+    assert.equal(scene.size, 0);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { HeadOccluder } from "../js/modules/HeadOccluder.js";
+import { PreciseTracker } from "../js/modules/PreciseTracker.js";
+import { AutoFitter } from "../js/modules/AutoFitter.js";
+import { VIDEO, generateFaceMesh, degToRad } from "./helpers/syntheticFace.js";
+
+// Accessoire placé comme dans l'application : PreciseTracker → AutoFitter
+function placedAccessory(pose) {
+  const transform = new PreciseTracker().calculateTransform(
+    generateFaceMesh(pose),
+    VIDEO.width,
+    VIDEO.height
+  );
+  const model = new THREE.Group();
+  new AutoFitter().applyTransform(model, transform);
+  model.updateMatrixWorld(true);
+  return model;
+}
+
+function worldPoint(occluder, local) {
+  occluder.object.updateMatrixWorld(true);
+  return new THREE.Vector3(local.x, local.y, local.z).applyMatrix4(occluder.mesh.matrixWorld);
+}
+
+describe("HeadOccluder", () => {
+  test("matériau depth-only rendu avant l'accessoire", () => {
+    const occluder = new HeadOccluder();
+
+    assert.equal(occluder.material.colorWrite, false);
+    assert.equal(occluder.material.depthWrite, true);
+    assert.ok(occluder.mesh.renderOrder < 0);
+  });
+
+  test("reprend la transformation de l'accessoire", () => {
+    const model = placedAccessory({ yaw: degToRad(25), x: 80 });
+    const occluder = new HeadOccluder();
+    occluder.follow(model);
+
+    assert.ok(occluder.object.position.equals(model.position));
+    assert.ok(occluder.object.quaternion.equals(model.quaternion));
+    assert.ok(occluder.object.scale.equals(model.scale));
+  });
+
+  test("tête de face : l'arrière du crâne (+z local) est plus loin de la caméra", () => {
+    const occluder = new HeadOccluder();
+    occluder.follow(placedAccessory({}));
+
+    const back = worldPoint(occluder, { x: 0, y: 0, z: 1 });
+    const face = worldPoint(occluder, { x: 0, y: 0, z: -1 });
+    assert.ok(back.z < face.z, `arrière ${back.z} devant le visage ${face.z}`);
+  });
+
+  test("tête tournée : l'arrière du crâne reste derrière le visage", () => {
+    const occluder = new HeadOccluder();
+    occluder.follow(placedAccessory({ yaw: degToRad(40) }));
+
+    const back = worldPoint(occluder, { x: 0, y: 0, z: 1 });
+    const face = worldPoint(occluder, { x: 0, y: 0, z: -1 });
+    assert.ok(back.z < face.z);
+  });
+
+  test("ellipsoïde sous le point d'ancrage (radii / offset de CONFIG.occlusion)", () => {
+    const occluder = new HeadOccluder({
+      radii: { x: 0.4, y: 0.5, z: 0.45 },
+      offset: { x: 0, y: -0.3, z: 0.1 },
+    });
+
+    assert.deepEqual(occluder.mesh.scale.toArray(), [0.4, 0.5, 0.45]);
+    assert.deepEqual(occluder.mesh.position.toArray(), [0, -0.3, 0.1]);
+  });
+
+  test("décalage propre au point d'ancrage de l'accessoire", () => {
+    const settings = {
+      offset: { x: 0, y: -0.3, z: 0.15 },
+      anchorOffsets: { eyes: { x: 0, y: 0.05, z: 0.45 } },
+    };
+
+    assert.deepEqual(new HeadOccluder(settings, "eyes").mesh.position.toArray(), [0, 0.05, 0.45]);
+    assert.deepEqual(new HeadOccluder(settings, "crown").mesh.position.toArray(), [0, -0.3, 0.15]);
+  });
+
+  test("mode debug : fil de fer visible", () => {
+    const occluder = new HeadOccluder();
+    occluder.setDebug(true);
+
+    assert.equal(occluder.material.colorWrite, true);
+    assert.equal(occluder.material.wireframe, true);
+  });
+});
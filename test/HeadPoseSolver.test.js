@@ -0,0 +1,111 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { HeadPoseSolver } from "../js/modules/HeadPoseSolver.js";
+import { VIDEO, generateFaceMesh, focalLength, degToRad } from "./helpers/syntheticFace.js";
+import { assertClose } from "./helpers/assertions.js";
+
+/**
+ * Angle (radians) entre la rotation résolue et la rotation attendue
+ * Repère OpenCV : q_cv = (x, -y, -z) de la rotation scène
+ */
+function rotationError(quaternion, yaw, pitch, roll) {
+  const expected = sceneToOpenCV(sceneQuaternion(yaw, pitch, roll));
+  const dot = Math.abs(
+    quaternion.x * expected.x + quaternion.y * expected.y + quaternion.z * expected.z + quaternion.w * expected.w
+  );
+  return 2 * Math.acos(Math.min(1, dot));
+}
+
+function sceneQuaternion(yaw, pitch, roll) {
+  const q = (ax, angle) => {
+    const s = Math.sin(angle / 2);
+    return { x: ax[0] * s, y: ax[1] * s, z: ax[2] * s, w: Math.cos(angle / 2) };
+  };
+  return multiply(multiply(q([0, 1, 0], yaw), q([1, 0, 0], pitch)), q([0, 0, 1], roll));
+}
+
+function sceneToOpenCV(q) {
+  return { x: q.x, y: -q.y, z: -q.z, w: q.w };
+}
+
+function multiply(a, b) {
+  return {
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+  };
+}
+
+// Bruit pseudo-aléatoire reproductible
+function noisy(keypoints, amplitude, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 - 0.5;
+  };
+  return keypoints.map((p) => ({ x: p.x + random() * 2 * amplitude, y: p.y + random() * 2 * amplitude, z: p.z }));
+}
+
+describe("HeadPoseSolver", () => {
+  test("intrinsèques depuis la FOV verticale", () => {
+    const K = HeadPoseSolver.intrinsicsFor(VIDEO.width, VIDEO.height, VIDEO.fov);
+    assertClose(K.fx, focalLength(), 1e-9, "fx");
+    assert.equal(K.cx, VIDEO.width / 2);
+    assert.equal(K.cy, VIDEO.height / 2);
+  });
+
+  test("pose exacte : erreur de reprojection nulle", () => {
+    const pose = { yaw: degToRad(25), pitch: degToRad(-10), roll: degToRad(5), x: 40, y: 30, distance: 600 };
+    const result = new HeadPoseSolver().solve(generateFaceMesh(pose), VIDEO.width, VIDEO.height);
+
+    assert.ok(result.reprojectionError < 1e-6);
+    assert.ok(rotationError(result.quaternion, pose.yaw, pose.pitch, pose.roll) < 1e-6);
+    // Repère OpenCV : y vers le bas, z devant la caméra
+    assertClose(result.translation[0], 40, 1e-3, "tx");
+    assertClose(result.translation[1], -30, 1e-3, "ty");
+    assertClose(result.translation[2], 600, 1e-3, "tz");
+  });
+
+  test("grands angles sans sous-rotation", () => {
+    [60, -60].forEach((degrees) => {
+      const yaw = degToRad(degrees);
+      const result = new HeadPoseSolver().solve(generateFaceMesh({ yaw }), VIDEO.width, VIDEO.height);
+      assert.ok(rotationError(result.quaternion, yaw, 0, 0) < degToRad(0.1), `yaw ${degrees}°`);
+    });
+  });
+
+  test("image non retournée (mirrored=false)", () => {
+    const pose = { yaw: degToRad(-20), pitch: degToRad(10) };
+    const keypoints = generateFaceMesh(pose, { mirrored: false });
+    const result = new HeadPoseSolver().solve(keypoints, VIDEO.width, VIDEO.height, { mirrored: false });
+
+    assert.ok(rotationError(result.quaternion, pose.yaw, pose.pitch, 0) < 1e-6);
+  });
+
+  test("robuste au bruit des landmarks (± 1 px)", () => {
+    const pose = { yaw: degToRad(15), pitch: degToRad(10), roll: degToRad(-8), distance: 500 };
+    const keypoints = noisy(generateFaceMesh(pose), 1);
+    const result = new HeadPoseSolver().solve(keypoints, VIDEO.width, VIDEO.height);
+
+    assert.ok(rotationError(result.quaternion, pose.yaw, pose.pitch, pose.roll) < degToRad(3));
+    assertClose(result.translation[2], 500, 15, "tz");
+  });
+
+  test("démarrage à chaud depuis la pose précédente", () => {
+    const solver = new HeadPoseSolver();
+    const cold = solver.solve(generateFaceMesh({ yaw: degToRad(30) }), VIDEO.width, VIDEO.height);
+    const warm = solver.solve(generateFaceMesh({ yaw: degToRad(31) }), VIDEO.width, VIDEO.height);
+
+    assert.ok(warm.iterations <= cold.iterations);
+    assert.ok(rotationError(warm.quaternion, degToRad(31), 0, 0) < 1e-6);
+
+    solver.reset();
+    assert.equal(solver.previous, null);
+  });
+
+  test("null si des landmarks manquent", () => {
+    assert.equal(new HeadPoseSolver().solve(null, VIDEO.width, VIDEO.height), null);
+    assert.equal(new HeadPoseSolver().solve(generateFaceMesh().slice(0, 100), VIDEO.width, VIDEO.height), null);
+  });
+});
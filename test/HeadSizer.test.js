@@ -0,0 +1,108 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { HeadSizer, recommendSize } from "../js/modules/HeadSizer.js";
+import { headCircumference } from "../js/modules/MetricScaleEstimator.js";
+import { SIZE_SYSTEMS } from "../js/modules/ProductSchema.js";
+import { assertClose } from "./helpers/assertions.js";
+
+const SETTINGS = { windowSize: 6, minSamples: 4, systematicErrorCm: 1.5 };
+
+const LETTER = { system: "letter", sizes: SIZE_SYSTEMS.letter };
+
+// Tête moyenne (≈ 56,1 cm) mise à l'échelle
+function frame(scale) {
+  return { headWidthMm: 158 * scale, headDepthMm: 198 * scale };
+}
+
+describe("HeadSizer", () => {
+  test("progression jusqu'à minSamples, frames sans mesure ignorées", () => {
+    const sizer = new HeadSizer(SETTINGS);
+
+    sizer.add(frame(1));
+    sizer.add(null);
+    assert.equal(sizer.progress, 0.25);
+    assert.equal(sizer.estimate(), null);
+
+    [1, 1, 1].forEach((scale) => sizer.add(frame(scale)));
+    assert.equal(sizer.isReady, true);
+    assert.equal(sizer.progress, 1);
+  });
+
+  test("médiane de la fenêtre glissante : mesures aberrantes et anciennes oubliées", () => {
+    const sizer = new HeadSizer(SETTINGS);
+
+    // Les deux premières sortent de la fenêtre
+    [1.2, 1.2, 1, 1, 1, 1.25, 1, 1].forEach((scale) => sizer.add(frame(scale)));
+    assert.equal(sizer.samples.length, 6);
+
+    const estimate = sizer.estimate();
+    assert.equal(estimate.widthMm, 158);
+    assertClose(estimate.circumferenceCm, headCircumference(158, 198) / 10, 1e-9, "tour (cm)");
+  });
+
+  test("incertitude : erreur systématique, plus la dispersion des mesures", () => {
+    const steady = new HeadSizer(SETTINGS);
+    [1, 1, 1, 1].forEach((scale) => steady.add(frame(scale)));
+    assertClose(steady.estimate().uncertaintyCm, 1.5, 1e-9, "incertitude (cm)");
+
+    const noisy = new HeadSizer(SETTINGS);
+    [0.95, 1.05, 0.95, 1.05].forEach((scale) => noisy.add(frame(scale)));
+    assert.ok(noisy.estimate().uncertaintyCm > 2);
+  });
+
+  test("reset : nouvelle personne", () => {
+    const sizer = new HeadSizer(SETTINGS);
+    [1, 1, 1, 1].forEach((scale) => sizer.add(frame(scale)));
+
+    sizer.reset();
+    assert.equal(sizer.progress, 0);
+    assert.equal(sizer.estimate(), null);
+  });
+});
+
+describe("recommendSize", () => {
+  test("taille contenant le tour de tête, confiance selon l'incertitude", () => {
+    const precise = recommendSize({ circumferenceCm: 57.5, uncertaintyCm: 0.5 }, LETTER);
+    const vague = recommendSize({ circumferenceCm: 57.5, uncertaintyCm: 2 }, LETTER);
+
+    assert.equal(precise.label, "M");
+    assert.equal(precise.fit, "within");
+    assertClose(precise.confidence, 0.954, 0.001, "confiance");
+    assert.equal(vague.label, "M");
+    assert.ok(vague.confidence < 0.4);
+  });
+
+  test("guides en cm et US", () => {
+    const estimate = { circumferenceCm: 58.2, uncertaintyCm: 1 };
+
+    const cm = { system: "cm", sizes: SIZE_SYSTEMS.cm.map(centered) };
+    assert.equal(recommendSize(estimate, cm).label, "58");
+
+    // 7 1/4 : 57,85 cm
+    const us = {
+      system: "us",
+      sizes: [
+        { label: "7 1/8", min: 56.4, max: 57.4 },
+        { label: "7 1/4", min: 57.4, max: 58.4 },
+      ],
+    };
+    assert.equal(recommendSize(estimate, us).label, "7 1/4");
+  });
+
+  test("hors du guide : taille la plus proche", () => {
+    const small = recommendSize({ circumferenceCm: 52, uncertaintyCm: 1.5 }, LETTER);
+    const large = recommendSize({ circumferenceCm: 65, uncertaintyCm: 1.5 }, LETTER);
+
+    assert.deepEqual([small.label, small.fit], ["S", "below"]);
+    assert.deepEqual([large.label, large.fit], ["XL", "above"]);
+  });
+
+  test("sans mesure ou sans guide", () => {
+    assert.equal(recommendSize(null, LETTER), null);
+    assert.equal(recommendSize({ circumferenceCm: 57, uncertaintyCm: 1 }, null), null);
+  });
+});
+
+function centered(cm) {
+  return { label: String(cm), min: cm - 0.5, max: cm + 0.5 };
+}
@@ -0,0 +1,132 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  LandmarkRecorder,
+  LandmarkPlayer,
+  SESSION_FORMAT_VERSION,
+  unflattenKeypoints,
+} from "../js/modules/LandmarkSession.js";
+
+const KEYPOINTS = [
+  { x: 10.123, y: 20.456, z: -1.5 },
+  { x: 30, y: 40, z: 0 },
+];
+
+/**
+ * Session de trois frames à 0, 100 et 200 ms (visage perdu à 100 ms)
+ */
+function recordSession() {
+  const recorder = new LandmarkRecorder();
+  recorder.start({ device: "test" });
+  recorder.addFrame(KEYPOINTS, 1000, 1280, 720);
+  recorder.addFrame(null, 1100, 1280, 720);
+  recorder.addFrame([{ x: 1, y: 2 }], 1200, 640, 480);
+  return recorder.stop();
+}
+
+describe("LandmarkRecorder", () => {
+  test("temps relatifs, keypoints aplatis et arrondis au centième", () => {
+    const session = recordSession();
+
+    assert.equal(session.version, SESSION_FORMAT_VERSION);
+    assert.deepEqual(session.metadata, { device: "test" });
+    assert.deepEqual(
+      session.frames.map((frame) => frame.t),
+      [0, 100, 200]
+    );
+    assert.deepEqual(session.frames[0].k, [10.12, 20.46, -1.5, 30, 40, 0]);
+    assert.equal(session.frames[1].k, null);
+    // z absent : 0
+    assert.deepEqual(session.frames[2].k, [1, 2, 0]);
+  });
+
+  test("rien n'est enregistré hors enregistrement", () => {
+    const recorder = new LandmarkRecorder();
+    recorder.addFrame(KEYPOINTS, 0, 1280, 720);
+
+    assert.equal(recorder.session, null);
+    assert.equal(recorder.isRecording, false);
+  });
+});
+
+describe("LandmarkPlayer", () => {
+  test("aller-retour JSON : mêmes frames, keypoints reconstitués", () => {
+    const json = LandmarkRecorder.serialize(recordSession());
+    const player = new LandmarkPlayer(json);
+
+    const first = player.getFrame(0);
+    assert.deepEqual(first.keypoints, [
+      { x: 10.12, y: 20.46, z: -1.5 },
+      { x: 30, y: 40, z: 0 },
+    ]);
+    assert.equal(first.videoWidth, 1280);
+    assert.equal(player.getFrame(0).keypoints, null);
+    assert.deepEqual(player.getFrame(0), {
+      keypoints: [{ x: 1, y: 2, z: 0 }],
+      videoWidth: 640,
+      videoHeight: 480,
+      time: 200,
+    });
+
+    assert.equal(player.getFrame(0), null);
+    assert.equal(player.isFinished, true);
+  });
+
+  test("unflattenKeypoints : triplets x, y, z", () => {
+    assert.deepEqual(unflattenKeypoints([1, 2, 3, 4, 5, 6]), [
+      { x: 1, y: 2, z: 3 },
+      { x: 4, y: 5, z: 6 },
+    ]);
+  });
+
+  test("versions inconnues et frames invalides refusées", () => {
+    const session = recordSession();
+
+    assert.throws(
+      () => LandmarkPlayer.parse({ ...session, version: SESSION_FORMAT_VERSION + 1 }),
+      /Version de session non supportée/
+    );
+    assert.throws(() => LandmarkPlayer.parse({ version: 1 }), /frames manquantes/);
+    assert.throws(
+      () => LandmarkPlayer.parse({ ...session, frames: [{ t: 0, w: 1, h: 1, k: [1, 2] }] }),
+      /Keypoints invalides à la frame 0/
+    );
+    assert.throws(
+      () => LandmarkPlayer.parse({ ...session, frames: [{ t: "0", w: 1, h: 1, k: null }] }),
+      /Frame 0 invalide/
+    );
+  });
+
+  test("lecture séquentielle en boucle : retour à la première frame", () => {
+    const player = new LandmarkPlayer(recordSession(), { loop: true });
+
+    const times = Array.from({ length: 5 }, () => player.getFrame(0).time);
+    assert.deepEqual(times, [0, 100, 200, 0, 100]);
+    assert.equal(player.isFinished, false);
+  });
+
+  test("temps réel : dernière frame dont t ≤ temps écoulé depuis le premier appel", () => {
+    const player = new LandmarkPlayer(recordSession(), { realtime: true });
+
+    assert.equal(player.getFrame(5000).time, 0);
+    assert.equal(player.getFrame(5099).time, 0);
+    assert.equal(player.getFrame(5100).time, 100);
+    assert.equal(player.getFrame(5150).time, 100);
+    assert.equal(player.getFrame(5200).time, 200);
+    assert.equal(player.getFrame(5201), null);
+    assert.equal(player.isFinished, true);
+  });
+
+  test("temps réel en boucle : le temps écoulé revient au début de la session", () => {
+    const player = new LandmarkPlayer(recordSession(), { realtime: true, loop: true });
+
+    assert.equal(player.getFrame(0).time, 0);
+    assert.equal(player.getFrame(199).time, 100);
+    // 250 ms → 50 ms dans la session
+    assert.equal(player.getFrame(250).time, 0);
+    assert.equal(player.getFrame(320).time, 100);
+
+    player.reset();
+    assert.equal(player.getFrame(1000).time, 0);
+  });
+});
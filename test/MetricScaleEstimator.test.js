@@ -0,0 +1,107 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { HeadPoseSolver } from "../js/modules/HeadPoseSolver.js";
+import { MetricScaleEstimator, headCircumference } from "../js/modules/MetricScaleEstimator.js";
+import {
+  VIDEO,
+  IRIS_DIAMETER_MM,
+  generateFaceMesh,
+  focalLength,
+  degToRad,
+} from "./helpers/syntheticFace.js";
+import { assertClose } from "./helpers/assertions.js";
+
+const SETTINGS = {
+  irisDiameterMm: IRIS_DIAMETER_MM,
+  sceneUnitMm: 200,
+  maxAngle: 0.35,
+  minFaceScale: 0.8,
+  maxFaceScale: 1.25,
+  smoothing: 0.05,
+  minSamples: 3,
+  referenceHead: { widthMm: 158, depthMm: 198 },
+};
+
+/**
+ * Mesures successives d'un même visage
+ */
+function measure(pose, { video = VIDEO, frames = 3, iris = true } = {}) {
+  const estimator = new MetricScaleEstimator(SETTINGS);
+  const keypoints = generateFaceMesh(pose, { video, iris });
+  const solution = new HeadPoseSolver().solve(keypoints, video.width, video.height);
+
+  let result = null;
+  for (let i = 0; i < frames; i++) {
+    result = estimator.update(keypoints, solution, video.width, video.height);
+  }
+  return { estimator, result };
+}
+
+describe("MetricScaleEstimator", () => {
+  test("diamètre apparent de l'iris", () => {
+    const estimator = new MetricScaleEstimator(SETTINGS);
+    const keypoints = generateFaceMesh({ distance: 500 }, { iris: true });
+
+    // Iris 34 mm devant le centre du visage
+    const expected = (focalLength() * IRIS_DIAMETER_MM) / (500 - 34);
+    assertClose(estimator.irisDiameter(keypoints), expected, 0.05, "diamètre (px)");
+    assert.equal(estimator.irisDiameter(generateFaceMesh()), null);
+  });
+
+  test("taille du visage et distance réelles", () => {
+    const { estimator, result } = measure({ size: 1.1, distance: 600 });
+
+    assertClose(result.faceScale, 1.1, 0.01, "taille du visage");
+    assertClose(result.distanceMm, 600, 6, "distance (mm)");
+    assertClose(result.headWidthMm, 158 * 1.1, 2, "largeur de la tête (mm)");
+    assert.equal(estimator.isCalibrated, true);
+    assertClose(result.frame.headDepthMm, 198 * 1.1, 2, "longueur de la tête, cette frame (mm)");
+  });
+
+  test("indépendant de la résolution de la vidéo", () => {
+    const pose = { size: 0.9, distance: 450, x: 40 };
+    const hd = measure(pose).result;
+    const vga = measure(pose, { video: { width: 640, height: 480, fov: VIDEO.fov } }).result;
+
+    assertClose(vga.faceScale, hd.faceScale, 0.01, "taille du visage");
+    assertClose(vga.distanceMm, hd.distanceMm, 5, "distance (mm)");
+  });
+
+  test("iris ignoré quand la tête est trop tournée", () => {
+    const { estimator, result } = measure({ size: 1.1, yaw: degToRad(35) });
+
+    assert.equal(estimator.samples, 0);
+    assert.equal(result.faceScale, 1);
+  });
+
+  test("sans iris : tête moyenne, non calibrée", () => {
+    const { result } = measure({ size: 1.1, distance: 600 }, { iris: false });
+
+    assert.equal(result.faceScale, 1);
+    assert.equal(result.isCalibrated, false);
+    assert.equal(result.frame, null);
+    // La pose PnP suppose un visage moyen : plus proche qu'en réalité
+    assertClose(result.distanceMm, 600 / 1.1, 6, "distance (mm)");
+  });
+
+  test("mesure aberrante ignorée, reset oublie la calibration", () => {
+    const { estimator } = measure({});
+
+    estimator.addSample(2);
+    assertClose(estimator.faceScale, 1, 0.01, "taille du visage");
+
+    estimator.reset();
+    assert.equal(estimator.samples, 0);
+    assert.equal(estimator.isCalibrated, false);
+  });
+});
+
+describe("headCircumference", () => {
+  test("cercle : π · diamètre", () => {
+    assertClose(headCircumference(180, 180), Math.PI * 180, 1e-9, "périmètre");
+  });
+
+  test("tête moyenne ≈ 56 cm", () => {
+    assertClose(headCircumference(158, 198), 561, 1, "tour de tête (mm)");
+  });
+});
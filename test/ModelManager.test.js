@@ -0,0 +1,184 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { ModelManager } from "../js/modules/ModelManager.js";
+import { validateProduct } from "../js/modules/ProductSchema.js";
+
+const MODEL_URL = "./models/head/frames.glb";
+const [A, B] = ["a", "b"].map((id) => ({ id, modelUrl: `./models/head/${id}.glb` }));
+
+// Monture factice : face avant dorée (texturée) et verres teintés, matériaux partagés avec le « cache »
+function cachedModel() {
+  const gold = new THREE.MeshStandardMaterial({ name: "Gold_metallic", color: 0xc9a227 });
+  gold.map = new THREE.Texture();
+  const glass = new THREE.MeshStandardMaterial({ name: "Glass_tinted", color: 0x222222 });
+
+  const model = new THREE.Group();
+  model.add(new THREE.Mesh(new THREE.BoxGeometry(1, 0.3, 0.05), gold));
+  model.add(new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.2, 0.01), glass));
+  return { model, gold, glass };
+}
+
+function product(variants) {
+  return validateProduct({
+    id: "frames",
+    name: "Monture",
+    price: 1,
+    modelUrl: MODEL_URL,
+    thumbnail: "frames.jpg",
+    type: "sunglasses",
+    variants,
+  });
+}
+
+// Masque les logs du ModelManager pendant un test
+async function quietly(fn) {
+  const { log, error } = console;
+  console.log = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+const VARIANTS = [
+  { id: "gold", name: "Doré" },
+  { id: "silver", name: "Argenté", color: "#c0c0c0", materials: ["Gold_metallic"] },
+  { id: "all-red", name: "Rouge", color: "#ff0000" },
+];
+
+describe("ModelManager.applyVariant", () => {
+  test("couleur appliquée à une copie, le matériau du cache reste intact", async () => {
+    const manager = new ModelManager();
+    const { model, gold, glass } = cachedModel();
+    const [frame, lens] = model.children;
+
+    await manager.applyVariant(model, product(VARIANTS), "silver");
+
+    assert.notEqual(frame.material, gold);
+    assert.equal(frame.material.color.getHexString(), "c0c0c0");
+    assert.equal(frame.material.map, null);
+    assert.equal(gold.color.getHexString(), "c9a227");
+    assert.ok(gold.map);
+    // Verres non ciblés par "materials"
+    assert.equal(lens.material, glass);
+    assert.equal(model.userData.variant, "silver");
+  });
+
+  test("retour aux matériaux d'origine, copies libérées", async () => {
+    const manager = new ModelManager();
+    const { model, gold, glass } = cachedModel();
+    const [frame, lens] = model.children;
+    const item = product(VARIANTS);
+
+    await manager.applyVariant(model, item, "all-red");
+    const override = frame.material;
+    let disposed = false;
+    override.addEventListener("dispose", () => (disposed = true));
+    assert.equal(lens.material.color.getHexString(), "ff0000");
+
+    await manager.applyVariant(model, item, "gold");
+
+    assert.equal(frame.material, gold);
+    assert.equal(lens.material, glass);
+    assert.ok(disposed);
+  });
+
+  test("variante KHR_materials_variants via le parser du modèle", async () => {
+    const manager = new ModelManager();
+    const { model, gold } = cachedModel();
+    const [frame] = model.children;
+    const midnight = new THREE.MeshStandardMaterial({ name: "Midnight" });
+
+    frame.userData.gltfExtensions = {
+      KHR_materials_variants: { mappings: [{ material: 7, variants: [1] }] },
+    };
+    const assigned = [];
+    manager.variantSources.set(MODEL_URL, {
+      parser: {
+        getDependency: async (type, index) => (type === "material" && index === 7 ? midnight : null),
+        assignFinalMaterial: (mesh) => assigned.push(mesh),
+      },
+      variants: [{ name: "day" }, { name: "midnight" }],
+    });
+    const item = product([
+      { id: "day", name: "Jour" },
+      { id: "night", name: "Nuit", gltfVariant: "midnight" },
+    ]);
+
+    await manager.applyVariant(model, item, "night");
+    assert.equal(frame.material.name, "Midnight");
+    // Copie du matériau mis en cache par le parser
+    assert.notEqual(frame.material, midnight);
+    assert.deepEqual(assigned, [frame]);
+
+    await manager.applyVariant(model, item, "day");
+    assert.equal(frame.material, gold);
+  });
+
+  test("variante inconnue refusée", async () => {
+    const manager = new ModelManager();
+    const { model } = cachedModel();
+
+    await assert.rejects(() => manager.applyVariant(model, product(VARIANTS), "pink"), /pink/);
+  });
+});
+
+describe("ModelManager.loadModel", () => {
+  function managerWithLoader() {
+    const manager = new ModelManager();
+    const requests = [];
+    manager.loader = {
+      load: (url, onLoad, onProgress, onError) => {
+        requests.push(url);
+        setImmediate(() =>
+          url.includes("missing")
+            ? onError(new Error("404"))
+            : onLoad({ scene: cachedModel().model, parser: null, userData: {} })
+        );
+      },
+    };
+    return { manager, requests };
+  }
+
+  test("appels simultanés : un seul téléchargement, un clone par appelant", async () => {
+    const { manager, requests } = managerWithLoader();
+
+    const [first, second] = await quietly(() =>
+      Promise.all([manager.loadModel(A.modelUrl), manager.loadModel(A.modelUrl)])
+    );
+
+    assert.deepEqual(requests, [A.modelUrl]);
+    assert.notEqual(first, second);
+  });
+
+  test("matériaux propres à chaque clone : l'opacité d'une instance ne déteint pas", async () => {
+    const { manager } = managerWithLoader();
+
+    const first = await quietly(() => manager.loadModel(A.modelUrl));
+    const second = await quietly(() => manager.loadModel(A.modelUrl));
+    const cached = manager.cache.get(A.modelUrl);
+    first.children[0].material.opacity = 0.5;
+
+    assert.notEqual(first.children[0].material, second.children[0].material);
+    assert.notEqual(first.children[0].material, cached.children[0].material);
+    assert.equal(second.children[0].material.opacity, 1);
+    assert.equal(cached.children[0].material.opacity, 1);
+    // Textures partagées
+    assert.equal(first.children[0].material.map, cached.children[0].material.map);
+  });
+
+  test("preloadProducts ne recharge pas le cache et signale les échecs", async () => {
+    const { manager, requests } = managerWithLoader();
+    const missing = { id: "x", modelUrl: "./models/head/missing.glb" };
+
+    await quietly(() => manager.loadModel(A.modelUrl));
+    const failed = await quietly(() => manager.preloadProducts([A, B, missing]));
+
+    assert.deepEqual(requests, [A.modelUrl, B.modelUrl, missing.modelUrl]);
+    assert.deepEqual(failed, [missing]);
+    assert.ok(manager.cache.has(B.modelUrl));
+  });
+});
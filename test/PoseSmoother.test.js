@@ -0,0 +1,344 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { PoseSmoother } from "../js/modules/PoseSmoother.js";
+import { OneEuroFilter } from "../js/modules/OneEuroFilter.js";
+import {
+  OptimizedKalmanFilter,
+  MotionKalmanFilter,
+  QuaternionKalmanFilter,
+  RotationKalmanFilter,
+} from "../js/modules/OptimizedKalmanFilter.js";
+import { assertClose } from "./helpers/assertions.js";
+
+function makeTransform(x, scale = 1, yaw = 0) {
+  return {
+    position: new THREE.Vector3(x, 0, -1),
+    rotation: new THREE.Euler(0, Math.PI + yaw, 0),
+    scale: scale,
+  };
+}
+
+// Bruit pseudo-aléatoire reproductible dans [-0.5, 0.5[
+function noiseGenerator(seed = 7) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 - 0.5;
+  };
+}
+
+function variance(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+}
+
+const LEGACY = {
+  position: { type: "lerp", factor: 0.3 },
+  rotation: { type: "none" },
+  scale: { type: "lerp", factor: 0.7 },
+};
+
+describe("PoseSmoother", () => {
+  test("lerp reproduit l'ancien lissage de PreciseTracker", () => {
+    const smoother = new PoseSmoother(LEGACY);
+    smoother.filter(makeTransform(0, 1), 0);
+    const second = smoother.filter(makeTransform(1, 2), 33);
+
+    assertClose(second.position.x, 0 * 0.3 + 1 * 0.7, 1e-9, "position");
+    assertClose(second.scale, 1 * 0.7 + 2 * 0.3, 1e-9, "scale");
+  });
+
+  test("conserve les champs de la transformation", () => {
+    const smoother = new PoseSmoother(LEGACY);
+    const transform = { ...makeTransform(0), angles: { yaw: 0, pitch: 0, roll: 0 } };
+    const result = smoother.filter(transform, 0);
+
+    assert.deepEqual(result.angles, transform.angles);
+    assert.ok(result.position instanceof THREE.Vector3);
+    assert.ok(result.rotation instanceof THREE.Euler);
+  });
+
+  ["kalman", "oneEuro"].forEach((type) => {
+    test(`${type} réduit le bruit sur une tête immobile`, () => {
+      const settings =
+        type === "kalman"
+          ? { type, processNoise: 0.01, measurementNoise: 0.05 }
+          : { type, minCutoff: 1.0, beta: 0.0, dCutoff: 1.0 };
+      const smoother = new PoseSmoother({ position: settings, rotation: { type: "none" }, scale: settings });
+      const random = noiseGenerator();
+
+      const measured = [];
+      const filtered = [];
+      for (let i = 0; i < 120; i++) {
+        const x = 0.5 + random() * 0.02;
+        const result = smoother.filter(makeTransform(x, 1 + random() * 0.02), i * 33);
+        measured.push(x);
+        filtered.push(result.position.x);
+      }
+
+      assert.ok(variance(filtered.slice(20)) < variance(measured.slice(20)) / 4);
+    });
+  });
+
+  test("rotation kalman : quaternion unitaire et proche de la mesure", () => {
+    const smoother = new PoseSmoother({
+      position: { type: "none" },
+      rotation: { type: "kalman", processNoise: 0.01, measurementNoise: 0.05 },
+      scale: { type: "none" },
+    });
+
+    let result;
+    for (let i = 0; i < 60; i++) {
+      result = smoother.filter(makeTransform(0, 1, 0.3), i * 33);
+    }
+
+    const q = new THREE.Quaternion().setFromEuler(result.rotation);
+    const expected = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, Math.PI + 0.3, 0));
+    assertClose(q.length(), 1, 1e-9, "norme");
+    assertClose(q.angleTo(expected), 0, 1e-3, "rotation");
+  });
+
+  test("stratégie inconnue → pas de lissage", () => {
+    const smoother = new PoseSmoother({ ...LEGACY, position: { type: "bogus" } });
+    smoother.filter(makeTransform(0), 0);
+    assert.equal(smoother.filter(makeTransform(1), 33).position.x, 1);
+  });
+
+  test("setStrategy change un seul canal", () => {
+    const smoother = new PoseSmoother(LEGACY);
+    smoother.setStrategy("position", { type: "none" });
+    smoother.filter(makeTransform(0, 1), 0);
+    const result = smoother.filter(makeTransform(1, 2), 33);
+
+    assert.equal(result.position.x, 1);
+    assertClose(result.scale, 1.3, 1e-9, "scale toujours lissé");
+  });
+
+  test("reset() oublie l'historique", () => {
+    const smoother = new PoseSmoother(LEGACY);
+    smoother.filter(makeTransform(0, 1), 0);
+    smoother.reset();
+    const result = smoother.filter(makeTransform(1, 2), 33);
+
+    assert.equal(result.position.x, 1);
+    assert.equal(result.scale, 2);
+  });
+
+  describe("predict (rendu entre deux détections)", () => {
+    const MOTION = {
+      position: { type: "motion", processNoise: 10, measurementNoise: 0.000025 },
+      rotation: { type: "none" },
+      scale: { type: "motion", processNoise: 5, measurementNoise: 0.0001 },
+      maxPredictionMs: 150,
+    };
+
+    test("null tant qu'aucune pose n'a été mesurée", () => {
+      assert.equal(new PoseSmoother(MOTION).predict(0), null);
+    });
+
+    test("extrapole la position à 60 fps avec une détection à 30 fps", () => {
+      const smoother = new PoseSmoother(MOTION);
+      const speed = 0.6; // unités/s
+
+      for (let i = 0; i <= 30; i++) {
+        smoother.filter(makeTransform(speed * i * 0.0333, 1), i * 33.3);
+      }
+
+      // Frame de rendu intermédiaire, puis détection manquée
+      const half = smoother.predict(30 * 33.3 + 16.7);
+      const missed = smoother.predict(31 * 33.3);
+      assertClose(half.position.x, speed * (30 * 0.0333 + 0.0167), 0.005, "frame intermédiaire");
+      assertClose(missed.position.x, speed * 31 * 0.0333, 0.005, "frame manquée");
+      assertClose(missed.scale, 1, 1e-3, "échelle stable");
+    });
+
+    test("les canaux sans modèle cinématique gardent la dernière valeur", () => {
+      const smoother = new PoseSmoother(LEGACY);
+      smoother.filter(makeTransform(0, 1), 0);
+      const last = smoother.filter(makeTransform(1, 2), 33);
+      const predicted = smoother.predict(100);
+
+      assert.equal(predicted.position.x, last.position.x);
+      assert.equal(predicted.scale, last.scale);
+    });
+
+    test("reset() efface la pose prédite", () => {
+      const smoother = new PoseSmoother(MOTION);
+      smoother.filter(makeTransform(0, 1), 0);
+      smoother.reset();
+      assert.equal(smoother.predict(33), null);
+    });
+  });
+});
+
+describe("MotionKalmanFilter", () => {
+  // Rampe à vitesse constante échantillonnée à 30 Hz
+  function feedRamp(filter, speed, frames = 60) {
+    let output;
+    for (let i = 0; i <= frames; i++) {
+      output = filter.filter(speed * i * 0.0333, i * 33.3);
+    }
+    return output;
+  }
+
+  test("pas de retard en régime permanent à vitesse constante", () => {
+    const motion = new MotionKalmanFilter({ processNoise: 10, measurementNoise: 0.0001 });
+    const constant = new OptimizedKalmanFilter(0.01, 0.05);
+
+    const expected = 60 * 0.0333;
+    const a = feedRamp(motion, 1);
+    let b;
+    for (let i = 0; i <= 60; i++) b = constant.filter(i * 0.0333);
+
+    assertClose(a, expected, 1e-3, "modèle cinématique");
+    assert.ok(expected - b > 0.03, "le modèle constant traîne derrière la mesure");
+    assertClose(motion.getVelocity(), 1, 0.01, "vitesse estimée");
+  });
+
+  test("predictAt ne modifie pas l'état", () => {
+    const filter = new MotionKalmanFilter();
+    feedRamp(filter, 1, 10);
+    const snapshot = JSON.stringify(filter.states);
+
+    filter.predictAt(500);
+    assert.equal(JSON.stringify(filter.states), snapshot);
+  });
+
+  test("horizon de prédiction limité à maxPrediction", () => {
+    const filter = new MotionKalmanFilter({ maxPrediction: 100 });
+    feedRamp(filter, 1, 30);
+    const last = 30 * 33.3;
+
+    assertClose(filter.predictAt(last + 1000), filter.predictAt(last + 100), 1e-12, "extrapolation bornée");
+    assert.ok(filter.predictAt(last + 100) > filter.predictAt(last + 50));
+  });
+
+  test("vecteurs {x, y, z}", () => {
+    const filter = new MotionKalmanFilter();
+    let result;
+    for (let i = 0; i <= 30; i++) {
+      result = filter.filter({ x: i * 0.0333, y: 1, z: -i * 0.0333 }, i * 33.3);
+    }
+
+    assertClose(result.x, 30 * 0.0333, 1e-3, "x");
+    assertClose(result.y, 1, 1e-9, "y");
+    assertClose(filter.predictAt(31 * 33.3).z, -31 * 0.0333, 1e-3, "z prédit");
+  });
+
+  test("order 3 suit une accélération constante", () => {
+    const velocity = new MotionKalmanFilter({ order: 2, processNoise: 1 });
+    const acceleration = new MotionKalmanFilter({ order: 3, processNoise: 1 });
+
+    for (let i = 0; i <= 60; i++) {
+      const t = i * 0.0333;
+      velocity.filter(t * t, i * 33.3);
+      acceleration.filter(t * t, i * 33.3);
+    }
+
+    const t = 61 * 0.0333;
+    const errorVelocity = Math.abs(velocity.predictAt(61 * 33.3) - t * t);
+    const errorAcceleration = Math.abs(acceleration.predictAt(61 * 33.3) - t * t);
+    assert.ok(errorAcceleration < errorVelocity / 2);
+  });
+});
+
+describe("filtrage de la rotation sur SO(3)", () => {
+  const yawQuaternion = (angle) => new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+  const negate = (q) => new THREE.Quaternion(-q.x, -q.y, -q.z, -q.w);
+
+  test("RotationKalmanFilter ignore le signe de la mesure", () => {
+    const filter = new RotationKalmanFilter();
+    const q = yawQuaternion(Math.PI - 0.1);
+
+    let previous = null;
+    for (let i = 0; i < 30; i++) {
+      const output = filter.filter(i % 2 ? negate(q) : q, i * 33.3);
+      const result = new THREE.Quaternion(output.x, output.y, output.z, output.w);
+
+      assertClose(result.angleTo(q), 0, 1e-9, `frame ${i}`);
+      if (previous) assert.ok(result.dot(previous) > 0, "signe continu");
+      previous = result;
+    }
+  });
+
+  test("RotationKalmanFilter suit une vitesse angulaire constante et l'extrapole", () => {
+    const filter = new RotationKalmanFilter();
+    const omega = 2; // rad/s
+
+    let output;
+    for (let i = 0; i <= 60; i++) {
+      output = filter.filter(yawQuaternion(Math.PI - 1 + omega * i * 0.0333), i * 33.3);
+    }
+
+    const last = new THREE.Quaternion(output.x, output.y, output.z, output.w);
+    assertClose(last.angleTo(yawQuaternion(Math.PI - 1 + omega * 60 * 0.0333)), 0, 1e-3, "pas de retard");
+    assertClose(filter.tangent.getVelocity().y, omega, 0.01, "vitesse angulaire");
+
+    const p = filter.predictAt(61 * 33.3);
+    const predicted = new THREE.Quaternion(p.x, p.y, p.z, p.w);
+    assertClose(predicted.length(), 1, 1e-9, "norme");
+    assertClose(predicted.angleTo(yawQuaternion(Math.PI - 1 + omega * 61 * 0.0333)), 0, 1e-3, "prédiction");
+  });
+
+  test("QuaternionKalmanFilter reste dans l'hémisphère de l'estimation", () => {
+    const filter = new QuaternionKalmanFilter(0.01, 0.05);
+    const q = yawQuaternion(0.4);
+
+    for (let i = 0; i < 30; i++) {
+      const output = filter.filter(i % 2 ? negate(q) : q);
+      const result = new THREE.Quaternion(output.x, output.y, output.z, output.w);
+
+      assert.ok(result.dot(q) > 1 - 1e-9, `frame ${i} : même hémisphère, même rotation`);
+    }
+  });
+
+  ["kalman", "oneEuro", "motion"].forEach((type) => {
+    test(`${type} : pas de bascule quand le signe du quaternion change`, () => {
+      const settings = {
+        kalman: { type, processNoise: 0.01, measurementNoise: 0.05 },
+        oneEuro: { type, minCutoff: 1.0, beta: 0.0, dCutoff: 1.0 },
+        motion: { type, processNoise: 5, measurementNoise: 0.0001 },
+      }[type];
+      const smoother = new PoseSmoother({ position: { type: "none" }, rotation: settings, scale: { type: "none" } });
+
+      let previous = null;
+      for (let i = 0; i <= 60; i++) {
+        // Mesure de signe alterné : q et -q décrivent la même orientation
+        const measured = yawQuaternion(Math.PI - 0.3 + i * 0.01);
+        const transform = makeTransform(0, 1);
+        transform.rotation = new THREE.Euler().setFromQuaternion(measured, "XYZ");
+        transform.quaternion = i % 2 ? negate(measured) : measured;
+        const result = smoother.filter(transform, i * 33.3);
+        const q = result.quaternion;
+
+        assertClose(q.angleTo(new THREE.Quaternion().setFromEuler(result.rotation)), 0, 1e-6, "Euler cohérent");
+        if (previous) {
+          assert.ok(q.dot(previous) > 0, `signe inversé à la frame ${i}`);
+          assert.ok(q.angleTo(previous) < 0.05, `saut à la frame ${i}`);
+        }
+        previous = q;
+      }
+    });
+  });
+});
+
+describe("OneEuroFilter", () => {
+  test("beta réduit le retard en mouvement rapide", () => {
+    const slow = new OneEuroFilter(1.0, 0.0);
+    const adaptive = new OneEuroFilter(1.0, 1.0);
+
+    let a, b;
+    for (let i = 0; i <= 30; i++) {
+      const value = i * 0.5; // 15 unités/s à 30 Hz
+      a = slow.filter(value, i * 33.3);
+      b = adaptive.filter(value, i * 33.3);
+    }
+
+    assert.ok(15 - b < 15 - a, "le filtre adaptatif suit mieux");
+  });
+
+  test("premier échantillon inchangé", () => {
+    assert.equal(new OneEuroFilter().filter(3, 0), 3);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { PreciseTracker } from "../js/modules/PreciseTracker.js";
+import { CANONICAL_FACE_MODEL } from "../js/config.js";
+import { VIDEO, generateFaceMesh, headRotation, degToRad } from "./helpers/syntheticFace.js";
+import { assertClose } from "./helpers/assertions.js";
+
+/**
+ * Calcule une transformation sur un tracker neuf (sans lissage)
+ */
+function transformFor(pose) {
+  const tracker = new PreciseTracker();
+  return tracker.calculateTransform(generateFaceMesh(pose), VIDEO.width, VIDEO.height);
+}
+
+// Rotation attendue du modèle : rotation de la tête · demi-tour sur Y
+function expectedModelQuaternion(yaw, pitch, roll) {
+  const R = headRotation(yaw, pitch, roll);
+  const head = new THREE.Quaternion().setFromRotationMatrix(
+    new THREE.Matrix4().set(R[0], R[1], R[2], 0, R[3], R[4], R[5], 0, R[6], R[7], R[8], 0, 0, 0, 0, 1)
+  );
+  return head.multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI));
+}
+
+describe("PreciseTracker.calculateTransform", () => {
+  test("retourne null sans maillage complet", () => {
+    const tracker = new PreciseTracker();
+    assert.equal(tracker.calculateTransform(null, VIDEO.width, VIDEO.height), null);
+    assert.equal(
+      tracker.calculateTransform(generateFaceMesh().slice(0, 400), VIDEO.width, VIDEO.height),
+      null
+    );
+  });
+
+  test("visage frontal centré", () => {
+    const transform = transformFor({});
+
+    assertClose(transform.position.x, 0, 1e-6, "position.x");
+    assert.ok(transform.position.y > 0, "le front est au-dessus du centre de l'image");
+    assertClose(transform.angles.yaw, 0, 1e-6, "yaw");
+    assertClose(transform.angles.pitch, 0, 1e-6, "pitch");
+    assertClose(transform.angles.roll, 0, 1e-6, "roll");
+
+    const modelQuaternion = new THREE.Quaternion().setFromEuler(transform.rotation);
+    assertClose(modelQuaternion.angleTo(expectedModelQuaternion(0, 0, 0)), 0, 1e-6, "orientation neutre");
+  });
+
+  describe("échelle métrique (iris)", () => {
+    // Mesures successives d'un même visage : la taille se calibre sur l'iris
+    function calibratedTransform(pose, video = VIDEO) {
+      const tracker = new PreciseTracker();
+      const keypoints = generateFaceMesh(pose, { video, iris: true });
+      let transform = null;
+      for (let i = 0; i < 5; i++) {
+        transform = tracker.calculateTransform(keypoints, video.width, video.height);
+      }
+      return transform;
+    }
+
+    test("vaut la taille du visage, quelle que soit la distance", () => {
+      const near = calibratedTransform({ size: 1.1, distance: 400 });
+      const far = calibratedTransform({ size: 1.1, distance: 800 });
+
+      assertClose(near.scale, 1.1, 0.01, "scale (proche)");
+      assertClose(far.scale, 1.1, 0.01, "scale (loin)");
+      assertClose(far.metric.distanceMm, 800, 8, "distance (mm)");
+    });
+
+    test("tête moyenne sans landmarks de l'iris", () => {
+      const transform = transformFor({ distance: 600 });
+      assert.equal(transform.scale, 1);
+      assert.equal(transform.metric.isCalibrated, false);
+    });
+
+    test("indépendante de la résolution de la vidéo", () => {
+      const pose = { size: 0.9, distance: 500, x: 60, y: -30 };
+      const hd = calibratedTransform(pose);
+      const vga = calibratedTransform(pose, { width: 640, height: 480, fov: VIDEO.fov });
+
+      assertClose(vga.scale, hd.scale, 0.01, "scale");
+      assertClose(vga.position.distanceTo(hd.position), 0, 0.03, "position");
+    });
+  });
+
+  describe("position", () => {
+    test("Z : profondeur réelle du point d'ancrage", () => {
+      const transform = transformFor({ distance: 600 });
+
+      // Front (ANCHORS.crown) 34 mm devant le centre du visage, unité de scène 200 mm
+      const forehead = [10, 67, 109, 338, 297].map((i) => CANONICAL_FACE_MODEL[i][2]);
+      const depth = 600 - forehead.reduce((a, b) => a + b) / forehead.length;
+      assertClose(transform.position.z, 2 - depth / 200, 1e-3, "position.z");
+    });
+
+    test("symétrique gauche / droite", () => {
+      const right = transformFor({ x: 100 });
+      const left = transformFor({ x: -100 });
+
+      assert.ok(right.position.x > 0, "tête à droite → x positif");
+      assertClose(right.position.x, -left.position.x, 1e-6, "symétrie");
+      assertClose(right.position.y, left.position.y, 1e-6, "même hauteur");
+    });
+
+    test("se projette sur le point d'ancrage de l'image", () => {
+      const camera = new THREE.PerspectiveCamera(VIDEO.fov, VIDEO.width / VIDEO.height, 0.1, 100);
+      camera.position.z = 2;
+      camera.updateMatrixWorld();
+
+      const tracker = new PreciseTracker();
+      const forehead = { x: VIDEO.width * 0.25, y: VIDEO.height * 0.25 };
+      const projected = tracker
+        .calculatePosition(forehead, 550, VIDEO.width, VIDEO.height)
+        .project(camera);
+
+      // Canvas affiché en miroir comme la vidéo : x retourné
+      assertClose(projected.x, -(2 * forehead.x / VIDEO.width - 1), 1e-9, "x");
+      assertClose(projected.y, -(2 * forehead.y / VIDEO.height - 1), 1e-9, "y");
+    });
+  });
+
+  describe("rotation (PnP)", () => {
+    const poses = [
+      { yaw: 20 },
+      { yaw: -45 },
+      { pitch: 25 },
+      { pitch: -30 },
+      { roll: 15 },
+      { roll: -20 },
+      { yaw: 30, pitch: -15, roll: 10 },
+      { yaw: -35, pitch: 20, roll: -12, x: 150, y: -80, distance: 650 },
+    ];
+
+    poses.forEach((degrees) => {
+      test(`retrouve la pose ${JSON.stringify(degrees)}`, () => {
+        const yaw = degToRad(degrees.yaw || 0);
+        const pitch = degToRad(degrees.pitch || 0);
+        const roll = degToRad(degrees.roll || 0);
+        const transform = transformFor({ ...degrees, yaw, pitch, roll });
+
+        assertClose(transform.angles.yaw, yaw, degToRad(1), "yaw");
+        assertClose(transform.angles.pitch, pitch, degToRad(1), "pitch");
+        assertClose(transform.angles.roll, roll, degToRad(1), "roll");
+
+        const modelQuaternion = new THREE.Quaternion().setFromEuler(transform.rotation);
+        assertClose(
+          modelQuaternion.angleTo(expectedModelQuaternion(yaw, pitch, roll)),
+          0,
+          degToRad(1),
+          "rotation du modèle"
+        );
+      });
+    });
+
+    test("pas de couplage entre translation et yaw", () => {
+      const transform = transformFor({ x: 200, y: 100 });
+      assertClose(transform.angles.yaw, 0, degToRad(0.5), "yaw");
+      assertClose(transform.angles.pitch, 0, degToRad(0.5), "pitch");
+    });
+
+    test("translation métrique de la tête", () => {
+      const transform = transformFor({ x: 60, y: -40, distance: 550 });
+      const t = transform.headPose.translation;
+
+      assertClose(t.x, 60, 1, "x (mm)");
+      assertClose(t.y, -40, 1, "y (mm)");
+      assertClose(t.z, -550, 1, "z (mm)");
+    });
+  });
+
+  test("quaternion de signe continu autour de yaw = π", () => {
+    const tracker = new PreciseTracker();
+    let previous = null;
+
+    for (let degrees = -40; degrees <= 40; degrees += 4) {
+      const transform = tracker.calculateTransform(
+        generateFaceMesh({ yaw: degToRad(degrees), roll: degToRad(degrees / 4) }),
+        VIDEO.width,
+        VIDEO.height
+      );
+      const fromEuler = new THREE.Quaternion().setFromEuler(transform.rotation);
+
+      assertClose(transform.quaternion.angleTo(fromEuler), 0, 1e-6, "même rotation que l'Euler");
+      if (previous) assert.ok(transform.quaternion.dot(previous) > 0, `signe inversé à ${degrees}°`);
+      previous = transform.quaternion.clone();
+    }
+  });
+
+  test("mesure brute, sans lissage interne", () => {
+    const tracker = new PreciseTracker();
+    tracker.calculateTransform(generateFaceMesh({ distance: 500 }), VIDEO.width, VIDEO.height);
+
+    const second = tracker.calculateTransform(
+      generateFaceMesh({ x: 50, distance: 450 }),
+      VIDEO.width,
+      VIDEO.height
+    );
+    const raw = transformFor({ x: 50, distance: 450 });
+
+    assertClose(second.scale, raw.scale, 1e-9, "scale");
+    assertClose(second.position.distanceTo(raw.position), 0, 1e-9, "position");
+  });
+
+  test("caméra arrière : image non retournée, même pose dans la scène", () => {
+    const pose = { yaw: degToRad(20), pitch: degToRad(-10), roll: degToRad(8), x: 40 };
+    const mirrored = transformFor(pose);
+
+    const tracker = new PreciseTracker();
+    tracker.mirrored = false;
+    const rear = tracker.calculateTransform(
+      generateFaceMesh(pose, { mirrored: false }),
+      VIDEO.width,
+      VIDEO.height
+    );
+
+    assertClose(rear.position.distanceTo(mirrored.position), 0, 1e-6, "position");
+    assertClose(rear.quaternion.angleTo(mirrored.quaternion), 0, 1e-6, "rotation");
+    assertClose(rear.scale, mirrored.scale, 1e-9, "scale");
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ProductCarousel, swipeDirection } from "../js/modules/ProductCarousel.js";
+
+const SETTINGS = { swipeDistance: 60, swipeMaxDuration: 600, preloadRadius: 1 };
+const [A, B, C, D] = ["a", "b", "c", "d"].map((id) => ({ id }));
+
+function carouselAt(current, products = [A, B, C, D]) {
+  const carousel = new ProductCarousel(SETTINGS);
+  carousel.setProducts(products);
+  carousel.setCurrent(current);
+  return carousel;
+}
+
+describe("ProductCarousel", () => {
+  test("suivant / précédent en boucle", () => {
+    assert.equal(carouselAt(B).step(1), C);
+    assert.equal(carouselAt(B).step(-1), A);
+    assert.equal(carouselAt(D).step(1), A);
+    assert.equal(carouselAt(A).step(-1), D);
+  });
+
+  test("aucun autre produit : pas de navigation", () => {
+    assert.equal(carouselAt(A, [A]).step(1), null);
+    assert.equal(carouselAt(A, []).step(-1), null);
+  });
+
+  test("produit courant filtré : on repart des extrémités", () => {
+    const carousel = carouselAt(D, [A, B, C]);
+
+    assert.equal(carousel.step(1), A);
+    assert.equal(carousel.step(-1), C);
+    assert.deepEqual(carousel.neighbors(1), [A, C]);
+  });
+
+  test("voisins à précharger, les plus proches d'abord", () => {
+    assert.deepEqual(carouselAt(A).neighbors(), [B, D]);
+    assert.deepEqual(carouselAt(A).neighbors(2), [B, D, C]);
+    assert.deepEqual(carouselAt(A, [A, B]).neighbors(), [B]);
+  });
+});
+
+describe("swipeDirection", () => {
+  const start = { x: 300, y: 400, time: 0 };
+
+  test("glisser vers la gauche = suivant, vers la droite = précédent", () => {
+    assert.equal(swipeDirection(start, { x: 150, y: 410, time: 200 }, SETTINGS), 1);
+    assert.equal(swipeDirection(start, { x: 450, y: 390, time: 200 }, SETTINGS), -1);
+  });
+
+  test("ignore les gestes courts, lents ou verticaux", () => {
+    assert.equal(swipeDirection(start, { x: 260, y: 400, time: 100 }, SETTINGS), 0);
+    assert.equal(swipeDirection(start, { x: 100, y: 400, time: 900 }, SETTINGS), 0);
+    assert.equal(swipeDirection(start, { x: 200, y: 600, time: 200 }, SETTINGS), 0);
+  });
+});
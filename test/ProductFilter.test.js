@@ -0,0 +1,130 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ProductFilter, priceRange, availableColors } from "../js/modules/ProductFilter.js";
+import { CatalogService } from "../js/modules/CatalogService.js";
+import { ModelManager } from "../js/modules/ModelManager.js";
+
+function product(id, type, price, colors, name = `Produit ${id}`) {
+  return {
+    id,
+    name,
+    price,
+    modelUrl: `./models/head/${id}.glb`,
+    thumbnail: `./assets/images/${id}.jpg`,
+    type,
+    colors,
+  };
+}
+
+const catalog = new CatalogService({
+  fallback: [
+    product("beanie", "beanie", 24.99, ["black"], "Bonnet Hiver"),
+    product("cap", "cap", 19.99, ["red", "white"], "Casquette"),
+    product("straw", "hat", 34.99, ["beige", "red"], "Chapeau de Paille"),
+    product("aviators", "sunglasses", 39.99, ["gold", "black"], "Lunettes Aviateur"),
+  ],
+});
+
+const ids = (products) => products.map((p) => p.id);
+
+describe("ProductFilter", () => {
+  test("sans critère : tout le catalogue", () => {
+    const filter = new ProductFilter();
+    assert.deepEqual(ids(filter.apply(catalog.products)), ["beanie", "cap", "straw", "aviators"]);
+  });
+
+  test("onglets hats, caps, beanies, eyewear", () => {
+    const filter = new ProductFilter();
+
+    assert.deepEqual(
+      catalog.getCategories().map((c) => c.id),
+      ["beanies", "caps", "hats", "eyewear"]
+    );
+
+    filter.setCategory("eyewear");
+    assert.deepEqual(ids(filter.apply(catalog.products)), ["aviators"]);
+    filter.setCategory(null);
+    assert.equal(filter.apply(catalog.products).length, 4);
+  });
+
+  test("recherche sans accents ni casse, sur le nom, le type et les couleurs", () => {
+    const filter = new ProductFilter();
+
+    filter.setQuery("CHAPEAU paille");
+    assert.deepEqual(ids(filter.apply(catalog.products)), ["straw"]);
+
+    filter.setQuery("dore");
+    assert.deepEqual(ids(filter.apply(catalog.products)), ["aviators"]);
+
+    filter.setQuery("cap");
+    assert.deepEqual(ids(filter.apply(catalog.products)), ["cap"]);
+  });
+
+  test("fourchette de prix (bornes incluses, bornes optionnelles)", () => {
+    const filter = new ProductFilter();
+
+    filter.setPriceRange(20, 35);
+    assert.deepEqual(ids(filter.apply(catalog.products)), ["beanie", "straw"]);
+
+    filter.setPriceRange(NaN, 20);
+    assert.deepEqual(ids(filter.apply(catalog.products)), ["cap"]);
+  });
+
+  test("couleurs : au moins une des couleurs choisies", () => {
+    const filter = new ProductFilter();
+
+    assert.equal(filter.toggleColor("red"), true);
+    assert.deepEqual(ids(filter.apply(catalog.products)), ["cap", "straw"]);
+
+    filter.toggleColor("gold");
+    assert.deepEqual(ids(filter.apply(catalog.products)), ["cap", "straw", "aviators"]);
+
+    assert.equal(filter.toggleColor("red"), false);
+    assert.deepEqual(ids(filter.apply(catalog.products)), ["aviators"]);
+  });
+
+  test("critères combinés et pagination du catalogue", () => {
+    const filter = new ProductFilter();
+    filter.toggleColor("black");
+    filter.setPriceRange(30, null);
+
+    const page = catalog.getPage(0, { filter });
+    assert.deepEqual(ids(page.items), ["aviators"]);
+    assert.equal(page.total, 1);
+  });
+
+  test("fourchette de prix et couleurs disponibles", () => {
+    assert.deepEqual(priceRange(catalog.products), { min: 19.99, max: 39.99 });
+    assert.deepEqual(priceRange([]), { min: 0, max: 0 });
+    assert.deepEqual(availableColors(catalog.products), ["black", "white", "red", "beige", "gold"]);
+  });
+});
+
+describe("ModelManager.preloadCategory", () => {
+  test("ne précharge que les modèles de la catégorie", async () => {
+    const manager = new ModelManager(catalog);
+    const loaded = [];
+    manager.loadModel = async (url) => {
+      loaded.push(url);
+      if (url.includes("straw")) throw new Error("404");
+      return {};
+    };
+    const log = console.log;
+    const error = console.error;
+    console.log = console.error = () => {};
+
+    try {
+      const hatsFailed = await manager.preloadCategory("hats");
+      assert.deepEqual(loaded, ["./models/head/straw.glb"]);
+      assert.deepEqual(ids(hatsFailed), ["straw"]);
+
+      loaded.length = 0;
+      const eyewearFailed = await manager.preloadCategory("eyewear");
+      assert.deepEqual(loaded, ["./models/head/aviators.glb"]);
+      assert.deepEqual(eyewearFailed, []);
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+  });
+});
@@ -0,0 +1,283 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { validateProduct, validateProducts } from "../js/modules/ProductSchema.js";
+import { PreciseTracker } from "../js/modules/PreciseTracker.js";
+import { AutoFitter } from "../js/modules/AutoFitter.js";
+import { COLORS, PRODUCTS } from "../js/config.js";
+import { VIDEO, generateFaceMesh } from "./helpers/syntheticFace.js";
+
+const BASE = {
+  id: "test-001",
+  name: "Test",
+  price: 10,
+  modelUrl: "./models/head/test.glb",
+  thumbnail: "./assets/images/test.jpg",
+  type: "hat",
+};
+
+// Modèle factice : boîte de 2 × 1 × 1 centrée en (5, 5, 5)
+function boxModel() {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(2, 1, 1));
+  mesh.position.set(5, 5, 5);
+  const model = new THREE.Group();
+  model.add(mesh);
+  return model;
+}
+
+describe("validateProduct", () => {
+  test("complète ancrage, décalage, rotation et échelle par défaut", () => {
+    const product = validateProduct(BASE);
+
+    assert.equal(product.anchor, "crown");
+    assert.deepEqual(product.offset, { x: 0, y: 0, z: 0 });
+    assert.deepEqual(product.rotation, { x: 0, y: 0, z: 0 });
+    assert.deepEqual(product.scale, { x: 1, y: 1, z: 1 });
+  });
+
+  test("ancrage déduit du type, échelle numérique étendue à x, y, z", () => {
+    const product = validateProduct({ ...BASE, type: "sunglasses", scale: 0.9 });
+
+    assert.equal(product.anchor, "noseBridge");
+    assert.deepEqual(product.scale, { x: 0.9, y: 0.9, z: 0.9 });
+  });
+
+  test("liste tous les champs invalides", () => {
+    assert.throws(
+      () =>
+        validateProduct({
+          ...BASE,
+          name: "",
+          price: -1,
+          anchor: "chin",
+          offset: { x: "haut" },
+        }),
+      (error) =>
+        ["name", "price", "anchor", "offset.x"].every((field) => error.message.includes(field))
+    );
+  });
+
+  test("dimensions réelles : valeurs du type par défaut, validées si fournies", () => {
+    assert.deepEqual(validateProduct({ ...BASE, type: "sunglasses" }).dimensions, { width: 145 });
+    assert.deepEqual(
+      validateProduct({ ...BASE, dimensions: { width: 300, depth: 320 } }).dimensions,
+      { width: 300, depth: 320 }
+    );
+    assert.throws(
+      () => validateProduct({ ...BASE, dimensions: { width: -1 } }),
+      /dimensions\.width/
+    );
+    assert.throws(() => validateProduct({ ...BASE, dimensions: {} }), /dimensions/);
+  });
+
+  test("guide des tailles : standard, en cm ou US, ou tailles du produit", () => {
+    assert.equal(validateProduct(BASE).sizeChart, null);
+    assert.deepEqual(validateProduct({ ...BASE, sizeChart: "letter" }).sizeChart.sizes[1], {
+      label: "M",
+      min: 56.5,
+      max: 58.5,
+    });
+
+    // Valeurs simples : bornes à mi-chemin des tailles voisines
+    const cm = validateProduct({ ...BASE, sizeChart: { system: "cm", sizes: [58, 56, 57] } });
+    assert.deepEqual(
+      cm.sizeChart.sizes.map(({ label, min, max }) => [label, min, max]),
+      [
+        ["56", 55.5, 56.5],
+        ["57", 56.5, 57.5],
+        ["58", 57.5, 58.5],
+      ]
+    );
+
+    // Taille US : tour de tête en pouces / π
+    const us = validateProduct({ ...BASE, sizeChart: { system: "us", sizes: ["7 1/8"] } });
+    const { min, max } = us.sizeChart.sizes[0];
+    assert.ok(Math.abs((min + max) / 2 - 7.125 * Math.PI * 2.54) < 1e-9);
+
+    assert.throws(() => validateProduct({ ...BASE, sizeChart: "eu" }), /sizeChart/);
+    assert.throws(
+      () => validateProduct({ ...BASE, sizeChart: { system: "letter", sizes: ["M"] } }),
+      /sizeChart\.sizes\[0\]/
+    );
+  });
+
+  test("miniature : URL http(s) ou relative uniquement", () => {
+    assert.ok(validateProduct({ ...BASE, thumbnail: "https://cdn.example.com/cap.jpg" }));
+    assert.ok(validateProduct({ ...BASE, thumbnail: "assets/images/cap.jpg" }));
+    assert.throws(
+      () => validateProduct({ ...BASE, thumbnail: "javascript:alert(1)" }),
+      /thumbnail/
+    );
+    assert.throws(
+      () => validateProduct({ ...BASE, thumbnail: "data:text/html,<script></script>" }),
+      /thumbnail/
+    );
+  });
+
+  test("type inconnu refusé", () => {
+    assert.throws(() => validateProduct({ ...BASE, type: "scarf" }), /type/);
+  });
+
+  test("validateProducts ignore les entrées invalides", () => {
+    const products = validateProducts([BASE, { ...BASE, id: "broken", modelUrl: null }]);
+
+    assert.deepEqual(
+      products.map((product) => product.id),
+      ["test-001"]
+    );
+  });
+
+  test("variantes : pastille déduite, liste vide par défaut", () => {
+    assert.deepEqual(validateProduct(BASE).variants, []);
+
+    const product = validateProduct({
+      ...BASE,
+      variants: [
+        { id: "black", name: "Noir" },
+        { id: "custom", name: "Perso", color: "#123456" },
+      ],
+      defaultVariant: "custom",
+    });
+    assert.deepEqual(
+      product.variants.map((variant) => variant.swatch),
+      [COLORS.black.hex, "#123456"]
+    );
+    assert.equal(product.defaultVariant, "custom");
+  });
+
+  test("variantes invalides refusées", () => {
+    assert.throws(
+      () =>
+        validateProduct({
+          ...BASE,
+          variants: [
+            { id: "a", name: "A", color: "rouge" },
+            { id: "a", name: "" },
+          ],
+          defaultVariant: "b",
+        }),
+      (error) =>
+        ["variants[0].color", "variants[1].name", "variants[1].id", "defaultVariant"].every(
+          (field) => error.message.includes(field)
+        )
+    );
+  });
+
+  test("le catalogue de config.js est valide", () => {
+    assert.equal(validateProducts(PRODUCTS).length, PRODUCTS.length);
+  });
+});
+
+describe("AutoFitter.prepareModel", () => {
+  test("chapeau : modèle normalisé, centré, le bas repose sur l'ancrage", () => {
+    const { model, inner } = new AutoFitter().prepareModel(boxModel(), validateProduct(BASE));
+    const box = new THREE.Box3().setFromObject(model);
+
+    assert.equal(inner.parent, model);
+    assert.equal(model.userData.anchor, "crown");
+    assert.ok(Math.abs(box.max.x - box.min.x - 1) < 1e-9);
+    assert.ok(Math.abs(box.min.y) < 1e-9);
+    assert.ok(Math.abs(box.min.x + box.max.x) < 1e-9);
+  });
+
+  test("lunettes : modèle centré, décalage et échelle du produit appliqués", () => {
+    const product = validateProduct({
+      ...BASE,
+      type: "sunglasses",
+      offset: { x: 0, y: 0.1, z: -0.2 },
+      scale: 0.5,
+    });
+    const { model } = new AutoFitter().prepareModel(boxModel(), product);
+    const center = new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3());
+    const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+
+    assert.ok(Math.abs(size.x - 0.5) < 1e-9);
+    assert.ok(center.distanceTo(new THREE.Vector3(0, 0.1, -0.2)) < 1e-9);
+  });
+
+  test("applyTransform sur le groupe conserve l'ajustement du produit", () => {
+    const fitter = new AutoFitter();
+    const { model, inner } = fitter.prepareModel(boxModel(), validateProduct(BASE));
+    const innerPosition = inner.position.clone();
+
+    fitter.applyTransform(model, {
+      position: new THREE.Vector3(1, 2, -3),
+      quaternion: new THREE.Quaternion(),
+      scale: 2,
+    });
+
+    assert.ok(inner.position.equals(innerPosition));
+    assert.deepEqual(model.position.toArray(), [1, 2, -3]);
+  });
+
+  test("applyTransform : miroir X en caméra frontale uniquement", () => {
+    const fitter = new AutoFitter();
+    const model = new THREE.Group();
+    const transform = {
+      position: new THREE.Vector3(),
+      quaternion: new THREE.Quaternion(),
+      scale: 2,
+    };
+
+    fitter.applyTransform(model, transform);
+    assert.deepEqual(model.scale.toArray(), [-2, 2, 2]);
+
+    fitter.mirrored = false;
+    fitter.applyTransform(model, transform);
+    assert.deepEqual(model.scale.toArray(), [2, 2, 2]);
+  });
+});
+
+describe("AutoFitter.applyAdjustments", () => {
+  test("échelle multipliée, décalage dans le repère de la tête (miroir compris)", () => {
+    const fitter = new AutoFitter();
+    const model = new THREE.Group();
+    fitter.applyTransform(model, {
+      position: new THREE.Vector3(1, 0, 0),
+      quaternion: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI / 2),
+      scale: 2,
+    });
+
+    fitter.applyAdjustments(model, {
+      scale: { x: 1.1, y: 1.1, z: 1.1 },
+      offset: { x: 0, y: 0.1, z: 0 },
+    });
+
+    // Haut de la tête tourné vers -x : décalage de 0,1 × 2 vers -x
+    assert.ok(model.position.distanceTo(new THREE.Vector3(0.8, 0, 0)) < 1e-9);
+    assert.ok(Math.abs(model.scale.x + 2.2) < 1e-9);
+    assert.ok(Math.abs(model.scale.y - 2.2) < 1e-9);
+  });
+
+  test("sans ajustement : pose inchangée", () => {
+    const fitter = new AutoFitter();
+    const model = new THREE.Group();
+
+    fitter.applyAdjustments(model, null);
+    fitter.applyAdjustments(model, { scale: null, offset: null, alpha: 0.8 });
+    assert.deepEqual(model.scale.toArray(), [1, 1, 1]);
+    assert.deepEqual(model.position.toArray(), [0, 0, 0]);
+  });
+});
+
+describe("PreciseTracker ancrage", () => {
+  function positionFor(anchor) {
+    const tracker = new PreciseTracker();
+    tracker.setAnchor(anchor);
+    return tracker.calculateTransform(generateFaceMesh({}), VIDEO.width, VIDEO.height).position;
+  }
+
+  test("lunettes positionnées sur les yeux, sous le front", () => {
+    const crown = positionFor("crown");
+    const eyes = positionFor("eyes");
+
+    assert.ok(eyes.y < crown.y, `yeux ${eyes.y} au-dessus du front ${crown.y}`);
+    assert.ok(Math.abs(eyes.x - crown.x) < 1e-6);
+  });
+
+  test("ancrage inconnu : retour au front", () => {
+    const tracker = new PreciseTracker();
+    tracker.setAnchor("chin");
+    assert.equal(tracker.anchor, "crown");
+  });
+});
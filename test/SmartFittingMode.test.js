@@ -0,0 +1,163 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { SmartFittingMode, fittingData, isSmartFitted } from "../js/modules/SmartFittingMode.js";
+import { PreciseTracker } from "../js/modules/PreciseTracker.js";
+import { validateProduct } from "../js/modules/ProductSchema.js";
+import { VIDEO, generateFaceMesh, degToRad } from "./helpers/syntheticFace.js";
+
+const SETTINGS = {
+  enabled: true,
+  calibrationFrames: 5,
+  minCalibrationSamples: 3,
+  minConfidence: 0.7,
+  maxReprojectionError: 0.02,
+  tipsIntervalMs: 2000,
+};
+
+const MODEL = {};
+
+function faceDataFor(pose = {}) {
+  return {
+    rawKeypoints: generateFaceMesh(pose),
+    confidence: 1,
+    videoWidth: VIDEO.width,
+    videoHeight: VIDEO.height,
+  };
+}
+
+function trackingDataFor(pose = {}, context) {
+  const faceData = faceDataFor(pose);
+  const transform = new PreciseTracker().calculateTransform(
+    faceData.rawKeypoints,
+    VIDEO.width,
+    VIDEO.height
+  );
+  return fittingData(transform, faceData, context);
+}
+
+function calibrated(pose = {}) {
+  const smart = new SmartFittingMode(SETTINGS);
+  smart.enable();
+  for (let i = 0; i < SETTINGS.calibrationFrames; i++) {
+    smart.process(trackingDataFor(pose), MODEL);
+  }
+  return smart;
+}
+
+describe("fittingData", () => {
+  test("angles de la tête, échelle métrique, confiance de la pose", () => {
+    const data = trackingDataFor({ yaw: degToRad(20) }, { isStabilized: false });
+
+    assert.ok(Math.abs(data.rotation.y - degToRad(20)) < 0.01);
+    assert.deepEqual(data.scale, { x: 1, y: 1, z: 1 });
+    assert.equal(data.isStabilized, false);
+    assert.equal(data.headSize, null);
+    // Maillage synthétique : reprojection exacte
+    assert.ok(data.confidence > 0.99);
+  });
+
+  test("confiance nulle au-delà de maxReprojectionError", () => {
+    const faceData = faceDataFor();
+    const transform = new PreciseTracker().calculateTransform(
+      faceData.rawKeypoints,
+      VIDEO.width,
+      VIDEO.height
+    );
+
+    transform.headPose.reprojectionError = VIDEO.height * 0.01;
+    assert.ok(Math.abs(fittingData(transform, faceData).confidence - 0.5) < 1e-9);
+    transform.headPose.reprojectionError = VIDEO.height;
+    assert.equal(fittingData(transform, faceData).confidence, 0);
+  });
+});
+
+describe("isSmartFitted", () => {
+  test("couvre-chefs uniquement : les lunettes gardent leur ajustement métrique", () => {
+    const product = (type) =>
+      validateProduct({
+        id: type,
+        name: type,
+        price: 1,
+        modelUrl: "m.glb",
+        thumbnail: "t.jpg",
+        type,
+      });
+
+    assert.equal(isSmartFitted(product("cap")), true);
+    assert.equal(isSmartFitted(product("beanie")), true);
+    assert.equal(isSmartFitted(product("sunglasses")), false);
+    assert.equal(isSmartFitted(product("earrings")), false);
+    assert.equal(isSmartFitted(null), false);
+  });
+});
+
+describe("SmartFittingMode", () => {
+  test("calibration : progression, puis ajustements relatifs à la morphologie", () => {
+    const smart = new SmartFittingMode(SETTINGS);
+    smart.enable();
+
+    const first = smart.process(trackingDataFor(), MODEL);
+    assert.equal(first.status, "calibrating");
+    assert.equal(first.progress, 20);
+
+    for (let i = 1; i < SETTINGS.calibrationFrames; i++) {
+      smart.process(trackingDataFor(), MODEL);
+    }
+    const adjustments = smart.process(trackingDataFor(), MODEL);
+    const weights = smart.morphologyWeights[smart.stats.detectedMorphology];
+
+    assert.equal(smart.isCalibrating, false);
+    assert.deepEqual(adjustments.scale, {
+      x: weights.scaleMultiplier,
+      y: weights.scaleMultiplier,
+      z: weights.scaleMultiplier,
+    });
+    assert.deepEqual(adjustments.offset, { x: 0, y: weights.yOffset, z: 0 });
+    assert.equal(adjustments.alpha, 1);
+  });
+
+  test("calibration sans frame exploitable : pas d'ajustement d'échelle", () => {
+    const smart = new SmartFittingMode(SETTINGS);
+    smart.enable();
+
+    const unreliable = { ...trackingDataFor(), confidence: 0.5 };
+    for (let i = 0; i <= SETTINGS.calibrationFrames; i++) {
+      smart.process(unreliable, MODEL);
+    }
+
+    assert.equal(smart.isCalibrating, false);
+    assert.equal(smart.optimalSettings.scale, null);
+  });
+
+  test("tête tournée : accessoire estompé", () => {
+    const smart = calibrated();
+    const adjustments = smart.process(trackingDataFor({ yaw: degToRad(60) }), MODEL);
+
+    assert.ok(adjustments.alpha < 1);
+  });
+
+  test("conseil de taille d'après le tour de tête mesuré", () => {
+    const smart = calibrated();
+    const headSize = { circumferenceCm: 61, uncertaintyCm: 1.5 };
+
+    smart.process(trackingDataFor({}, { headSize: null }), MODEL);
+    assert.equal(smart.faceProfile.sizeCategory, null);
+
+    smart.process(trackingDataFor({}, { headSize }), MODEL);
+    assert.equal(smart.faceProfile.sizeCategory, "extra-large");
+  });
+
+  test("reset : nouvelle calibration si le mode est actif", () => {
+    const smart = calibrated();
+
+    smart.reset();
+    assert.equal(smart.isCalibrating, true);
+    assert.equal(smart.optimalSettings.scale, null);
+    assert.equal(smart.process(trackingDataFor(), MODEL).status, "calibrating");
+
+    smart.disable();
+    smart.reset();
+    assert.equal(smart.isCalibrating, false);
+    assert.equal(smart.process(trackingDataFor(), MODEL), null);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { TrackingStateMachine, TrackingState } from "../js/modules/TrackingStateMachine.js";
+
+const SETTINGS = {
+  lostHoldMs: 300,
+  fadeOutMs: 400,
+  fadeInMs: 200,
+  reacquireFrames: 3,
+  hintDelayMs: 1000,
+};
+
+function createMachine() {
+  const machine = new TrackingStateMachine(SETTINGS);
+  machine.reset(0);
+  return machine;
+}
+
+describe("TrackingStateMachine", () => {
+  test("acquiring : accessoire masqué, indication après hintDelayMs", () => {
+    const machine = createMachine();
+
+    assert.equal(machine.state, TrackingState.ACQUIRING);
+    assert.equal(machine.getOpacity(500), 0);
+    assert.equal(machine.isHintVisible(500), false);
+    assert.equal(machine.isHintVisible(1000), true);
+  });
+
+  test("premier visage : tracking avec fondu d'apparition", () => {
+    const machine = createMachine();
+    machine.faceDetected(100);
+
+    assert.equal(machine.state, TrackingState.TRACKING);
+    assert.equal(machine.getOpacity(200), 0.5);
+    assert.equal(machine.getOpacity(300), 1);
+    assert.equal(machine.isHintVisible(2000), false);
+  });
+
+  test("perte : pose maintenue, puis fondu de disparition", () => {
+    const machine = createMachine();
+    machine.faceDetected(0);
+    machine.faceMissing(1000);
+
+    assert.equal(machine.state, TrackingState.LOST);
+    assert.equal(machine.getOpacity(1200), 1, "maintien");
+    assert.equal(machine.getOpacity(1500), 0.5, "mi-fondu");
+    assert.equal(machine.getOpacity(1800), 0, "masqué");
+    assert.equal(machine.isHintVisible(1900), false);
+    assert.equal(machine.isHintVisible(2000), true);
+  });
+
+  test("perte brève : retour direct en tracking, sans réinitialisation", () => {
+    const machine = createMachine();
+    let resets = 0;
+    machine.onReacquire = () => resets++;
+
+    machine.faceDetected(0);
+    machine.faceMissing(1000);
+    machine.faceMissing(1033);
+    machine.faceDetected(1100);
+
+    assert.equal(machine.state, TrackingState.TRACKING);
+    assert.equal(machine.getOpacity(1100), 1);
+    assert.equal(resets, 0);
+  });
+
+  test("perte longue : reacquiring réinitialise les filtres puis confirme", () => {
+    const machine = createMachine();
+    let resets = 0;
+    machine.onReacquire = () => resets++;
+
+    machine.faceDetected(0);
+    machine.faceMissing(1000);
+    machine.faceDetected(2000);
+
+    assert.equal(machine.state, TrackingState.REACQUIRING);
+    assert.equal(resets, 1);
+    assert.equal(machine.getOpacity(2000), 0, "masqué pendant la confirmation");
+
+    machine.faceDetected(2033);
+    machine.faceDetected(2066);
+    assert.equal(machine.state, TrackingState.TRACKING);
+    assert.equal(machine.getOpacity(2066), 0, "fondu d'apparition depuis 0");
+    assert.equal(machine.getOpacity(2266), 1);
+    assert.equal(resets, 1);
+  });
+
+  test("confirmation ratée : retour en lost, accessoire toujours masqué", () => {
+    const machine = createMachine();
+    machine.faceDetected(0);
+    machine.faceMissing(1000);
+    machine.faceDetected(2000);
+    machine.faceMissing(2033);
+
+    assert.equal(machine.state, TrackingState.LOST);
+    assert.equal(machine.getOpacity(2033), 0);
+    assert.equal(machine.isHintVisible(2033), true, "la perte dure depuis 1000 ms");
+  });
+});
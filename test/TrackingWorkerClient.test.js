@@ -0,0 +1,288 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { TrackingWorkerClient } from "../js/modules/TrackingWorkerClient.js";
+import { TrackingMetrics } from "../js/modules/TrackingMetrics.js";
+import { FaceTracker } from "../js/modules/FaceTracker.js";
+import { VIDEO, generateFaceMesh } from "./helpers/syntheticFace.js";
+
+/**
+ * Faux worker : enregistre les messages et laisse le test répondre
+ */
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.onmessage = null;
+    this.onerror = null;
+    this.terminated = false;
+  }
+
+  postMessage(message, transfer) {
+    this.messages.push({ message, transfer });
+    if (message.type === "init") {
+      queueMicrotask(() => this.reply({ type: "ready", backend: "webgl" }));
+    }
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  get frames() {
+    return this.messages.filter(({ message }) => message.type === "frame");
+  }
+}
+
+const FAKE_VIDEO = {
+  readyState: 4,
+  HAVE_ENOUGH_DATA: 4,
+  videoWidth: VIDEO.width,
+  videoHeight: VIDEO.height,
+};
+
+function flatten(keypoints) {
+  return Float32Array.from(keypoints.flatMap((p) => [p.x, p.y, p.z]));
+}
+
+async function createClient() {
+  let worker;
+  const client = new TrackingWorkerClient({
+    createWorker: () => (worker = new FakeWorker()),
+  });
+  await client.initialize({ maxFaces: 1 });
+  return { client, worker };
+}
+
+// Masque les logs du FaceTracker pendant un test
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+beforeEach(() => {
+  globalThis.createImageBitmap = async () => ({ close() {} });
+});
+
+describe("TrackingWorkerClient", () => {
+  test("initialize transmet les options et attend le worker", async () => {
+    const { client, worker } = await createClient();
+
+    assert.equal(client.isReady, true);
+    assert.equal(client.backend, "webgl");
+    assert.deepEqual(worker.messages[0].message, { type: "init", options: { maxFaces: 1 } });
+  });
+
+  test("initialize échoue si le worker signale une erreur", async () => {
+    const client = new TrackingWorkerClient({
+      createWorker: () => {
+        const worker = new FakeWorker();
+        worker.postMessage = () =>
+          queueMicrotask(() => worker.reply({ type: "error", message: "no webgl" }));
+        return worker;
+      },
+    });
+
+    await assert.rejects(client.initialize(), /no webgl/);
+  });
+
+  test("transfère la frame en ImageBitmap", async () => {
+    const { client, worker } = await createClient();
+
+    assert.equal(await client.detect(FAKE_VIDEO, 100, VIDEO.width, VIDEO.height), true);
+
+    const [{ message, transfer }] = worker.frames;
+    assert.equal(message.timestamp, 100);
+    assert.equal(message.mirrored, true);
+    assert.deepEqual(transfer, [message.bitmap]);
+  });
+
+  test("une seule détection en vol : les frames suivantes sont ignorées", async () => {
+    const { client, worker } = await createClient();
+
+    assert.equal(await client.detect(FAKE_VIDEO, 0, VIDEO.width, VIDEO.height), true);
+    assert.equal(await client.detect(FAKE_VIDEO, 16, VIDEO.width, VIDEO.height), false);
+    assert.equal(worker.frames.length, 1);
+
+    worker.reply({ type: "result", faces: [], timestamp: 0, width: 1, height: 1, inferenceMs: 20 });
+    assert.equal(await client.detect(FAKE_VIDEO, 33, VIDEO.width, VIDEO.height), true);
+  });
+
+  test("décode les keypoints à plat", async () => {
+    const { client, worker } = await createClient();
+    const keypoints = generateFaceMesh();
+
+    let result = null;
+    client.onResult = (r) => (result = r);
+    worker.reply({
+      type: "result",
+      faces: [flatten(keypoints)],
+      timestamp: 5,
+      width: VIDEO.width,
+      height: VIDEO.height,
+      inferenceMs: 18,
+    });
+
+    assert.equal(result.faces[0].length, 468);
+    assert.ok(Math.abs(result.faces[0][1].x - keypoints[1].x) < 1e-3);
+    assert.equal(result.inferenceMs, 18);
+  });
+
+  test("dispose termine le worker", async () => {
+    const { client, worker } = await createClient();
+    client.dispose();
+
+    assert.equal(worker.terminated, true);
+    assert.equal(client.isReady, false);
+  });
+});
+
+describe("FaceTracker.submitFrame", () => {
+  async function createTracker() {
+    const tracker = new FaceTracker();
+    const { client, worker } = await createClient();
+    tracker.attachWorker(client);
+    tracker.isInitialized = true;
+    tracker.startTracking();
+    return { tracker, worker };
+  }
+
+  test("n'attend pas la détection et publie le résultat via onTrackingUpdate", async () => {
+    const { tracker, worker } = await createTracker();
+    const updates = [];
+    tracker.onTrackingUpdate = (faceData) => updates.push(faceData);
+
+    assert.equal(tracker.submitFrame(FAKE_VIDEO, performance.now()), true);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(updates.length, 0, "résultat pas encore disponible");
+
+    const { message } = worker.frames[0];
+    worker.reply({
+      type: "result",
+      faces: [flatten(generateFaceMesh())],
+      timestamp: message.timestamp,
+      width: message.width,
+      height: message.height,
+      inferenceMs: 25,
+    });
+
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].rawKeypoints.length, 468);
+    assert.equal(updates[0].timestamp, message.timestamp);
+    assert.equal(updates[0].videoWidth, VIDEO.width);
+  });
+
+  test("visage absent → onFaceLost", async () => {
+    const { tracker, worker } = await createTracker();
+    let lost = 0;
+    tracker.onFaceLost = () => lost++;
+
+    tracker.submitFrame(FAKE_VIDEO, performance.now());
+    await new Promise((resolve) => setImmediate(resolve));
+    worker.reply({ type: "result", faces: [], timestamp: 0, width: 1, height: 1, inferenceMs: 25 });
+
+    assert.equal(lost, 1);
+  });
+
+  test("métriques : inférence, frames ignorées", async () => {
+    const { tracker, worker } = await createTracker();
+
+    tracker.submitFrame(FAKE_VIDEO, performance.now());
+    tracker.submitFrame(FAKE_VIDEO, performance.now());
+    await new Promise((resolve) => setImmediate(resolve));
+    worker.reply({ type: "result", faces: [], timestamp: performance.now(), width: 1, height: 1, inferenceMs: 30 });
+
+    const metrics = tracker.getMetrics();
+    assert.equal(metrics.mode, "worker");
+    assert.equal(metrics.submitted, 1);
+    assert.equal(metrics.dropped, 1);
+    assert.equal(metrics.completed, 1);
+    assert.equal(metrics.inferenceMs, 30);
+  });
+
+  // Repli sans TensorFlow : le détecteur principal est simulé
+  function stubDetector(tracker) {
+    const calls = [];
+    tracker.initializeDetector = async (options) => {
+      calls.push(options);
+      tracker.isInitialized = true;
+    };
+    return calls;
+  }
+
+  test("worker planté : repli sur le thread principal", async () => {
+    const { tracker, worker } = await createTracker();
+    const calls = stubDetector(tracker);
+
+    await quietly(async () => {
+      worker.onerror({ message: "out of memory" });
+      await new Promise((resolve) => setImmediate(resolve));
+    });
+
+    assert.equal(worker.terminated, true);
+    assert.equal(tracker.workerClient, null);
+    assert.equal(calls.length, 1);
+    assert.equal(tracker.isInitialized, true);
+    assert.equal(tracker.getMetrics().mode, "main-thread");
+  });
+
+  test("erreurs de détection consécutives : repli, un résultat remet le compte à zéro", async () => {
+    const { tracker, worker } = await createTracker();
+    const calls = stubDetector(tracker);
+    const fail = () => worker.reply({ type: "error", message: "inference failed" });
+
+    await quietly(async () => {
+      fail();
+      fail();
+      worker.reply({ type: "result", faces: [], timestamp: 0, width: 1, height: 1, inferenceMs: 25 });
+      fail();
+      fail();
+      assert.notEqual(tracker.workerClient, null, "pas encore de repli");
+
+      fail();
+      await new Promise((resolve) => setImmediate(resolve));
+    });
+
+    assert.equal(worker.terminated, true);
+    assert.equal(calls.length, 1);
+  });
+
+  test("relecture : résultat synchrone sans worker", async () => {
+    const tracker = new FaceTracker();
+    await tracker.loadReplay({
+      version: 1,
+      frames: [{ t: 0, w: VIDEO.width, h: VIDEO.height, k: Array.from(flatten(generateFaceMesh())) }],
+    });
+    await tracker.initialize();
+    tracker.startTracking();
+
+    let update = null;
+    tracker.onTrackingUpdate = (faceData) => (update = faceData);
+    tracker.submitFrame(null, 0);
+
+    assert.equal(update.rawKeypoints.length, 468);
+    assert.equal(tracker.getMetrics().mode, "replay");
+  });
+});
+
+describe("TrackingMetrics", () => {
+  test("moyennes glissantes et cadence de détection", () => {
+    const metrics = new TrackingMetrics();
+    metrics.recordResult(20, 40, 0);
+    metrics.recordResult(40, 60, 50);
+
+    const snapshot = metrics.getSnapshot();
+    assert.equal(snapshot.inferenceMs, 22);
+    assert.equal(snapshot.inferenceMaxMs, 40);
+    assert.equal(snapshot.latencyMs, 42);
+    assert.equal(snapshot.detectionFps, 20);
+    assert.equal(snapshot.completed, 2);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { WebXRManager } from "../js/modules/WebXRManager.js";
+
+const SETTINGS = {
+  enabled: true,
+  sessionMode: "immersive-ar",
+  referenceSpaceType: "local",
+  requiredFeatures: [],
+  optionalFeatures: ["dom-overlay"],
+};
+
+class FakeSession extends EventTarget {
+  async end() {
+    this.dispatchEvent(new Event("end"));
+  }
+}
+
+/**
+ * navigator.xr simulé
+ * @param {Array} modes - Modes de session supportés
+ */
+function fakeXR(modes = ["immersive-ar"]) {
+  const requests = [];
+  return {
+    requests,
+    isSessionSupported: async (mode) => modes.includes(mode),
+    requestSession: async (mode, init) => {
+      requests.push({ mode, init });
+      return new FakeSession();
+    },
+  };
+}
+
+/**
+ * renderer.xr de three.js simulé
+ */
+function fakeRenderer() {
+  return {
+    xr: {
+      enabled: false,
+      session: null,
+      referenceSpaceType: null,
+      setReferenceSpaceType(type) {
+        this.referenceSpaceType = type;
+      },
+      async setSession(session) {
+        this.session = session;
+      },
+      getReferenceSpace() {
+        return this.session ? { type: this.referenceSpaceType } : null;
+      },
+    },
+  };
+}
+
+async function startedManager() {
+  const renderer = fakeRenderer();
+  const xr = fakeXR();
+  const manager = new WebXRManager(renderer, { settings: SETTINGS, xr });
+  await manager.checkSupport();
+  return { manager, renderer, xr };
+}
+
+describe("WebXRManager.checkSupport", () => {
+  test("supporté si le navigateur accepte le mode de CONFIG.webxr", async () => {
+    const renderer = fakeRenderer();
+    const manager = new WebXRManager(renderer, { settings: SETTINGS, xr: fakeXR() });
+
+    assert.equal(await manager.checkSupport(), true);
+    assert.equal(renderer.xr.enabled, true);
+  });
+
+  test("non supporté sans navigator.xr, sans le mode AR ou si désactivé", async () => {
+    const cases = [
+      { settings: SETTINGS, xr: undefined },
+      { settings: SETTINGS, xr: fakeXR(["inline"]) },
+      { settings: { ...SETTINGS, enabled: false }, xr: fakeXR() },
+    ];
+
+    for (const options of cases) {
+      const manager = new WebXRManager(fakeRenderer(), options);
+      assert.equal(await manager.checkSupport(), false);
+      assert.equal(manager.isSupported, false);
+    }
+  });
+});
+
+describe("WebXRManager session", () => {
+  test("session confiée à renderer.xr, fonctionnalités de la configuration", async () => {
+    const { manager, renderer, xr } = await startedManager();
+    const overlay = { id: "app-container" };
+    let started = null;
+    manager.onSessionStart = (session) => (started = session);
+
+    await manager.startSession({ domOverlay: overlay });
+
+    assert.deepEqual(xr.requests, [
+      {
+        mode: "immersive-ar",
+        init: {
+          requiredFeatures: [],
+          optionalFeatures: ["dom-overlay"],
+          domOverlay: { root: overlay },
+        },
+      },
+    ]);
+    assert.equal(renderer.xr.session, manager.session);
+    assert.equal(renderer.xr.referenceSpaceType, "local");
+    assert.deepEqual(manager.referenceSpace, { type: "local" });
+    assert.equal(started, manager.session);
+    assert.equal(manager.isActive, true);
+  });
+
+  test("une seule session à la fois", async () => {
+    const { manager, xr } = await startedManager();
+
+    await manager.startSession();
+    await manager.startSession();
+
+    assert.equal(xr.requests.length, 1);
+  });
+
+  test("fin de session (application ou navigateur) : état remis à zéro", async () => {
+    const { manager } = await startedManager();
+    let ended = 0;
+    manager.onSessionEnd = () => ended++;
+
+    await manager.startSession();
+    await manager.endSession();
+
+    assert.equal(ended, 1);
+    assert.deepEqual(manager.getState(), { isSupported: true, isActive: false, hasSession: false });
+
+    // Session fermée par le navigateur
+    await manager.startSession();
+    const session = manager.session;
+    session.dispatchEvent(new Event("end"));
+    assert.equal(ended, 2);
+    assert.equal(manager.isActive, false);
+  });
+
+  test("refusée si WebXR n'est pas supporté", async () => {
+    const manager = new WebXRManager(fakeRenderer(), { settings: SETTINGS, xr: fakeXR([]) });
+    await manager.checkSupport();
+
+    await assert.rejects(manager.startSession(), /pas supporté/);
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { XRPlacement, realWorldScale } from "../js/modules/XRPlacement.js";
+
+const SETTINGS = {
+  placementDistance: 0.6,
+  fallbackSize: 0.25,
+  placement: {
+    lockScale: true,
+    minScale: 0.5,
+    maxScale: 3,
+    snapThreshold: 0.05,
+    rotateSpeed: 0.01,
+    tapThreshold: 10,
+  },
+};
+
+// Chapeau normalisé : 1 unité de large, le bas sur l'origine (groupe d'ancrage d'AutoFitter)
+function hatModel() {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 0.4, 0.8));
+  mesh.position.y = 0.2;
+  const model = new THREE.Group();
+  model.add(mesh);
+  return model;
+}
+
+function pose(x, y, z) {
+  const matrix = new THREE.Matrix4().makeTranslation(x, y, z).toArray();
+  return { transform: { position: { x, y, z }, matrix } };
+}
+
+class FakeSession extends EventTarget {
+  constructor({ hitTest = true } = {}) {
+    super();
+    this.hitTestSource = { cancelled: false, cancel: () => (this.hitTestSource.cancelled = true) };
+    if (hitTest) {
+      this.requestHitTestSource = async () => this.hitTestSource;
+    }
+  }
+
+  async requestReferenceSpace(type) {
+    return { type };
+  }
+}
+
+/**
+ * Frame XR : surface visée en `hit` (null = aucune), utilisateur en `eye`
+ */
+function fakeFrame({ hit = null, eye = { x: 0, y: 1.6, z: 0 }, anchors = [] } = {}) {
+  return {
+    getHitTestResults: () =>
+      hit
+        ? [
+            {
+              getPose: () => pose(hit.x, hit.y, hit.z),
+              createAnchor: async () => {
+                const anchor = { anchorSpace: hit, deleted: false };
+                anchor.delete = () => (anchor.deleted = true);
+                anchors.push(anchor);
+                return anchor;
+              },
+            },
+          ]
+        : [],
+    getViewerPose: () => pose(eye.x, eye.y, eye.z),
+    getPose: (space) => pose(space.x, space.y, space.z),
+  };
+}
+
+async function started(options) {
+  const placement = new XRPlacement(SETTINGS);
+  const session = new FakeSession(options);
+  const model = hatModel();
+  await placement.start(session, { type: "local" }, model, { dimensions: { width: 380 } });
+  return { placement, session, model };
+}
+
+describe("realWorldScale", () => {
+  test("largeur, sinon hauteur, sinon profondeur (mm → m)", () => {
+    const size = new THREE.Vector3(2, 1, 4);
+
+    assert.equal(realWorldScale(size, { width: 300 }), 0.15);
+    assert.equal(realWorldScale(size, { height: 120 }), 0.12);
+    assert.equal(realWorldScale(size, { depth: 200 }), 0.05);
+    assert.equal(realWorldScale(size, null), null);
+  });
+});
+
+describe("XRPlacement", () => {
+  test("taille réelle : le chapeau mesure product.dimensions.width", async () => {
+    const { placement, model } = await started();
+
+    assert.ok(Math.abs(placement.realScale - 0.38) < 1e-9);
+    assert.equal(model.visible, false);
+  });
+
+  test("toucher : posé sur la surface visée, face à l'utilisateur", async () => {
+    const { placement, session, model } = await started();
+    let placed = 0;
+    placement.onPlaced = () => placed++;
+
+    const frame = fakeFrame({ hit: { x: 0, y: 0.7, z: -1 } });
+    placement.update(frame);
+    assert.equal(placement.reticle.visible, true);
+    assert.equal(placed, 0);
+
+    session.dispatchEvent(new Event("select"));
+    placement.update(frame);
+
+    assert.equal(placed, 1);
+    assert.equal(model.visible, true);
+    // Le bas du chapeau repose sur la table
+    const box = new THREE.Box3().setFromObject(model);
+    assert.ok(Math.abs(box.min.y - 0.7) < 1e-6);
+    assert.ok(Math.abs(box.max.x - box.min.x - 0.38) < 1e-6);
+    // Avant du modèle (-z local) tourné vers l'utilisateur
+    const front = new THREE.Vector3(0, 0, -1).applyQuaternion(model.quaternion);
+    assert.ok(front.z > 0.99);
+  });
+
+  test("ancre : le produit suit la surface, l'ancre précédente est supprimée", async () => {
+    const { placement, session, model } = await started();
+    const anchors = [];
+
+    session.dispatchEvent(new Event("select"));
+    placement.update(fakeFrame({ hit: { x: 0, y: 0, z: -1 }, anchors }));
+    await Promise.resolve();
+    assert.equal(placement.anchor, anchors[0]);
+
+    // L'ancre s'est recalée : le modèle suit
+    anchors[0].anchorSpace = { x: 0.1, y: 0, z: -1 };
+    placement.update(fakeFrame());
+    assert.ok(Math.abs(model.position.x - 0.1) < 1e-9);
+
+    session.dispatchEvent(new Event("select"));
+    placement.update(fakeFrame({ hit: { x: 1, y: 0, z: -2 }, anchors }));
+    assert.equal(anchors[0].deleted, true);
+
+    placement.stop();
+    await Promise.resolve();
+    assert.equal(anchors[1].deleted, true);
+    assert.equal(session.hitTestSource.cancelled, true);
+  });
+
+  test("sans hit-test : posé devant l'utilisateur", async () => {
+    const { model } = await started({ hitTest: false });
+
+    assert.equal(model.visible, true);
+    assert.ok(Math.abs(model.position.z + 0.6) < 1e-9);
+  });
+
+  test("pincement bloqué en taille réelle, borné et aimanté une fois débloqué", async () => {
+    const { placement } = await started();
+
+    const pinch = (from, to) => {
+      placement.pointerDown(1, 100, 300);
+      placement.pointerDown(2, 100 + from, 300);
+      placement.pointerMove(2, 100 + to, 300);
+      placement.pointerUp(1);
+      placement.pointerUp(2);
+    };
+
+    pinch(100, 200);
+    assert.equal(placement.userScale, 1);
+
+    placement.setScaleLocked(false);
+    pinch(100, 200);
+    assert.equal(placement.userScale, 2);
+    pinch(100, 1000);
+    assert.equal(placement.userScale, 3);
+
+    placement.setUserScale(1.03);
+    assert.equal(placement.userScale, 1);
+
+    placement.setUserScale(2);
+    placement.setScaleLocked(true);
+    assert.equal(placement.userScale, 1);
+  });
+
+  test("rotation : glissement à un doigt ou rotation à deux doigts", async () => {
+    const { placement, session } = await started();
+
+    placement.pointerDown(1, 100, 100);
+    placement.pointerMove(1, 105, 100);
+    assert.equal(placement.rotation, 0);
+    placement.pointerMove(1, 200, 100);
+    assert.ok(Math.abs(placement.rotation - 0.95) < 1e-9);
+
+    // Fin du geste : pas de pose au relâchement
+    session.dispatchEvent(new Event("select"));
+    assert.equal(placement.pendingPlacement, false);
+    placement.pointerUp(1);
+
+    placement.rotation = 0;
+    placement.pointerDown(1, 0, 0);
+    placement.pointerDown(2, 100, 0);
+    placement.pointerMove(2, 0, 100);
+    assert.ok(Math.abs(placement.rotation + Math.PI / 2) < 1e-9);
+  });
+});
@@ -0,0 +1,11 @@
+import assert from "node:assert/strict";
+
+/**
+ * Égalité à une tolérance près, avec les valeurs dans le message d'échec
+ */
+export function assertClose(actual, expected, tolerance, message) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message}: ${actual} ≠ ${expected} (± ${tolerance})`
+  );
+}
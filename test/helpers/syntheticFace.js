@@ -0,0 +1,125 @@
+import { CANONICAL_FACE_MODEL } from "../../js/config.js";
+
+/**
+ * syntheticFace - Génère des maillages MediaPipe (468 points) à partir d'une pose connue
+ *
+ * Repère du modèle (mm) : x vers la droite de l'observateur (gauche du sujet),
+ * y vers le haut, z vers la caméra. L'origine est au centre de la face.
+ *
+ * Repère caméra (scène) : caméra à l'origine, regard vers -z, y vers le haut.
+ * Les keypoints sont produits dans l'image vue par le détecteur, c'est-à-dire
+ * retournée horizontalement comme dans FaceTracker.processFrame (mirrored=true).
+ * Les points sont ceux du modèle de production (CANONICAL_FACE_MODEL).
+ */
+
+export const VIDEO = {
+  width: 1280,
+  height: 720,
+  fov: 63, // FOV verticale (degrés)
+};
+
+/**
+ * Focale en pixels pour une FOV verticale
+ */
+export function focalLength(video = VIDEO) {
+  return video.height / 2 / Math.tan((video.fov * Math.PI) / 360);
+}
+
+/**
+ * Matrice de rotation de la tête R = Ry(yaw) · Rx(pitch) · Rz(roll)
+ */
+export function headRotation(yaw = 0, pitch = 0, roll = 0) {
+  const cy = Math.cos(yaw), sy = Math.sin(yaw);
+  const cp = Math.cos(pitch), sp = Math.sin(pitch);
+  const cr = Math.cos(roll), sr = Math.sin(roll);
+
+  const ry = [cy, 0, sy, 0, 1, 0, -sy, 0, cy];
+  const rx = [1, 0, 0, 0, cp, -sp, 0, sp, cp];
+  const rz = [cr, -sr, 0, sr, cr, 0, 0, 0, 1];
+
+  return multiply3(multiply3(ry, rx), rz);
+}
+
+// Iris (refineLandmarks) : disques de 11,7 mm centrés entre les coins des yeux, face à la caméra
+export const IRIS_DIAMETER_MM = 11.7;
+const IRIS_MODEL_MM = {};
+[
+  [468, [-30.5, 26, 34]],
+  [473, [30.5, 26, 34]],
+].forEach(([center, [cx, cy, cz]]) => {
+  const r = IRIS_DIAMETER_MM / 2;
+  IRIS_MODEL_MM[center] = [cx, cy, cz];
+  IRIS_MODEL_MM[center + 1] = [cx + r, cy, cz];
+  IRIS_MODEL_MM[center + 2] = [cx, cy + r, cz];
+  IRIS_MODEL_MM[center + 3] = [cx - r, cy, cz];
+  IRIS_MODEL_MM[center + 4] = [cx, cy - r, cz];
+});
+
+/**
+ * Génère 468 keypoints (478 avec l'iris) pour une pose donnée
+ * @param {Object} pose - { yaw, pitch, roll } (radians), { x, y } décalage (mm), distance (mm),
+ *                        size : taille du visage rapportée au modèle (l'iris ne change pas)
+ * @param {Object} options - { video, mirrored, iris }
+ */
+export function generateFaceMesh(pose = {}, { video = VIDEO, mirrored = true, iris = false } = {}) {
+  const { yaw = 0, pitch = 0, roll = 0, x = 0, y = 0, distance = 500, size = 1 } = pose;
+  const R = headRotation(yaw, pitch, roll);
+  const f = focalLength(video);
+
+  const project = ([px, py, pz], irisOffset = [0, 0, 0]) => {
+    const p = [px * size + irisOffset[0], py * size + irisOffset[1], pz * size + irisOffset[2]];
+    const X = R[0] * p[0] + R[1] * p[1] + R[2] * p[2] + x;
+    const Y = R[3] * p[0] + R[4] * p[1] + R[5] * p[2] + y;
+    const Z = R[6] * p[0] + R[7] * p[1] + R[8] * p[2] - distance;
+    const depth = -Z;
+
+    let u = video.width / 2 + (f * X) / depth;
+    const v = video.height / 2 - (f * Y) / depth;
+    if (mirrored) u = video.width - u;
+
+    return { x: u, y: v, z: ((depth - distance) * f) / distance };
+  };
+
+  // Les points non modélisés sont placés au centre de la face
+  const center = project([0, 0, 0]);
+  const keypoints = new Array(468);
+  for (let i = 0; i < 468; i++) {
+    keypoints[i] = CANONICAL_FACE_MODEL[i] ? project(CANONICAL_FACE_MODEL[i]) : { ...center };
+  }
+
+  // Iris : centre placé avec le visage, rayon de taille réelle
+  if (iris) {
+    for (let i = 468; i < 478; i++) {
+      const c = IRIS_MODEL_MM[i < 473 ? 468 : 473];
+      const p = IRIS_MODEL_MM[i];
+      keypoints.push(project(c, [p[0] - c[0], p[1] - c[1], p[2] - c[2]]));
+    }
+  }
+
+  return keypoints;
+}
+
+/**
+ * Ramène un angle dans ]-π, π]
+ */
+export function wrapAngle(angle) {
+  let a = angle % (2 * Math.PI);
+  if (a > Math.PI) a -= 2 * Math.PI;
+  if (a <= -Math.PI) a += 2 * Math.PI;
+  return a;
+}
+
+export function degToRad(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function multiply3(a, b) {
+  const out = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] =
+        a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+  }
+  return out;
+}